@@ -0,0 +1,60 @@
+// lib/blocklist.js - Черный список телефонов и email
+//
+// При блокировке продавца его Google email и телефоны из объявлений попадают
+// в черный список, чтобы он не вернулся с нового аккаунта Telegram.
+// Телефоны сравниваются по последним 9 цифрам: так "+996 555 123 456"
+// и "0555 123 456" считаются одним номером. В Gmail точки и "+метка"
+// в имени не меняют адрес, поэтому они тоже отбрасываются.
+
+const BLOCKLIST_TYPES = ['phone', 'email'];
+
+const PHONE_KEY_DIGITS = 9;
+const MIN_PHONE_DIGITS = 7;
+const GMAIL_DOMAINS = ['gmail.com', 'googlemail.com'];
+
+// Номер для сравнения или null, если цифр слишком мало
+function normalizePhone(value) {
+    const digits = String(value ?? '').replace(/\D/g, '');
+    return digits.length >= MIN_PHONE_DIGITS ? digits.slice(-PHONE_KEY_DIGITS) : null;
+}
+
+function normalizeEmail(value) {
+    const email = String(value ?? '').trim().toLowerCase();
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+        return null;
+    }
+
+    const [name, domain] = email.split('@');
+    if (!GMAIL_DOMAINS.includes(domain)) {
+        return email;
+    }
+    return `${name.split('+')[0].replace(/\./g, '')}@gmail.com`;
+}
+
+// Телефоны из произвольного текста (поле «Контакты», описание)
+function extractPhones(text) {
+    const matches = String(text ?? '').match(/\+?\d[\d\s\-().]{5,}\d/g) || [];
+    return [...new Set(matches.map(normalizePhone).filter(Boolean))];
+}
+
+// Ввод администратора: email, если есть "@", иначе телефон
+function parseBlocklistValue(input) {
+    const value = String(input ?? '').trim();
+    const type = value.includes('@') ? 'email' : 'phone';
+    const normalized = type === 'email' ? normalizeEmail(value) : normalizePhone(value);
+    return normalized ? { type, value: normalized } : null;
+}
+
+// Ключ записи в коллекции blocklist
+function getBlocklistId(type, value) {
+    return `${type}:${value}`;
+}
+
+module.exports = {
+    BLOCKLIST_TYPES,
+    normalizePhone,
+    normalizeEmail,
+    extractPhones,
+    parseBlocklistValue,
+    getBlocklistId
+};
@@ -0,0 +1,165 @@
+// lib/caption.js - Подпись объявления для Telegram (parse_mode: 'HTML')
+//
+// Весь пользовательский текст экранируется. Telegram ограничивает подпись к медиа
+// 1024 символами видимого текста (теги не считаются), поэтому описание
+// сокращается по границе слова, а полный текст уходит в отдельное сообщение-ответ.
+const { DEFAULT_FOOTER, getDefaultTemplate, renderTemplate } = require('./captionTemplate');
+const { DEFAULT_LOCALE, t } = require('./i18n');
+
+const TELEGRAM_CAPTION_LIMIT = 1024;
+const TELEGRAM_MESSAGE_LIMIT = 4096;
+
+// Ограничения отдельных полей, чтобы описанию всегда оставалось место
+const FIELD_LIMITS = {
+    flower: 100,
+    quantity: 100,
+    price: 100,
+    rating: 100,
+    contacts: 200,
+    freshness: 100,
+    city: 100,
+    district: 100,
+    address: 200,
+    hashtags: 300
+};
+
+const ELLIPSIS = '…';
+const MIN_DESCRIPTION_LENGTH = 50;
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Длина текста так, как ее считает Telegram: без тегов, с раскрытыми сущностями
+function visibleLength(html) {
+    return html
+        .replace(/<[^>]+>/g, '')
+        .replace(/&(lt|gt|amp|quot);/g, '_')
+        .length;
+}
+
+// Обрезка по границе слова
+function truncateText(text, maxLength) {
+    if (text.length <= maxLength) {
+        return text;
+    }
+    if (maxLength <= ELLIPSIS.length) {
+        return ELLIPSIS.substring(0, maxLength);
+    }
+
+    const cut = text.substring(0, maxLength - ELLIPSIS.length);
+    const lastSpace = cut.search(/\s\S*$/);
+    const trimmed = lastSpace > maxLength * 0.6 ? cut.substring(0, lastSpace) : cut;
+    return trimmed.trimEnd() + ELLIPSIS;
+}
+
+function clampField(value, field) {
+    return truncateText(String(value ?? '').trim(), FIELD_LIMITS[field]);
+}
+
+// Сборка подписи
+// options.locale   - язык встроенного шаблона и значений по умолчанию
+// options.template - шаблон подписи (см. captionTemplate.js)
+// options.footer   - подпись канала в конце объявления
+// options.banner   - HTML-строка над объявлением (например, «ПРОДАНО»)
+// options.strike   - зачеркнуть текст объявления
+// options.limit    - лимит видимых символов (1024 для подписи, 4096 для текста)
+function buildCaption(data, options = {}) {
+    const { locale = DEFAULT_LOCALE } = options;
+    const {
+        description = '',
+        flower = '',
+        quantity = '',
+        price = t(locale, 'caption.priceNegotiable'),
+        rating = '',
+        contacts = t(locale, 'caption.contactsInComments'),
+        freshness,
+        city,
+        district = '',
+        address = '',
+        hashtags = '',
+        userId
+    } = data;
+    const {
+        template = getDefaultTemplate(locale),
+        footer = DEFAULT_FOOTER,
+        banner = '',
+        strike = false,
+        limit = TELEGRAM_CAPTION_LIMIT
+    } = options;
+
+    const fields = {
+        flower: clampField(flower, 'flower'),
+        quantity: clampField(quantity, 'quantity'),
+        price: clampField(price, 'price'),
+        rating: clampField(rating, 'rating'),
+        contacts: clampField(contacts, 'contacts'),
+        freshness: clampField(freshness, 'freshness'),
+        city: clampField(city, 'city'),
+        district: clampField(district, 'district'),
+        address: clampField(address, 'address'),
+        hashtags: clampField(hashtags, 'hashtags')
+    };
+
+    const render = (descriptionText) => {
+        const body = renderTemplate(template, {
+            ...fields,
+            description: descriptionText,
+            userId,
+            shortId: String(userId ?? '').substring(0, 8),
+            footer
+        }, escapeHtml);
+
+        return (banner ? `${banner}\n\n` : '') + (strike ? `<s>${body}</s>` : body);
+    };
+
+    const fullDescription = String(description).trim();
+    const fullCaption = render(fullDescription);
+
+    if (visibleLength(fullCaption) <= limit) {
+        return { caption: fullCaption, overflow: null, truncated: false };
+    }
+
+    // Места для описания: лимит минус все остальное, включая оформление блока описания
+    const emptyLength = visibleLength(render(''));
+    const sectionLength = visibleLength(render('x')) - emptyLength - 1;
+    const budget = limit - emptyLength - sectionLength;
+    const shortDescription = truncateText(fullDescription, Math.max(budget, MIN_DESCRIPTION_LENGTH));
+    let caption = render(shortDescription);
+
+    // Подстраховка: даже короткое описание не помещается
+    if (visibleLength(caption) > limit) {
+        caption = render('');
+    }
+
+    return {
+        caption,
+        overflow: formatDescriptionOverflow(fullDescription, locale),
+        truncated: true
+    };
+}
+
+// Полное описание отдельным сообщением
+function formatDescriptionOverflow(description, locale) {
+    const header = `📝 <b>${t(locale, 'caption.fullDescription')}</b>\n`;
+    const text = truncateText(description, TELEGRAM_MESSAGE_LIMIT - visibleLength(header));
+    return header + escapeHtml(text);
+}
+
+function formatCaption(data, options) {
+    return buildCaption(data, options).caption;
+}
+
+module.exports = {
+    TELEGRAM_CAPTION_LIMIT,
+    TELEGRAM_MESSAGE_LIMIT,
+    escapeHtml,
+    visibleLength,
+    truncateText,
+    buildCaption,
+    formatCaption
+};
@@ -0,0 +1,154 @@
+// lib/captionTemplate.js - Шаблоны подписи объявления
+//
+// Синтаксис:
+//   {{field}}              - значение поля (экранируется)
+//   {{{field}}}            - значение без экранирования, только для полей из RAW_FIELDS
+//   {{#field}}...{{/field}} - блок выводится, если поле заполнено
+//   {{^field}}...{{/field}} - блок выводится, если поле пустое
+// HTML самого шаблона пишет администратор, поэтому он не экранируется.
+const { DEFAULT_LOCALE, t } = require('./i18n');
+
+// Поля, доступные в шаблоне
+const TEMPLATE_FIELDS = [
+    'description',
+    'flower',
+    'quantity',
+    'price',
+    'rating',
+    'contacts',
+    'freshness',
+    'city',
+    'district',
+    'address',
+    'hashtags',
+    'userId',
+    'shortId',
+    'footer'
+];
+
+// Поля, которые задает администратор: только их можно вывести как HTML.
+// Остальные заполняет продавец, и {{{field}}} для них экранируется как {{field}}
+const RAW_FIELDS = ['footer'];
+
+const DEFAULT_FOOTER = 'Flower Market 🌸';
+const DEFAULT_HASHTAGS = '#цветы #продажа';
+
+// Встроенный шаблон с подписями полей на языке объявления
+function getDefaultTemplate(locale = DEFAULT_LOCALE) {
+    const label = key => t(locale, `caption.${key}`);
+
+    return [
+        `🌺 <b>${label('title')}</b>`,
+        '',
+        `{{#description}}📝 <b>${label('description')}</b>`,
+        '{{description}}',
+        '',
+        `{{/description}}{{#flower}}🌸 <b>${label('flower')}</b> {{flower}}{{#quantity}}, {{quantity}}{{/quantity}}`,
+        `{{/flower}}📍 <b>${label('location')}</b> {{city}}{{#district}}, {{district}}{{/district}}{{#address}}`,
+        `🏠 <b>${label('address')}</b> {{address}}{{/address}}`,
+        `🕒 <b>${label('freshness')}</b> {{freshness}}`,
+        `💰 <b>${label('price')}</b> {{price}}{{#rating}}`,
+        `⭐ <b>${label('rating')}</b> {{rating}}{{/rating}}`,
+        `📞 <b>${label('contacts')}</b> {{contacts}}{{#hashtags}}`,
+        '',
+        '{{hashtags}}{{/hashtags}}',
+        '',
+        '──────────────',
+        '<i>ID: {{shortId}}... | {{{footer}}}</i>'
+    ].join('\n');
+}
+
+const DEFAULT_TEMPLATE = getDefaultTemplate(DEFAULT_LOCALE);
+
+const TAG_PATTERN = /\{\{\{\s*(\w+)\s*\}\}\}|\{\{\s*([#^/]?)\s*(\w+)\s*\}\}/g;
+
+// Разбор шаблона в дерево: текст, поля и условные блоки
+function parseTemplate(template) {
+    const root = { children: [] };
+    const stack = [root];
+    let lastIndex = 0;
+    let match;
+
+    TAG_PATTERN.lastIndex = 0;
+    while ((match = TAG_PATTERN.exec(template)) !== null) {
+        const current = stack[stack.length - 1];
+        if (match.index > lastIndex) {
+            current.children.push({ type: 'text', value: template.slice(lastIndex, match.index) });
+        }
+        lastIndex = TAG_PATTERN.lastIndex;
+
+        const [, rawName, modifier, name] = match;
+        const field = rawName || name;
+
+        if (!TEMPLATE_FIELDS.includes(field)) {
+            throw new Error(`Неизвестное поле шаблона: ${field}`);
+        }
+
+        if (rawName) {
+            current.children.push({ type: RAW_FIELDS.includes(field) ? 'raw' : 'field', name: field });
+        } else if (modifier === '#' || modifier === '^') {
+            const section = { type: 'section', name: field, inverted: modifier === '^', children: [] };
+            current.children.push(section);
+            stack.push(section);
+        } else if (modifier === '/') {
+            if (stack.length === 1 || current.name !== field) {
+                throw new Error(`Лишний закрывающий тег: {{/${field}}}`);
+            }
+            stack.pop();
+        } else {
+            current.children.push({ type: 'field', name: field });
+        }
+    }
+
+    if (stack.length > 1) {
+        throw new Error(`Не закрыт блок: {{#${stack[stack.length - 1].name}}}`);
+    }
+    if (lastIndex < template.length) {
+        root.children.push({ type: 'text', value: template.slice(lastIndex) });
+    }
+
+    return root;
+}
+
+function renderNodes(nodes, values, escape) {
+    return nodes.map(node => {
+        if (node.type === 'text') {
+            return node.value;
+        }
+        const value = values[node.name];
+        const filled = value !== undefined && value !== null && String(value).trim() !== '';
+
+        if (node.type === 'field') {
+            return filled ? escape(String(value)) : '';
+        }
+        if (node.type === 'raw') {
+            return filled ? String(value) : '';
+        }
+        return filled !== node.inverted ? renderNodes(node.children, values, escape) : '';
+    }).join('');
+}
+
+// Подстановка значений; escape применяется ко всем полям, кроме {{{raw}}} из RAW_FIELDS
+function renderTemplate(template, values, escape) {
+    return renderNodes(parseTemplate(template).children, values, escape);
+}
+
+// Проверка шаблона перед сохранением (бросает ошибку с понятным текстом)
+function validateTemplate(template) {
+    if (!template || !template.trim()) {
+        throw new Error('Шаблон пустой');
+    }
+    parseTemplate(template);
+    return true;
+}
+
+module.exports = {
+    TEMPLATE_FIELDS,
+    RAW_FIELDS,
+    DEFAULT_TEMPLATE,
+    DEFAULT_FOOTER,
+    getDefaultTemplate,
+    DEFAULT_HASHTAGS,
+    renderTemplate,
+    validateTemplate
+};
@@ -0,0 +1,95 @@
+// lib/fieldCrypto.js - Шифрование отдельных полей записей в хранилище
+//
+// Чувствительные поля (контакты, токены Google) перед записью на диск
+// шифруются AES-256-GCM ключом из переменной окружения и хранятся как
+// { $enc, iv, tag, data }. Остальные поля записи остаются открытыми, чтобы
+// снимок и журнал можно было читать при отладке. Без ключа поля пишутся
+// как есть; незашифрованные значения читаются и при заданном ключе, поэтому
+// шифрование можно включить на существующих данных.
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const FORMAT_VERSION = 1;
+const IV_LENGTH = 12;
+const HASH_LENGTH = 32;
+
+function isEncrypted(value) {
+    return Boolean(value) && typeof value === 'object' && value.$enc === FORMAT_VERSION;
+}
+
+// secret - произвольная строка; ключи шифрования и хэширования выводятся из нее.
+// Без ключа hash равен null: отпечаток телефона с известным всем ключом легко подобрать перебором
+function createFieldCipher(secret) {
+    const key = secret ? crypto.scryptSync(String(secret), 'flower-market:fields', 32) : null;
+    const hashKey = secret ? crypto.scryptSync(String(secret), 'flower-market:hash', 32) : null;
+
+    function encrypt(value) {
+        if (!key || value === undefined || value === null) {
+            return value;
+        }
+
+        const iv = crypto.randomBytes(IV_LENGTH);
+        const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+        const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+
+        return {
+            $enc: FORMAT_VERSION,
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            data: data.toString('base64')
+        };
+    }
+
+    function decrypt(value) {
+        if (!isEncrypted(value)) {
+            return value;
+        }
+        if (!key) {
+            throw new Error('Данные зашифрованы, но ключ DATA_ENCRYPTION_KEY не задан');
+        }
+
+        const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(value.iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(value.tag, 'base64'));
+        const data = Buffer.concat([decipher.update(Buffer.from(value.data, 'base64')), decipher.final()]);
+        return JSON.parse(data.toString('utf8'));
+    }
+
+    function encryptFields(record, fields) {
+        const data = { ...record };
+        fields.forEach(field => {
+            if (field in data) {
+                data[field] = encrypt(data[field]);
+            }
+        });
+        return data;
+    }
+
+    function decryptFields(record, fields) {
+        const data = { ...record };
+        fields.forEach(field => {
+            if (field in data) {
+                data[field] = decrypt(data[field]);
+            }
+        });
+        return data;
+    }
+
+    // Необратимый отпечаток значения (например, телефона) для сравнения без хранения
+    function hash(value) {
+        return crypto.createHmac('sha256', hashKey)
+            .update(String(value))
+            .digest('hex')
+            .substring(0, HASH_LENGTH);
+    }
+
+    return {
+        enabled: Boolean(key),
+        encrypt,
+        decrypt,
+        encryptFields,
+        decryptFields,
+        hash: hashKey ? hash : null
+    };
+}
+
+module.exports = { createFieldCipher, isEncrypted };
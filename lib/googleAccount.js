@@ -0,0 +1,60 @@
+// lib/googleAccount.js - Доступ к Google-аккаунту продавца
+//
+// После входа через Google сохраняются токены: access_token живет около часа,
+// refresh_token - пока пользователь не отзовет доступ. По refresh_token сервер
+// заново загружает контакты по расписанию и по запросу пользователя.
+// При обновлении Google может не вернуть refresh_token, поэтому новые токены
+// дополняют сохраненные, а не заменяют их. Если доступ отозван или истек,
+// Google отвечает invalid_grant: такие токены больше не пригодны.
+
+// Результат синхронизации
+const GOOGLE_SYNC_STATUS = {
+    OK: 'ok',
+    FAILED: 'failed',
+    REVOKED: 'revoked'
+};
+
+// Есть ли у пользователя действующее разрешение на фоновый доступ
+function hasGoogleAccess(user) {
+    return Boolean(user?.googleTokens?.refresh_token);
+}
+
+// Сохраненные токены + новые (пустые поля новых токенов не затирают старые)
+function mergeGoogleTokens(previous, tokens) {
+    const merged = { ...(previous || {}) };
+    Object.entries(tokens || {}).forEach(([key, value]) => {
+        if (value !== undefined && value !== null) {
+            merged[key] = value;
+        }
+    });
+    return merged;
+}
+
+// Ошибка означает, что разрешение отозвано или истекло
+function isGoogleGrantRevoked(error) {
+    const code = error?.response?.data?.error || error?.message;
+    return code === 'invalid_grant' || code === 'unauthorized_client';
+}
+
+// Пора ли синхронизировать: отсчет от последней попытки, чтобы ошибки не повторялись каждую проверку
+function isGoogleSyncDue(user, intervalMs, now = new Date()) {
+    const last = user.googleSyncAttemptedAt || user.googleSyncedAt || user.contactsImportedAt;
+    return !last || now.getTime() - new Date(last).getTime() >= intervalMs;
+}
+
+// Сколько мс осталось до ручной синхронизации; 0 - можно сейчас
+function getGoogleSyncWait(user, cooldownMs, now = new Date()) {
+    if (!user.googleSyncAttemptedAt) {
+        return 0;
+    }
+    return Math.max(new Date(user.googleSyncAttemptedAt).getTime() + cooldownMs - now.getTime(), 0);
+}
+
+module.exports = {
+    GOOGLE_SYNC_STATUS,
+    hasGoogleAccess,
+    mergeGoogleTokens,
+    isGoogleGrantRevoked,
+    isGoogleSyncDue,
+    getGoogleSyncWait
+};
@@ -0,0 +1,97 @@
+// lib/i18n.js - Локализация сообщений бота, страниц и подписей
+//
+// Каталоги лежат в lib/locales: плоские ключи вида "status.title" и строки
+// с параметрами {name}. Значения параметров подставляются как есть, поэтому
+// пользовательский текст нужно экранировать до вызова t().
+// Если ключа нет в выбранном языке, используется русский каталог.
+// Сообщения в админ-чат остаются на русском и через каталог не проходят.
+
+const CATALOGS = {
+    ru: require('./locales/ru'),
+    ky: require('./locales/ky'),
+    uz: require('./locales/uz'),
+    en: require('./locales/en')
+};
+
+const DEFAULT_LOCALE = 'ru';
+const SUPPORTED_LOCALES = Object.keys(CATALOGS);
+
+// Названия языков для выбора в /language
+const LOCALE_NAMES = {
+    ru: '🇷🇺 Русский',
+    ky: '🇰🇬 Кыргызча',
+    uz: '🇺🇿 Oʻzbekcha',
+    en: '🇬🇧 English'
+};
+
+// Локали Intl для форматирования дат и чисел
+// Для ky данные ICU дают "2026-19-10", поэтому используем привычный дд.мм.гггг
+const INTL_LOCALES = {
+    ru: 'ru-RU',
+    ky: 'ru-RU',
+    uz: 'uz-UZ',
+    en: 'en-GB'
+};
+
+// "ru-RU", "uz_Latn" и т.п. -> поддерживаемый язык или русский
+function resolveLocale(languageCode) {
+    const code = String(languageCode || '').toLowerCase().split(/[-_]/)[0];
+    return SUPPORTED_LOCALES.includes(code) ? code : DEFAULT_LOCALE;
+}
+
+function isSupportedLocale(languageCode) {
+    return SUPPORTED_LOCALES.includes(languageCode);
+}
+
+// Перевод по ключу с подстановкой параметров
+function t(locale, key, params = {}) {
+    const catalog = CATALOGS[locale] || CATALOGS[DEFAULT_LOCALE];
+    const message = catalog[key] ?? CATALOGS[DEFAULT_LOCALE][key];
+
+    if (message === undefined) {
+        console.warn(`⚠️ Нет перевода для ключа ${key}`);
+        return key;
+    }
+
+    return message.replace(/\{(\w+)\}/g, (match, name) =>
+        params[name] !== undefined && params[name] !== null ? String(params[name]) : match
+    );
+}
+
+// Форма слова для числа: ключи вида "unit.stem.one", "unit.stem.few", "unit.stem.many"
+// Если нужной формы в каталоге нет, берется ".other"
+function plural(locale, key, count, params = {}) {
+    const catalog = CATALOGS[locale] || CATALOGS[DEFAULT_LOCALE];
+    const form = new Intl.PluralRules(INTL_LOCALES[locale] || INTL_LOCALES[DEFAULT_LOCALE]).select(count);
+    const formKey = catalog[`${key}.${form}`] !== undefined ? `${key}.${form}` : `${key}.other`;
+    return t(locale, formKey, { count, ...params });
+}
+
+// Число с разделителями разрядов: "15 150", "15,150"
+function formatNumber(locale, value) {
+    return new Intl.NumberFormat(INTL_LOCALES[locale] || INTL_LOCALES[DEFAULT_LOCALE], {
+        maximumFractionDigits: 2
+    }).format(value);
+}
+
+// Дата (и время) в формате языка пользователя
+function formatDate(locale, value, withTime = false) {
+    if (!value) {
+        return t(locale, 'common.unknown');
+    }
+    const date = new Date(value);
+    const dateLocale = INTL_LOCALES[locale] || INTL_LOCALES[DEFAULT_LOCALE];
+    return withTime ? date.toLocaleString(dateLocale) : date.toLocaleDateString(dateLocale);
+}
+
+module.exports = {
+    DEFAULT_LOCALE,
+    SUPPORTED_LOCALES,
+    LOCALE_NAMES,
+    resolveLocale,
+    isSupportedLocale,
+    t,
+    plural,
+    formatNumber,
+    formatDate
+};
@@ -0,0 +1,458 @@
+// lib/locales/en.js - English
+module.exports = {
+    // ==================== ОБЩЕЕ ====================
+    'common.unknown': 'unknown',
+    'common.defaultName': 'User',
+
+    // ==================== КНОПКИ ====================
+    'button.openSite': '🌐 Open the website',
+    'button.uploadContacts': '🌐 Upload contacts',
+    'button.createListing': '📝 Create a listing',
+    'button.createAnother': '📝 Create another listing',
+    'button.start': '🚀 Start',
+    'button.cancel': '❌ Cancel',
+    'button.skip': '⏭ Skip',
+    'button.anyCategory': '🌼 Any flowers',
+    'button.relayReply': '↩️ Reply: {alias}',
+    'button.relayBlock': '🚫 Block',
+    'button.relayUnblock': '🔓 Unblock',
+    'button.relayReport': '⚠️ Report',
+    'button.rateSeller': '⭐ Rate the seller',
+    'button.deleteMyData': '🗑 Yes, delete my data',
+    'button.syncGoogle': '🔄 Refresh contacts',
+    'button.disconnectGoogle': '🔌 Disconnect Google',
+    'button.connectGoogle': '🔐 Connect Google',
+    'button.back': '↩️ Back',
+    'button.editPrice': '💰 Change price',
+    'button.editDescription': '📝 Change description',
+    'button.sold': '✅ Sold',
+    'button.delete': '🗑 Delete',
+    'button.deleteConfirm': '🗑 Yes, delete from the channel',
+    'button.resubmit': '📤 Send for review',
+    'button.extend': '🔄 Extend',
+    'button.languageAuto': '🌐 Same as Telegram',
+
+    // ==================== КОМАНДЫ ====================
+    'command.start': 'Start using the bot',
+    'command.status': 'Check account status',
+    'command.my': 'My listings',
+    'command.subscribe': 'Alerts about new listings',
+    'command.subscriptions': 'My alerts',
+    'command.google': 'Google account and contacts',
+    'command.language': 'Change language',
+    'command.help': 'Help',
+
+    'start.message':
+        '🌸 <b>WELCOME TO FLOWER MARKET!</b>\n\n' +
+        'Here you can post a flower sale listing with photos and videos in a single post.\n\n' +
+        '<b>📋 REQUIREMENTS FOR POSTING:</b>\n' +
+        '1. 📞 Import your contacts (at least 3 contacts)\n' +
+        '2. ✅ Approval by an administrator\n' +
+        '3. 📝 Create a listing\n\n' +
+        '<i>Contacts help us verify that sellers are trustworthy. We never share them with third parties. Delete your data: /delete_me</i>\n\n' +
+        '<b>Your status:</b>\n' +
+        '• Contacts: {contacts}\n' +
+        '• Approval: {approval}\n' +
+        '• Listings: {posts}',
+    'start.contactsLoaded': '✅ Uploaded',
+    'start.contactsMissing': '❌ Not uploaded',
+    'start.approved': '✅ Approved',
+    'start.approvalPending': '⏳ Pending',
+
+    'help.message':
+        '🆘 <b>FLOWER MARKET HELP</b>\n\n' +
+        '<b>MAIN COMMANDS:</b>\n' +
+        '/start - Start using the bot\n' +
+        '/status - Check account status\n' +
+        '/my - My listings\n' +
+        '/subscribe - Alerts about new listings\n' +
+        '/subscriptions - My alerts\n' +
+        '/stop - End the conversation with a seller or buyer\n' +
+        '/reapply - Apply again after a decline\n' +
+        '/delete_me - Delete my data\n' +
+        '/google - Google account: refresh contacts or disconnect\n' +
+        '/language - Change language\n' +
+        '/help - Show this message\n\n' +
+        '<b>HOW TO POST:</b>\n' +
+        '1. Tap "Open the website"\n' +
+        '2. Import your contacts\n' +
+        '3. Wait for approval\n' +
+        '4. Create a listing\n\n' +
+        '<b>SUPPORT:</b> Contact the administrator',
+
+    'text.fallback':
+        'Hi! I am the Flower Market bot 🌸\n\n' +
+        'Use these commands:\n' +
+        '/start - Get started\n' +
+        '/status - Check status\n' +
+        '/my - My listings\n' +
+        '/subscribe - Alerts about new listings\n' +
+        '/subscriptions - My alerts\n' +
+        '/language - Change language\n' +
+        '/help - Help\n\n' +
+        'Or tap "Open the website" in the /start menu',
+    'text.startOver': 'Choose a command:\n/start - Get started\n/status - Check status\n/help - Help',
+
+    // ==================== /status ====================
+    'status.notStarted': '❌ You have not started using the bot yet. Send /start to begin.',
+    'status.title': '📊 <b>YOUR ACCOUNT STATUS</b>',
+    'status.user': '👤 <b>User:</b> {name}',
+    'status.id': '🆔 <b>ID:</b> {id}',
+    'status.google': '🔐 <b>Google:</b> {email}',
+    'status.googleDisconnected': '🔌 <b>Google:</b> {email} (disconnected, details: /google)',
+    'status.contacts': '📞 <b>Contacts:</b> ',
+    'status.contactsLoaded': '✅ Uploaded ({count} contacts)',
+    'status.contactsImportedAt': '📅 <b>Imported:</b> {date}',
+    'status.contactsMissing': '❌ Not uploaded',
+    'status.approval': '✅ <b>Approval:</b> ',
+    'status.approved': '✅ Approved by an administrator',
+    'status.approvedAt': '📅 <b>Approved:</b> {date}',
+    'status.posts': '📊 <b>Listings published:</b> {count}',
+    'status.lastPost': '📅 <b>Last post:</b> {date}',
+    'status.pending': '⏳ Waiting for approval',
+    'status.banned': '🚫 Your account has been blocked by an administrator',
+    'status.bannedUntil': '📅 <b>Blocked until:</b> {date}',
+    'status.bannedForever': '📅 <b>Block:</b> permanent',
+    'status.banReason': '📝 <b>Reason:</b> {reason}',
+    'status.rejected': '❌ Application declined by an administrator',
+    'status.rejectionReason': '📝 <b>Reason:</b> {reason}',
+    'status.reapplyAt': '🔁 <b>Reapply:</b> with /reapply after {date}',
+    'status.reapplyNow': '🔁 <b>You can apply again:</b> /reapply',
+    'status.pendingHint': '<i>The administrator has received your contacts and will decide soon.</i>',
+    'status.nextStepContacts': '🔗 <b>Next step:</b> Open the website to upload your contacts.',
+    'status.waitApproval': '⏳ <b>Please wait for approval.</b> It usually takes up to 24 hours.',
+    'status.canPublish': '🎉 <b>You can create listings!</b>',
+
+    // ==================== /language ====================
+    'language.choose': '🌐 <b>Choose a language</b>\n\nCurrent: {language}',
+    'language.changed': '✅ Language changed: {language}',
+    'language.auto': '✅ The language will follow your Telegram settings',
+
+    // ==================== РЕШЕНИЯ ПО АККАУНТУ ====================
+    'account.approvedDm':
+        '🎉 <b>YOUR ACCOUNT IS APPROVED!</b>\n\n' +
+        'You can now create flower sale listings.\n\n' +
+        '<b>📋 WHAT\'S NEXT?</b>\n' +
+        '1. Tap the button below\n' +
+        '2. Create a listing with photos/videos\n' +
+        '3. Publish it to the channel\n\n' +
+        '<i>Your listing will be posted in the @{channel} channel</i>',
+    'account.rejectedDm':
+        '❌ <b>YOUR APPLICATION WAS DECLINED</b>\n\n' +
+        'Unfortunately, the administrator declined your application to post listings.\n\n' +
+        '📝 <b>Reason:</b> {reason}\n\n' +
+        'Fix the reason and apply again with /reapply - you can do it in {hours} h.',
+    'account.bannedDm': '🚫 <b>YOUR ACCOUNT HAS BEEN BLOCKED</b>\n\nThe administrator has restricted posting listings.\n\n{details}\nIf you think this is a mistake, contact the administrator.',
+    'account.unbannedDm': '✅ <b>BLOCK LIFTED</b>\n\nThe administrator has lifted the restrictions on your account. Status: /status',
+    'account.revokedDm': '⏳ <b>APPROVAL WITHDRAWN</b>\n\nThe administrator is reviewing your account again. You cannot post new listings until the review is complete.',
+
+    'rejectReason.few_contacts': 'Not enough contacts to verify you',
+    'rejectReason.suspicious': 'Suspicious activity',
+    'rejectReason.rules': 'Marketplace rules violation',
+    'rejectReason.duplicate': 'You already have another account',
+    'rejectReason.other': 'Another reason - ask the administrator',
+
+    'reapply.notRejected': 'ℹ️ Reapplying is only needed after a decline. Account status: /status',
+    'reapply.cooldown': '⏳ You can apply again after {date}',
+    'reapply.sent': '✅ <b>Application sent again</b>\n\nThe administrator will review it and let you know.',
+
+    'deleteMe.confirm':
+        '🗑 <b>DATA DELETION</b>\n\n' +
+        'We will delete your contacts, Google access, listings (including channel posts), subscriptions, conversations and reviews.\n\n' +
+        '<b>This cannot be undone.</b>',
+    'deleteMe.done': '✅ <b>Your data has been deleted</b>\n\nTo use the bot again, tap /start',
+    'deleteMe.cancelled': 'Deletion cancelled',
+    'deleteMe.notFound': 'ℹ️ We have no data about you',
+
+    'google.title': '🔐 <b>GOOGLE ACCOUNT</b>',
+    'google.account': '📧 <b>Account:</b> {email}',
+    'google.syncedAt': '🔄 <b>Last sync:</b> {date}',
+    'google.syncFailed': '⚠️ The last attempt to refresh your contacts failed. We will try again later.',
+    'google.autoSync': '<i>Contacts are refreshed automatically every {hours} h.</i>',
+    'google.notConnected': '❌ Google account is not connected. Connect it to import your contacts from Google.',
+    'google.revoked': '⚠️ Google access was revoked or has expired. Connect your account again to keep contacts up to date.',
+    'google.disconnected': 'ℹ️ Google is disconnected. Your imported contacts are kept.',
+    'google.unavailable': 'ℹ️ Google sign-in is currently unavailable.',
+    'google.syncStarted': '🔄 Refreshing contacts...',
+    'google.syncDone': '✅ Contacts refreshed: {count}',
+    'google.syncTooSoon': '⏳ Contacts were just refreshed. Try again in {minutes} min.',
+    'google.syncError': '❌ Could not refresh contacts. Please try again later.',
+    'google.disconnectDone': '🔌 Google disconnected, access revoked',
+    'google.revokedDm':
+        '⚠️ <b>GOOGLE ACCESS REVOKED</b>\n\n' +
+        'We can no longer refresh your contacts. Previously imported contacts are kept.\n\n' +
+        'To connect Google again, use /google',
+
+    // ==================== ОБЪЯВЛЕНИЯ ПРОДАВЦА ====================
+    'my.empty': '📭 You have no active listings.\n\nCreate a listing on the website: /start',
+    'my.title':
+        '📋 <b>YOUR LISTINGS</b> ({count})\n\n' +
+        '<i>Use the buttons under a listing to change its price or description, mark it as sold or delete it.</i>',
+
+    'listingStatus.pending': '🕓 Under review',
+    'listingStatus.changes_requested': '✏️ Changes requested',
+    'listingStatus.rejected': '❌ Rejected',
+    'listingStatus.active': '🟢 Active',
+    'listingStatus.sold': '🔴 Sold',
+    'listingStatus.expired': '⌛ Expired',
+    'listingStatus.deleted': '🗑 Deleted',
+
+    'listing.publishedAt': '📅 Published: {date}',
+    'listing.activeUntil': '⏳ Active until: {date}',
+    'listing.link': '↗️ Open the listing',
+    'listing.notFound': '❌ Listing not found',
+    'listing.unavailable': '❌ Listing is unavailable',
+    'listing.notActive': '❌ The listing has already been taken down',
+    'listing.notEditable': '❌ This listing cannot be edited',
+    'listing.extended': '✅ <b>LISTING EXTENDED</b>\n\n📅 Active until: {date}',
+    'listing.extendedShort': '✅ Listing extended',
+    'listing.resubmitted': '📤 Sent for review',
+    'listing.markedSold': '✅ Marked as sold',
+    'listing.confirmDelete': 'Confirm deletion',
+    'listing.deleted': '🗑 <b>The listing was deleted from the channel</b>',
+    'listing.deletedShort': '🗑 Listing deleted',
+
+    'edit.pricePrompt': '💰 Send the new price (up to {max} characters):',
+    'edit.pricePromptProduct': '💰 Send the new price per {unit} as a number (e.g. 150) or as text (up to {max} characters):',
+    'edit.descriptionPrompt': '📝 Send the new description (up to {max} characters):',
+    'edit.cancelled': '❌ Editing cancelled',
+    'edit.invalidLength': '❌ The length must be between 1 and {max} characters. Please try again.',
+    'edit.failed': '❌ Could not update the listing in the channel. Please try again later.',
+    'edit.saved': '✅ <b>Listing updated</b>',
+
+    // ==================== УВЕДОМЛЕНИЯ ПРОДАВЦА ====================
+    'notify.published':
+        '✅ <b>YOUR LISTING IS PUBLISHED!</b>\n\n' +
+        '📊 <b>Details:</b>\n' +
+        '• Files: {files}\n' +
+        '• City: {city}\n' +
+        '• Freshness: {freshness}\n' +
+        '• Price: {price}\n\n' +
+        '<a href="{link}">↗️ Open the listing</a>\n\n' +
+        '<i>The listing stays active for {days} days. Manage your listings: /my</i>',
+    'notify.submitted':
+        '🕓 <b>LISTING SENT FOR REVIEW</b>\n\n' +
+        'An administrator will check it and publish it to the channel.\n' +
+        'We will let you know the decision.',
+    'notify.rejected':
+        '❌ <b>YOUR LISTING DID NOT PASS REVIEW</b>\n\n' +
+        '📍 {city}\n' +
+        '💰 {price}\n\n' +
+        'If you think this is a mistake, contact the administrator.',
+    'notify.changesRequested':
+        '✏️ <b>THE ADMINISTRATOR ASKS FOR CHANGES</b>\n\n' +
+        '📍 {city}\n' +
+        '💰 {price}\n\n' +
+        'Fix the price or description and resubmit the listing via /my',
+    'notify.expired':
+        '⌛ <b>YOUR LISTING HAS EXPIRED</b>\n\n' +
+        '📍 {location}\n' +
+        '💰 {price}\n\n' +
+        '<i>The listing has been taken down. You can create a new one.</i>',
+    'notify.expiring':
+        '⏰ <b>YOUR LISTING EXPIRES SOON</b>\n\n' +
+        '📍 {location}\n' +
+        '💰 {price}\n' +
+        '📅 Active until: {date}\n\n' +
+        'Tap the button below to extend it for another {days} days.',
+    'notify.removed':
+        '🗑 <b>THE ADMINISTRATOR REMOVED YOUR LISTING</b>\n\n' +
+        '📍 {location}\n' +
+        '💰 {price}\n\n' +
+        '{comment}' +
+        'If you think this is a mistake, contact the administrator.',
+
+    'callback.error': '❌ Failed to process the request',
+    'callback.unknown': '❌ Unknown command',
+
+    'inline.openPost': '↗️ Open the listing',
+    'inline.noResults': '🌸 Nothing found - post a listing',
+
+    'subscribe.chooseCategory': '🔔 <b>NEW ALERT</b>\n\nStep 1 of 4. Which flowers are you looking for?',
+    'subscribe.askCity': 'Step 2 of 4. Send the city, for example: <i>Bishkek</i>',
+    'subscribe.askPrice': 'Step 3 of 4. Maximum price per unit in {currency}, for example: <i>200</i>',
+    'subscribe.askKeywords': 'Step 4 of 4. Keywords separated by spaces, for example: <i>red 60cm</i>',
+    'subscribe.invalidPrice': '❌ Please send the price as a number, for example: 200',
+    'subscribe.invalidText': '❌ No more than {max} characters',
+    'subscribe.saved':
+        '✅ <b>Alert saved</b>\n\n{summary}\n\n' +
+        'I will send matching listings here as soon as they appear. All alerts: /subscriptions',
+    'subscribe.limit': '❌ You can keep up to {max} alerts. Remove some first: /subscriptions',
+    'subscribe.cancelled': '❌ Alert setup cancelled',
+    'subscribe.expired': '⏳ Time is up, please start again: /subscribe',
+    'subscriptions.empty': '🔕 You have no alerts. Create one: /subscribe',
+    'subscriptions.title': '🔔 <b>YOUR ALERTS</b> ({count})\n<i>Tap a numbered button to remove an alert</i>',
+    'subscriptions.deleted': '🗑 Alert removed',
+    'subscription.anyCategory': 'any flowers',
+    'subscription.anyCity': 'any city',
+    'subscription.priceMax': 'up to {amount}',
+    'subscription.match': '🔔 <b>New listing matching your alert</b>\n\n{card}',
+
+    // ==================== ПЕРЕПИСКА С ПРОДАВЦОМ ====================
+    'relay.contactButton': '✉️ Message the seller',
+    'relay.channelPrompt': '💬 Ask the seller through the bot - your contacts stay hidden',
+    'relay.opened':
+        '✉️ <b>CONVERSATION WITH THE SELLER</b>\n\n🌸 {listing}\n📍 {location}\n\n' +
+        'Send a message and the bot will forward it to the seller. The seller will not see your name or account, and their details are hidden from you too.\n\n' +
+        'End the conversation: /stop',
+    'relay.newConversation':
+        '✉️ <b>NEW MESSAGE ABOUT YOUR LISTING</b>\n\n🌸 {listing}\n<a href="{link}">↗️ Open listing</a>\n\n' +
+        '{alias} is writing to you through the bot. Reply with the button under the message - the buyer will not see your name or account.',
+    'relay.buyerAlias': 'Buyer #{code}',
+    'relay.sellerAlias': 'Seller',
+    'relay.delivered': '✅ Message sent. The reply will arrive in this chat.',
+    'relay.replyMode': '✍️ Write your reply - {alias} will get it without your name. End: /stop',
+    'relay.listingUnavailable': '❌ This listing is no longer available',
+    'relay.ownListing': 'ℹ️ This is your own listing',
+    'relay.peerUnavailable': '❌ Could not deliver the message: the other side is unavailable',
+    'relay.blocked': '🚫 The other side is blocked and can no longer message you in this conversation',
+    'relay.unblocked': '🔓 The other side is unblocked',
+    'relay.youBlocked': '🚫 You have blocked the other side. Unblock them to continue.',
+    'relay.peerBlocked': '❌ The other side has restricted this conversation',
+    'relay.reported': '⚠️ Report sent to the administrator',
+    'relay.alreadyReported': 'ℹ️ Report already sent, the administrator will review it',
+    'relay.closed': '🔒 This conversation is closed',
+    'relay.closedByAdmin': '🔒 The administrator has closed the conversation about the listing',
+    'relay.stopped': '👋 Conversation ended. You can return to it with the «Reply» button under a message.',
+    'relay.noActive': 'ℹ️ You have no open conversation',
+
+    // ==================== ОТЗЫВЫ ====================
+    'rating.value': '{average} ★ ({reviews})',
+    'rating.reviews.one': '{count} review',
+    'rating.reviews.other': '{count} reviews',
+    'review.choose': '⭐ <b>RATE THE SELLER</b>\n\n🌸 {listing}\n\nHow many stars would you give the seller?',
+    'review.askComment': 'Your rating: {stars}\n\nWrite a short review (up to {max} characters) or tap «Skip»',
+    'review.tooLong': '❌ The review must be at most {max} characters',
+    'review.saved': '✅ Thank you! Your review has been saved',
+    'review.notAllowed': 'ℹ️ You can rate the seller after they reply to you in a conversation through the bot',
+    'review.cancelled': '❌ Rating cancelled',
+    'review.expired': '⏳ Time is up, tap «Rate the seller» again',
+    'review.received': '⭐ <b>NEW REVIEW</b>\n\n{stars}{comment}\n\n🙋 {alias}\n🌸 {listing}\n📊 Your rating: {rating}',
+    'review.dealPrompt': '🌸 The listing «{listing}» has been sold. If you made a deal with the seller, please rate them - it helps other buyers.',
+
+    // ==================== ПОДПИСЬ В КАНАЛЕ ====================
+    'caption.title': 'FLOWERS FOR SALE',
+    'caption.description': 'Description:',
+    'caption.location': 'Location:',
+    'caption.address': 'Address:',
+    'caption.freshness': 'Freshness:',
+    'caption.price': 'Price:',
+    'caption.contacts': 'Contacts:',
+    'caption.flower': 'Flowers:',
+    'caption.rating': 'Seller rating:',
+    'caption.priceNegotiable': 'Negotiable',
+    'caption.contactsInComments': 'Contacts in the comments',
+    'caption.fullDescription': 'Full description:',
+    'caption.soldBanner': '🔴 <b>SOLD</b>',
+    'caption.expiredBanner': '⛔️ <b>LISTING NO LONGER AVAILABLE</b>\n<i>The posting period has ended</i>',
+    'caption.deletedBanner': '🗑 <b>LISTING REMOVED</b>',
+
+    // ==================== PRODUCT ====================
+    'unit.stem.one': '{count} stem',
+    'unit.stem.other': '{count} stems',
+    'unit.bouquet.one': '{count} bouquet',
+    'unit.bouquet.other': '{count} bouquets',
+    'unitName.stem': 'stem',
+    'unitName.bouquet': 'bouquet',
+    'currency.KGS': '{amount} som',
+    'currency.UZS': '{amount} sum',
+    'currency.RUB': '{amount} ₽',
+    'currency.USD': '${amount}',
+    'product.pricePerUnit': '{amount} per {unit}',
+    'product.priceWithTotal': '{price}, {total} total',
+    'product.invalid': 'Please check the product details: {errors}',
+    'product.error.category': 'choose a flower type from the list',
+    'product.error.unit': 'unit: {list}',
+    'product.error.quantity': 'quantity must be a whole number from 1 to {max}',
+    'product.error.unitPrice': 'price must be a number above 0 with at most two decimal places',
+    'product.error.currency': 'currency: {list}',
+
+    // ==================== API ====================
+    'auth.required': 'Telegram authorization is required',
+    'auth.missingHash': 'initData signature is missing',
+    'auth.invalidSignature': 'Invalid initData signature',
+    'auth.expired': 'initData has expired. Please reopen the app.',
+    'auth.noUser': 'initData contains no user',
+
+    'api.contactsRequired': 'A contacts array is required',
+    'api.minContacts': 'At least 3 contacts are required',
+    'api.contactsSaved': 'Contacts saved ({count} contacts)',
+    'api.contactsFailed': 'Failed to save contacts',
+    'api.forbiddenUser': 'You cannot access another user\'s data',
+    'api.banned': 'Your account has been blocked by an administrator',
+    'api.userErased': 'User data deleted',
+    'api.userEraseFailed': 'Failed to delete user data',
+    'api.userNotFound': 'User not found. Please upload your contacts first.',
+    'api.invalidSearch': 'Invalid search parameters: {params}',
+    'api.searchRateLimited': 'Too many search requests. Try again in {seconds} s',
+    'api.statusApproved': 'Your account is approved. You can create listings.',
+    'api.statusPending': 'Please wait for administrator approval.',
+
+    'upload.fileTooLarge': 'The file is too large. Maximum is {mb} MB',
+    'upload.tooManyFiles': 'Up to {max} files at a time',
+    'upload.unexpectedField': 'Files must be sent in the "files" field',
+    'upload.failed': 'File upload failed',
+    'upload.noFiles': 'Add at least one photo or video',
+    'upload.totalTooLarge': 'Total file size exceeds {mb} MB',
+    'upload.notMedia': 'File "{name}" is not a photo or an MP4/MOV video',
+    'upload.invalidIds': 'Invalid file list: uploadIds must be an array of distinct ids',
+
+    'publish.notApproved': 'Your account has not been approved by an administrator yet. Please wait.',
+    'publish.banned': 'Your account has been blocked by an administrator. Posting listings is unavailable.',
+    'publish.noContacts': 'Contacts are not uploaded. Please upload your contacts first.',
+    'publish.requiredFields': 'Please fill in the required fields: {fields}',
+    'publish.field.description': 'description',
+    'publish.field.city': 'city',
+    'publish.field.freshness': 'freshness',
+    'publish.uploadExpired': 'File {id} was not found or has expired. Please upload it again.',
+    'publish.fileError': 'File {index}: {message}',
+    'publish.noProcessedFiles': 'None of the files could be processed',
+    'publish.pending': 'The listing has been sent for review. We will let you know when it is published.',
+    'publish.success': 'Listing published with {count} files',
+    'publish.textOnly': 'Listing text published (without files)',
+    'publish.failed': 'Failed to publish the listing',
+
+    'media.UNSUPPORTED_FORMAT': 'Unsupported file format. Please upload a photo or video.',
+    'media.VIDEO_TOO_LARGE': 'The video is larger than {mb} MB. Please compress or trim it.',
+    'media.PHOTO_TOO_LARGE': 'The photo is too large even after compression',
+    'media.IMAGE_DECODE_FAILED': 'Could not process the photo. The file may be damaged.',
+    'media.VIDEO_INVALID': 'Could not read the video. The file may be damaged.',
+
+    // ==================== СТРАНИЦЫ ====================
+    'home.tagline': 'A platform for selling flowers on Telegram<br>The backend is up and running',
+    'home.systemStatus': 'System status',
+    'home.server': 'Server:',
+    'home.serverRunning': '🟢 Running',
+    'home.users': 'Users:',
+    'home.bot': 'Telegram bot:',
+    'home.botActive': '🟢 Active',
+    'home.botError': '🔴 Error',
+    'home.googleConfigured': '🟢 Configured',
+    'home.googleOptional': '🟡 Optional',
+    'home.endpoints': 'Available API endpoints:',
+    'home.openBot': 'Open the Telegram bot',
+    'home.updated': 'Updated: {date}',
+
+    'oauth.errorTitle': 'Error',
+    'oauth.notConfigured': '❌ Google API is not configured',
+    'oauth.notConfiguredText': 'The administrator has not set up the Google integration',
+    'oauth.useOtherMethods': 'Please use another way to import your contacts',
+    'oauth.toHome': 'Home',
+    'oauth.backHome': 'Back to home',
+    'oauth.accessDenied': 'You declined to grant access',
+    'oauth.sessionExpired': 'The session has expired or was not found. Get a new link in the bot with /google.',
+    'oauth.failed': '❌ Authorization failed',
+    'oauth.linkInvalid': 'This sign-in link is invalid. Get a new link in the bot with /google.',
+    'oauth.linkExpired': 'This sign-in link has expired. Get a new link in the bot with /google.',
+    'oauth.linkUsed': 'This link has already been used. Get a new link in the bot with /google.',
+    'oauth.authFailed': 'Could not complete Google sign-in. Please try again: /google in the bot.',
+    'oauth.errorId': 'Error code: {id}',
+    'oauth.successTitle': 'Authorization successful',
+    'oauth.success': 'Authorization successful!',
+    'oauth.name': '👤 Name:',
+    'oauth.email': '📧 Email:',
+    'oauth.contactsImported': '📞 Contacts imported:',
+    'oauth.adminNotified': 'The administrator has been notified about your application.',
+    'oauth.waitApproval': 'Please wait for approval (usually up to 24 hours).',
+    'oauth.redirecting': 'Redirecting to the website in 3 seconds...'
+};
@@ -0,0 +1,455 @@
+// lib/locales/ky.js - Кыргызча
+module.exports = {
+    // ==================== ОБЩЕЕ ====================
+    'common.unknown': 'белгисиз',
+    'common.defaultName': 'Колдонуучу',
+
+    // ==================== КНОПКИ ====================
+    'button.openSite': '🌐 Сайтка өтүү',
+    'button.uploadContacts': '🌐 Байланыштарды жүктөө',
+    'button.createListing': '📝 Жарыя түзүү',
+    'button.createAnother': '📝 Дагы жарыя түзүү',
+    'button.start': '🚀 Баштоо',
+    'button.cancel': '❌ Жокко чыгаруу',
+    'button.skip': '⏭ Өткөрүп жиберүү',
+    'button.anyCategory': '🌼 Каалаган гүлдөр',
+    'button.relayReply': '↩️ Жооп берүү: {alias}',
+    'button.relayBlock': '🚫 Бөгөттөө',
+    'button.relayUnblock': '🔓 Бөгөттөн чыгаруу',
+    'button.relayReport': '⚠️ Арыздануу',
+    'button.rateSeller': '⭐ Сатуучуну баалоо',
+    'button.deleteMyData': '🗑 Ооба, маалыматымды өчүрүү',
+    'button.syncGoogle': '🔄 Байланыштарды жаңылоо',
+    'button.disconnectGoogle': '🔌 Google\'ду ажыратуу',
+    'button.connectGoogle': '🔐 Google\'ду туташтыруу',
+    'button.back': '↩️ Артка',
+    'button.editPrice': '💰 Баасын өзгөртүү',
+    'button.editDescription': '📝 Сүрөттөмөнү өзгөртүү',
+    'button.sold': '✅ Сатылды',
+    'button.delete': '🗑 Өчүрүү',
+    'button.deleteConfirm': '🗑 Ооба, каналдан өчүрүү',
+    'button.resubmit': '📤 Модерацияга жөнөтүү',
+    'button.extend': '🔄 Узартуу',
+    'button.languageAuto': '🌐 Telegram тилиндей',
+
+    // ==================== КОМАНДЫ ====================
+    'command.start': 'Бот менен иштөөнү баштоо',
+    'command.status': 'Аккаунттун абалын текшерүү',
+    'command.my': 'Менин жарыяларым',
+    'command.subscribe': 'Жаңы жарыяларга жазылуу',
+    'command.subscriptions': 'Менин жазылууларым',
+    'command.google': 'Google аккаунту жана байланыштар',
+    'command.language': 'Тилди өзгөртүү',
+    'command.help': 'Жардам',
+
+    'start.message':
+        '🌸 <b>FLOWER MARKET\'КЕ КОШ КЕЛИҢИЗ!</b>\n\n' +
+        'Бул жерде гүл сатуу боюнча жарыяны сүрөт жана видео менен бир постко жайгаштыра аласыз.\n\n' +
+        '<b>📋 ЖАРЫЯЛОО ҮЧҮН ТАЛАПТАР:</b>\n' +
+        '1. 📞 Байланыштарыңызды импорттоо (кеминде 3 байланыш)\n' +
+        '2. ✅ Администратордун ырастоосу\n' +
+        '3. 📝 Жарыя түзүү\n\n' +
+        '<i>Байланыштар сатуучулардын ишенимдүүлүгүн текшерүү үчүн керек. Биз аларды үчүнчү тарапка бербейбиз. Маалыматыңызды өчүрүү: /delete_me</i>\n\n' +
+        '<b>Сиздин абалыңыз:</b>\n' +
+        '• Байланыштар: {contacts}\n' +
+        '• Ырастоо: {approval}\n' +
+        '• Жарыялар: {posts}',
+    'start.contactsLoaded': '✅ Жүктөлгөн',
+    'start.contactsMissing': '❌ Жүктөлгөн эмес',
+    'start.approved': '✅ Ырасталган',
+    'start.approvalPending': '⏳ Күтүүдө',
+
+    'help.message':
+        '🆘 <b>FLOWER MARKET БОЮНЧА ЖАРДАМ</b>\n\n' +
+        '<b>НЕГИЗГИ БУЙРУКТАР:</b>\n' +
+        '/start - Бот менен иштөөнү баштоо\n' +
+        '/status - Аккаунттун абалын текшерүү\n' +
+        '/my - Менин жарыяларым\n' +
+        '/subscribe - Жаңы жарыяларга жазылуу\n' +
+        '/subscriptions - Менин жазылууларым\n' +
+        '/stop - Сатуучу же сатып алуучу менен кат алышууну бүтүрүү\n' +
+        '/reapply - Четке кагылгандан кийин кайра өтүнмө берүү\n' +
+        '/delete_me - Маалыматымды өчүрүү\n' +
+        '/google - Google аккаунту: байланыштарды жаңылоо же ажыратуу\n' +
+        '/language - Тилди өзгөртүү\n' +
+        '/help - Ушул билдирүүнү көрсөтүү\n\n' +
+        '<b>ЖАРЫЯЛОО ТАРТИБИ:</b>\n' +
+        '1. "Сайтка өтүү" баскычын басыңыз\n' +
+        '2. Байланыштарды импорттоңуз\n' +
+        '3. Ырастоону күтүңүз\n' +
+        '4. Жарыя түзүңүз\n\n' +
+        '<b>КОЛДОО:</b> Администраторго кайрылыңыз',
+
+    'text.fallback':
+        'Салам! Мен Flower Market ботумун 🌸\n\n' +
+        'Буйруктарды колдонуңуз:\n' +
+        '/start - Баштоо\n' +
+        '/status - Абалды текшерүү\n' +
+        '/my - Менин жарыяларым\n' +
+        '/subscribe - Жаңы жарыяларга жазылуу\n' +
+        '/subscriptions - Менин жазылууларым\n' +
+        '/language - Тилди өзгөртүү\n' +
+        '/help - Жардам\n\n' +
+        'Же /start менюсундагы "Сайтка өтүү" баскычын басыңыз',
+    'text.startOver': 'Буйрукту тандаңыз:\n/start - Баштоо\n/status - Абалды текшерүү\n/help - Жардам',
+
+    // ==================== /status ====================
+    'status.notStarted': '❌ Сиз бот менен иштей элексиз. Баштоо үчүн /start жөнөтүңүз.',
+    'status.title': '📊 <b>АККАУНТУҢУЗДУН АБАЛЫ</b>',
+    'status.user': '👤 <b>Колдонуучу:</b> {name}',
+    'status.id': '🆔 <b>ID:</b> {id}',
+    'status.google': '🔐 <b>Google:</b> {email}',
+    'status.googleDisconnected': '🔌 <b>Google:</b> {email} (ажыратылган, кененирээк: /google)',
+    'status.contacts': '📞 <b>Байланыштар:</b> ',
+    'status.contactsLoaded': '✅ Жүктөлгөн ({count} байланыш)',
+    'status.contactsImportedAt': '📅 <b>Импорттолгон:</b> {date}',
+    'status.contactsMissing': '❌ Жүктөлгөн эмес',
+    'status.approval': '✅ <b>Ырастоо:</b> ',
+    'status.approved': '✅ Администратор ырастаган',
+    'status.approvedAt': '📅 <b>Ырасталган:</b> {date}',
+    'status.posts': '📊 <b>Жарыяланган жарыялар:</b> {count}',
+    'status.lastPost': '📅 <b>Акыркы пост:</b> {date}',
+    'status.pending': '⏳ Ырастоону күтүүдө',
+    'status.banned': '🚫 Аккаунтуңузду администратор бөгөттөгөн',
+    'status.bannedUntil': '📅 <b>Бөгөт мөөнөтү:</b> {date} чейин',
+    'status.bannedForever': '📅 <b>Бөгөт:</b> мөөнөтсүз',
+    'status.banReason': '📝 <b>Себеби:</b> {reason}',
+    'status.rejected': '❌ Өтүнмөнү администратор четке какты',
+    'status.rejectionReason': '📝 <b>Себеби:</b> {reason}',
+    'status.reapplyAt': '🔁 <b>Кайра өтүнмө:</b> {date} кийин /reapply буйругу менен',
+    'status.reapplyNow': '🔁 <b>Өтүнмөнү кайра бере аласыз:</b> /reapply',
+    'status.pendingHint': '<i>Администратор байланыштарыңызды алды жана жакында чечим кабыл алат.</i>',
+    'status.nextStepContacts': '🔗 <b>Кийинки кадам:</b> Байланыштарды жүктөө үчүн сайтка өтүңүз.',
+    'status.waitApproval': '⏳ <b>Ырастоону күтүңүз.</b> Адатта 24 саатка чейин созулат.',
+    'status.canPublish': '🎉 <b>Сиз жарыя түзө аласыз!</b>',
+
+    // ==================== /language ====================
+    'language.choose': '🌐 <b>Тилди тандаңыз</b>\n\nАзыркы тил: {language}',
+    'language.changed': '✅ Тил өзгөртүлдү: {language}',
+    'language.auto': '✅ Тил Telegram жөндөөлөрү боюнча аныкталат',
+
+    // ==================== РЕШЕНИЯ ПО АККАУНТУ ====================
+    'account.approvedDm':
+        '🎉 <b>АККАУНТУҢУЗ ЫРАСТАЛДЫ!</b>\n\n' +
+        'Эми гүл сатуу боюнча жарыяларды түзө аласыз.\n\n' +
+        '<b>📋 АНДАН КИЙИН ЭМНЕ?</b>\n' +
+        '1. Төмөнкү баскычты басыңыз\n' +
+        '2. Сүрөт/видео менен жарыя түзүңүз\n' +
+        '3. Каналга жарыялаңыз\n\n' +
+        '<i>Жарыяңыз @{channel} каналына жайгаштырылат</i>',
+    'account.rejectedDm':
+        '❌ <b>ӨТҮНМӨҢҮЗ ЧЕТКЕ КАГЫЛДЫ</b>\n\n' +
+        'Тилекке каршы, администратор жарыя жайгаштыруу өтүнмөңүздү четке какты.\n\n' +
+        '📝 <b>Себеби:</b> {reason}\n\n' +
+        'Себебин оңдоп, өтүнмөнү /reapply буйругу менен кайра бериңиз - муну {hours} саат өткөндөн кийин жасоого болот.',
+    'account.bannedDm': '🚫 <b>АККАУНТУҢУЗ БӨГӨТТӨЛДҮ</b>\n\nАдминистратор жарыя жарыялоону чектеди.\n\n{details}\nЭгер муну ката деп эсептесеңиз, администратор менен байланышыңыз.',
+    'account.unbannedDm': '✅ <b>БӨГӨТ АЛЫНДЫ</b>\n\nАдминистратор аккаунтуңуздан чектөөлөрдү алып салды. Абалы: /status',
+    'account.revokedDm': '⏳ <b>ЫРАСТОО КАЙТАРЫЛЫП АЛЫНДЫ</b>\n\nАдминистратор аккаунтуңузду кайра текшерип жатат. Текшерүү бүткөнгө чейин жаңы жарыяларды жарыялоого болбойт.',
+
+    'rejectReason.few_contacts': 'Текшерүү үчүн байланыштар жетишсиз',
+    'rejectReason.suspicious': 'Шектүү аракеттер',
+    'rejectReason.rules': 'Аянтчанын эрежелерин бузуу',
+    'rejectReason.duplicate': 'Сизде башка аккаунт бар',
+    'rejectReason.other': 'Башка себеп - администратордон сураңыз',
+
+    'reapply.notRejected': 'ℹ️ Кайра өтүнмө четке кагылгандан кийин гана керек. Аккаунттун абалы: /status',
+    'reapply.cooldown': '⏳ Өтүнмөнү {date} кийин кайра бере аласыз',
+    'reapply.sent': '✅ <b>Өтүнмө кайра жөнөтүлдү</b>\n\nАдминистратор аны карап чыгып, чечимин билдирет.',
+
+    'deleteMe.confirm':
+        '🗑 <b>МААЛЫМАТТЫ ӨЧҮРҮҮ</b>\n\n' +
+        'Байланыштарыңыз, Google уруксаты, жарыяларыңыз (каналдагылар да), жазылууларыңыз, кат алышууларыңыз жана пикирлериңиз өчүрүлөт.\n\n' +
+        '<b>Бул аракетти артка кайтаруу мүмкүн эмес.</b>',
+    'deleteMe.done': '✅ <b>Маалыматыңыз өчүрүлдү</b>\n\nБотту кайра колдонуу үчүн /start басыңыз',
+    'deleteMe.cancelled': 'Өчүрүү жокко чыгарылды',
+    'deleteMe.notFound': 'ℹ️ Бизде сиз тууралуу маалымат жок',
+
+    'google.title': '🔐 <b>GOOGLE АККАУНТУ</b>',
+    'google.account': '📧 <b>Аккаунт:</b> {email}',
+    'google.syncedAt': '🔄 <b>Акыркы шайкештирүү:</b> {date}',
+    'google.syncFailed': '⚠️ Байланыштарды акыркы жолу жаңылоо ишке ашкан жок. Кийинчерээк кайра аракет кылабыз.',
+    'google.autoSync': '<i>Байланыштар ар {hours} саат сайын автоматтык түрдө жаңыланат.</i>',
+    'google.notConnected': '❌ Google аккаунту туташтырылган эмес. Байланыштарды Google\'дан жүктөө үчүн аны туташтырыңыз.',
+    'google.revoked': '⚠️ Google\'га уруксат жокко чыгарылды же мөөнөтү бүттү. Байланыштарды жаңылап туруу үчүн аккаунтту кайра туташтырыңыз.',
+    'google.disconnected': 'ℹ️ Google ажыратылды. Жүктөлгөн байланыштар сакталды.',
+    'google.unavailable': 'ℹ️ Google аркылуу кирүү азыр жеткиликсиз.',
+    'google.syncStarted': '🔄 Байланыштар жаңыланууда...',
+    'google.syncDone': '✅ Байланыштар жаңыланды: {count}',
+    'google.syncTooSoon': '⏳ Байланыштар жаңы эле жаңыланды. {minutes} мүнөттөн кийин кайра аракет кылыңыз.',
+    'google.syncError': '❌ Байланыштарды жаңылоо мүмкүн болбоду. Кийинчерээк аракет кылыңыз.',
+    'google.disconnectDone': '🔌 Google ажыратылды, уруксат жокко чыгарылды',
+    'google.revokedDm':
+        '⚠️ <b>GOOGLE\'ГА УРУКСАТ ЖОККО ЧЫГАРЫЛДЫ</b>\n\n' +
+        'Мындан ары байланыштарыңызды жаңылай албайбыз. Мурда жүктөлгөн байланыштар сакталды.\n\n' +
+        'Google\'ду кайра туташтыруу үчүн /google колдонуңуз',
+
+    // ==================== ОБЪЯВЛЕНИЯ ПРОДАВЦА ====================
+    'my.empty': '📭 Сизде активдүү жарыялар жок.\n\nСайт аркылуу жарыя түзүңүз: /start',
+    'my.title':
+        '📋 <b>СИЗДИН ЖАРЫЯЛАРЫҢЫЗ</b> ({count})\n\n' +
+        '<i>Баасын же сүрөттөмөсүн өзгөртүү, сатылды деп белгилөө же өчүрүү үчүн жарыянын астындагы баскычтарды колдонуңуз.</i>',
+
+    'listingStatus.pending': '🕓 Модерацияда',
+    'listingStatus.changes_requested': '✏️ Оңдоо талап кылынат',
+    'listingStatus.rejected': '❌ Четке кагылды',
+    'listingStatus.active': '🟢 Активдүү',
+    'listingStatus.sold': '🔴 Сатылды',
+    'listingStatus.expired': '⌛ Мөөнөтү бүттү',
+    'listingStatus.deleted': '🗑 Өчүрүлдү',
+
+    'listing.publishedAt': '📅 Жарыяланды: {date}',
+    'listing.activeUntil': '⏳ Активдүү: {date} чейин',
+    'listing.link': '↗️ Жарыяга өтүү',
+    'listing.notFound': '❌ Жарыя табылган жок',
+    'listing.unavailable': '❌ Жарыя жеткиликсиз',
+    'listing.notActive': '❌ Жарыя жарыялоодон алынып салынган',
+    'listing.notEditable': '❌ Бул жарыяны оңдоого болбойт',
+    'listing.extended': '✅ <b>ЖАРЫЯ УЗАРТЫЛДЫ</b>\n\n📅 Активдүү: {date} чейин',
+    'listing.extendedShort': '✅ Жарыя узартылды',
+    'listing.resubmitted': '📤 Модерацияга жөнөтүлдү',
+    'listing.markedSold': '✅ Сатылды деп белгиленди',
+    'listing.confirmDelete': 'Өчүрүүнү ырастаңыз',
+    'listing.deleted': '🗑 <b>Жарыя каналдан өчүрүлдү</b>',
+    'listing.deletedShort': '🗑 Жарыя өчүрүлдү',
+
+    'edit.pricePrompt': '💰 Жаңы бааны жөнөтүңүз ({max} белгиге чейин):',
+    'edit.pricePromptProduct': '💰 Бир {unit} үчүн жаңы бааны сан менен (мисалы, 150) же текст менен жөнөтүңүз ({max} белгиге чейин):',
+    'edit.descriptionPrompt': '📝 Жаңы сүрөттөмөнү жөнөтүңүз ({max} белгиге чейин):',
+    'edit.cancelled': '❌ Оңдоо жокко чыгарылды',
+    'edit.invalidLength': '❌ Узундугу 1ден {max} белгиге чейин болушу керек. Кайра аракет кылыңыз.',
+    'edit.failed': '❌ Каналдагы жарыяны жаңыртуу мүмкүн болгон жок. Кийинчерээк аракет кылыңыз.',
+    'edit.saved': '✅ <b>Жарыя жаңыртылды</b>',
+
+    // ==================== УВЕДОМЛЕНИЯ ПРОДАВЦА ====================
+    'notify.published':
+        '✅ <b>ЖАРЫЯҢЫЗ ЖАРЫЯЛАНДЫ!</b>\n\n' +
+        '📊 <b>Маалымат:</b>\n' +
+        '• Файлдар: {files}\n' +
+        '• Шаар: {city}\n' +
+        '• Жаңылыгы: {freshness}\n' +
+        '• Баасы: {price}\n\n' +
+        '<a href="{link}">↗️ Жарыяга өтүү</a>\n\n' +
+        '<i>Жарыя {days} күн активдүү. Жарыяларды башкаруу: /my</i>',
+    'notify.submitted':
+        '🕓 <b>ЖАРЫЯ МОДЕРАЦИЯГА ЖӨНӨТҮЛДҮ</b>\n\n' +
+        'Администратор аны текшерип, каналга жарыялайт.\n' +
+        'Чечим тууралуу сизге билдиребиз.',
+    'notify.rejected':
+        '❌ <b>ЖАРЫЯ МОДЕРАЦИЯДАН ӨТКӨН ЖОК</b>\n\n' +
+        '📍 {city}\n' +
+        '💰 {price}\n\n' +
+        'Эгер муну ката деп эсептесеңиз, администраторго кайрылыңыз.',
+    'notify.changesRequested':
+        '✏️ <b>АДМИНИСТРАТОР ОҢДООЛОРДУ СУРАЙТ</b>\n\n' +
+        '📍 {city}\n' +
+        '💰 {price}\n\n' +
+        'Баасын же сүрөттөмөсүн оңдоп, жарыяны /my аркылуу кайра жөнөтүңүз',
+    'notify.expired':
+        '⌛ <b>ЖАРЫЯНЫН МӨӨНӨТҮ БҮТТҮ</b>\n\n' +
+        '📍 {location}\n' +
+        '💰 {price}\n\n' +
+        '<i>Жарыя жарыялоодон алынды. Жаңысын түзө аласыз.</i>',
+    'notify.expiring':
+        '⏰ <b>ЖАРЫЯНЫН МӨӨНӨТҮ ЖАКЫНДА БҮТӨТ</b>\n\n' +
+        '📍 {location}\n' +
+        '💰 {price}\n' +
+        '📅 Активдүү: {date} чейин\n\n' +
+        'Дагы {days} күнгө узартуу үчүн төмөнкү баскычты басыңыз.',
+    'notify.removed':
+        '🗑 <b>АДМИНИСТРАТОР ЖАРЫЯНЫ АЛЫП САЛДЫ</b>\n\n' +
+        '📍 {location}\n' +
+        '💰 {price}\n\n' +
+        '{comment}' +
+        'Эгер муну ката деп эсептесеңиз, администраторго кайрылыңыз.',
+
+    'callback.error': '❌ Сурамды иштетүүдө ката кетти',
+    'callback.unknown': '❌ Белгисиз буйрук',
+
+    'inline.openPost': '↗️ Жарыяны ачуу',
+    'inline.noResults': '🌸 Эч нерсе табылган жок - жарыя жайгаштыруу',
+
+    'subscribe.chooseCategory': '🔔 <b>ЖАҢЫ ЖАЗЫЛУУ</b>\n\n4 кадамдын 1-кадамы. Кандай гүлдөрдү издеп жатасыз?',
+    'subscribe.askCity': '4 кадамдын 2-кадамы. Шаарды жазыңыз, мисалы: <i>Бишкек</i>',
+    'subscribe.askPrice': '4 кадамдын 3-кадамы. Бирдиктин эң жогорку баасы ({currency}), мисалы: <i>200</i>',
+    'subscribe.askKeywords': '4 кадамдын 4-кадамы. Ачкыч сөздөр боштук менен, мисалы: <i>кызыл 60см</i>',
+    'subscribe.invalidPrice': '❌ Бааны сан менен жөнөтүңүз, мисалы: 200',
+    'subscribe.invalidText': '❌ {max} белгиден ашпашы керек',
+    'subscribe.saved':
+        '✅ <b>Жазылуу сакталды</b>\n\n{summary}\n\n' +
+        'Ылайыктуу жарыя чыкканда аны ушул жерге жөнөтөм. Бардык жазылуулар: /subscriptions',
+    'subscribe.limit': '❌ {max} жазылуудан ашык сактоого болбойт. Ашыктарын өчүрүңүз: /subscriptions',
+    'subscribe.cancelled': '❌ Жазылуу жокко чыгарылды',
+    'subscribe.expired': '⏳ Убакыт бүттү, кайра баштаңыз: /subscribe',
+    'subscriptions.empty': '🔕 Сизде жазылуулар жок. Түзүү: /subscribe',
+    'subscriptions.title': '🔔 <b>СИЗДИН ЖАЗЫЛУУЛАРЫҢЫЗ</b> ({count})\n<i>Номери бар баскыч жазылууну өчүрөт</i>',
+    'subscriptions.deleted': '🗑 Жазылуу өчүрүлдү',
+    'subscription.anyCategory': 'каалаган гүлдөр',
+    'subscription.anyCity': 'каалаган шаар',
+    'subscription.priceMax': '{amount} чейин',
+    'subscription.match': '🔔 <b>Жазылууңуз боюнча жаңы жарыя</b>\n\n{card}',
+
+    // ==================== ПЕРЕПИСКА С ПРОДАВЦОМ ====================
+    'relay.contactButton': '✉️ Сатуучуга жазуу',
+    'relay.channelPrompt': '💬 Сатуучуга бот аркылуу суроо бериңиз - байланыштарыңыз жашыруун калат',
+    'relay.opened':
+        '✉️ <b>САТУУЧУ МЕНЕН КАТ АЛЫШУУ</b>\n\n🌸 {listing}\n📍 {location}\n\n' +
+        'Билдирүү жазыңыз - бот аны сатуучуга жөнөтөт. Сатуучу атыңызды жана аккаунтуңузду көрбөйт, анын маалыматтары да сизден жашыруун.\n\n' +
+        'Кат алышууну бүтүрүү: /stop',
+    'relay.newConversation':
+        '✉️ <b>ЖАРНАК БОЮНЧА ЖАҢЫ БИЛДИРҮҮ</b>\n\n🌸 {listing}\n<a href="{link}">↗️ Жарнакты ачуу</a>\n\n' +
+        '{alias} сизге бот аркылуу жазып жатат. Билдирүүнүн астындагы баскыч менен жооп бериңиз - сатып алуучу атыңызды жана аккаунтуңузду көрбөйт.',
+    'relay.buyerAlias': 'Сатып алуучу #{code}',
+    'relay.sellerAlias': 'Сатуучу',
+    'relay.delivered': '✅ Билдирүү жөнөтүлдү. Жооп ушул чатка келет.',
+    'relay.replyMode': '✍️ Жообуңузду жазыңыз - {alias} аны атыңызсыз алат. Бүтүрүү: /stop',
+    'relay.listingUnavailable': '❌ Жарнак мындан ары актуалдуу эмес',
+    'relay.ownListing': 'ℹ️ Бул сиздин жарнагыңыз',
+    'relay.peerUnavailable': '❌ Билдирүү жеткирилген жок: маектеш жеткиликсиз',
+    'relay.blocked': '🚫 Маектеш бөгөттөлдү жана бул кат алышууда сизге мындан ары жаза албайт',
+    'relay.unblocked': '🔓 Маектеш бөгөттөн чыгарылды',
+    'relay.youBlocked': '🚫 Сиз бул маектешти бөгөттөгөнсүз. Улантуу үчүн бөгөттөн чыгарыңыз.',
+    'relay.peerBlocked': '❌ Маектеш кат алышууну чектеди',
+    'relay.reported': '⚠️ Арыз администраторго жөнөтүлдү',
+    'relay.alreadyReported': 'ℹ️ Арыз жөнөтүлгөн, администратор аны карайт',
+    'relay.closed': '🔒 Кат алышуу жабылды',
+    'relay.closedByAdmin': '🔒 Администратор жарнак боюнча кат алышууну жапты',
+    'relay.stopped': '👋 Кат алышуу бүттү. Ага билдирүүнүн астындагы «Жооп берүү» баскычы менен кайтсаңыз болот.',
+    'relay.noActive': 'ℹ️ Сизде ачык кат алышуу жок',
+
+    // ==================== ОТЗЫВЫ ====================
+    'rating.value': '{average} ★ ({reviews})',
+    'rating.reviews.other': '{count} пикир',
+    'review.choose': '⭐ <b>САТУУЧУНУ БААЛОО</b>\n\n🌸 {listing}\n\nСатуучуга канча жылдыз коёсуз?',
+    'review.askComment': 'Сиздин баа: {stars}\n\nКыска пикир жазыңыз ({max} белгиге чейин) же «Өткөрүп жиберүү» баскычын басыңыз',
+    'review.tooLong': '❌ Пикир {max} белгиден ашпашы керек',
+    'review.saved': '✅ Рахмат! Пикир сакталды',
+    'review.notAllowed': 'ℹ️ Сатуучуну ал сизге бот аркылуу жооп бергенден кийин баалай аласыз',
+    'review.cancelled': '❌ Баалоо жокко чыгарылды',
+    'review.expired': '⏳ Убакыт бүттү, «Сатуучуну баалоо» баскычын кайра басыңыз',
+    'review.received': '⭐ <b>ЖАҢЫ ПИКИР</b>\n\n{stars}{comment}\n\n🙋 {alias}\n🌸 {listing}\n📊 Сиздин рейтинг: {rating}',
+    'review.dealPrompt': '🌸 «{listing}» жарнагы сатылды. Эгер сатуучу менен келишсеңиз, аны баалаңыз - бул башка сатып алуучуларга жардам берет.',
+
+    // ==================== ПОДПИСЬ В КАНАЛЕ ====================
+    'caption.title': 'ГҮЛДӨР САТЫЛАТ',
+    'caption.description': 'Сүрөттөмө:',
+    'caption.location': 'Жайгашкан жери:',
+    'caption.address': 'Дареги:',
+    'caption.freshness': 'Жаңылыгы:',
+    'caption.price': 'Баасы:',
+    'caption.contacts': 'Байланыштар:',
+    'caption.flower': 'Гүлдөр:',
+    'caption.rating': 'Сатуучунун рейтинги:',
+    'caption.priceNegotiable': 'Келишим боюнча',
+    'caption.contactsInComments': 'Байланыштар комментарийлерде',
+    'caption.fullDescription': 'Толук сүрөттөмө:',
+    'caption.soldBanner': '🔴 <b>САТЫЛДЫ</b>',
+    'caption.expiredBanner': '⛔️ <b>ЖАРЫЯ АКТУАЛДУУ ЭМЕС</b>\n<i>Жайгаштыруу мөөнөтү бүттү</i>',
+    'caption.deletedBanner': '🗑 <b>ЖАРЫЯ АЛЫНДЫ</b>',
+
+    // ==================== ТОВАР ====================
+    'unit.stem.other': '{count} сабак',
+    'unit.bouquet.other': '{count} букет',
+    'unitName.stem': 'сабак',
+    'unitName.bouquet': 'букет',
+    'currency.KGS': '{amount} сом',
+    'currency.UZS': '{amount} сум',
+    'currency.RUB': '{amount} ₽',
+    'currency.USD': '{amount} $',
+    'product.pricePerUnit': '{amount} / {unit}',
+    'product.priceWithTotal': '{price}, жалпы {total}',
+    'product.invalid': 'Товар тууралуу маалыматты текшериңиз: {errors}',
+    'product.error.category': 'тизмеден гүлдүн түрүн тандаңыз',
+    'product.error.unit': 'товардын бирдиги: {list}',
+    'product.error.quantity': 'саны - 1ден {max}ге чейинки бүтүн сан',
+    'product.error.unitPrice': 'баасы - 0дөн чоң сан, үтүрдөн кийин эки белгиден ашпайт',
+    'product.error.currency': 'валюта: {list}',
+
+    // ==================== API ====================
+    'auth.required': 'Telegram аркылуу авторизация талап кылынат',
+    'auth.missingHash': 'initData колтамгасы жок',
+    'auth.invalidSignature': 'initData колтамгасы туура эмес',
+    'auth.expired': 'initData эскирди. Колдонмону кайра ачыңыз.',
+    'auth.noUser': 'initData ичинде колдонуучу жөнүндө маалымат жок',
+
+    'api.contactsRequired': 'contacts массиви талап кылынат',
+    'api.minContacts': 'Кеминде 3 байланыш талап кылынат',
+    'api.contactsSaved': 'Байланыштар сакталды ({count} байланыш)',
+    'api.contactsFailed': 'Байланыштарды сактоодо ката кетти',
+    'api.forbiddenUser': 'Башка колдонуучунун маалыматтарына кирүүгө болбойт',
+    'api.banned': 'Аккаунтуңузду администратор бөгөттөгөн',
+    'api.userErased': 'Колдонуучунун маалыматы өчүрүлдү',
+    'api.userEraseFailed': 'Колдонуучунун маалыматын өчүрүү мүмкүн болбоду',
+    'api.userNotFound': 'Колдонуучу табылган жок. Адегенде байланыштарды жүктөңүз.',
+    'api.invalidSearch': 'Издөө параметрлери туура эмес: {params}',
+    'api.searchRateLimited': 'Издөө суроолору өтө көп. {seconds} секунддан кийин кайталаңыз',
+    'api.statusApproved': 'Аккаунт ырасталды. Жарыя түзө аласыз.',
+    'api.statusPending': 'Администратордун ырастоосун күтүңүз.',
+
+    'upload.fileTooLarge': 'Файл өтө чоң. Эң көп {mb} МБ',
+    'upload.tooManyFiles': 'Бир жолу эң көп {max} файл',
+    'upload.unexpectedField': 'Файлдар "files" талаасында жөнөтүлүшү керек',
+    'upload.failed': 'Файлдарды жүктөөдө ката кетти',
+    'upload.noFiles': 'Жок дегенде бир сүрөт же видео кошуңуз',
+    'upload.totalTooLarge': 'Файлдардын жалпы көлөмү {mb} МБдан ашат',
+    'upload.notMedia': '"{name}" файлы сүрөт же MP4/MOV форматындагы видео эмес',
+    'upload.invalidIds': 'Файлдардын тизмеси туура эмес: uploadIds ар түрдүү идентификаторлордун массиви болушу керек',
+
+    'publish.notApproved': 'Аккаунтуңузду администратор азырынча ырастай элек. Ырастоону күтүңүз.',
+    'publish.banned': 'Аккаунтуңузду администратор бөгөттөгөн. Жарыя жарыялоо мүмкүн эмес.',
+    'publish.noContacts': 'Байланыштар жүктөлгөн эмес. Адегенде байланыштарды жүктөңүз.',
+    'publish.requiredFields': 'Милдеттүү талааларды толтуруңуз: {fields}',
+    'publish.field.description': 'сүрөттөмө',
+    'publish.field.city': 'шаар',
+    'publish.field.freshness': 'жаңылыгы',
+    'publish.uploadExpired': '{id} файлы табылган жок же эскирди. Аны кайра жүктөңүз.',
+    'publish.fileError': '{index}-файл: {message}',
+    'publish.noProcessedFiles': 'Бир да файлды иштетүү мүмкүн болгон жок',
+    'publish.pending': 'Жарыя модерацияга жөнөтүлдү. Жарыяланганда сизге билдиребиз.',
+    'publish.success': 'Жарыя {count} файл менен ийгиликтүү жарыяланды',
+    'publish.textOnly': 'Жарыянын тексти жарыяланды (файлсыз)',
+    'publish.failed': 'Жарыяны жарыялоодо ката кетти',
+
+    'media.UNSUPPORTED_FORMAT': 'Файлдын форматы колдоого алынбайт. Сүрөт же видео жүктөңүз.',
+    'media.VIDEO_TOO_LARGE': 'Видео {mb} МБдан чоң. Аны кысыңыз же кыскартыңыз.',
+    'media.PHOTO_TOO_LARGE': 'Сүрөт кысылгандан кийин да өтө чоң',
+    'media.IMAGE_DECODE_FAILED': 'Сүрөттү иштетүү мүмкүн болгон жок. Файл бузулган болушу мүмкүн.',
+    'media.VIDEO_INVALID': 'Видеону окуу мүмкүн болгон жок. Файл бузулган болушу мүмкүн.',
+
+    // ==================== СТРАНИЦЫ ====================
+    'home.tagline': 'Telegram\'да гүл сатуу платформасы<br>Сервер туруктуу иштеп жатат',
+    'home.systemStatus': 'Системанын абалы',
+    'home.server': 'Сервер:',
+    'home.serverRunning': '🟢 Иштеп жатат',
+    'home.users': 'Колдонуучулар:',
+    'home.bot': 'Telegram бот:',
+    'home.botActive': '🟢 Активдүү',
+    'home.botError': '🔴 Ката',
+    'home.googleConfigured': '🟢 Жөндөлгөн',
+    'home.googleOptional': '🟡 Милдеттүү эмес',
+    'home.endpoints': 'Жеткиликтүү API эндпоинттер:',
+    'home.openBot': 'Telegram ботту ачуу',
+    'home.updated': 'Жаңыртылды: {date}',
+
+    'oauth.errorTitle': 'Ката',
+    'oauth.notConfigured': '❌ Google API жөндөлгөн эмес',
+    'oauth.notConfiguredText': 'Администратор Google менен интеграцияны жөндөгөн эмес',
+    'oauth.useOtherMethods': 'Байланыштарды импорттоонун башка ыкмаларын колдонуңуз',
+    'oauth.toHome': 'Башкы бетке',
+    'oauth.backHome': 'Башкы бетке кайтуу',
+    'oauth.accessDenied': 'Сиз мүмкүндүк берүүдөн баш тарттыңыз',
+    'oauth.sessionExpired': 'Сессия эскирди же табылган жок. Ботто /google буйругу менен жаңы шилтеме алыңыз.',
+    'oauth.failed': '❌ Авторизация учурунда ката кетти',
+    'oauth.linkInvalid': 'Кирүү шилтемеси жараксыз. Ботто /google буйругу менен жаңы шилтеме алыңыз.',
+    'oauth.linkExpired': 'Шилтеменин мөөнөтү бүттү. Ботто /google буйругу менен жаңы шилтеме алыңыз.',
+    'oauth.linkUsed': 'Бул шилтеме мурда колдонулган. Ботто /google буйругу менен жаңы шилтеме алыңыз.',
+    'oauth.authFailed': 'Google аркылуу кирүүнү аягына чыгаруу мүмкүн болбоду. Кайра аракет кылыңыз: ботто /google.',
+    'oauth.errorId': 'Ката коду: {id}',
+    'oauth.successTitle': 'Авторизация ийгиликтүү',
+    'oauth.success': 'Авторизация ийгиликтүү өттү!',
+    'oauth.name': '👤 Аты:',
+    'oauth.email': '📧 Email:',
+    'oauth.contactsImported': '📞 Импорттолгон байланыштар:',
+    'oauth.adminNotified': 'Администратор өтүнмөңүз тууралуу билдирүү алды.',
+    'oauth.waitApproval': 'Ырастоону күтүңүз (адатта 24 саатка чейин).',
+    'oauth.redirecting': '3 секунддан кийин сайтка өтөсүз...'
+};
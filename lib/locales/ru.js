@@ -0,0 +1,464 @@
+// lib/locales/ru.js - Русский (основной язык, используется для недостающих ключей)
+module.exports = {
+    // ==================== ОБЩЕЕ ====================
+    'common.unknown': 'неизвестно',
+    'common.defaultName': 'Пользователь',
+
+    // ==================== КНОПКИ ====================
+    'button.openSite': '🌐 Перейти на сайт',
+    'button.uploadContacts': '🌐 Загрузить контакты',
+    'button.createListing': '📝 Создать объявление',
+    'button.createAnother': '📝 Создать еще объявление',
+    'button.start': '🚀 Начать',
+    'button.cancel': '❌ Отмена',
+    'button.skip': '⏭ Пропустить',
+    'button.anyCategory': '🌼 Любые цветы',
+    'button.relayReply': '↩️ Ответить: {alias}',
+    'button.relayBlock': '🚫 Заблокировать',
+    'button.relayUnblock': '🔓 Разблокировать',
+    'button.relayReport': '⚠️ Пожаловаться',
+    'button.rateSeller': '⭐ Оценить продавца',
+    'button.deleteMyData': '🗑 Да, удалить мои данные',
+    'button.syncGoogle': '🔄 Обновить контакты',
+    'button.disconnectGoogle': '🔌 Отключить Google',
+    'button.connectGoogle': '🔐 Подключить Google',
+    'button.back': '↩️ Назад',
+    'button.editPrice': '💰 Изменить цену',
+    'button.editDescription': '📝 Изменить описание',
+    'button.sold': '✅ Продано',
+    'button.delete': '🗑 Удалить',
+    'button.deleteConfirm': '🗑 Да, удалить из канала',
+    'button.resubmit': '📤 Отправить на модерацию',
+    'button.extend': '🔄 Продлить',
+    'button.languageAuto': '🌐 Как в Telegram',
+
+    // ==================== КОМАНДЫ ====================
+    'command.start': 'Начать работу с ботом',
+    'command.status': 'Проверить статус аккаунта',
+    'command.my': 'Мои объявления',
+    'command.subscribe': 'Подписка на новые объявления',
+    'command.subscriptions': 'Мои подписки',
+    'command.google': 'Google-аккаунт и контакты',
+    'command.language': 'Сменить язык',
+    'command.help': 'Помощь',
+
+    'start.message':
+        '🌸 <b>ДОБРО ПОЖАЛОВАТЬ В FLOWER MARKET!</b>\n\n' +
+        'Здесь вы можете разместить объявление о продаже цветов с фото и видео в одном посте.\n\n' +
+        '<b>📋 ТРЕБОВАНИЯ ДЛЯ ПУБЛИКАЦИИ:</b>\n' +
+        '1. 📞 Импорт ваших контактов (минимум 3 контакта)\n' +
+        '2. ✅ Подтверждение администратором\n' +
+        '3. 📝 Создание объявления\n\n' +
+        '<i>Контакты нужны для проверки надежности продавцов. Мы не передаем их третьим лицам. Удалить свои данные: /delete_me</i>\n\n' +
+        '<b>Ваш статус:</b>\n' +
+        '• Контакты: {contacts}\n' +
+        '• Подтверждение: {approval}\n' +
+        '• Объявлений: {posts}',
+    'start.contactsLoaded': '✅ Загружены',
+    'start.contactsMissing': '❌ Не загружены',
+    'start.approved': '✅ Подтвержден',
+    'start.approvalPending': '⏳ Ожидает',
+
+    'help.message':
+        '🆘 <b>ПОМОЩЬ ПО ИСПОЛЬЗОВАНИЮ FLOWER MARKET</b>\n\n' +
+        '<b>ОСНОВНЫЕ КОМАНДЫ:</b>\n' +
+        '/start - Начать работу с ботом\n' +
+        '/status - Проверить статус аккаунта\n' +
+        '/my - Мои объявления\n' +
+        '/subscribe - Подписка на новые объявления\n' +
+        '/subscriptions - Мои подписки\n' +
+        '/stop - Завершить переписку с продавцом или покупателем\n' +
+        '/reapply - Повторная заявка после отказа\n' +
+        '/delete_me - Удалить мои данные\n' +
+        '/google - Google-аккаунт: обновить контакты или отключить\n' +
+        '/language - Сменить язык\n' +
+        '/help - Показать это сообщение\n\n' +
+        '<b>ПРОЦЕСС ПУБЛИКАЦИИ:</b>\n' +
+        '1. Нажмите "Перейти на сайт"\n' +
+        '2. Импортируйте контакты\n' +
+        '3. Дождитесь подтверждения\n' +
+        '4. Создайте объявление\n\n' +
+        '<b>ПОДДЕРЖКА:</b> Свяжитесь с администратором',
+
+    'text.fallback':
+        'Привет! Я бот Flower Market 🌸\n\n' +
+        'Используйте команды:\n' +
+        '/start - Начать работу\n' +
+        '/status - Проверить статус\n' +
+        '/my - Мои объявления\n' +
+        '/subscribe - Подписка на новые объявления\n' +
+        '/subscriptions - Мои подписки\n' +
+        '/language - Сменить язык\n' +
+        '/help - Помощь\n\n' +
+        'Или нажмите кнопку "Перейти на сайт" в меню /start',
+    'text.startOver': 'Выберите команду:\n/start - Начать работу\n/status - Проверить статус\n/help - Помощь',
+
+    // ==================== /status ====================
+    'status.notStarted': '❌ Вы еще не начинали работу с ботом. Используйте /start чтобы начать.',
+    'status.title': '📊 <b>СТАТУС ВАШЕГО АККАУНТА</b>',
+    'status.user': '👤 <b>Пользователь:</b> {name}',
+    'status.id': '🆔 <b>ID:</b> {id}',
+    'status.google': '🔐 <b>Google:</b> {email}',
+    'status.googleDisconnected': '🔌 <b>Google:</b> {email} (отключен, подробнее: /google)',
+    'status.contacts': '📞 <b>Контакты:</b> ',
+    'status.contactsLoaded': '✅ Загружены ({count} контактов)',
+    'status.contactsImportedAt': '📅 <b>Импортированы:</b> {date}',
+    'status.contactsMissing': '❌ Не загружены',
+    'status.approval': '✅ <b>Подтверждение:</b> ',
+    'status.approved': '✅ Подтвержден администратором',
+    'status.approvedAt': '📅 <b>Подтвержден:</b> {date}',
+    'status.posts': '📊 <b>Опубликовано объявлений:</b> {count}',
+    'status.lastPost': '📅 <b>Последний пост:</b> {date}',
+    'status.pending': '⏳ Ожидает подтверждения',
+    'status.banned': '🚫 Аккаунт заблокирован администратором',
+    'status.bannedUntil': '📅 <b>Блокировка до:</b> {date}',
+    'status.bannedForever': '📅 <b>Блокировка:</b> бессрочная',
+    'status.banReason': '📝 <b>Причина:</b> {reason}',
+    'status.rejected': '❌ Заявка отклонена администратором',
+    'status.rejectionReason': '📝 <b>Причина:</b> {reason}',
+    'status.reapplyAt': '🔁 <b>Повторная заявка:</b> командой /reapply после {date}',
+    'status.reapplyNow': '🔁 <b>Вы можете подать заявку повторно:</b> /reapply',
+    'status.pendingHint': '<i>Администратор получил ваши контакты и скоро примет решение.</i>',
+    'status.nextStepContacts': '🔗 <b>Следующий шаг:</b> Перейдите на сайт чтобы загрузить контакты.',
+    'status.waitApproval': '⏳ <b>Ожидайте подтверждения.</b> Обычно это занимает до 24 часов.',
+    'status.canPublish': '🎉 <b>Вы можете создавать объявления!</b>',
+
+    // ==================== /language ====================
+    'language.choose': '🌐 <b>Выберите язык</b>\n\nСейчас: {language}',
+    'language.changed': '✅ Язык изменен: {language}',
+    'language.auto': '✅ Язык будет определяться по настройкам Telegram',
+
+    // ==================== РЕШЕНИЯ ПО АККАУНТУ ====================
+    'account.approvedDm':
+        '🎉 <b>ВАШ АККАУНТ ПОДТВЕРЖДЕН!</b>\n\n' +
+        'Теперь вы можете создавать объявления о продаже цветов.\n\n' +
+        '<b>📋 ЧТО ДАЛЬШЕ?</b>\n' +
+        '1. Нажмите кнопку ниже\n' +
+        '2. Создайте объявление с фото/видео\n' +
+        '3. Опубликуйте в канале\n\n' +
+        '<i>Ваше объявление будет размещено в канале @{channel}</i>',
+    'account.rejectedDm':
+        '❌ <b>ВАША ЗАЯВКА ОТКЛОНЕНА</b>\n\n' +
+        'К сожалению, администратор отклонил вашу заявку на публикацию объявлений.\n\n' +
+        '📝 <b>Причина:</b> {reason}\n\n' +
+        'Устраните причину отказа и подайте заявку повторно командой /reapply - это можно сделать через {hours} ч.',
+    'account.bannedDm': '🚫 <b>ВАШ АККАУНТ ЗАБЛОКИРОВАН</b>\n\nАдминистратор ограничил публикацию объявлений.\n\n{details}\nЕсли вы считаете это ошибкой, свяжитесь с администратором.',
+    'account.unbannedDm': '✅ <b>БЛОКИРОВКА СНЯТА</b>\n\nАдминистратор снял ограничения с вашего аккаунта. Статус: /status',
+    'account.revokedDm': '⏳ <b>ПОДТВЕРЖДЕНИЕ ОТОЗВАНО</b>\n\nАдминистратор повторно проверяет ваш аккаунт. Пока проверка не завершена, новые объявления публиковать нельзя.',
+
+    'rejectReason.few_contacts': 'Недостаточно контактов для проверки',
+    'rejectReason.suspicious': 'Подозрительная активность',
+    'rejectReason.rules': 'Нарушение правил площадки',
+    'rejectReason.duplicate': 'У вас уже есть другой аккаунт',
+    'rejectReason.other': 'Другая причина - уточните у администратора',
+
+    'reapply.notRejected': 'ℹ️ Повторная заявка нужна только после отказа. Статус аккаунта: /status',
+    'reapply.cooldown': '⏳ Повторную заявку можно подать после {date}',
+    'reapply.sent': '✅ <b>Заявка отправлена повторно</b>\n\nАдминистратор рассмотрит ее и сообщит о решении.',
+
+    'deleteMe.confirm':
+        '🗑 <b>УДАЛЕНИЕ ДАННЫХ</b>\n\n' +
+        'Будут удалены ваши контакты, доступ к Google, объявления (в том числе из канала), подписки, переписки и отзывы.\n\n' +
+        '<b>Это действие нельзя отменить.</b>',
+    'deleteMe.done': '✅ <b>Ваши данные удалены</b>\n\nЧтобы снова пользоваться ботом, нажмите /start',
+    'deleteMe.cancelled': 'Удаление отменено',
+    'deleteMe.notFound': 'ℹ️ У нас нет ваших данных',
+
+    'google.title': '🔐 <b>GOOGLE-АККАУНТ</b>',
+    'google.account': '📧 <b>Аккаунт:</b> {email}',
+    'google.syncedAt': '🔄 <b>Последняя синхронизация:</b> {date}',
+    'google.syncFailed': '⚠️ Последняя попытка обновить контакты не удалась. Мы повторим ее позже.',
+    'google.autoSync': '<i>Контакты обновляются автоматически раз в {hours} ч.</i>',
+    'google.notConnected': '❌ Google-аккаунт не подключен. Подключите его, чтобы загрузить контакты из Google.',
+    'google.revoked': '⚠️ Доступ к Google отозван или истек. Подключите аккаунт заново, чтобы обновлять контакты.',
+    'google.disconnected': 'ℹ️ Google отключен. Загруженные контакты сохранены.',
+    'google.unavailable': 'ℹ️ Вход через Google сейчас недоступен.',
+    'google.syncStarted': '🔄 Обновляем контакты...',
+    'google.syncDone': '✅ Контакты обновлены: {count}',
+    'google.syncTooSoon': '⏳ Контакты только что обновлялись. Попробуйте через {minutes} мин.',
+    'google.syncError': '❌ Не удалось обновить контакты. Попробуйте позже.',
+    'google.disconnectDone': '🔌 Google отключен, доступ отозван',
+    'google.revokedDm':
+        '⚠️ <b>ДОСТУП К GOOGLE ОТОЗВАН</b>\n\n' +
+        'Мы больше не можем обновлять ваши контакты. Загруженные ранее контакты сохранены.\n\n' +
+        'Чтобы подключить Google заново, используйте /google',
+
+    // ==================== ОБЪЯВЛЕНИЯ ПРОДАВЦА ====================
+    'my.empty': '📭 У вас нет активных объявлений.\n\nСоздайте объявление через сайт: /start',
+    'my.title':
+        '📋 <b>ВАШИ ОБЪЯВЛЕНИЯ</b> ({count})\n\n' +
+        '<i>Используйте кнопки под объявлением, чтобы изменить цену или описание, отметить продажу или удалить его.</i>',
+
+    'listingStatus.pending': '🕓 На модерации',
+    'listingStatus.changes_requested': '✏️ Требуются правки',
+    'listingStatus.rejected': '❌ Отклонено',
+    'listingStatus.active': '🟢 Активно',
+    'listingStatus.sold': '🔴 Продано',
+    'listingStatus.expired': '⌛ Истек срок',
+    'listingStatus.deleted': '🗑 Удалено',
+
+    'listing.publishedAt': '📅 Опубликовано: {date}',
+    'listing.activeUntil': '⏳ Активно до: {date}',
+    'listing.link': '↗️ Перейти к объявлению',
+    'listing.notFound': '❌ Объявление не найдено',
+    'listing.unavailable': '❌ Объявление недоступно',
+    'listing.notActive': '❌ Объявление уже снято с публикации',
+    'listing.notEditable': '❌ Объявление недоступно для редактирования',
+    'listing.extended': '✅ <b>ОБЪЯВЛЕНИЕ ПРОДЛЕНО</b>\n\n📅 Активно до: {date}',
+    'listing.extendedShort': '✅ Объявление продлено',
+    'listing.resubmitted': '📤 Отправлено на модерацию',
+    'listing.markedSold': '✅ Отмечено как продано',
+    'listing.confirmDelete': 'Подтвердите удаление',
+    'listing.deleted': '🗑 <b>Объявление удалено из канала</b>',
+    'listing.deletedShort': '🗑 Объявление удалено',
+
+    'edit.pricePrompt': '💰 Отправьте новую цену (до {max} символов):',
+    'edit.pricePromptProduct': '💰 Отправьте новую цену за {unit} числом (например, 150) или текстом (до {max} символов):',
+    'edit.descriptionPrompt': '📝 Отправьте новое описание (до {max} символов):',
+    'edit.cancelled': '❌ Редактирование отменено',
+    'edit.invalidLength': '❌ Длина должна быть от 1 до {max} символов. Попробуйте еще раз.',
+    'edit.failed': '❌ Не удалось обновить объявление в канале. Попробуйте позже.',
+    'edit.saved': '✅ <b>Объявление обновлено</b>',
+
+    // ==================== УВЕДОМЛЕНИЯ ПРОДАВЦА ====================
+    'notify.published':
+        '✅ <b>ВАШЕ ОБЪЯВЛЕНИЕ ОПУБЛИКОВАНО!</b>\n\n' +
+        '📊 <b>Статистика:</b>\n' +
+        '• Файлов: {files}\n' +
+        '• Город: {city}\n' +
+        '• Свежесть: {freshness}\n' +
+        '• Цена: {price}\n\n' +
+        '<a href="{link}">↗️ Перейти к объявлению</a>\n\n' +
+        '<i>Объявление активно {days} дн. Управлять объявлениями: /my</i>',
+    'notify.submitted':
+        '🕓 <b>ОБЪЯВЛЕНИЕ ОТПРАВЛЕНО НА МОДЕРАЦИЮ</b>\n\n' +
+        'Администратор проверит его и опубликует в канале.\n' +
+        'Мы сообщим вам о решении.',
+    'notify.rejected':
+        '❌ <b>ОБЪЯВЛЕНИЕ НЕ ПРОШЛО МОДЕРАЦИЮ</b>\n\n' +
+        '📍 {city}\n' +
+        '💰 {price}\n\n' +
+        'Если вы считаете это ошибкой, свяжитесь с администратором.',
+    'notify.changesRequested':
+        '✏️ <b>АДМИНИСТРАТОР ПРОСИТ ВНЕСТИ ПРАВКИ</b>\n\n' +
+        '📍 {city}\n' +
+        '💰 {price}\n\n' +
+        'Исправьте цену или описание и отправьте объявление повторно через /my',
+    'notify.expired':
+        '⌛ <b>СРОК ОБЪЯВЛЕНИЯ ИСТЕК</b>\n\n' +
+        '📍 {location}\n' +
+        '💰 {price}\n\n' +
+        '<i>Объявление снято с публикации. Вы можете создать новое.</i>',
+    'notify.expiring':
+        '⏰ <b>ОБЪЯВЛЕНИЕ СКОРО ИСТЕЧЕТ</b>\n\n' +
+        '📍 {location}\n' +
+        '💰 {price}\n' +
+        '📅 Активно до: {date}\n\n' +
+        'Нажмите кнопку ниже, чтобы продлить его еще на {days} дн.',
+    'notify.removed':
+        '🗑 <b>АДМИНИСТРАТОР СНЯЛ ОБЪЯВЛЕНИЕ</b>\n\n' +
+        '📍 {location}\n' +
+        '💰 {price}\n\n' +
+        '{comment}' +
+        'Если вы считаете это ошибкой, свяжитесь с администратором.',
+
+    'callback.error': '❌ Ошибка обработки запроса',
+    'callback.unknown': '❌ Неизвестная команда',
+
+    'inline.openPost': '↗️ Открыть объявление',
+    'inline.noResults': '🌸 Ничего не найдено - разместить объявление',
+
+    'subscribe.chooseCategory': '🔔 <b>НОВАЯ ПОДПИСКА</b>\n\nШаг 1 из 4. Какие цветы вы ищете?',
+    'subscribe.askCity': 'Шаг 2 из 4. Напишите город, например: <i>Бишкек</i>',
+    'subscribe.askPrice': 'Шаг 3 из 4. Максимальная цена за единицу товара в {currency}, например: <i>200</i>',
+    'subscribe.askKeywords': 'Шаг 4 из 4. Ключевые слова через пробел, например: <i>красные 60см</i>',
+    'subscribe.invalidPrice': '❌ Отправьте цену числом, например: 200',
+    'subscribe.invalidText': '❌ Не больше {max} символов',
+    'subscribe.saved':
+        '✅ <b>Подписка сохранена</b>\n\n{summary}\n\n' +
+        'Когда появится подходящее объявление, я пришлю его сюда. Все подписки: /subscriptions',
+    'subscribe.limit': '❌ Можно сохранить не больше {max} подписок. Удалите лишние: /subscriptions',
+    'subscribe.cancelled': '❌ Создание подписки отменено',
+    'subscribe.expired': '⏳ Время вышло, начните заново: /subscribe',
+    'subscriptions.empty': '🔕 У вас нет подписок. Создать: /subscribe',
+    'subscriptions.title': '🔔 <b>ВАШИ ПОДПИСКИ</b> ({count})\n<i>Кнопка с номером удаляет подписку</i>',
+    'subscriptions.deleted': '🗑 Подписка удалена',
+    'subscription.anyCategory': 'любые цветы',
+    'subscription.anyCity': 'любой город',
+    'subscription.priceMax': 'до {amount}',
+    'subscription.match': '🔔 <b>Новое объявление по вашей подписке</b>\n\n{card}',
+
+    // ==================== ПЕРЕПИСКА С ПРОДАВЦОМ ====================
+    'relay.contactButton': '✉️ Написать продавцу',
+    'relay.channelPrompt': '💬 Вопрос продавцу можно задать через бота - ваши контакты останутся скрыты',
+    'relay.opened':
+        '✉️ <b>ПЕРЕПИСКА С ПРОДАВЦОМ</b>\n\n🌸 {listing}\n📍 {location}\n\n' +
+        'Напишите сообщение - бот перешлет его продавцу. Ваше имя и аккаунт продавец не увидит, его данные тоже скрыты от вас.\n\n' +
+        'Завершить переписку: /stop',
+    'relay.newConversation':
+        '✉️ <b>НОВОЕ СООБЩЕНИЕ ПО ОБЪЯВЛЕНИЮ</b>\n\n🌸 {listing}\n<a href="{link}">↗️ Открыть объявление</a>\n\n' +
+        '{alias} пишет вам через бота. Ответить можно кнопкой под сообщением - ваше имя и аккаунт покупатель не увидит.',
+    'relay.buyerAlias': 'Покупатель #{code}',
+    'relay.sellerAlias': 'Продавец',
+    'relay.delivered': '✅ Сообщение отправлено. Ответ придет в этот чат.',
+    'relay.replyMode': '✍️ Напишите ответ - {alias} получит его без вашего имени. Завершить: /stop',
+    'relay.listingUnavailable': '❌ Объявление уже неактуально',
+    'relay.ownListing': 'ℹ️ Это ваше объявление',
+    'relay.peerUnavailable': '❌ Не удалось доставить сообщение: собеседник недоступен',
+    'relay.blocked': '🚫 Собеседник заблокирован и больше не сможет писать вам в этой переписке',
+    'relay.unblocked': '🔓 Собеседник разблокирован',
+    'relay.youBlocked': '🚫 Вы заблокировали этого собеседника. Разблокируйте его, чтобы продолжить.',
+    'relay.peerBlocked': '❌ Собеседник ограничил переписку',
+    'relay.reported': '⚠️ Жалоба отправлена администратору',
+    'relay.alreadyReported': 'ℹ️ Жалоба уже отправлена, администратор ее рассмотрит',
+    'relay.closed': '🔒 Переписка закрыта',
+    'relay.closedByAdmin': '🔒 Администратор закрыл переписку по объявлению',
+    'relay.stopped': '👋 Переписка завершена. Вернуться к ней можно кнопкой «Ответить» под сообщением.',
+    'relay.noActive': 'ℹ️ У вас нет открытой переписки',
+
+    // ==================== ОТЗЫВЫ ====================
+    'rating.value': '{average} ★ ({reviews})',
+    'rating.reviews.one': '{count} отзыв',
+    'rating.reviews.few': '{count} отзыва',
+    'rating.reviews.many': '{count} отзывов',
+    'rating.reviews.other': '{count} отзыва',
+    'review.choose': '⭐ <b>ОЦЕНКА ПРОДАВЦА</b>\n\n🌸 {listing}\n\nСколько звезд вы поставите продавцу?',
+    'review.askComment': 'Ваша оценка: {stars}\n\nНапишите короткий отзыв (до {max} символов) или нажмите «Пропустить»',
+    'review.tooLong': '❌ Отзыв должен быть не длиннее {max} символов',
+    'review.saved': '✅ Спасибо! Отзыв сохранен',
+    'review.notAllowed': 'ℹ️ Оценить продавца можно после того, как он ответит вам в переписке через бота',
+    'review.cancelled': '❌ Оценка отменена',
+    'review.expired': '⏳ Время вышло, нажмите «Оценить продавца» еще раз',
+    'review.received': '⭐ <b>НОВЫЙ ОТЗЫВ</b>\n\n{stars}{comment}\n\n🙋 {alias}\n🌸 {listing}\n📊 Ваш рейтинг: {rating}',
+    'review.dealPrompt': '🌸 Объявление «{listing}» продано. Если вы договорились с продавцом, оцените его - это поможет другим покупателям.',
+
+    // ==================== ПОДПИСЬ В КАНАЛЕ ====================
+    'caption.title': 'ЦВЕТЫ НА ПРОДАЖУ',
+    'caption.description': 'Описание:',
+    'caption.location': 'Локация:',
+    'caption.address': 'Адрес:',
+    'caption.freshness': 'Свежесть:',
+    'caption.price': 'Цена:',
+    'caption.contacts': 'Контакты:',
+    'caption.flower': 'Цветы:',
+    'caption.rating': 'Рейтинг продавца:',
+    'caption.priceNegotiable': 'Договорная',
+    'caption.contactsInComments': 'Контакты в комментариях',
+    'caption.fullDescription': 'Описание полностью:',
+    'caption.soldBanner': '🔴 <b>ПРОДАНО</b>',
+    'caption.expiredBanner': '⛔️ <b>ОБЪЯВЛЕНИЕ НЕАКТУАЛЬНО</b>\n<i>Срок размещения истек</i>',
+    'caption.deletedBanner': '🗑 <b>ОБЪЯВЛЕНИЕ СНЯТО</b>',
+
+    // ==================== ТОВАР ====================
+    'unit.stem.one': '{count} стебель',
+    'unit.stem.few': '{count} стебля',
+    'unit.stem.many': '{count} стеблей',
+    'unit.stem.other': '{count} стебля',
+    'unit.bouquet.one': '{count} букет',
+    'unit.bouquet.few': '{count} букета',
+    'unit.bouquet.many': '{count} букетов',
+    'unit.bouquet.other': '{count} букета',
+    'unitName.stem': 'стебель',
+    'unitName.bouquet': 'букет',
+    'currency.KGS': '{amount} сом',
+    'currency.UZS': '{amount} сум',
+    'currency.RUB': '{amount} ₽',
+    'currency.USD': '{amount} $',
+    'product.pricePerUnit': '{amount} за {unit}',
+    'product.priceWithTotal': '{price}, всего {total}',
+    'product.invalid': 'Проверьте данные о товаре: {errors}',
+    'product.error.category': 'выберите вид цветов из списка',
+    'product.error.unit': 'единица товара: {list}',
+    'product.error.quantity': 'количество - целое число от 1 до {max}',
+    'product.error.unitPrice': 'цена - число больше 0, не больше двух знаков после запятой',
+    'product.error.currency': 'валюта: {list}',
+
+    // ==================== API ====================
+    'auth.required': 'Требуется авторизация через Telegram',
+    'auth.missingHash': 'Отсутствует подпись initData',
+    'auth.invalidSignature': 'Неверная подпись initData',
+    'auth.expired': 'initData устарели. Откройте приложение заново.',
+    'auth.noUser': 'В initData нет данных пользователя',
+
+    'api.contactsRequired': 'Требуется массив contacts',
+    'api.minContacts': 'Требуется минимум 3 контакта',
+    'api.contactsSaved': 'Контакты успешно сохранены ({count} контактов)',
+    'api.contactsFailed': 'Ошибка при сохранении контактов',
+    'api.forbiddenUser': 'Нет доступа к данным другого пользователя',
+    'api.banned': 'Ваш аккаунт заблокирован администратором',
+    'api.userErased': 'Данные пользователя удалены',
+    'api.userEraseFailed': 'Не удалось удалить данные пользователя',
+    'api.userNotFound': 'Пользователь не найден. Сначала загрузите контакты.',
+    'api.invalidSearch': 'Некорректные параметры поиска: {params}',
+    'api.searchRateLimited': 'Слишком много запросов поиска. Повторите через {seconds} с',
+    'api.statusApproved': 'Аккаунт подтвержден. Можете создавать объявления.',
+    'api.statusPending': 'Ожидайте подтверждения администратором.',
+
+    'upload.fileTooLarge': 'Файл слишком большой. Максимум {mb} МБ',
+    'upload.tooManyFiles': 'Максимум {max} файлов за раз',
+    'upload.unexpectedField': 'Файлы нужно передавать в поле "files"',
+    'upload.failed': 'Ошибка загрузки файлов',
+    'upload.noFiles': 'Добавьте хотя бы одно фото или видео',
+    'upload.totalTooLarge': 'Общий размер файлов превышает {mb} МБ',
+    'upload.notMedia': 'Файл "{name}" не является фото или видео в формате MP4 или MOV',
+    'upload.invalidIds': 'Некорректный список файлов: uploadIds должен быть массивом разных идентификаторов',
+
+    'publish.notApproved': 'Ваш аккаунт еще не подтвержден администратором. Ожидайте подтверждения.',
+    'publish.banned': 'Ваш аккаунт заблокирован администратором. Публикация объявлений недоступна.',
+    'publish.noContacts': 'Контакты не загружены. Сначала загрузите контакты.',
+    'publish.requiredFields': 'Заполните обязательные поля: {fields}',
+    'publish.field.description': 'описание',
+    'publish.field.city': 'город',
+    'publish.field.freshness': 'свежесть',
+    'publish.uploadExpired': 'Файл {id} не найден или устарел. Загрузите его заново.',
+    'publish.fileError': 'Файл {index}: {message}',
+    'publish.noProcessedFiles': 'Не удалось обработать ни один файл',
+    'publish.pending': 'Объявление отправлено на модерацию. Мы сообщим, когда оно будет опубликовано.',
+    'publish.success': 'Объявление успешно опубликовано с {count} файлами',
+    'publish.textOnly': 'Текст объявления опубликован (без файлов)',
+    'publish.failed': 'Ошибка при публикации объявления',
+
+    'media.UNSUPPORTED_FORMAT': 'Неподдерживаемый формат файла. Загрузите фото или видео.',
+    'media.VIDEO_TOO_LARGE': 'Видео больше {mb} МБ. Сожмите его или обрежьте.',
+    'media.PHOTO_TOO_LARGE': 'Фото слишком большое даже после сжатия',
+    'media.IMAGE_DECODE_FAILED': 'Не удалось обработать фото. Возможно, файл поврежден.',
+    'media.VIDEO_INVALID': 'Не удалось прочитать видео. Возможно, файл поврежден.',
+
+    // ==================== СТРАНИЦЫ ====================
+    'home.tagline': 'Платформа для продажи цветов в Telegram<br>Серверная часть работает стабильно',
+    'home.systemStatus': 'Статус системы',
+    'home.server': 'Сервер:',
+    'home.serverRunning': '🟢 Работает',
+    'home.users': 'Пользователей:',
+    'home.bot': 'Telegram Бот:',
+    'home.botActive': '🟢 Активен',
+    'home.botError': '🔴 Ошибка',
+    'home.googleConfigured': '🟢 Настроен',
+    'home.googleOptional': '🟡 Опционально',
+    'home.endpoints': 'Доступные API эндпоинты:',
+    'home.openBot': 'Открыть Telegram Бота',
+    'home.updated': 'Обновлено: {date}',
+
+    'oauth.errorTitle': 'Ошибка',
+    'oauth.notConfigured': '❌ Google API не настроен',
+    'oauth.notConfiguredText': 'Администратор не настроил интеграцию с Google',
+    'oauth.useOtherMethods': 'Пожалуйста, используйте другие методы импорта контактов',
+    'oauth.toHome': 'На главную',
+    'oauth.backHome': 'Вернуться на главную',
+    'oauth.accessDenied': 'Вы отказались от предоставления доступа',
+    'oauth.sessionExpired': 'Сессия устарела или не найдена. Получите новую ссылку в боте командой /google.',
+    'oauth.failed': '❌ Ошибка при авторизации',
+    'oauth.linkInvalid': 'Ссылка для входа недействительна. Получите новую ссылку в боте командой /google.',
+    'oauth.linkExpired': 'Срок действия ссылки истек. Получите новую ссылку в боте командой /google.',
+    'oauth.linkUsed': 'Эта ссылка уже использована. Получите новую ссылку в боте командой /google.',
+    'oauth.authFailed': 'Не удалось завершить вход через Google. Попробуйте еще раз: /google в боте.',
+    'oauth.errorId': 'Код ошибки: {id}',
+    'oauth.successTitle': 'Успешная авторизация',
+    'oauth.success': 'Авторизация успешна!',
+    'oauth.name': '👤 Имя:',
+    'oauth.email': '📧 Email:',
+    'oauth.contactsImported': '📞 Контактов импортировано:',
+    'oauth.adminNotified': 'Администратор получил уведомление о вашей заявке.',
+    'oauth.waitApproval': 'Ожидайте подтверждения (обычно до 24 часов).',
+    'oauth.redirecting': 'Перенаправление на сайт через 3 секунды...'
+};
@@ -0,0 +1,455 @@
+// lib/locales/uz.js - Oʻzbekcha (lotin yozuvi)
+module.exports = {
+    // ==================== ОБЩЕЕ ====================
+    'common.unknown': 'nomaʼlum',
+    'common.defaultName': 'Foydalanuvchi',
+
+    // ==================== КНОПКИ ====================
+    'button.openSite': '🌐 Saytga oʻtish',
+    'button.uploadContacts': '🌐 Kontaktlarni yuklash',
+    'button.createListing': '📝 Eʼlon yaratish',
+    'button.createAnother': '📝 Yana eʼlon yaratish',
+    'button.start': '🚀 Boshlash',
+    'button.cancel': '❌ Bekor qilish',
+    'button.skip': '⏭ Oʻtkazib yuborish',
+    'button.anyCategory': '🌼 Istalgan gullar',
+    'button.relayReply': '↩️ Javob berish: {alias}',
+    'button.relayBlock': '🚫 Bloklash',
+    'button.relayUnblock': '🔓 Blokdan chiqarish',
+    'button.relayReport': '⚠️ Shikoyat qilish',
+    'button.rateSeller': '⭐ Sotuvchini baholash',
+    'button.deleteMyData': '🗑 Ha, maʼlumotlarimni oʻchirish',
+    'button.syncGoogle': '🔄 Kontaktlarni yangilash',
+    'button.disconnectGoogle': '🔌 Googleni uzish',
+    'button.connectGoogle': '🔐 Googleni ulash',
+    'button.back': '↩️ Orqaga',
+    'button.editPrice': '💰 Narxni oʻzgartirish',
+    'button.editDescription': '📝 Tavsifni oʻzgartirish',
+    'button.sold': '✅ Sotildi',
+    'button.delete': '🗑 Oʻchirish',
+    'button.deleteConfirm': '🗑 Ha, kanaldan oʻchirish',
+    'button.resubmit': '📤 Moderatsiyaga yuborish',
+    'button.extend': '🔄 Uzaytirish',
+    'button.languageAuto': '🌐 Telegram tilida',
+
+    // ==================== КОМАНДЫ ====================
+    'command.start': 'Bot bilan ishlashni boshlash',
+    'command.status': 'Akkaunt holatini tekshirish',
+    'command.my': 'Mening eʼlonlarim',
+    'command.subscribe': 'Yangi eʼlonlarga obuna',
+    'command.subscriptions': 'Mening obunalarim',
+    'command.google': 'Google akkaunti va kontaktlar',
+    'command.language': 'Tilni oʻzgartirish',
+    'command.help': 'Yordam',
+
+    'start.message':
+        '🌸 <b>FLOWER MARKET\'GA XUSH KELIBSIZ!</b>\n\n' +
+        'Bu yerda gul sotish haqidagi eʼlonni rasm va video bilan bitta postda joylashtirishingiz mumkin.\n\n' +
+        '<b>📋 EʼLON JOYLASHTIRISH SHARTLARI:</b>\n' +
+        '1. 📞 Kontaktlaringizni import qilish (kamida 3 ta kontakt)\n' +
+        '2. ✅ Administrator tasdigʻi\n' +
+        '3. 📝 Eʼlon yaratish\n\n' +
+        '<i>Kontaktlar sotuvchilarning ishonchliligini tekshirish uchun kerak. Biz ularni uchinchi shaxslarga bermaymiz. Maʼlumotlaringizni oʻchirish: /delete_me</i>\n\n' +
+        '<b>Sizning holatingiz:</b>\n' +
+        '• Kontaktlar: {contacts}\n' +
+        '• Tasdiq: {approval}\n' +
+        '• Eʼlonlar: {posts}',
+    'start.contactsLoaded': '✅ Yuklangan',
+    'start.contactsMissing': '❌ Yuklanmagan',
+    'start.approved': '✅ Tasdiqlangan',
+    'start.approvalPending': '⏳ Kutilmoqda',
+
+    'help.message':
+        '🆘 <b>FLOWER MARKET BOʻYICHA YORDAM</b>\n\n' +
+        '<b>ASOSIY BUYRUQLAR:</b>\n' +
+        '/start - Bot bilan ishlashni boshlash\n' +
+        '/status - Akkaunt holatini tekshirish\n' +
+        '/my - Mening eʼlonlarim\n' +
+        '/subscribe - Yangi eʼlonlarga obuna\n' +
+        '/subscriptions - Mening obunalarim\n' +
+        '/stop - Sotuvchi yoki xaridor bilan yozishmani tugatish\n' +
+        '/reapply - Rad etilgandan keyin qayta ariza\n' +
+        '/delete_me - Maʼlumotlarimni oʻchirish\n' +
+        '/google - Google akkaunti: kontaktlarni yangilash yoki uzish\n' +
+        '/language - Tilni oʻzgartirish\n' +
+        '/help - Ushbu xabarni koʻrsatish\n\n' +
+        '<b>EʼLON JOYLASHTIRISH TARTIBI:</b>\n' +
+        '1. "Saytga oʻtish" tugmasini bosing\n' +
+        '2. Kontaktlarni import qiling\n' +
+        '3. Tasdiqni kuting\n' +
+        '4. Eʼlon yarating\n\n' +
+        '<b>YORDAM:</b> Administrator bilan bogʻlaning',
+
+    'text.fallback':
+        'Salom! Men Flower Market botiman 🌸\n\n' +
+        'Buyruqlardan foydalaning:\n' +
+        '/start - Boshlash\n' +
+        '/status - Holatni tekshirish\n' +
+        '/my - Mening eʼlonlarim\n' +
+        '/subscribe - Yangi eʼlonlarga obuna\n' +
+        '/subscriptions - Mening obunalarim\n' +
+        '/language - Tilni oʻzgartirish\n' +
+        '/help - Yordam\n\n' +
+        'Yoki /start menyusidagi "Saytga oʻtish" tugmasini bosing',
+    'text.startOver': 'Buyruqni tanlang:\n/start - Boshlash\n/status - Holatni tekshirish\n/help - Yordam',
+
+    // ==================== /status ====================
+    'status.notStarted': '❌ Siz hali bot bilan ishlashni boshlamagansiz. Boshlash uchun /start yuboring.',
+    'status.title': '📊 <b>AKKAUNTINGIZ HOLATI</b>',
+    'status.user': '👤 <b>Foydalanuvchi:</b> {name}',
+    'status.id': '🆔 <b>ID:</b> {id}',
+    'status.google': '🔐 <b>Google:</b> {email}',
+    'status.googleDisconnected': '🔌 <b>Google:</b> {email} (uzilgan, batafsil: /google)',
+    'status.contacts': '📞 <b>Kontaktlar:</b> ',
+    'status.contactsLoaded': '✅ Yuklangan ({count} ta kontakt)',
+    'status.contactsImportedAt': '📅 <b>Import qilingan:</b> {date}',
+    'status.contactsMissing': '❌ Yuklanmagan',
+    'status.approval': '✅ <b>Tasdiq:</b> ',
+    'status.approved': '✅ Administrator tomonidan tasdiqlangan',
+    'status.approvedAt': '📅 <b>Tasdiqlangan:</b> {date}',
+    'status.posts': '📊 <b>Joylangan eʼlonlar:</b> {count}',
+    'status.lastPost': '📅 <b>Oxirgi post:</b> {date}',
+    'status.pending': '⏳ Tasdiq kutilmoqda',
+    'status.banned': '🚫 Akkauntingiz administrator tomonidan bloklangan',
+    'status.bannedUntil': '📅 <b>Blok muddati:</b> {date} gacha',
+    'status.bannedForever': '📅 <b>Blok:</b> muddatsiz',
+    'status.banReason': '📝 <b>Sabab:</b> {reason}',
+    'status.rejected': '❌ Ariza administrator tomonidan rad etilgan',
+    'status.rejectionReason': '📝 <b>Sabab:</b> {reason}',
+    'status.reapplyAt': '🔁 <b>Qayta ariza:</b> {date} dan keyin /reapply buyrugʻi bilan',
+    'status.reapplyNow': '🔁 <b>Arizani qayta topshirishingiz mumkin:</b> /reapply',
+    'status.pendingHint': '<i>Administrator kontaktlaringizni oldi va tez orada qaror qabul qiladi.</i>',
+    'status.nextStepContacts': '🔗 <b>Keyingi qadam:</b> Kontaktlarni yuklash uchun saytga oʻting.',
+    'status.waitApproval': '⏳ <b>Tasdiqni kuting.</b> Odatda bu 24 soatgacha davom etadi.',
+    'status.canPublish': '🎉 <b>Siz eʼlon yaratishingiz mumkin!</b>',
+
+    // ==================== /language ====================
+    'language.choose': '🌐 <b>Tilni tanlang</b>\n\nHozirgi til: {language}',
+    'language.changed': '✅ Til oʻzgartirildi: {language}',
+    'language.auto': '✅ Til Telegram sozlamalari boʻyicha aniqlanadi',
+
+    // ==================== РЕШЕНИЯ ПО АККАУНТУ ====================
+    'account.approvedDm':
+        '🎉 <b>AKKAUNTINGIZ TASDIQLANDI!</b>\n\n' +
+        'Endi gul sotish haqida eʼlonlar yaratishingiz mumkin.\n\n' +
+        '<b>📋 KEYIN NIMA QILISH KERAK?</b>\n' +
+        '1. Quyidagi tugmani bosing\n' +
+        '2. Rasm/video bilan eʼlon yarating\n' +
+        '3. Kanalda eʼlon qiling\n\n' +
+        '<i>Eʼloningiz @{channel} kanalida joylashtiriladi</i>',
+    'account.rejectedDm':
+        '❌ <b>ARIZANGIZ RAD ETILDI</b>\n\n' +
+        'Afsuski, administrator eʼlon joylashtirish haqidagi arizangizni rad etdi.\n\n' +
+        '📝 <b>Sabab:</b> {reason}\n\n' +
+        'Sababni bartaraf eting va arizani /reapply buyrugʻi bilan qayta topshiring - buni {hours} soatdan keyin qilish mumkin.',
+    'account.bannedDm': '🚫 <b>AKKAUNTINGIZ BLOKLANDI</b>\n\nAdministrator eʼlon joylashni cheklab qoʻydi.\n\n{details}\nAgar buni xato deb hisoblasangiz, administrator bilan bogʻlaning.',
+    'account.unbannedDm': '✅ <b>BLOK OLIB TASHLANDI</b>\n\nAdministrator akkauntingizdan cheklovlarni olib tashladi. Holat: /status',
+    'account.revokedDm': '⏳ <b>TASDIQ QAYTARIB OLINDI</b>\n\nAdministrator akkauntingizni qayta tekshirmoqda. Tekshiruv tugamaguncha yangi eʼlon joylab boʻlmaydi.',
+
+    'rejectReason.few_contacts': 'Tekshirish uchun kontaktlar yetarli emas',
+    'rejectReason.suspicious': 'Shubhali faollik',
+    'rejectReason.rules': 'Maydon qoidalari buzilgan',
+    'rejectReason.duplicate': 'Sizda boshqa akkaunt bor',
+    'rejectReason.other': 'Boshqa sabab - administratordan soʻrang',
+
+    'reapply.notRejected': 'ℹ️ Qayta ariza faqat rad etilgandan keyin kerak. Akkaunt holati: /status',
+    'reapply.cooldown': '⏳ Arizani {date} dan keyin qayta topshirishingiz mumkin',
+    'reapply.sent': '✅ <b>Ariza qayta yuborildi</b>\n\nAdministrator uni koʻrib chiqadi va qaror haqida xabar beradi.',
+
+    'deleteMe.confirm':
+        '🗑 <b>MAʼLUMOTLARNI OʻCHIRISH</b>\n\n' +
+        'Kontaktlaringiz, Google ruxsati, eʼlonlaringiz (kanaldagilari ham), obunalaringiz, yozishmalaringiz va sharhlaringiz oʻchiriladi.\n\n' +
+        '<b>Bu amalni qaytarib boʻlmaydi.</b>',
+    'deleteMe.done': '✅ <b>Maʼlumotlaringiz oʻchirildi</b>\n\nBotdan yana foydalanish uchun /start ni bosing',
+    'deleteMe.cancelled': 'Oʻchirish bekor qilindi',
+    'deleteMe.notFound': 'ℹ️ Bizda siz haqingizda maʼlumot yoʻq',
+
+    'google.title': '🔐 <b>GOOGLE AKKAUNTI</b>',
+    'google.account': '📧 <b>Akkaunt:</b> {email}',
+    'google.syncedAt': '🔄 <b>Oxirgi sinxronlash:</b> {date}',
+    'google.syncFailed': '⚠️ Kontaktlarni oxirgi marta yangilab boʻlmadi. Keyinroq yana urinib koʻramiz.',
+    'google.autoSync': '<i>Kontaktlar har {hours} soatda avtomatik yangilanadi.</i>',
+    'google.notConnected': '❌ Google akkaunti ulanmagan. Kontaktlarni Googledan yuklash uchun uni ulang.',
+    'google.revoked': '⚠️ Googlega ruxsat bekor qilingan yoki muddati tugagan. Kontaktlarni yangilab turish uchun akkauntni qayta ulang.',
+    'google.disconnected': 'ℹ️ Google uzildi. Yuklangan kontaktlar saqlandi.',
+    'google.unavailable': 'ℹ️ Google orqali kirish hozir mavjud emas.',
+    'google.syncStarted': '🔄 Kontaktlar yangilanmoqda...',
+    'google.syncDone': '✅ Kontaktlar yangilandi: {count}',
+    'google.syncTooSoon': '⏳ Kontaktlar hozirgina yangilandi. {minutes} daqiqadan soʻng urinib koʻring.',
+    'google.syncError': '❌ Kontaktlarni yangilab boʻlmadi. Keyinroq urinib koʻring.',
+    'google.disconnectDone': '🔌 Google uzildi, ruxsat bekor qilindi',
+    'google.revokedDm':
+        '⚠️ <b>GOOGLEGA RUXSAT BEKOR QILINDI</b>\n\n' +
+        'Endi kontaktlaringizni yangilay olmaymiz. Avval yuklangan kontaktlar saqlandi.\n\n' +
+        'Googleni qayta ulash uchun /google dan foydalaning',
+
+    // ==================== ОБЪЯВЛЕНИЯ ПРОДАВЦА ====================
+    'my.empty': '📭 Sizda faol eʼlonlar yoʻq.\n\nSayt orqali eʼlon yarating: /start',
+    'my.title':
+        '📋 <b>SIZNING EʼLONLARINGIZ</b> ({count})\n\n' +
+        '<i>Narx yoki tavsifni oʻzgartirish, sotildi deb belgilash yoki oʻchirish uchun eʼlon ostidagi tugmalardan foydalaning.</i>',
+
+    'listingStatus.pending': '🕓 Moderatsiyada',
+    'listingStatus.changes_requested': '✏️ Tuzatish talab qilinadi',
+    'listingStatus.rejected': '❌ Rad etildi',
+    'listingStatus.active': '🟢 Faol',
+    'listingStatus.sold': '🔴 Sotildi',
+    'listingStatus.expired': '⌛ Muddati tugadi',
+    'listingStatus.deleted': '🗑 Oʻchirildi',
+
+    'listing.publishedAt': '📅 Joylangan: {date}',
+    'listing.activeUntil': '⏳ Faol: {date} gacha',
+    'listing.link': '↗️ Eʼlonga oʻtish',
+    'listing.notFound': '❌ Eʼlon topilmadi',
+    'listing.unavailable': '❌ Eʼlon mavjud emas',
+    'listing.notActive': '❌ Eʼlon allaqachon olib tashlangan',
+    'listing.notEditable': '❌ Bu eʼlonni tahrirlab boʻlmaydi',
+    'listing.extended': '✅ <b>EʼLON UZAYTIRILDI</b>\n\n📅 Faol: {date} gacha',
+    'listing.extendedShort': '✅ Eʼlon uzaytirildi',
+    'listing.resubmitted': '📤 Moderatsiyaga yuborildi',
+    'listing.markedSold': '✅ Sotildi deb belgilandi',
+    'listing.confirmDelete': 'Oʻchirishni tasdiqlang',
+    'listing.deleted': '🗑 <b>Eʼlon kanaldan oʻchirildi</b>',
+    'listing.deletedShort': '🗑 Eʼlon oʻchirildi',
+
+    'edit.pricePrompt': '💰 Yangi narxni yuboring ({max} belgigacha):',
+    'edit.pricePromptProduct': '💰 Bir {unit} uchun yangi narxni son (masalan, 150) yoki matn bilan yuboring ({max} belgigacha):',
+    'edit.descriptionPrompt': '📝 Yangi tavsifni yuboring ({max} belgigacha):',
+    'edit.cancelled': '❌ Tahrirlash bekor qilindi',
+    'edit.invalidLength': '❌ Uzunlik 1 dan {max} belgigacha boʻlishi kerak. Qaytadan urinib koʻring.',
+    'edit.failed': '❌ Kanaldagi eʼlonni yangilab boʻlmadi. Keyinroq urinib koʻring.',
+    'edit.saved': '✅ <b>Eʼlon yangilandi</b>',
+
+    // ==================== УВЕДОМЛЕНИЯ ПРОДАВЦА ====================
+    'notify.published':
+        '✅ <b>EʼLONINGIZ JOYLANDI!</b>\n\n' +
+        '📊 <b>Maʼlumot:</b>\n' +
+        '• Fayllar: {files}\n' +
+        '• Shahar: {city}\n' +
+        '• Yangiligi: {freshness}\n' +
+        '• Narxi: {price}\n\n' +
+        '<a href="{link}">↗️ Eʼlonga oʻtish</a>\n\n' +
+        '<i>Eʼlon {days} kun faol boʻladi. Eʼlonlarni boshqarish: /my</i>',
+    'notify.submitted':
+        '🕓 <b>EʼLON MODERATSIYAGA YUBORILDI</b>\n\n' +
+        'Administrator uni tekshirib, kanalda joylaydi.\n' +
+        'Qaror haqida sizga xabar beramiz.',
+    'notify.rejected':
+        '❌ <b>EʼLON MODERATSIYADAN OʻTMADI</b>\n\n' +
+        '📍 {city}\n' +
+        '💰 {price}\n\n' +
+        'Agar buni xato deb hisoblasangiz, administrator bilan bogʻlaning.',
+    'notify.changesRequested':
+        '✏️ <b>ADMINISTRATOR TUZATISH KIRITISHNI SOʻRAYAPTI</b>\n\n' +
+        '📍 {city}\n' +
+        '💰 {price}\n\n' +
+        'Narx yoki tavsifni tuzating va eʼlonni /my orqali qayta yuboring',
+    'notify.expired':
+        '⌛ <b>EʼLON MUDDATI TUGADI</b>\n\n' +
+        '📍 {location}\n' +
+        '💰 {price}\n\n' +
+        '<i>Eʼlon olib tashlandi. Yangisini yaratishingiz mumkin.</i>',
+    'notify.expiring':
+        '⏰ <b>EʼLON MUDDATI TEZ ORADA TUGAYDI</b>\n\n' +
+        '📍 {location}\n' +
+        '💰 {price}\n' +
+        '📅 Faol: {date} gacha\n\n' +
+        'Yana {days} kunga uzaytirish uchun quyidagi tugmani bosing.',
+    'notify.removed':
+        '🗑 <b>ADMINISTRATOR EʼLONINGIZNI OLIB TASHLADI</b>\n\n' +
+        '📍 {location}\n' +
+        '💰 {price}\n\n' +
+        '{comment}' +
+        'Agar buni xato deb hisoblasangiz, administrator bilan bogʻlaning.',
+
+    'callback.error': '❌ Soʻrovni qayta ishlashda xatolik',
+    'callback.unknown': '❌ Nomaʼlum buyruq',
+
+    'inline.openPost': '↗️ Eʼlonni ochish',
+    'inline.noResults': '🌸 Hech narsa topilmadi - eʼlon joylashtirish',
+
+    'subscribe.chooseCategory': '🔔 <b>YANGI OBUNA</b>\n\n4 qadamdan 1-qadam. Qanday gullarni qidiryapsiz?',
+    'subscribe.askCity': '4 qadamdan 2-qadam. Shaharni yozing, masalan: <i>Bishkek</i>',
+    'subscribe.askPrice': '4 qadamdan 3-qadam. Birlik uchun eng yuqori narx ({currency}), masalan: <i>200</i>',
+    'subscribe.askKeywords': '4 qadamdan 4-qadam. Kalit soʻzlar boʻsh joy bilan, masalan: <i>qizil 60sm</i>',
+    'subscribe.invalidPrice': '❌ Narxni son bilan yuboring, masalan: 200',
+    'subscribe.invalidText': '❌ {max} belgidan oshmasin',
+    'subscribe.saved':
+        '✅ <b>Obuna saqlandi</b>\n\n{summary}\n\n' +
+        'Mos eʼlon paydo boʻlganda uni shu yerga yuboraman. Barcha obunalar: /subscriptions',
+    'subscribe.limit': '❌ {max} tadan ortiq obuna saqlab boʻlmaydi. Keraksizlarini oʻchiring: /subscriptions',
+    'subscribe.cancelled': '❌ Obuna yaratish bekor qilindi',
+    'subscribe.expired': '⏳ Vaqt tugadi, qaytadan boshlang: /subscribe',
+    'subscriptions.empty': '🔕 Sizda obunalar yoʻq. Yaratish: /subscribe',
+    'subscriptions.title': '🔔 <b>SIZNING OBUNALARINGIZ</b> ({count})\n<i>Raqamli tugma obunani oʻchiradi</i>',
+    'subscriptions.deleted': '🗑 Obuna oʻchirildi',
+    'subscription.anyCategory': 'istalgan gullar',
+    'subscription.anyCity': 'istalgan shahar',
+    'subscription.priceMax': '{amount} gacha',
+    'subscription.match': '🔔 <b>Obunangiz boʻyicha yangi eʼlon</b>\n\n{card}',
+
+    // ==================== ПЕРЕПИСКА С ПРОДАВЦОМ ====================
+    'relay.contactButton': '✉️ Sotuvchiga yozish',
+    'relay.channelPrompt': '💬 Sotuvchiga bot orqali savol bering - kontaktlaringiz yashirin qoladi',
+    'relay.opened':
+        '✉️ <b>SOTUVCHI BILAN YOZISHMA</b>\n\n🌸 {listing}\n📍 {location}\n\n' +
+        'Xabar yozing - bot uni sotuvchiga yuboradi. Sotuvchi ismingiz va akkauntingizni koʻrmaydi, uning maʼlumotlari ham sizdan yashirin.\n\n' +
+        'Yozishmani tugatish: /stop',
+    'relay.newConversation':
+        '✉️ <b>EʼLON BOʻYICHA YANGI XABAR</b>\n\n🌸 {listing}\n<a href="{link}">↗️ Eʼlonni ochish</a>\n\n' +
+        '{alias} sizga bot orqali yozmoqda. Xabar ostidagi tugma bilan javob bering - xaridor ismingiz va akkauntingizni koʻrmaydi.',
+    'relay.buyerAlias': 'Xaridor #{code}',
+    'relay.sellerAlias': 'Sotuvchi',
+    'relay.delivered': '✅ Xabar yuborildi. Javob shu chatga keladi.',
+    'relay.replyMode': '✍️ Javobingizni yozing - {alias} uni ismingizsiz oladi. Tugatish: /stop',
+    'relay.listingUnavailable': '❌ Eʼlon endi dolzarb emas',
+    'relay.ownListing': 'ℹ️ Bu sizning eʼloningiz',
+    'relay.peerUnavailable': '❌ Xabar yetkazilmadi: suhbatdosh mavjud emas',
+    'relay.blocked': '🚫 Suhbatdosh bloklandi va bu yozishmada sizga boshqa yoza olmaydi',
+    'relay.unblocked': '🔓 Suhbatdosh blokdan chiqarildi',
+    'relay.youBlocked': '🚫 Siz bu suhbatdoshni bloklagansiz. Davom etish uchun blokdan chiqaring.',
+    'relay.peerBlocked': '❌ Suhbatdosh yozishmani cheklagan',
+    'relay.reported': '⚠️ Shikoyat administratorga yuborildi',
+    'relay.alreadyReported': 'ℹ️ Shikoyat allaqachon yuborilgan, administrator uni koʻrib chiqadi',
+    'relay.closed': '🔒 Yozishma yopilgan',
+    'relay.closedByAdmin': '🔒 Administrator eʼlon boʻyicha yozishmani yopdi',
+    'relay.stopped': '👋 Yozishma tugadi. Unga xabar ostidagi «Javob berish» tugmasi orqali qaytishingiz mumkin.',
+    'relay.noActive': 'ℹ️ Sizda ochiq yozishma yoʻq',
+
+    // ==================== ОТЗЫВЫ ====================
+    'rating.value': '{average} ★ ({reviews})',
+    'rating.reviews.other': '{count} ta sharh',
+    'review.choose': '⭐ <b>SOTUVCHINI BAHOLASH</b>\n\n🌸 {listing}\n\nSotuvchiga nechta yulduz qoʻyasiz?',
+    'review.askComment': 'Sizning bahongiz: {stars}\n\nQisqa sharh yozing ({max} belgigacha) yoki «Oʻtkazib yuborish» tugmasini bosing',
+    'review.tooLong': '❌ Sharh {max} belgidan oshmasligi kerak',
+    'review.saved': '✅ Rahmat! Sharh saqlandi',
+    'review.notAllowed': 'ℹ️ Sotuvchini u sizga bot orqali javob berganidan keyin baholash mumkin',
+    'review.cancelled': '❌ Baholash bekor qilindi',
+    'review.expired': '⏳ Vaqt tugadi, «Sotuvchini baholash» tugmasini qayta bosing',
+    'review.received': '⭐ <b>YANGI SHARH</b>\n\n{stars}{comment}\n\n🙋 {alias}\n🌸 {listing}\n📊 Sizning reytingingiz: {rating}',
+    'review.dealPrompt': '🌸 «{listing}» eʼloni sotildi. Agar sotuvchi bilan kelishgan boʻlsangiz, uni baholang - bu boshqa xaridorlarga yordam beradi.',
+
+    // ==================== ПОДПИСЬ В КАНАЛЕ ====================
+    'caption.title': 'GULLAR SOTILADI',
+    'caption.description': 'Tavsif:',
+    'caption.location': 'Manzil hududi:',
+    'caption.address': 'Manzil:',
+    'caption.freshness': 'Yangiligi:',
+    'caption.price': 'Narxi:',
+    'caption.contacts': 'Kontaktlar:',
+    'caption.flower': 'Gullar:',
+    'caption.rating': 'Sotuvchi reytingi:',
+    'caption.priceNegotiable': 'Kelishiladi',
+    'caption.contactsInComments': 'Kontaktlar izohlarda',
+    'caption.fullDescription': 'Toʻliq tavsif:',
+    'caption.soldBanner': '🔴 <b>SOTILDI</b>',
+    'caption.expiredBanner': '⛔️ <b>EʼLON DOLZARB EMAS</b>\n<i>Joylashtirish muddati tugagan</i>',
+    'caption.deletedBanner': '🗑 <b>EʼLON OLIB TASHLANDI</b>',
+
+    // ==================== MAHSULOT ====================
+    'unit.stem.other': '{count} poya',
+    'unit.bouquet.other': '{count} guldasta',
+    'unitName.stem': 'poya',
+    'unitName.bouquet': 'guldasta',
+    'currency.KGS': '{amount} som',
+    'currency.UZS': '{amount} soʻm',
+    'currency.RUB': '{amount} ₽',
+    'currency.USD': '{amount} $',
+    'product.pricePerUnit': '{amount} / {unit}',
+    'product.priceWithTotal': '{price}, jami {total}',
+    'product.invalid': 'Mahsulot maʼlumotlarini tekshiring: {errors}',
+    'product.error.category': 'roʻyxatdan gul turini tanlang',
+    'product.error.unit': 'mahsulot birligi: {list}',
+    'product.error.quantity': 'miqdor - 1 dan {max} gacha butun son',
+    'product.error.unitPrice': 'narx - 0 dan katta son, verguldan keyin koʻpi bilan ikki raqam',
+    'product.error.currency': 'valyuta: {list}',
+
+    // ==================== API ====================
+    'auth.required': 'Telegram orqali avtorizatsiya talab qilinadi',
+    'auth.missingHash': 'initData imzosi yoʻq',
+    'auth.invalidSignature': 'initData imzosi notoʻgʻri',
+    'auth.expired': 'initData eskirgan. Ilovani qaytadan oching.',
+    'auth.noUser': 'initData ichida foydalanuvchi maʼlumotlari yoʻq',
+
+    'api.contactsRequired': 'contacts massivi talab qilinadi',
+    'api.minContacts': 'Kamida 3 ta kontakt talab qilinadi',
+    'api.contactsSaved': 'Kontaktlar saqlandi ({count} ta kontakt)',
+    'api.contactsFailed': 'Kontaktlarni saqlashda xatolik',
+    'api.forbiddenUser': 'Boshqa foydalanuvchining maʼlumotlariga kirish mumkin emas',
+    'api.banned': 'Akkauntingiz administrator tomonidan bloklangan',
+    'api.userErased': 'Foydalanuvchi maʼlumotlari oʻchirildi',
+    'api.userEraseFailed': 'Foydalanuvchi maʼlumotlarini oʻchirib boʻlmadi',
+    'api.userNotFound': 'Foydalanuvchi topilmadi. Avval kontaktlarni yuklang.',
+    'api.invalidSearch': 'Qidiruv parametrlari notoʻgʻri: {params}',
+    'api.searchRateLimited': 'Qidiruv soʻrovlari juda koʻp. {seconds} soniyadan keyin qayta urinib koʻring',
+    'api.statusApproved': 'Akkaunt tasdiqlangan. Eʼlon yaratishingiz mumkin.',
+    'api.statusPending': 'Administrator tasdigʻini kuting.',
+
+    'upload.fileTooLarge': 'Fayl juda katta. Maksimum {mb} MB',
+    'upload.tooManyFiles': 'Bir martada koʻpi bilan {max} ta fayl',
+    'upload.unexpectedField': 'Fayllar "files" maydonida yuborilishi kerak',
+    'upload.failed': 'Fayllarni yuklashda xatolik',
+    'upload.noFiles': 'Kamida bitta rasm yoki video qoʻshing',
+    'upload.totalTooLarge': 'Fayllarning umumiy hajmi {mb} MB dan oshadi',
+    'upload.notMedia': '"{name}" fayli rasm yoki MP4/MOV formatidagi video emas',
+    'upload.invalidIds': 'Fayllar roʻyxati notoʻgʻri: uploadIds turli identifikatorlar massivi boʻlishi kerak',
+
+    'publish.notApproved': 'Akkauntingiz hali administrator tomonidan tasdiqlanmagan. Tasdiqni kuting.',
+    'publish.banned': 'Akkauntingiz administrator tomonidan bloklangan. Eʼlon joylash mumkin emas.',
+    'publish.noContacts': 'Kontaktlar yuklanmagan. Avval kontaktlarni yuklang.',
+    'publish.requiredFields': 'Majburiy maydonlarni toʻldiring: {fields}',
+    'publish.field.description': 'tavsif',
+    'publish.field.city': 'shahar',
+    'publish.field.freshness': 'yangiligi',
+    'publish.uploadExpired': '{id} fayli topilmadi yoki eskirgan. Uni qaytadan yuklang.',
+    'publish.fileError': '{index}-fayl: {message}',
+    'publish.noProcessedFiles': 'Birorta ham faylni qayta ishlab boʻlmadi',
+    'publish.pending': 'Eʼlon moderatsiyaga yuborildi. Joylanganda sizga xabar beramiz.',
+    'publish.success': 'Eʼlon {count} ta fayl bilan muvaffaqiyatli joylandi',
+    'publish.textOnly': 'Eʼlon matni joylandi (fayllarsiz)',
+    'publish.failed': 'Eʼlonni joylashda xatolik',
+
+    'media.UNSUPPORTED_FORMAT': 'Fayl formati qoʻllab-quvvatlanmaydi. Rasm yoki video yuklang.',
+    'media.VIDEO_TOO_LARGE': 'Video {mb} MB dan katta. Uni siqing yoki qisqartiring.',
+    'media.PHOTO_TOO_LARGE': 'Rasm siqilgandan keyin ham juda katta',
+    'media.IMAGE_DECODE_FAILED': 'Rasmni qayta ishlab boʻlmadi. Fayl buzilgan boʻlishi mumkin.',
+    'media.VIDEO_INVALID': 'Videoni oʻqib boʻlmadi. Fayl buzilgan boʻlishi mumkin.',
+
+    // ==================== СТРАНИЦЫ ====================
+    'home.tagline': 'Telegram’da gul sotish platformasi<br>Server barqaror ishlamoqda',
+    'home.systemStatus': 'Tizim holati',
+    'home.server': 'Server:',
+    'home.serverRunning': '🟢 Ishlamoqda',
+    'home.users': 'Foydalanuvchilar:',
+    'home.bot': 'Telegram bot:',
+    'home.botActive': '🟢 Faol',
+    'home.botError': '🔴 Xatolik',
+    'home.googleConfigured': '🟢 Sozlangan',
+    'home.googleOptional': '🟡 Ixtiyoriy',
+    'home.endpoints': 'Mavjud API endpointlar:',
+    'home.openBot': 'Telegram botni ochish',
+    'home.updated': 'Yangilangan: {date}',
+
+    'oauth.errorTitle': 'Xatolik',
+    'oauth.notConfigured': '❌ Google API sozlanmagan',
+    'oauth.notConfiguredText': 'Administrator Google integratsiyasini sozlamagan',
+    'oauth.useOtherMethods': 'Iltimos, kontaktlarni import qilishning boshqa usullaridan foydalaning',
+    'oauth.toHome': 'Bosh sahifaga',
+    'oauth.backHome': 'Bosh sahifaga qaytish',
+    'oauth.accessDenied': 'Siz ruxsat berishdan bosh tortdingiz',
+    'oauth.sessionExpired': 'Sessiya eskirgan yoki topilmadi. Botda /google buyrugʻi orqali yangi havola oling.',
+    'oauth.failed': '❌ Avtorizatsiya vaqtida xatolik',
+    'oauth.linkInvalid': 'Kirish havolasi yaroqsiz. Botda /google buyrugʻi orqali yangi havola oling.',
+    'oauth.linkExpired': 'Havolaning muddati tugagan. Botda /google buyrugʻi orqali yangi havola oling.',
+    'oauth.linkUsed': 'Bu havola allaqachon ishlatilgan. Botda /google buyrugʻi orqali yangi havola oling.',
+    'oauth.authFailed': 'Google orqali kirishni yakunlab boʻlmadi. Qaytadan urinib koʻring: botda /google.',
+    'oauth.errorId': 'Xatolik kodi: {id}',
+    'oauth.successTitle': 'Avtorizatsiya muvaffaqiyatli',
+    'oauth.success': 'Avtorizatsiya muvaffaqiyatli oʻtdi!',
+    'oauth.name': '👤 Ism:',
+    'oauth.email': '📧 Email:',
+    'oauth.contactsImported': '📞 Import qilingan kontaktlar:',
+    'oauth.adminNotified': 'Administrator arizangiz haqida xabar oldi.',
+    'oauth.waitApproval': 'Tasdiqni kuting (odatda 24 soatgacha).',
+    'oauth.redirecting': '3 soniyadan keyin saytga oʻtasiz...'
+};
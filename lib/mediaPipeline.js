@@ -0,0 +1,251 @@
+// lib/mediaPipeline.js - Подготовка фото и видео к отправке в Telegram
+//
+// Тип файла определяется по сигнатуре (magic bytes), а не по MIME-типу от клиента.
+// Фото любых поддерживаемых форматов (включая HEIC с iPhone) перекодируются в JPEG,
+// уменьшаются до размеров, которые принимает Telegram, и очищаются от EXIF/GPS,
+// чтобы не раскрывать местоположение продавца. Видео принимаются только в MP4 и MOV:
+// у них затираются блоки метаданных (в том числе координаты съемки, атом ©xyz),
+// а размер проверяется на лимит Telegram для ботов до начала отправки.
+// Остальные видеоформаты (WebM и т.п.) так очистить нельзя, поэтому они не принимаются.
+const fs = require('fs');
+const sharp = require('sharp');
+const heicConvert = require('heic-convert');
+
+// Ограничение Telegram на файлы, отправляемые ботом
+const TELEGRAM_BOT_UPLOAD_LIMIT = 50 * 1024 * 1024;
+// Ограничения Telegram для фото: 10 МБ, сумма сторон до 10000
+const TELEGRAM_PHOTO_LIMIT = 10 * 1024 * 1024;
+const PHOTO_MAX_SIDE = 2560;
+const PHOTO_QUALITY = 85;
+
+const HEADER_SIZE = 64;
+
+// Ошибка обработки медиа, текст можно показать пользователю
+class MediaError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'MediaError';
+        this.code = code;
+    }
+}
+
+// Бренды контейнера ISO BMFF (ftyp)
+const HEIF_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+const AVIF_BRANDS = ['avif', 'avis'];
+const QUICKTIME_BRANDS = ['qt  '];
+const MP4_BRANDS = ['isom', 'iso2', 'iso3', 'iso4', 'iso5', 'iso6', 'mp41', 'mp42', 'avc1', 'M4V ', 'MSNV', 'dash'];
+
+// Блоки MP4/MOV с метаданными (udta - в т.ч. ©xyz, meta - ключи Apple, uuid - XMP)
+// и контейнеры, внутри которых они встречаются
+const VIDEO_METADATA_BOXES = ['udta', 'meta', 'uuid'];
+const VIDEO_CONTAINER_BOXES = ['moov', 'trak', 'mdia', 'minf'];
+const BOX_HEADER_SIZE = 16;
+const ZERO_CHUNK = Buffer.alloc(64 * 1024);
+
+// Основной и совместимые бренды из блока ftyp в начале файла
+function readFtypBrands(header) {
+    const boxSize = Math.min(header.readUInt32BE(0), header.length);
+    const brands = [header.toString('ascii', 8, 12)];
+    for (let offset = 16; offset + 4 <= boxSize; offset += 4) {
+        brands.push(header.toString('ascii', offset, offset + 4));
+    }
+    return brands;
+}
+
+// Определение формата по первым байтам файла
+function detectFormat(header) {
+    if (header.length >= 3 && header[0] === 0xff && header[1] === 0xd8 && header[2] === 0xff) {
+        return { kind: 'image', format: 'jpeg', mimeType: 'image/jpeg' };
+    }
+    if (header.length >= 8 && header.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+        return { kind: 'image', format: 'png', mimeType: 'image/png' };
+    }
+    if (header.length >= 6 && ['GIF87a', 'GIF89a'].includes(header.toString('ascii', 0, 6))) {
+        return { kind: 'image', format: 'gif', mimeType: 'image/gif' };
+    }
+    if (header.length >= 12 && header.toString('ascii', 0, 4) === 'RIFF' && header.toString('ascii', 8, 12) === 'WEBP') {
+        return { kind: 'image', format: 'webp', mimeType: 'image/webp' };
+    }
+    if (header.length >= 12 && header.toString('ascii', 4, 8) === 'ftyp') {
+        const brands = readFtypBrands(header);
+        const [brand] = brands;
+        if (HEIF_BRANDS.includes(brand)) {
+            return { kind: 'image', format: 'heic', mimeType: 'image/heic' };
+        }
+        if (AVIF_BRANDS.includes(brand)) {
+            return { kind: 'image', format: 'avif', mimeType: 'image/avif' };
+        }
+        if (QUICKTIME_BRANDS.includes(brand)) {
+            return { kind: 'video', format: 'mov', mimeType: 'video/quicktime' };
+        }
+        // Незнакомый основной бренд допустим, если файл объявляет совместимость с MP4
+        if (brands.some(compatible => MP4_BRANDS.includes(compatible))) {
+            return { kind: 'video', format: 'mp4', mimeType: 'video/mp4' };
+        }
+    }
+    return null;
+}
+
+async function readHeader(filepath) {
+    const handle = await fs.promises.open(filepath, 'r');
+    try {
+        const buffer = Buffer.alloc(HEADER_SIZE);
+        const { bytesRead } = await handle.read(buffer, 0, HEADER_SIZE, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+}
+
+// Определение формата файла на диске
+async function detectFileFormat(filepath) {
+    return detectFormat(await readHeader(filepath));
+}
+
+// Затирание метаданных MP4/MOV на месте: блок получает тип free и заполняется нулями.
+// Размеры блоков не меняются, поэтому смещения кадров в stco/co64 остаются верными
+async function stripVideoMetadata(filepath, fileSize) {
+    const handle = await fs.promises.open(filepath, 'r+');
+    const header = Buffer.alloc(BOX_HEADER_SIZE);
+    let hasMovie = false;
+
+    async function blankBox(start, end) {
+        for (let offset = start; offset < end; offset += ZERO_CHUNK.length) {
+            await handle.write(ZERO_CHUNK, 0, Math.min(ZERO_CHUNK.length, end - offset), offset);
+        }
+    }
+
+    async function walk(start, end) {
+        let offset = start;
+        while (offset + 8 <= end) {
+            const { bytesRead } = await handle.read(header, 0, BOX_HEADER_SIZE, offset);
+            let boxSize = header.readUInt32BE(0);
+            let headerSize = 8;
+            const type = header.toString('latin1', 4, 8);
+
+            if (boxSize === 1 && bytesRead >= 16) {
+                boxSize = Number(header.readBigUInt64BE(8));
+                headerSize = 16;
+            } else if (boxSize === 0) {
+                boxSize = end - offset;
+            }
+            if (boxSize < headerSize || offset + boxSize > end) {
+                throw new MediaError('Видеофайл поврежден', 'VIDEO_INVALID');
+            }
+
+            if (type === 'moov') {
+                hasMovie = true;
+            }
+            if (VIDEO_METADATA_BOXES.includes(type)) {
+                await handle.write(Buffer.from('free', 'latin1'), 0, 4, offset + 4);
+                await blankBox(offset + headerSize, offset + boxSize);
+            } else if (VIDEO_CONTAINER_BOXES.includes(type)) {
+                await walk(offset + headerSize, offset + boxSize);
+            }
+            offset += boxSize;
+        }
+    }
+
+    try {
+        await walk(0, fileSize);
+    } finally {
+        await handle.close();
+    }
+
+    if (!hasMovie) {
+        throw new MediaError('Видеофайл поврежден', 'VIDEO_INVALID');
+    }
+}
+
+// Перекодирование фото в JPEG без метаданных
+async function normalizeImage(filepath, format) {
+    let input = filepath;
+
+    // Сборка libvips в sharp не декодирует HEVC, поэтому HEIC сначала переводим в JPEG
+    if (format === 'heic') {
+        input = await heicConvert({
+            buffer: await fs.promises.readFile(filepath),
+            format: 'JPEG',
+            quality: 1
+        });
+    }
+
+    const outputPath = `${filepath}.jpg`;
+    let quality = PHOTO_QUALITY;
+    let info;
+
+    // sharp не копирует EXIF/GPS в результат, пока не вызван withMetadata()
+    do {
+        info = await sharp(input, { animated: false })
+            .rotate()
+            .resize({
+                width: PHOTO_MAX_SIDE,
+                height: PHOTO_MAX_SIDE,
+                fit: 'inside',
+                withoutEnlargement: true
+            })
+            .flatten({ background: '#ffffff' })
+            .jpeg({ quality, mozjpeg: true })
+            .toFile(outputPath);
+        quality -= 15;
+    } while (info.size > TELEGRAM_PHOTO_LIMIT && quality > 30);
+
+    if (info.size > TELEGRAM_PHOTO_LIMIT) {
+        throw new MediaError('Фото слишком большое даже после сжатия', 'PHOTO_TOO_LARGE');
+    }
+
+    return {
+        type: 'photo',
+        path: outputPath,
+        mimeType: 'image/jpeg',
+        size: info.size,
+        width: info.width,
+        height: info.height
+    };
+}
+
+// Подготовка одного файла: { type, path, mimeType, size, originalFormat }
+async function processMediaFile(filepath) {
+    const detected = await detectFileFormat(filepath);
+
+    if (!detected) {
+        throw new MediaError('Неподдерживаемый формат файла. Загрузите фото или видео.', 'UNSUPPORTED_FORMAT');
+    }
+
+    const { size } = await fs.promises.stat(filepath);
+
+    if (detected.kind === 'video') {
+        if (size > TELEGRAM_BOT_UPLOAD_LIMIT) {
+            throw new MediaError(
+                `Видео больше ${TELEGRAM_BOT_UPLOAD_LIMIT / 1024 / 1024} МБ. Сожмите его или обрежьте.`,
+                'VIDEO_TOO_LARGE'
+            );
+        }
+        await stripVideoMetadata(filepath, size);
+        return {
+            type: 'video',
+            path: filepath,
+            mimeType: detected.mimeType,
+            size,
+            originalFormat: detected.format
+        };
+    }
+
+    try {
+        const image = await normalizeImage(filepath, detected.format);
+        return { ...image, originalFormat: detected.format };
+    } catch (error) {
+        if (error instanceof MediaError) {
+            throw error;
+        }
+        throw new MediaError('Не удалось обработать фото. Возможно, файл поврежден.', 'IMAGE_DECODE_FAILED');
+    }
+}
+
+module.exports = {
+    MediaError,
+    TELEGRAM_BOT_UPLOAD_LIMIT,
+    detectFormat,
+    detectFileFormat,
+    processMediaFile
+};
@@ -0,0 +1,62 @@
+// lib/moderationModel.js - Решения по продавцам: отказы и блокировки
+//
+// Администратор отклоняет заявку с одной из причин списка; текст причины
+// пользователь получает на своем языке (ключи rejectReason.* в каталогах).
+// Отклоненный пользователь может подать заявку повторно командой /reapply,
+// но не раньше, чем пройдет пауза после отказа. Блокировка бывает бессрочной
+// или до даты bannedUntil: после нее пользователь снова считается активным.
+const { t } = require('./i18n');
+
+const REJECTION_REASONS = ['few_contacts', 'suspicious', 'rules', 'duplicate', 'other'];
+
+// Единицы срока блокировки: 12h, 7d, 2w (или 12ч, 7д, 2н)
+const BAN_DURATION_UNITS = {
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000,
+    w: 7 * 24 * 60 * 60 * 1000
+};
+const BAN_DURATION_ALIASES = { 'ч': 'h', 'д': 'd', 'н': 'w' };
+
+function isValidRejectionReason(reason) {
+    return REJECTION_REASONS.includes(reason);
+}
+
+// Текст причины; для старых отказов без причины - "другая причина"
+function formatRejectionReason(reason, locale) {
+    return t(locale, `rejectReason.${isValidRejectionReason(reason) ? reason : 'other'}`);
+}
+
+// Когда можно подать повторную заявку; null - уже можно
+function getReapplyAvailableAt(user, cooldownMs, now = new Date()) {
+    if (!user.rejectedAt) {
+        return null;
+    }
+    const availableAt = new Date(new Date(user.rejectedAt).getTime() + cooldownMs);
+    return availableAt > now ? availableAt : null;
+}
+
+// Срок блокировки в мс из "7d"; null, если это не срок
+function parseBanDuration(value) {
+    const match = String(value ?? '').toLowerCase().match(/^(\d{1,4})([hdwчдн])$/);
+    if (!match || Number(match[1]) === 0) {
+        return null;
+    }
+    return Number(match[1]) * BAN_DURATION_UNITS[BAN_DURATION_ALIASES[match[2]] || match[2]];
+}
+
+// Действует ли блокировка сейчас
+function isUserBanned(user, now = new Date()) {
+    if (!user?.banned) {
+        return false;
+    }
+    return !user.bannedUntil || new Date(user.bannedUntil) > now;
+}
+
+module.exports = {
+    REJECTION_REASONS,
+    isValidRejectionReason,
+    formatRejectionReason,
+    getReapplyAvailableAt,
+    parseBanDuration,
+    isUserBanned
+};
@@ -0,0 +1,67 @@
+// lib/oauthLink.js - Подписанные ссылки для входа через Google
+//
+// Ссылку на /auth/google выдает бот, и в ней нет открытых userId и chatId:
+// они лежат в токене вместе со сроком действия и случайным идентификатором,
+// а токен подписан HMAC. Изменить или подделать токен без секрета нельзя.
+// Повторное использование ссылки отсекает сервер: он запоминает
+// идентификаторы уже открытых ссылок до конца их срока.
+const crypto = require('crypto');
+
+const LINK_ID_BYTES = 12;
+
+function sign(data, secret) {
+    return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+// Токен "данные.подпись" для ссылки /auth/google?token=...
+function createOAuthLinkToken({ userId, chatId, redirect }, secret, ttlMs, now = Date.now()) {
+    const payload = {
+        id: crypto.randomBytes(LINK_ID_BYTES).toString('base64url'),
+        u: String(userId),
+        c: String(chatId),
+        r: redirect,
+        exp: now + ttlMs
+    };
+    const data = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return `${data}.${sign(data, secret)}`;
+}
+
+// Проверка токена: { link } или { error: 'invalid' | 'expired' }
+function verifyOAuthLinkToken(token, secret, now = Date.now()) {
+    const [data, signature, ...rest] = String(token ?? '').split('.');
+    if (!data || !signature || rest.length > 0) {
+        return { error: 'invalid' };
+    }
+
+    const expected = Buffer.from(sign(data, secret));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return { error: 'invalid' };
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
+    } catch (error) {
+        return { error: 'invalid' };
+    }
+
+    if (!payload?.id || !payload.u || !payload.c || !Number.isFinite(payload.exp)) {
+        return { error: 'invalid' };
+    }
+    if (payload.exp <= now) {
+        return { error: 'expired' };
+    }
+
+    return {
+        link: {
+            id: payload.id,
+            userId: payload.u,
+            chatId: payload.c,
+            redirect: payload.r,
+            expiresAt: payload.exp
+        }
+    };
+}
+
+module.exports = { createOAuthLinkToken, verifyOAuthLinkToken };
@@ -0,0 +1,71 @@
+// lib/permissions.js - Роли администраторов и права на действия
+//
+// Администраторы хранятся в реестре (коллекция admins): Telegram ID и роль.
+// Роль дает набор прав; право смотреть контакты продавцов выдается отдельно
+// флагом canViewContacts, у владельца оно есть всегда.
+
+const PERMISSIONS = {
+    USERS_VIEW: 'users.view',
+    USERS_MODERATE: 'users.moderate',
+    CONTACTS_VIEW: 'contacts.view',
+    LISTINGS_MODERATE: 'listings.moderate',
+    REVIEWS_MODERATE: 'reviews.moderate',
+    RELAY_MODERATE: 'relay.moderate',
+    SETTINGS_MANAGE: 'settings.manage',
+    ADMINS_MANAGE: 'admins.manage'
+};
+
+// Права ролей: владелец может все, наблюдатель только смотрит
+const ROLE_PERMISSIONS = {
+    owner: Object.values(PERMISSIONS),
+    moderator: [
+        PERMISSIONS.USERS_VIEW,
+        PERMISSIONS.USERS_MODERATE,
+        PERMISSIONS.LISTINGS_MODERATE,
+        PERMISSIONS.REVIEWS_MODERATE,
+        PERMISSIONS.RELAY_MODERATE
+    ],
+    viewer: [
+        PERMISSIONS.USERS_VIEW
+    ]
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const ROLE_NAMES = {
+    owner: '👑 Владелец',
+    moderator: '🛡 Модератор',
+    viewer: '👁 Наблюдатель'
+};
+
+function isValidRole(role) {
+    return ROLES.includes(role);
+}
+
+// Есть ли у администратора право; admin - запись реестра или null
+function hasRolePermission(admin, permission) {
+    if (!admin || !isValidRole(admin.role)) {
+        return false;
+    }
+    if (permission === PERMISSIONS.CONTACTS_VIEW && admin.canViewContacts) {
+        return true;
+    }
+    return ROLE_PERMISSIONS[admin.role].includes(permission);
+}
+
+// "123, 456" -> ['123', '456']
+function parseOwnerIds(value) {
+    return String(value || '')
+        .split(',')
+        .map(id => id.trim())
+        .filter(id => /^\d+$/.test(id));
+}
+
+module.exports = {
+    PERMISSIONS,
+    ROLES,
+    ROLE_NAMES,
+    isValidRole,
+    hasRolePermission,
+    parseOwnerIds
+};
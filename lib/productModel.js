@@ -0,0 +1,177 @@
+// lib/productModel.js - Товар в объявлении: вид цветов, количество и цена
+//
+// Вид цветов выбирается из справочника категорий, который ведут администраторы
+// (коллекция categories). Цена хранится числом за единицу товара вместе с валютой,
+// а в подписи выводится на языке объявления. Хэштеги для поиска по каналу
+// собираются из категории и города.
+const { plural, formatNumber, t } = require('./i18n');
+
+// Единицы товара
+const UNITS = ['stem', 'bouquet'];
+
+// Валюты цены
+const CURRENCIES = ['KGS', 'UZS', 'RUB', 'USD'];
+
+const MAX_QUANTITY = 100000;
+const MAX_UNIT_PRICE = 1000000000;
+
+// Справочник по умолчанию: записывается в хранилище при первом запуске
+const DEFAULT_CATEGORIES = [
+    { id: 'roses', hashtag: '#розы', names: { ru: 'Розы', ky: 'Роза', uz: 'Atirgullar', en: 'Roses' } },
+    { id: 'tulips', hashtag: '#тюльпаны', names: { ru: 'Тюльпаны', ky: 'Жоогазын', uz: 'Lolalar', en: 'Tulips' } },
+    { id: 'chrysanthemums', hashtag: '#хризантемы', names: { ru: 'Хризантемы', ky: 'Хризантема', uz: 'Xrizantemalar', en: 'Chrysanthemums' } },
+    { id: 'peonies', hashtag: '#пионы', names: { ru: 'Пионы', ky: 'Пион', uz: 'Pionlar', en: 'Peonies' } },
+    { id: 'carnations', hashtag: '#гвоздики', names: { ru: 'Гвоздики', ky: 'Гвоздика', uz: 'Chinnigullar', en: 'Carnations' } },
+    { id: 'lilies', hashtag: '#лилии', names: { ru: 'Лилии', ky: 'Лилия', uz: 'Lilyalar', en: 'Lilies' } },
+    { id: 'gerberas', hashtag: '#герберы', names: { ru: 'Герберы', ky: 'Гербера', uz: 'Gerberalar', en: 'Gerberas' } },
+    { id: 'eustoma', hashtag: '#эустома', names: { ru: 'Эустома', ky: 'Эустома', uz: 'Eustoma', en: 'Eustoma' } },
+    { id: 'bouquets', hashtag: '#букеты', names: { ru: 'Букеты', ky: 'Букеттер', uz: 'Guldastalar', en: 'Mixed bouquets' } },
+    { id: 'potted', hashtag: '#комнатныецветы', names: { ru: 'Комнатные растения', ky: 'Бөлмө гүлдөрү', uz: 'Xona gullari', en: 'Potted plants' } }
+];
+
+// Название категории на языке объявления (русское, если перевода нет)
+function getCategoryName(category, locale) {
+    if (!category) {
+        return '';
+    }
+    return category.names?.[locale] || category.names?.ru || category.id;
+}
+
+// "#Бишкек", "#комнатныецветы": в хэштеге только буквы, цифры и _
+function toHashtag(value) {
+    const tag = String(value ?? '').replace(/^#/, '').replace(/[^\p{L}\p{N}_]+/gu, '');
+    return tag ? `#${tag}` : '';
+}
+
+function parseNumber(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const number = typeof value === 'number' ? value : Number(String(value).replace(',', '.').replace(/\s+/g, ''));
+    return Number.isFinite(number) ? number : NaN;
+}
+
+// Цена из сообщения продавца: "150", "1 500", "2,5"; null, если это не число
+function parseUnitPrice(value) {
+    if (!/^\d[\d\s]*([.,]\d{1,2})?$/.test(String(value).trim())) {
+        return null;
+    }
+    const amount = parseNumber(String(value).trim());
+    return amount > 0 && amount <= MAX_UNIT_PRICE ? amount : null;
+}
+
+// Проверка товара из запроса
+// getCategory(id) - активная категория справочника или null
+// Возвращает { product, errors }, где errors - [{ field, params }]
+function validateProduct(input, getCategory, defaultCurrency = CURRENCIES[0]) {
+    const errors = [];
+    const data = input && typeof input === 'object' ? input : {};
+
+    const category = getCategory(String(data.category || ''));
+    if (!category) {
+        errors.push({ field: 'category' });
+    }
+
+    const unit = data.unit || UNITS[0];
+    if (!UNITS.includes(unit)) {
+        errors.push({ field: 'unit', params: { list: UNITS.join(', ') } });
+    }
+
+    const quantity = parseNumber(data.quantity);
+    if (quantity !== null && (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_QUANTITY)) {
+        errors.push({ field: 'quantity', params: { max: MAX_QUANTITY } });
+    }
+
+    const unitPrice = parseNumber(data.unitPrice);
+    if (unitPrice !== null && (!(unitPrice > 0) || unitPrice > MAX_UNIT_PRICE || Math.abs(Math.round(unitPrice * 100) - unitPrice * 100) > 1e-6)) {
+        errors.push({ field: 'unitPrice' });
+    }
+
+    const currency = String(data.currency || defaultCurrency).toUpperCase();
+    if (!CURRENCIES.includes(currency)) {
+        errors.push({ field: 'currency', params: { list: CURRENCIES.join(', ') } });
+    }
+
+    if (errors.length > 0) {
+        return { product: null, errors };
+    }
+
+    return {
+        product: {
+            category: category.id,
+            quantity,
+            unit,
+            unitPrice,
+            currency
+        },
+        errors
+    };
+}
+
+// "150 сом", "$150"
+function formatAmount(amount, currency, locale) {
+    return t(locale, `currency.${currency}`, { amount: formatNumber(locale, amount) });
+}
+
+// "101 стебель", "5 букетов"
+function formatQuantity(product, locale) {
+    if (!product?.quantity) {
+        return '';
+    }
+    return plural(locale, `unit.${product.unit}`, product.quantity, { count: formatNumber(locale, product.quantity) });
+}
+
+// "150 сом за стебель, всего 15 150 сом"; пустая строка, если цена не указана
+function formatProductPrice(product, locale) {
+    if (!product?.unitPrice) {
+        return '';
+    }
+
+    const price = t(locale, 'product.pricePerUnit', {
+        amount: formatAmount(product.unitPrice, product.currency, locale),
+        unit: t(locale, `unitName.${product.unit}`)
+    });
+
+    if (!product.quantity || product.quantity === 1) {
+        return price;
+    }
+
+    return t(locale, 'product.priceWithTotal', {
+        price,
+        total: formatAmount(Math.round(product.unitPrice * product.quantity * 100) / 100, product.currency, locale)
+    });
+}
+
+// Хэштеги объявления: сначала по категории и городу, затем указанные продавцом
+function buildListingHashtags({ category, city, hashtags = '' }) {
+    const tags = [
+        category?.hashtag,
+        city,
+        ...String(hashtags).split(/\s+/)
+    ].map(toHashtag).filter(Boolean);
+
+    const seen = new Set();
+    return tags.filter(tag => {
+        const key = tag.toLowerCase();
+        if (seen.has(key)) {
+            return false;
+        }
+        seen.add(key);
+        return true;
+    }).join(' ');
+}
+
+module.exports = {
+    UNITS,
+    CURRENCIES,
+    MAX_QUANTITY,
+    DEFAULT_CATEGORIES,
+    getCategoryName,
+    toHashtag,
+    parseUnitPrice,
+    validateProduct,
+    formatAmount,
+    formatQuantity,
+    formatProductPrice,
+    buildListingHashtags
+};
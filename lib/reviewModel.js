@@ -0,0 +1,55 @@
+// lib/reviewModel.js - Отзывы покупателей о продавцах
+//
+// Покупатель ставит продавцу оценку от 1 до 5 и может добавить комментарий.
+// От одного покупателя учитывается один отзыв на продавца: повторная оценка
+// заменяет прежнюю. Удаленные администратором отзывы остаются в хранилище
+// с отметкой removedAt, но в рейтинг не входят.
+const { plural, formatNumber, t } = require('./i18n');
+
+const MIN_RATING = 1;
+const MAX_RATING = 5;
+const REVIEW_COMMENT_MAX_LENGTH = 500;
+
+function isValidRating(value) {
+    return Number.isInteger(value) && value >= MIN_RATING && value <= MAX_RATING;
+}
+
+// Средняя оценка и число отзывов без удаленных
+function summarizeReviews(reviews) {
+    const active = reviews.filter(review => !review.removedAt);
+    if (active.length === 0) {
+        return { average: null, count: 0 };
+    }
+    const total = active.reduce((sum, review) => sum + review.rating, 0);
+    return {
+        average: Math.round(total / active.length * 10) / 10,
+        count: active.length
+    };
+}
+
+// "★★★★☆"
+function formatStars(rating) {
+    const filled = Math.round(rating);
+    return '★'.repeat(filled) + '☆'.repeat(MAX_RATING - filled);
+}
+
+// "4,8 ★ (12 отзывов)"; пустая строка, если отзывов нет
+function formatRating(summary, locale) {
+    if (!summary?.count) {
+        return '';
+    }
+    return t(locale, 'rating.value', {
+        average: formatNumber(locale, summary.average),
+        reviews: plural(locale, 'rating.reviews', summary.count, { count: formatNumber(locale, summary.count) })
+    });
+}
+
+module.exports = {
+    MIN_RATING,
+    MAX_RATING,
+    REVIEW_COMMENT_MAX_LENGTH,
+    isValidRating,
+    summarizeReviews,
+    formatStars,
+    formatRating
+};
@@ -0,0 +1,375 @@
+// lib/storage.js - Хранилище данных Flower Market
+//
+// Коллекции держатся в памяти, а на диске хранятся как снимок (snapshot.json)
+// и журнал изменений (journal.log). Каждое изменение сначала попадает в журнал,
+// журнал пишется пачками и синхронизируется на диск (fsync). Снимок
+// перезаписывается атомарно (временный файл + rename), после чего журнал
+// очищается. При запуске снимок загружается, а журнал проигрывается поверх него,
+// поэтому падение процесса в любой момент теряет не больше одной пачки.
+const fs = require('fs');
+const path = require('path');
+
+const SNAPSHOT_FILE = 'snapshot.json';
+const JOURNAL_FILE = 'journal.log';
+
+// Коллекции, которые использует сервер
+const COLLECTIONS = ['users', 'listings', 'oauthState', 'captionTemplates', 'categories', 'subscriptions', 'conversations', 'reviews', 'admins', 'blocklist', 'oauthLinks'];
+// Журналы только для добавления записей
+const LOGS = ['moderation'];
+
+function createStorage(options = {}) {
+    const {
+        dir,
+        flushIntervalMs = 500,
+        compactThreshold = 1000,
+        // { [коллекция]: { serialize, deserialize } } - преобразование записей
+        codecs = {}
+    } = options;
+
+    if (!dir) {
+        throw new Error('Не указана папка хранилища');
+    }
+
+    const snapshotPath = path.join(dir, SNAPSHOT_FILE);
+    const journalPath = path.join(dir, JOURNAL_FILE);
+
+    const collections = new Map();
+    const logs = new Map();
+    let queue = [];
+    let journalOps = 0;
+    let flushTimer = null;
+    let closed = false;
+    // Запись журнала и снимка выполняется строго по очереди
+    let chain = Promise.resolve();
+
+    function exclusive(task) {
+        const run = chain.then(task, task);
+        chain = run.catch(() => {});
+        return run;
+    }
+
+    function encode(name, value) {
+        return codecs[name] ? codecs[name].serialize(value) : value;
+    }
+
+    function decode(name, value) {
+        return codecs[name] ? codecs[name].deserialize(value) : value;
+    }
+
+    // ==================== ЖУРНАЛ ====================
+
+    function record(op) {
+        if (closed) {
+            throw new Error('Хранилище закрыто');
+        }
+        queue.push(JSON.stringify(op));
+        scheduleFlush();
+    }
+
+    function scheduleFlush() {
+        if (flushTimer) return;
+        flushTimer = setTimeout(() => {
+            flushTimer = null;
+            flush().catch(error => console.error('❌ Ошибка записи журнала хранилища:', error));
+        }, flushIntervalMs);
+    }
+
+    async function writeJournal(lines) {
+        const handle = await fs.promises.open(journalPath, 'a');
+        try {
+            await handle.appendFile(lines.join('\n') + '\n', 'utf8');
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+    }
+
+    // Запись накопленных изменений одной пачкой
+    async function writeQueue() {
+        if (queue.length > 0) {
+            const lines = queue;
+            queue = [];
+
+            try {
+                await writeJournal(lines);
+            } catch (error) {
+                // Возвращаем строки в очередь, чтобы не потерять изменения
+                queue = lines.concat(queue);
+                throw error;
+            }
+            journalOps += lines.length;
+        }
+
+        if (journalOps >= compactThreshold) {
+            await writeSnapshot();
+        }
+    }
+
+    function flush() {
+        return exclusive(writeQueue);
+    }
+
+    // ==================== СНИМОК ====================
+
+    function serialize() {
+        const data = { version: 1, savedAt: new Date().toISOString(), collections: {}, logs: {} };
+        for (const [name, map] of collections) {
+            data.collections[name] = {};
+            for (const [id, value] of map) {
+                data.collections[name][id] = encode(name, value);
+            }
+        }
+        for (const [name, entries] of logs) {
+            data.logs[name] = entries;
+        }
+        return data;
+    }
+
+    async function writeFileAtomic(filePath, content) {
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        const handle = await fs.promises.open(tempPath, 'w');
+        try {
+            await handle.writeFile(content, 'utf8');
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+        await fs.promises.rename(tempPath, filePath);
+    }
+
+    // Перезапись снимка и очистка журнала
+    async function writeSnapshot() {
+        // Снимок включает изменения из очереди, поэтому они больше не нужны в журнале
+        const content = JSON.stringify(serialize());
+        const pending = queue;
+        queue = [];
+
+        try {
+            await writeFileAtomic(snapshotPath, content);
+        } catch (error) {
+            queue = pending.concat(queue);
+            throw error;
+        }
+        await fs.promises.writeFile(journalPath, '');
+        journalOps = 0;
+    }
+
+    function compact() {
+        return exclusive(writeSnapshot);
+    }
+
+    function applyOp(op) {
+        if (op.log) {
+            getLogEntries(op.log).push(op.entry);
+            return;
+        }
+
+        const map = getMap(op.c);
+        if (op.op === 'set') {
+            map.set(op.id, op.v);
+        } else if (op.op === 'delete') {
+            map.delete(op.id);
+        } else if (op.op === 'clear') {
+            map.clear();
+        }
+    }
+
+    // ==================== ЗАГРУЗКА ====================
+
+    function load() {
+        let corrupted = false;
+        fs.mkdirSync(dir, { recursive: true });
+
+        if (fs.existsSync(snapshotPath)) {
+            const data = JSON.parse(fs.readFileSync(snapshotPath, 'utf8'));
+            for (const [name, records] of Object.entries(data.collections || {})) {
+                const map = getMap(name);
+                for (const [id, value] of Object.entries(records)) {
+                    map.set(id, value);
+                }
+            }
+            for (const [name, entries] of Object.entries(data.logs || {})) {
+                getLogEntries(name).push(...entries);
+            }
+        }
+
+        if (fs.existsSync(journalPath)) {
+            const lines = fs.readFileSync(journalPath, 'utf8').split('\n');
+            for (const line of lines) {
+                if (!line.trim()) continue;
+                try {
+                    applyOp(JSON.parse(line));
+                    journalOps++;
+                } catch (error) {
+                    // Недописанная строка после аварийного завершения
+                    console.warn('⚠️ Пропущена поврежденная запись журнала хранилища');
+                    corrupted = true;
+                    break;
+                }
+            }
+        }
+
+        // Записи в памяти хранятся в рабочем виде (например, с датами)
+        for (const [name, map] of collections) {
+            for (const [id, value] of map) {
+                map.set(id, decode(name, value));
+            }
+        }
+
+        // Сразу сохраняем снимок, чтобы новые записи не попали в журнал после поврежденной
+        if (corrupted) {
+            repairJournal();
+        }
+    }
+
+    function repairJournal() {
+        const tempPath = `${snapshotPath}.${process.pid}.tmp`;
+        const fd = fs.openSync(tempPath, 'w');
+        try {
+            fs.writeFileSync(fd, JSON.stringify(serialize()), 'utf8');
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(tempPath, snapshotPath);
+        fs.writeFileSync(journalPath, '');
+        journalOps = 0;
+    }
+
+    // ==================== КОЛЛЕКЦИИ ====================
+
+    function getMap(name) {
+        if (!collections.has(name)) {
+            collections.set(name, new Map());
+        }
+        return collections.get(name);
+    }
+
+    function getLogEntries(name) {
+        if (!logs.has(name)) {
+            logs.set(name, []);
+        }
+        return logs.get(name);
+    }
+
+    // Коллекция с интерфейсом Map; каждое изменение попадает в журнал
+    function collection(name) {
+        const map = getMap(name);
+
+        return {
+            get: id => map.get(id),
+            has: id => map.has(id),
+            set(id, value) {
+                map.set(id, value);
+                record({ c: name, op: 'set', id, v: encode(name, value) });
+                return this;
+            },
+            delete(id) {
+                const existed = map.delete(id);
+                if (existed) {
+                    record({ c: name, op: 'delete', id });
+                }
+                return existed;
+            },
+            clear() {
+                map.clear();
+                record({ c: name, op: 'clear' });
+            },
+            keys: () => map.keys(),
+            values: () => map.values(),
+            entries: () => map.entries(),
+            forEach: callback => map.forEach(callback),
+            [Symbol.iterator]: () => map.entries(),
+            get size() {
+                return map.size;
+            }
+        };
+    }
+
+    // Журнал только для добавления (записи не изменяются и не удаляются)
+    function log(name) {
+        const entries = getLogEntries(name);
+
+        return {
+            append(entry) {
+                const stamped = { ...entry, at: entry.at || new Date().toISOString() };
+                entries.push(stamped);
+                record({ log: name, entry: stamped });
+                return stamped;
+            },
+            all: () => entries.slice(),
+            get size() {
+                return entries.length;
+            }
+        };
+    }
+
+    // ==================== ИМПОРТ ====================
+
+    // Разовый перенос данных из старых users.json / listings.json.
+    // Старый файл удаляется, как только записи попали в журнал: в нем открытым
+    // текстом лежат те же данные, которые хранилище шифрует и удаляет по запросу.
+    // Копии .imported от прежних версий сервера удаляются по той же причине
+    async function importLegacyFile(filePath, collectionName) {
+        const importedPath = `${filePath}.imported`;
+        let count = 0;
+
+        if (fs.existsSync(filePath)) {
+            const target = collection(collectionName);
+            const records = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            records.forEach(item => {
+                if (item && item.id !== undefined && !target.has(item.id.toString())) {
+                    target.set(item.id.toString(), decode(collectionName, item));
+                }
+            });
+
+            await flush();
+            fs.unlinkSync(filePath);
+            count = records.length;
+        }
+
+        if (fs.existsSync(importedPath)) {
+            fs.unlinkSync(importedPath);
+        }
+        return count;
+    }
+
+    async function close() {
+        if (closed) return;
+
+        if (flushTimer) {
+            clearTimeout(flushTimer);
+            flushTimer = null;
+        }
+        await flush();
+        await compact();
+        closed = true;
+    }
+
+    load();
+    COLLECTIONS.forEach(getMap);
+    LOGS.forEach(getLogEntries);
+
+    return {
+        users: collection('users'),
+        listings: collection('listings'),
+        oauthState: collection('oauthState'),
+        captionTemplates: collection('captionTemplates'),
+        categories: collection('categories'),
+        subscriptions: collection('subscriptions'),
+        conversations: collection('conversations'),
+        reviews: collection('reviews'),
+        admins: collection('admins'),
+        blocklist: collection('blocklist'),
+        oauthLinks: collection('oauthLinks'),
+        moderationLog: log('moderation'),
+        collection,
+        log,
+        importLegacyFile,
+        flush,
+        compact,
+        close
+    };
+}
+
+module.exports = { createStorage };
@@ -0,0 +1,69 @@
+// lib/throttledQueue.js - Очередь отправки сообщений с ограничением скорости
+//
+// Telegram разрешает боту около 30 сообщений в секунду, поэтому рассылки
+// (уведомления по подпискам) уходят по одному с паузой. При ответе 429
+// очередь ждет retry_after и повторяет ту же задачу. Очередь живет в памяти:
+// при перезапуске неотправленные уведомления теряются.
+
+const DEFAULT_INTERVAL_MS = 50;
+const MAX_RETRIES = 3;
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function createThrottledQueue(options = {}) {
+    const {
+        intervalMs = DEFAULT_INTERVAL_MS,
+        // Ошибка задачи после всех попыток
+        onError = () => {}
+    } = options;
+
+    const tasks = [];
+    let running = false;
+
+    async function runTask(task) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await task();
+            } catch (error) {
+                const retryAfter = error.response?.parameters?.retry_after;
+                if (error.response?.error_code !== 429 || !retryAfter || attempt >= MAX_RETRIES) {
+                    throw error;
+                }
+                await sleep(retryAfter * 1000);
+            }
+        }
+    }
+
+    async function run() {
+        running = true;
+        while (tasks.length > 0) {
+            const task = tasks.shift();
+            try {
+                await runTask(task);
+            } catch (error) {
+                onError(error);
+            }
+            await sleep(intervalMs);
+        }
+        running = false;
+    }
+
+    // Задача - async-функция без аргументов
+    function push(task) {
+        tasks.push(task);
+        if (!running) {
+            run();
+        }
+    }
+
+    return {
+        push,
+        get size() {
+            return tasks.length;
+        }
+    };
+}
+
+module.exports = { createThrottledQueue };
@@ -0,0 +1,174 @@
+// lib/userModel.js - Модель пользователя Flower Market
+//
+// В хранилище пользователь лежит как JSON, поэтому даты превращаются в строки.
+// Модель восстанавливает типы при загрузке, проставляет версию схемы и по порядку
+// применяет миграции к записям, сохраненным старыми версиями сервера.
+const { normalizePhone, normalizeEmail } = require('./blocklist');
+
+const SCHEMA_VERSION = 2;
+
+// Поля пользователя, которые хранятся как даты
+const DATE_FIELDS = [
+    'createdAt',
+    'approvedAt',
+    'rejectedAt',
+    'trustedAt',
+    'revokedAt',
+    'bannedAt',
+    'bannedUntil',
+    'reappliedAt',
+    'lastPostAt',
+    'contactsImportedAt',
+    'googleSyncedAt',
+    'googleSyncAttemptedAt',
+    'googleDisconnectedAt',
+    'contactsDroppedAt',
+    'erasedAt'
+];
+
+// Поля, которые шифруются в хранилище (см. fieldCrypto.js)
+const SENSITIVE_FIELDS = ['contacts', 'googleTokens'];
+
+function toDate(value) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    const date = value instanceof Date ? value : new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+// Контакт в едином формате: телефоны и email всегда массивами
+function normalizeContact(contact = {}) {
+    const phones = []
+        .concat(contact.phones || [])
+        .concat(contact.phone ? [contact.phone] : [])
+        .map(phone => String(phone).trim())
+        .filter(Boolean);
+
+    const emails = []
+        .concat(contact.emails || [])
+        .concat(contact.email ? [contact.email] : [])
+        .map(email => String(email).trim())
+        .filter(Boolean);
+
+    return {
+        name: contact.name || 'Без имени',
+        phones: Array.from(new Set(phones)),
+        emails: Array.from(new Set(emails)),
+        source: contact.source || 'manual'
+    };
+}
+
+// Миграции по возрастанию версии; каждая получает запись предыдущей версии
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'id и chatId строками, флаги по умолчанию',
+        migrate(user) {
+            user.id = String(user.id);
+            if (user.chatId !== undefined && user.chatId !== null) {
+                user.chatId = String(user.chatId);
+            }
+            user.contacts = Array.isArray(user.contacts) ? user.contacts : [];
+            user.hasContacts = Boolean(user.hasContacts);
+            user.approved = Boolean(user.approved);
+            return user;
+        }
+    },
+    {
+        version: 2,
+        description: 'контакты в едином формате phones/emails',
+        migrate(user) {
+            user.contacts = user.contacts.map(normalizeContact);
+            return user;
+        }
+    }
+];
+
+function migrateUser(raw) {
+    let user = { ...raw };
+    const fromVersion = user.schemaVersion || 0;
+
+    MIGRATIONS
+        .filter(migration => migration.version > fromVersion)
+        .forEach(migration => {
+            user = migration.migrate(user);
+            user.schemaVersion = migration.version;
+        });
+
+    return user;
+}
+
+// Загрузка из хранилища: миграции и восстановление дат
+function deserializeUser(raw) {
+    const user = migrateUser(raw);
+
+    DATE_FIELDS.forEach(field => {
+        if (field in user) {
+            user[field] = toDate(user[field]);
+        }
+    });
+
+    user.schemaVersion = SCHEMA_VERSION;
+    return user;
+}
+
+// Сохранение в хранилище: даты в ISO-строках и версия схемы
+function serializeUser(user) {
+    const data = { ...user, schemaVersion: SCHEMA_VERSION };
+
+    DATE_FIELDS.forEach(field => {
+        if (field in data) {
+            const date = toDate(data[field]);
+            data[field] = date ? date.toISOString() : null;
+        }
+    });
+
+    return data;
+}
+
+// Число загруженных контактов, в том числе после удаления самих контактов
+function getContactsCount(user) {
+    return user.contacts?.length || user.contactsCount || 0;
+}
+
+// Политика хранения: вместо контактов остаются их число и отпечатки
+// телефонов и email (hash - необратимая функция, см. fieldCrypto.js;
+// без нее остается только число)
+function dropRawContacts(user, hash) {
+    const keys = new Set();
+    user.contacts.forEach(contact => {
+        contact.phones.map(normalizePhone).filter(Boolean).forEach(phone => keys.add(`phone:${phone}`));
+        contact.emails.map(normalizeEmail).filter(Boolean).forEach(email => keys.add(`email:${email}`));
+    });
+
+    user.contactsCount = user.contacts.length;
+    user.contactHashes = hash ? Array.from(keys, hash) : [];
+    user.contacts = [];
+    user.contactsDroppedAt = new Date();
+    return user;
+}
+
+// Новый пользователь с полями по умолчанию
+function createUser(data) {
+    return deserializeUser({
+        contacts: [],
+        hasContacts: false,
+        approved: false,
+        createdAt: new Date(),
+        ...data,
+        id: String(data.id),
+        schemaVersion: SCHEMA_VERSION
+    });
+}
+
+module.exports = {
+    SCHEMA_VERSION,
+    SENSITIVE_FIELDS,
+    createUser,
+    deserializeUser,
+    serializeUser,
+    normalizeContact,
+    getContactsCount,
+    dropRawContacts
+};
@@ -10,10 +10,76 @@ const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const NodeCache = require('node-cache');
+const { createStorage } = require('./lib/storage');
+const { createThrottledQueue } = require('./lib/throttledQueue');
+const {
+    SENSITIVE_FIELDS,
+    createUser,
+    serializeUser,
+    deserializeUser,
+    normalizeContact,
+    getContactsCount,
+    dropRawContacts
+} = require('./lib/userModel');
+const { createFieldCipher } = require('./lib/fieldCrypto');
+const { processMediaFile, detectFileFormat, MediaError, TELEGRAM_BOT_UPLOAD_LIMIT } = require('./lib/mediaPipeline');
+const { formatCaption, buildCaption, escapeHtml, truncateText, TELEGRAM_MESSAGE_LIMIT } = require('./lib/caption');
+const { getDefaultTemplate, DEFAULT_FOOTER, DEFAULT_HASHTAGS, TEMPLATE_FIELDS, RAW_FIELDS, validateTemplate } = require('./lib/captionTemplate');
+const { DEFAULT_LOCALE, SUPPORTED_LOCALES, LOCALE_NAMES, resolveLocale, isSupportedLocale, t, formatDate } = require('./lib/i18n');
+const {
+    UNITS,
+    CURRENCIES,
+    DEFAULT_CATEGORIES,
+    getCategoryName,
+    toHashtag,
+    parseUnitPrice,
+    validateProduct,
+    formatAmount,
+    formatQuantity,
+    formatProductPrice,
+    buildListingHashtags
+} = require('./lib/productModel');
+const {
+    MIN_RATING,
+    MAX_RATING,
+    REVIEW_COMMENT_MAX_LENGTH,
+    isValidRating,
+    summarizeReviews,
+    formatStars,
+    formatRating
+} = require('./lib/reviewModel');
+const {
+    PERMISSIONS,
+    ROLE_NAMES,
+    isValidRole,
+    hasRolePermission,
+    parseOwnerIds
+} = require('./lib/permissions');
+const {
+    REJECTION_REASONS,
+    isValidRejectionReason,
+    formatRejectionReason,
+    getReapplyAvailableAt,
+    parseBanDuration,
+    isUserBanned
+} = require('./lib/moderationModel');
+const { extractPhones, normalizePhone, normalizeEmail, parseBlocklistValue, getBlocklistId } = require('./lib/blocklist');
+const {
+    GOOGLE_SYNC_STATUS,
+    hasGoogleAccess,
+    mergeGoogleTokens,
+    isGoogleGrantRevoked,
+    isGoogleSyncDue,
+    getGoogleSyncWait
+} = require('./lib/googleAccount');
+const { createOAuthLinkToken, verifyOAuthLinkToken } = require('./lib/oauthLink');
 
 const app = express();
 const port = process.env.PORT || 3000;
 
+// Railway проксирует запросы: req.ip берется из X-Forwarded-For, выставленного прокси
+app.set('trust proxy', 1);
+
 // Настройки CORS
 app.use(cors({
     origin: ['https://telegram.me', 'https://web.telegram.org', 'https://*.railway.app'],
@@ -21,16 +87,16 @@ app.use(cors({
 }));
 
 // Middleware
-app.use(express.json({ limit: '50mb' }));
-app.use(express.urlencoded({ extended: true, limit: '50mb' }));
-
-// Кэш для хранения данных
-const cache = new NodeCache({ stdTTL: 3600, checkperiod: 120 });
+// Самый большой JSON - адресная книга в /api/upload-contacts; медиа загружаются отдельно, через /api/media/upload
+const JSON_BODY_LIMIT = '5mb';
+app.use(express.json({ limit: JSON_BODY_LIMIT }));
+app.use(express.urlencoded({ extended: true, limit: JSON_BODY_LIMIT }));
 
 // Папка для временных файлов
 const tempDir = path.join(__dirname, 'temp');
-if (!fs.existsSync(tempDir)) {
-    fs.mkdirSync(tempDir, { recursive: true });
+const uploadsDir = path.join(tempDir, 'uploads');
+if (!fs.existsSync(uploadsDir)) {
+    fs.mkdirSync(uploadsDir, { recursive: true });
 }
 
 // ==================== НАСТРОЙКА ПЕРЕМЕННЫХ ОКРУЖЕНИЯ ====================
@@ -43,6 +109,69 @@ const BASE_URL = process.env.RAILWAY_PUBLIC_DOMAIN ?
     `https://${process.env.RAILWAY_PUBLIC_DOMAIN}` : 
     (process.env.BASE_URL || `http://localhost:${port}`);
 
+// Срок жизни объявлений
+const LISTING_LIFETIME_DAYS = parseInt(process.env.LISTING_LIFETIME_DAYS, 10) || 7;
+const LISTING_LIFETIME_MS = LISTING_LIFETIME_DAYS * 24 * 60 * 60 * 1000;
+const LISTING_EXPIRY_WARNING_MS = 24 * 60 * 60 * 1000;
+const LISTING_EXPIRY_CHECK_INTERVAL_MS = 10 * 60 * 1000;
+// edit - заменить подпись баннером, delete - удалить сообщения из канала
+const LISTING_EXPIRY_MODE = process.env.LISTING_EXPIRY_MODE === 'delete' ? 'delete' : 'edit';
+
+// Премодерация объявлений (доверенные продавцы публикуют сразу)
+const LISTING_PREMODERATION = process.env.LISTING_PREMODERATION === 'true';
+
+// Максимальный возраст initData из Telegram Mini App (в секундах)
+const INIT_DATA_MAX_AGE_SECONDS = parseInt(process.env.INIT_DATA_MAX_AGE_SECONDS, 10) || 24 * 60 * 60;
+
+// Лимиты загрузки медиа (50 МБ - ограничение Telegram на отправку файлов ботом)
+const MEDIA_MAX_FILES = 10;
+const MEDIA_MAX_FILE_SIZE = (parseInt(process.env.MEDIA_MAX_FILE_SIZE_MB, 10) || 50) * 1024 * 1024;
+const MEDIA_MAX_TOTAL_SIZE = (parseInt(process.env.MEDIA_MAX_TOTAL_SIZE_MB, 10) || 200) * 1024 * 1024;
+const UPLOAD_TTL_MS = 60 * 60 * 1000;
+
+// Самостоятельное управление объявлениями
+const MY_LISTINGS_LIMIT = 10;
+const LISTING_PRICE_MAX_LENGTH = 100;
+const LISTING_DESCRIPTION_MAX_LENGTH = 800;
+const PENDING_EDIT_TTL_MS = 10 * 60 * 1000;
+
+// Подписки покупателей на новые объявления
+const SUBSCRIPTIONS_PER_USER_LIMIT = 10;
+const SUBSCRIPTION_TEXT_MAX_LENGTH = 100;
+
+// Ключ шифрования контактов и токенов Google в хранилище (без ключа - открытым текстом)
+const DATA_ENCRYPTION_KEY = process.env.DATA_ENCRYPTION_KEY;
+
+// Сколько дней хранить контакты после подтверждения (не задано - бессрочно, 0 - удалять сразу)
+const CONTACTS_RETENTION_DAYS = process.env.CONTACTS_RETENTION_DAYS === undefined || process.env.CONTACTS_RETENTION_DAYS === '' ?
+    null :
+    Math.max(parseInt(process.env.CONTACTS_RETENTION_DAYS, 10) || 0, 0);
+const CONTACTS_RETENTION_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+// Ссылки на вход через Google: секрет подписи (по умолчанию выводится из BOT_TOKEN) и сроки
+const OAUTH_LINK_SECRET = process.env.OAUTH_LINK_SECRET ||
+    crypto.createHmac('sha256', 'flower-market:oauth-link').update(BOT_TOKEN || '').digest('hex');
+const OAUTH_LINK_TTL_MS = 15 * 60 * 1000;
+const OAUTH_STATE_TTL_MS = 10 * 60 * 1000;
+
+// Повторная загрузка контактов из Google (0 - только по запросу пользователя)
+const GOOGLE_SYNC_INTERVAL_HOURS = process.env.GOOGLE_SYNC_INTERVAL_HOURS === '0' ?
+    0 :
+    parseInt(process.env.GOOGLE_SYNC_INTERVAL_HOURS, 10) || 24;
+const GOOGLE_SYNC_INTERVAL_MS = GOOGLE_SYNC_INTERVAL_HOURS * 60 * 60 * 1000;
+const GOOGLE_SYNC_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+const GOOGLE_SYNC_COOLDOWN_MS = 5 * 60 * 1000;
+
+// Повторная заявка после отказа - не раньше, чем через столько часов
+const REAPPLY_COOLDOWN_HOURS = parseInt(process.env.REAPPLY_COOLDOWN_HOURS, 10) || 24;
+const REAPPLY_COOLDOWN_MS = REAPPLY_COOLDOWN_HOURS * 60 * 60 * 1000;
+
+// Владельцы бота: Telegram ID через запятую; при запуске добавляются в реестр администраторов
+const OWNER_IDS = parseOwnerIds(process.env.OWNER_IDS);
+
+// Валюта цены, если продавец ее не указал
+const DEFAULT_CURRENCY = CURRENCIES.includes(process.env.DEFAULT_CURRENCY) ? process.env.DEFAULT_CURRENCY : 'KGS';
+
 // Проверка обязательных переменных
 const requiredEnvVars = ['BOT_TOKEN', 'CHANNEL_ID', 'ADMIN_CHAT_ID'];
 const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
@@ -59,19 +188,81 @@ console.log('✅ Переменные окружения загружены');
 console.log(`   Bot: ${BOT_TOKEN ? '✅' : '❌'}`);
 console.log(`   Channel: ${CHANNEL_ID}`);
 console.log(`   Admin: ${ADMIN_CHAT_ID}`);
+console.log(`   Владельцы (OWNER_IDS): ${OWNER_IDS.length || '❌ не заданы'}`);
 console.log(`   Google Client ID: ${GOOGLE_CLIENT_ID ? '✅' : '❌ (опционально)'}`);
 console.log(`   URL: ${BASE_URL}`);
+console.log(`   Срок объявлений: ${LISTING_LIFETIME_DAYS} дн. (${LISTING_EXPIRY_MODE})`);
+console.log(`   Премодерация: ${LISTING_PREMODERATION ? '✅' : '❌'}`);
+console.log(`   Синхронизация Google: ${GOOGLE_SYNC_INTERVAL_HOURS ? `каждые ${GOOGLE_SYNC_INTERVAL_HOURS} ч.` : 'по запросу'}`);
+console.log(`   Повторная заявка через: ${REAPPLY_COOLDOWN_HOURS} ч.`);
+console.log(`   Шифрование контактов: ${DATA_ENCRYPTION_KEY ? '✅' : '⚠️ выключено (DATA_ENCRYPTION_KEY)'}`);
+console.log(`   Хранение контактов: ${CONTACTS_RETENTION_DAYS === null ? 'бессрочно' : `${CONTACTS_RETENTION_DAYS} дн. после подтверждения`}`);
+if (CONTACTS_RETENTION_DAYS !== null && !DATA_ENCRYPTION_KEY) {
+    console.warn('⚠️ DATA_ENCRYPTION_KEY не задан: после удаления контактов сохраняется только их число, без отпечатков');
+}
+console.log(`   Валюта по умолчанию: ${DEFAULT_CURRENCY}`);
 
 // ==================== ИНИЦИАЛИЗАЦИЯ ТЕЛЕГРАМ БОТА ====================
 const bot = new Telegraf(BOT_TOKEN);
 
-// Хранилище данных (в памяти, для продакшена используйте Redis или БД)
-const usersDB = new Map();
-const pendingAuth = new Map();
+// Хранилище данных (снимок + журнал изменений на диске)
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const fieldCipher = createFieldCipher(DATA_ENCRYPTION_KEY);
+const storage = createStorage({
+    dir: DATA_DIR,
+    codecs: {
+        users: {
+            serialize: user => fieldCipher.encryptFields(serializeUser(user), SENSITIVE_FIELDS),
+            deserialize: raw => deserializeUser(fieldCipher.decryptFields(raw, SENSITIVE_FIELDS))
+        },
+        oauthState: {
+            serialize: session => fieldCipher.encryptFields(session, ['codeVerifier']),
+            deserialize: raw => fieldCipher.decryptFields(raw, ['codeVerifier'])
+        }
+    }
+});
+const usersDB = storage.users;
+const listingsDB = storage.listings;
+const pendingAuth = storage.oauthState;
+const oauthLinksDB = storage.oauthLinks;
+const moderationLog = storage.moderationLog;
+const captionTemplatesDB = storage.captionTemplates;
+const categoriesDB = storage.categories;
+const subscriptionsDB = storage.subscriptions;
+const reviewsDB = storage.reviews;
+const adminsDB = storage.admins;
+const blocklistDB = storage.blocklist;
+const conversationsDB = storage.conversations;
+const pendingEdits = new Map();
+const pendingSubscriptions = new Map();
+// Открытая переписка покупателя с продавцом: userId -> conversationId
+const activeRelays = new Map();
+const pendingReviews = new Map();
+const pendingUploads = new Map();
+// Объявления, которые сейчас публикуются: повторное нажатие "Опубликовать" их не отправит второй раз
+const publishingListings = new Set();
+
+// Уведомления подписчикам уходят через очередь (около 20 сообщений в секунду)
+const subscriptionQueue = createThrottledQueue({
+    onError: error => console.error('❌ Ошибка уведомления подписчика:', error.message)
+});
+
+// Статусы объявлений
+const LISTING_STATUS = {
+    PENDING: 'pending',
+    CHANGES_REQUESTED: 'changes_requested',
+    REJECTED: 'rejected',
+    ACTIVE: 'active',
+    SOLD: 'sold',
+    EXPIRED: 'expired',
+    DELETED: 'deleted'
+};
+
+// Статусы, при которых пост объявления остается в канале
+const LISTING_STATUSES_IN_CHANNEL = [LISTING_STATUS.ACTIVE, LISTING_STATUS.SOLD, LISTING_STATUS.EXPIRED];
 
 // ==================== GOOGLE OAuth НАСТРОЙКА ====================
 let oauth2Client = null;
-let googlePeople = null;
 
 if (GOOGLE_CLIENT_ID && GOOGLE_CLIENT_SECRET) {
     try {
@@ -80,11 +271,6 @@ if (GOOGLE_CLIENT_ID && GOOGLE_CLIENT_SECRET) {
             GOOGLE_CLIENT_SECRET,
             `${BASE_URL}/auth/google/callback`
         );
-
-        googlePeople = google.people({
-            version: 'v1',
-            auth: oauth2Client
-        });
         
         console.log('✅ Google OAuth настроен');
     } catch (error) {
@@ -96,85 +282,320 @@ if (GOOGLE_CLIENT_ID && GOOGLE_CLIENT_SECRET) {
 
 // ==================== ВСПОМОГАТЕЛЬНЫЕ ФУНКЦИИ ====================
 
-// Форматирование подписи для объявления
-function formatCaption(data) {
-    const {
-        description,
-        price = 'Договорная',
-        contacts = 'Контакты в комментариях',
-        freshness,
-        city,
-        district = '',
-        address = '',
-        hashtags = '',
-        userId
-    } = data;
+// Ссылка на пост в канале
+function getChannelPostLink(messageId, channelId = CHANNEL_ID) {
+    return `https://t.me/c/${channelId.replace('@', '').replace('-100', '').replace('-', '_')}/${messageId}`;
+}
+
+// Настройки подписи для канала и языка: точное совпадение, затем шаблоны по умолчанию
+function getCaptionSettings(channelId = CHANNEL_ID, lang = DEFAULT_LOCALE) {
+    const keys = [`${channelId}:${lang}`, `${channelId}:*`, `default:${lang}`, 'default:*'];
+    
+    for (const key of keys) {
+        const record = captionTemplatesDB.get(key);
+        if (record?.active) {
+            return { ...record.active, key };
+        }
+    }
+    
+    return {
+        template: getDefaultTemplate(resolveLocale(lang)),
+        footer: DEFAULT_FOOTER,
+        defaultHashtags: DEFAULT_HASHTAGS,
+        key: null
+    };
+}
+
+// Параметры шаблона для formatCaption/buildCaption
+function getCaptionOptions(channelId, lang = DEFAULT_LOCALE) {
+    const { template, footer } = getCaptionSettings(channelId, lang);
+    return { template, footer, locale: resolveLocale(lang) };
+}
+
+// Язык пользователя: выбранный через /language, затем язык Telegram
+function getUserLocale(user, languageCode) {
+    return resolveLocale(user?.locale || languageCode || user?.languageCode);
+}
+
+// Пользователь начал новый многошаговый ввод - прежний отменяется
+function clearPendingInput(userId) {
+    pendingEdits.delete(userId);
+    pendingSubscriptions.delete(userId);
+    pendingReviews.delete(userId);
+}
+
+// Есть ли у пользователя незавершенный многошаговый ввод
+function hasPendingInput(userId) {
+    return [pendingEdits, pendingSubscriptions, pendingReviews].some(pending => {
+        const entry = pending.get(userId);
+        return entry && Date.now() - entry.timestamp < PENDING_EDIT_TTL_MS;
+    });
+}
+
+// Язык страницы: параметр ?lang=, затем заголовок Accept-Language
+function getRequestLocale(req) {
+    if (isSupportedLocale(req.query.lang)) {
+        return req.query.lang;
+    }
+    return req.acceptsLanguages(...SUPPORTED_LOCALES) || DEFAULT_LOCALE;
+}
+
+// Активная категория справочника
+function getActiveCategory(categoryId) {
+    const category = categoriesDB.get(categoryId);
+    return category && category.active ? category : null;
+}
+
+// Поля товара для подписи: вид цветов и количество на языке объявления
+function getProductCaptionFields(product, locale) {
+    if (!product) {
+        return {};
+    }
+    return {
+        flower: getCategoryName(categoriesDB.get(product.category), locale),
+        quantity: formatQuantity(product, locale)
+    };
+}
+
+// Товар одной строкой для админ-чата: "Розы, 101 стебель"
+function formatProductSummary(listing) {
+    const { flower, quantity } = getProductCaptionFields(listing.product, DEFAULT_LOCALE);
+    return [flower, quantity].filter(Boolean).join(', ');
+}
+
+// Данные сохраненного объявления для formatCaption/buildCaption
+function getListingCaptionData(listing) {
+    return {
+        ...listing,
+        ...getProductCaptionFields(listing.product, listing.lang),
+        rating: formatSellerRating(listing.ownerId, listing.lang),
+        userId: listing.ownerId
+    };
+}
+
+// Подпись сохраненного объявления
+function renderListingCaption(listing, options) {
+    return formatCaption(
+        getListingCaptionData(listing),
+        { ...getCaptionOptions(listing.channelId, listing.lang), ...options }
+    );
+}
+
+// Сохранение пользователя
+function saveUser(user) {
+    usersDB.set(user.id, user);
+    return user;
+}
+
+// Сохранение объявления
+function saveListing(listing) {
+    listing.updatedAt = new Date();
+    listingsDB.set(listing.id, listing);
+    return listing;
+}
+
+// Запись в журнал модерации
+function logModeration(ctx, action, targetType, targetId, details = {}) {
+    return moderationLog.append({
+        action,
+        targetType,
+        targetId,
+        moderatorId: ctx.from.id.toString(),
+        moderator: ctx.from.username || ctx.from.first_name,
+        ...details
+    });
+}
+
+// Создание записи об опубликованном объявлении
+function createListing(data) {
+    const status = data.status || LISTING_STATUS.ACTIVE;
+    const listing = {
+        id: crypto.randomBytes(6).toString('hex'),
+        ownerId: data.userId.toString(),
+        description: data.description,
+        product: data.product || null,
+        price: data.price,
+        contacts: data.contacts,
+        freshness: data.freshness,
+        city: data.city,
+        district: data.district || '',
+        address: data.address || '',
+        hashtags: data.hashtags,
+        lang: data.lang || DEFAULT_LOCALE,
+        channelId: CHANNEL_ID,
+        messageIds: data.messageIds || [],
+        media: data.media || [],
+        status,
+        expiresAt: status === LISTING_STATUS.ACTIVE ? new Date(Date.now() + LISTING_LIFETIME_MS) : null,
+        expiryWarnedAt: null,
+        createdAt: new Date(),
+        updatedAt: new Date()
+    };
+    
+    return saveListing(listing);
+}
+
+// Объявления пользователя
+function getUserListings(userId) {
+    return Array.from(listingsDB.values())
+        .filter(listing => listing.ownerId === userId.toString())
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+// Разовый импорт старых users.json / listings.json в хранилище
+async function importLegacyData() {
+    const legacyFiles = [
+        { file: 'users.json', collection: 'users', label: 'пользователей' },
+        { file: 'listings.json', collection: 'listings', label: 'объявлений' }
+    ];
+    
+    for (const { file, collection, label } of legacyFiles) {
+        try {
+            const count = await storage.importLegacyFile(path.join(__dirname, file), collection);
+            if (count > 0) {
+                console.log(`📦 Импортировано ${count} ${label} из ${file}, исходный файл удален`);
+            }
+        } catch (error) {
+            console.warn(`⚠️ Не удалось импортировать ${file}:`, error.message);
+        }
+    }
+}
+
+// Справочник категорий по умолчанию при первом запуске
+function seedCategories() {
+    if (categoriesDB.size > 0) {
+        return;
+    }
     
-    let caption = '';
+    DEFAULT_CATEGORIES.forEach((category, index) => {
+        categoriesDB.set(category.id, {
+            ...category,
+            active: true,
+            sortOrder: index,
+            updatedBy: null,
+            updatedAt: new Date().toISOString()
+        });
+    });
+    console.log(`🌸 Справочник категорий создан: ${DEFAULT_CATEGORIES.length}`);
+}
+
+// Владельцы из OWNER_IDS в реестре администраторов
+function seedOwners() {
+    OWNER_IDS.forEach(id => {
+        const admin = adminsDB.get(id);
+        if (admin?.role === 'owner') {
+            return;
+        }
+        adminsDB.set(id, {
+            ...admin,
+            id,
+            role: 'owner',
+            addedBy: 'OWNER_IDS',
+            addedAt: admin?.addedAt || new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        });
+    });
     
-    caption += `🌺 <b>ЦВЕТЫ НА ПРОДАЖУ</b>\n\n`;
+    const owners = Array.from(adminsDB.values()).filter(admin => admin.role === 'owner').length;
+    if (owners === 0) {
+        console.warn('⚠️ В реестре нет владельцев: задайте OWNER_IDS, иначе кнопки и команды администратора недоступны');
+    } else {
+        console.log(`👑 Администраторов: ${adminsDB.size}, из них владельцев: ${owners}`);
+    }
+}
+
+// Проверка подписи initData из Telegram Mini App
+// https://core.telegram.org/bots/webapps#validating-data-received-via-the-mini-app
+function verifyTelegramInitData(initData) {
+    const params = new URLSearchParams(initData);
+    const hash = params.get('hash');
     
-    if (description) {
-        caption += `📝 <b>Описание:</b>\n${description}\n\n`;
+    if (!hash) {
+        return { valid: false, reason: 'auth.missingHash' };
     }
     
-    caption += `📍 <b>Локация:</b> ${city}`;
-    if (district) caption += `, ${district}`;
-    if (address) caption += `\n🏠 <b>Адрес:</b> ${address}`;
+    params.delete('hash');
+    const dataCheckString = Array.from(params.entries())
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([key, value]) => `${key}=${value}`)
+        .join('\n');
+    
+    const secretKey = crypto.createHmac('sha256', 'WebAppData').update(BOT_TOKEN).digest();
+    const expectedHash = crypto.createHmac('sha256', secretKey).update(dataCheckString).digest();
+    const receivedHash = Buffer.from(hash, 'hex');
+    
+    if (receivedHash.length !== expectedHash.length || !crypto.timingSafeEqual(receivedHash, expectedHash)) {
+        return { valid: false, reason: 'auth.invalidSignature' };
+    }
     
-    caption += `\n🕒 <b>Свежесть:</b> ${freshness}`;
-    caption += `\n💰 <b>Цена:</b> ${price}`;
-    caption += `\n📞 <b>Контакты:</b> ${contacts}`;
+    const authDate = parseInt(params.get('auth_date'), 10);
+    if (!authDate || Date.now() / 1000 - authDate > INIT_DATA_MAX_AGE_SECONDS) {
+        return { valid: false, reason: 'auth.expired' };
+    }
     
-    if (hashtags) {
-        caption += `\n\n${hashtags}`;
+    let user;
+    try {
+        user = JSON.parse(params.get('user'));
+    } catch (error) {
+        user = null;
     }
     
-    caption += `\n\n──────────────\n`;
-    caption += `<i>ID: ${userId?.substring(0, 8)}... | Flower Market 🌸</i>`;
+    if (!user?.id) {
+        return { valid: false, reason: 'auth.noUser' };
+    }
     
-    return caption;
+    return { valid: true, user, authDate: new Date(authDate * 1000) };
 }
 
-// Сохранение пользователя
-function saveUser(user) {
-    usersDB.set(user.id, user);
-    cache.set(`user_${user.id}`, user, 3600); // Кэшируем на 1 час
+// Middleware: пользователь берется только из подписанных initData
+// Клиент передает initData в заголовке "Authorization: tma <initData>" или "X-Telegram-Init-Data"
+function requireTelegramAuth(req, res, next) {
+    const authorization = req.get('Authorization') || '';
+    const initData = authorization.startsWith('tma ') ?
+        authorization.slice(4) :
+        req.get('X-Telegram-Init-Data');
+    
+    if (!initData) {
+        return res.status(401).json({
+            success: false,
+            error: t(getRequestLocale(req), 'auth.required')
+        });
+    }
     
-    // Также сохраняем в файл для persistence
-    const dbPath = path.join(__dirname, 'users.json');
-    const usersArray = Array.from(usersDB.values());
-    fs.writeFileSync(dbPath, JSON.stringify(usersArray, null, 2));
+    const result = verifyTelegramInitData(initData);
+    if (!result.valid) {
+        console.warn(`⚠️ Отклонен запрос ${req.method} ${req.originalUrl}: ${t(DEFAULT_LOCALE, result.reason)}`);
+        return res.status(401).json({
+            success: false,
+            error: t(getRequestLocale(req), result.reason)
+        });
+    }
     
-    return user;
+    req.telegramUser = result.user;
+    req.userId = result.user.id.toString();
+    req.locale = getUserLocale(usersDB.get(req.userId), result.user.language_code);
+    next();
 }
 
-// Загрузка пользователей из файла
-function loadUsersFromFile() {
-    try {
-        const dbPath = path.join(__dirname, 'users.json');
-        if (fs.existsSync(dbPath)) {
-            const usersArray = JSON.parse(fs.readFileSync(dbPath, 'utf8'));
-            usersArray.forEach(user => {
-                usersDB.set(user.id, user);
-                cache.set(`user_${user.id}`, user);
-            });
-            console.log(`✅ Загружено ${usersArray.length} пользователей из файла`);
-        }
-    } catch (error) {
-        console.warn('⚠️ Не удалось загрузить пользователей из файла:', error.message);
+// Клиент Google с токенами одного пользователя (общий oauth2Client только выдает и отзывает токены).
+// onTokens получает новый access_token, когда клиент сам обновляет его по refresh_token
+function createGoogleAuth(tokens, onTokens) {
+    const auth = new google.auth.OAuth2(GOOGLE_CLIENT_ID, GOOGLE_CLIENT_SECRET);
+    auth.setCredentials(tokens);
+    if (onTokens) {
+        auth.on('tokens', onTokens);
     }
+    return auth;
 }
 
 // Получение контактов из Google
-async function fetchGoogleContacts(accessToken, userId) {
+async function fetchGoogleContacts(auth, userId) {
     try {
-        if (!oauth2Client || !googlePeople) {
+        if (!oauth2Client) {
             throw new Error('Google API не настроен');
         }
         
-        oauth2Client.setCredentials({ access_token: accessToken });
-        
+        const googlePeople = google.people({ version: 'v1', auth });
         let allContacts = [];
         let pageToken = null;
         
@@ -231,13 +652,253 @@ async function fetchGoogleContacts(accessToken, userId) {
     }
 }
 
+// ==================== ПОИСК ОБЪЯВЛЕНИЙ ====================
+
+const SEARCH_DEFAULT_LIMIT = 20;
+const SEARCH_MAX_LIMIT = 50;
+const SEARCH_RATE_LIMIT = 30;
+const SEARCH_RATE_WINDOW_SECONDS = 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Счетчики запросов поиска по IP; запись живет одно окно
+const searchRateCache = new NodeCache({ stdTTL: SEARCH_RATE_WINDOW_SECONDS, checkperiod: SEARCH_RATE_WINDOW_SECONDS * 2, useClones: false });
+
+// Сколько секунд ждать до следующего запроса; 0 - запрос разрешен и учтен
+function takeSearchRequest(ip) {
+    const now = Date.now();
+    const counter = searchRateCache.get(ip);
+    
+    if (!counter || counter.resetAt <= now) {
+        searchRateCache.set(ip, { count: 1, resetAt: now + SEARCH_RATE_WINDOW_SECONDS * 1000 });
+        return 0;
+    }
+    if (counter.count >= SEARCH_RATE_LIMIT) {
+        return Math.ceil((counter.resetAt - now) / 1000);
+    }
+    
+    counter.count++;
+    return 0;
+}
+
+// Сравнение по цене за единицу: объявления без цены в выбранной валюте всегда в конце
+function compareListingPrices(a, b, currency, direction) {
+    const priceA = a.product?.currency === currency ? a.product.unitPrice : null;
+    const priceB = b.product?.currency === currency ? b.product.unitPrice : null;
+    
+    if (priceA && priceB) {
+        return (priceA - priceB) * direction;
+    }
+    if (priceA || priceB) {
+        return priceA ? -1 : 1;
+    }
+    return new Date(b.createdAt) - new Date(a.createdAt);
+}
+
+const SEARCH_SORTS = {
+    newest: (a, b) => new Date(b.createdAt) - new Date(a.createdAt),
+    oldest: (a, b) => new Date(a.createdAt) - new Date(b.createdAt),
+    price_asc: (a, b, search) => compareListingPrices(a, b, search.currency, 1),
+    price_desc: (a, b, search) => compareListingPrices(a, b, search.currency, -1)
+};
+
+// Разбор параметров поиска; invalid - названия некорректных параметров
+function parseListingSearch(query) {
+    const invalid = [];
+    const text = name => String(query[name] || '').trim().toLowerCase();
+    
+    const number = name => {
+        if (query[name] === undefined || query[name] === '') {
+            return null;
+        }
+        const value = Number(query[name]);
+        if (!Number.isFinite(value) || value < 0) {
+            invalid.push(name);
+            return null;
+        }
+        return value;
+    };
+    
+    // Дата без времени в dateTo означает весь день включительно
+    const date = (name, endOfDay = false) => {
+        if (!query[name]) {
+            return null;
+        }
+        const value = new Date(query[name]);
+        if (isNaN(value.getTime())) {
+            invalid.push(name);
+            return null;
+        }
+        if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(query[name])) {
+            return new Date(value.getTime() + DAY_MS - 1);
+        }
+        return value;
+    };
+    
+    const search = {
+        words: text('q').split(/\s+/).filter(Boolean),
+        city: text('city'),
+        district: text('district'),
+        categories: text('category').split(',').map(id => id.trim()).filter(Boolean),
+        freshness: text('freshness'),
+        priceMin: number('priceMin'),
+        priceMax: number('priceMax'),
+        currency: String(query.currency || DEFAULT_CURRENCY).toUpperCase(),
+        dateFrom: date('dateFrom'),
+        dateTo: date('dateTo', true),
+        sort: String(query.sort || 'newest'),
+        page: number('page') ?? 1,
+        limit: number('limit') ?? SEARCH_DEFAULT_LIMIT
+    };
+    
+    if (!CURRENCIES.includes(search.currency)) invalid.push('currency');
+    if (!SEARCH_SORTS[search.sort]) invalid.push('sort');
+    if (!Number.isInteger(search.page) || search.page < 1) invalid.push('page');
+    if (!Number.isInteger(search.limit) || search.limit < 1 || search.limit > SEARCH_MAX_LIMIT) invalid.push('limit');
+    if (search.priceMin !== null && search.priceMax !== null && search.priceMin > search.priceMax) invalid.push('priceMax');
+    
+    return { search, invalid: Array.from(new Set(invalid)) };
+}
+
+// Текст объявления для поиска по словам, включая названия категории на всех языках
+function getListingSearchText(listing) {
+    const category = listing.product && categoriesDB.get(listing.product.category);
+    return [
+        listing.description,
+        listing.city,
+        listing.district,
+        listing.freshness,
+        listing.hashtags,
+        ...Object.values(category?.names || {})
+    ].join(' ').toLowerCase();
+}
+
+// Только активные объявления с постом в канале и неистекшим сроком
+function matchesListingSearch(listing, search, now) {
+    if (listing.status !== LISTING_STATUS.ACTIVE || listing.messageIds.length === 0 || getListingExpiry(listing) <= now) {
+        return false;
+    }
+    if (search.city && String(listing.city || '').trim().toLowerCase() !== search.city) {
+        return false;
+    }
+    if (search.district && !String(listing.district || '').toLowerCase().includes(search.district)) {
+        return false;
+    }
+    if (search.categories.length > 0 && !search.categories.includes(listing.product?.category)) {
+        return false;
+    }
+    if (search.freshness && !String(listing.freshness || '').toLowerCase().includes(search.freshness)) {
+        return false;
+    }
+    if (search.words.length > 0) {
+        const text = getListingSearchText(listing);
+        if (!search.words.every(word => text.includes(word))) {
+            return false;
+        }
+    }
+    
+    // Диапазон цен сравнивается только в одной валюте
+    if (search.priceMin !== null || search.priceMax !== null) {
+        const { unitPrice, currency } = listing.product || {};
+        if (!unitPrice || currency !== search.currency) {
+            return false;
+        }
+        if ((search.priceMin !== null && unitPrice < search.priceMin) || (search.priceMax !== null && unitPrice > search.priceMax)) {
+            return false;
+        }
+    }
+    
+    const createdAt = new Date(listing.createdAt);
+    if ((search.dateFrom && createdAt < search.dateFrom) || (search.dateTo && createdAt > search.dateTo)) {
+        return false;
+    }
+    
+    return true;
+}
+
+// Объявление в ответе поиска (без контактов и ID продавца)
+function formatListingForSearch(listing, locale) {
+    const product = listing.product || {};
+    const category = product.category && categoriesDB.get(product.category);
+    
+    return {
+        id: listing.id,
+        description: listing.description,
+        category: category ? { id: category.id, name: getCategoryName(category, locale) } : null,
+        quantity: product.quantity ?? null,
+        unit: product.unit ?? null,
+        unitPrice: product.unitPrice ?? null,
+        currency: product.currency ?? null,
+        price: listing.price,
+        city: listing.city,
+        district: listing.district,
+        freshness: listing.freshness,
+        hashtags: listing.hashtags,
+        mediaCount: listing.media.length,
+        createdAt: listing.createdAt,
+        expiresAt: getListingExpiry(listing),
+        link: getChannelPostLink(listing.messageIds[0], listing.channelId)
+    };
+}
+
+// Все найденные объявления в порядке сортировки
+function searchListings(search) {
+    const now = new Date();
+    const compare = SEARCH_SORTS[search.sort];
+    
+    return Array.from(listingsDB.values())
+        .filter(listing => matchesListingSearch(listing, search, now))
+        .sort((a, b) => compare(a, b, search));
+}
+
+// Поиск объявлений: открыт для Mini App и внешних клиентов, поэтому без initData.
+// Отдает только публичные поля объявления (см. formatListingForSearch), число запросов с одного IP ограничено
+app.get('/api/listings', (req, res) => {
+    const locale = getRequestLocale(req);
+    
+    const wait = takeSearchRequest(req.ip);
+    if (wait > 0) {
+        res.set('Retry-After', String(wait));
+        return res.status(429).json({
+            success: false,
+            error: t(locale, 'api.searchRateLimited', { seconds: wait })
+        });
+    }
+    
+    const { search, invalid } = parseListingSearch(req.query);
+    
+    if (invalid.length > 0) {
+        return res.status(400).json({
+            success: false,
+            error: t(locale, 'api.invalidSearch', { params: invalid.join(', ') }),
+            params: invalid
+        });
+    }
+    
+    const found = searchListings(search);
+    const offset = (search.page - 1) * search.limit;
+    
+    res.json({
+        success: true,
+        total: found.length,
+        page: search.page,
+        limit: search.limit,
+        pages: Math.ceil(found.length / search.limit),
+        listings: found.slice(offset, offset + search.limit).map(listing => formatListingForSearch(listing, locale))
+    });
+});
+
 // ==================== РОУТЫ API ====================
 
+// Все /api/* запросы подписаны Telegram Mini App
+app.use('/api', requireTelegramAuth);
+
 // Главная страница
 app.get('/', (req, res) => {
+    const locale = getRequestLocale(req);
+    
     res.send(`
         <!DOCTYPE html>
-        <html>
+        <html lang="${locale}">
         <head>
             <title>Flower Market</title>
             <meta name="viewport" content="width=device-width, initial-scale=1">
@@ -371,30 +1032,30 @@ app.get('/', (req, res) => {
             <div class="container">
                 <div class="icon">🌺</div>
                 <h1>Flower Market Backend</h1>
-                <p>Платформа для продажи цветов в Telegram<br>Серверная часть работает стабильно</p>
+                <p>${t(locale, 'home.tagline')}</p>
                 
                 <div class="status">
-                    <h3><span>📊</span> Статус системы</h3>
+                    <h3><span>📊</span> ${t(locale, 'home.systemStatus')}</h3>
                     <div class="status-item">
-                        <span>Сервер:</span>
-                        <strong style="color: #10b981;">🟢 Работает</strong>
+                        <span>${t(locale, 'home.server')}</span>
+                        <strong style="color: #10b981;">${t(locale, 'home.serverRunning')}</strong>
                     </div>
                     <div class="status-item">
-                        <span>Пользователей:</span>
+                        <span>${t(locale, 'home.users')}</span>
                         <strong>${usersDB.size}</strong>
                     </div>
                     <div class="status-item">
-                        <span>Telegram Бот:</span>
-                        <strong>${BOT_TOKEN ? '🟢 Активен' : '🔴 Ошибка'}</strong>
+                        <span>${t(locale, 'home.bot')}</span>
+                        <strong>${BOT_TOKEN ? t(locale, 'home.botActive') : t(locale, 'home.botError')}</strong>
                     </div>
                     <div class="status-item">
                         <span>Google API:</span>
-                        <strong>${GOOGLE_CLIENT_ID ? '🟢 Настроен' : '🟡 Опционально'}</strong>
+                        <strong>${GOOGLE_CLIENT_ID ? t(locale, 'home.googleConfigured') : t(locale, 'home.googleOptional')}</strong>
                     </div>
                 </div>
                 
                 <div class="endpoints">
-                    <h3><span>🔌</span> Доступные API эндпоинты:</h3>
+                    <h3><span>🔌</span> ${t(locale, 'home.endpoints')}</h3>
                     <div class="endpoint">
                         <span class="method get">GET</span>
                         <span>/health</span>
@@ -411,6 +1072,18 @@ app.get('/', (req, res) => {
                         <span class="method post">POST</span>
                         <span>/api/upload-contacts</span>
                     </div>
+                    <div class="endpoint">
+                        <span class="method post">POST</span>
+                        <span>/api/media/upload</span>
+                    </div>
+                    <div class="endpoint">
+                        <span class="method get">GET</span>
+                        <span>/api/categories</span>
+                    </div>
+                    <div class="endpoint">
+                        <span class="method get">GET</span>
+                        <span>/api/listings</span>
+                    </div>
                     <div class="endpoint">
                         <span class="method post">POST</span>
                         <span>/api/publish-media-group</span>
@@ -420,7 +1093,7 @@ app.get('/', (req, res) => {
                 <div style="margin: 30px 0;">
                     <a href="https://t.me/flower_market_kg_bot" class="btn btn-telegram" target="_blank">
                         <span style="font-size: 1.2em; margin-right: 10px;">🤖</span>
-                        Открыть Telegram Бота
+                        ${t(locale, 'home.openBot')}
                     </a>
                     <a href="${BASE_URL}/health" class="btn" target="_blank">
                         <span style="font-size: 1.2em; margin-right: 10px;">🩺</span>
@@ -429,7 +1102,7 @@ app.get('/', (req, res) => {
                 </div>
                 
                 <div class="timestamp">
-                    Обновлено: ${new Date().toLocaleString('ru-RU')}<br>
+                    ${t(locale, 'home.updated', { date: formatDate(locale, new Date(), true) })}<br>
                     URL: ${BASE_URL}
                 </div>
             </div>
@@ -447,6 +1120,7 @@ app.get('/health', (req, res) => {
         uptime: process.uptime(),
         memory: process.memoryUsage(),
         users: usersDB.size,
+        listings: listingsDB.size,
         environment: process.env.NODE_ENV || 'development'
     });
 });
@@ -464,6 +1138,9 @@ app.get('/api/status', (req, res) => {
             'GET  /api/status',
             'GET  /api/user/:id/status',
             'POST /api/upload-contacts',
+            'POST /api/media/upload',
+            'GET  /api/categories',
+            'GET  /api/listings',
             'POST /api/publish-media-group',
             'GET  /auth/google',
             'GET  /auth/google/callback'
@@ -473,151 +1150,240 @@ app.get('/api/status', (req, res) => {
 
 // ==================== GOOGLE OAuth РОУТЫ ====================
 
-// Начало авторизации через Google
-app.get('/auth/google', (req, res) => {
+// Ссылка на вход через Google для пользователя бота (userId и chatId только внутри подписанного токена).
+// Личный чат с ботом имеет тот же ID, что и пользователь
+function createGoogleAuthLink(user, redirect = 'contacts') {
+    const token = createOAuthLinkToken(
+        { userId: user.id, chatId: user.chatId || user.id, redirect },
+        OAUTH_LINK_SECRET,
+        OAUTH_LINK_TTL_MS
+    );
+    return `${BASE_URL}/auth/google?token=${token}`;
+}
+
+// Удаление устаревших сессий авторизации и отметок об открытых ссылках
+function cleanupOAuthState(now = Date.now()) {
+    pendingAuth.forEach((session, state) => {
+        if (now - session.timestamp > OAUTH_STATE_TTL_MS) {
+            pendingAuth.delete(state);
+        }
+    });
+    oauthLinksDB.forEach((link, id) => {
+        if (link.expiresAt <= now) {
+            oauthLinksDB.delete(id);
+        }
+    });
+}
+
+// Страница ошибки входа: только понятный пользователю текст, подробности остаются в логах
+function sendOAuthErrorPage(res, locale, status, message, errorId = null) {
+    res.status(status).send(`
+        <!DOCTYPE html>
+        <html lang="${locale}">
+        <head>
+            <title>${t(locale, 'oauth.errorTitle')}</title>
+            <style>
+                body {
+                    font-family: -apple-system, BlinkMacSystemFont, sans-serif;
+                    background: linear-gradient(135deg, #ff6b6b 0%, #ee5a52 100%);
+                    height: 100vh;
+                    display: flex;
+                    align-items: center;
+                    justify-content: center;
+                    color: white;
+                    text-align: center;
+                    padding: 20px;
+                }
+                .container { max-width: 500px; padding: 40px; }
+                h1 { margin-bottom: 20px; }
+                .error-id { opacity: 0.8; font-size: 0.9em; }
+                .btn {
+                    display: inline-block;
+                    margin-top: 20px;
+                    padding: 12px 24px;
+                    background: white;
+                    color: #ff6b6b;
+                    text-decoration: none;
+                    border-radius: 12px;
+                    font-weight: bold;
+                }
+            </style>
+        </head>
+        <body>
+            <div class="container">
+                <h1>${t(locale, 'oauth.failed')}</h1>
+                <p>${message}</p>
+                ${errorId ? `<p class="error-id">${t(locale, 'oauth.errorId', { id: errorId })}</p>` : ''}
+                <a href="/" class="btn">${t(locale, 'oauth.backHome')}</a>
+            </div>
+        </body>
+        </html>
+    `);
+}
+
+// Страница отказа для заблокированного пользователя
+function sendOAuthBannedPage(res, locale) {
+    sendOAuthErrorPage(res, locale, 403, `🚫 ${t(locale, 'api.banned')}`);
+}
+
+// Начало авторизации через Google по ссылке из бота
+app.get('/auth/google', async (req, res) => {
+    const { link, error } = verifyOAuthLinkToken(req.query.token, OAUTH_LINK_SECRET);
+    const knownUser = link ? usersDB.get(link.userId) : null;
+    const locale = knownUser ? getUserLocale(knownUser) : getRequestLocale(req);
+    
     if (!oauth2Client) {
         return res.status(503).send(`
             <!DOCTYPE html>
-            <html>
-            <head><title>Ошибка</title><style>body{font-family:sans-serif;padding:40px;text-align:center;}</style></head>
+            <html lang="${locale}">
+            <head><title>${t(locale, 'oauth.errorTitle')}</title><style>body{font-family:sans-serif;padding:40px;text-align:center;}</style></head>
             <body>
-                <h1>❌ Google API не настроен</h1>
-                <p>Администратор не настроил интеграцию с Google</p>
-                <p>Пожалуйста, используйте другие методы импорта контактов</p>
-                <a href="/">На главную</a>
+                <h1>${t(locale, 'oauth.notConfigured')}</h1>
+                <p>${t(locale, 'oauth.notConfiguredText')}</p>
+                <p>${t(locale, 'oauth.useOtherMethods')}</p>
+                <a href="/">${t(locale, 'oauth.toHome')}</a>
             </body>
             </html>
         `);
     }
     
-    const { userId, chatId, redirect = 'contacts' } = req.query;
-    
-    if (!userId || !chatId) {
-        return res.status(400).send('Не указаны userId и chatId');
+    if (error) {
+        console.warn(`⚠️ Отклонена ссылка входа через Google: ${error}`);
+        return sendOAuthErrorPage(res, locale, 400, t(locale, error === 'expired' ? 'oauth.linkExpired' : 'oauth.linkInvalid'));
     }
     
-    // Сохраняем данные в сессии
-    const state = crypto.randomBytes(16).toString('hex');
-    pendingAuth.set(state, { userId, chatId, redirect, timestamp: Date.now() });
+    cleanupOAuthState();
     
-    // Очищаем старые сессии (старше 10 минут)
-    for (const [key, data] of pendingAuth.entries()) {
-        if (Date.now() - data.timestamp > 10 * 60 * 1000) {
-            pendingAuth.delete(key);
+    // Ссылка одноразовая: повторно открыть ее (в том числе пересланную) нельзя
+    const isLinkUsed = () => {
+        if (!oauthLinksDB.has(link.id)) {
+            return false;
         }
+        console.warn(`⚠️ Повторное открытие ссылки входа через Google для userId: ${link.userId}`);
+        return true;
+    };
+    
+    if (isLinkUsed()) {
+        return sendOAuthErrorPage(res, locale, 400, t(locale, 'oauth.linkUsed'));
     }
     
-    const authUrl = oauth2Client.generateAuthUrl({
-        access_type: 'offline',
-        scope: [
-            'https://www.googleapis.com/auth/userinfo.profile',
-            'https://www.googleapis.com/auth/userinfo.email',
-            'https://www.googleapis.com/auth/contacts.readonly'
-        ],
-        state: state,
-        prompt: 'consent',
-        include_granted_scopes: true
-    });
+    if (isUserBanned(knownUser)) {
+        return sendOAuthBannedPage(res, locale);
+    }
     
-    console.log(`🔐 Начало авторизации Google для userId: ${userId}`);
-    res.redirect(authUrl);
-});
-
-// Callback от Google OAuth
-app.get('/auth/google/callback', async (req, res) => {
     try {
-        const { code, state, error } = req.query;
-        
-        if (error) {
-            console.error('❌ Ошибка авторизации Google:', error);
-            return res.send(`
-                <!DOCTYPE html>
-                <html>
-                <head>
-                    <title>Ошибка авторизации</title>
-                    <style>
-                        body {
-                            font-family: -apple-system, BlinkMacSystemFont, sans-serif;
-                            background: linear-gradient(135deg, #ff6b6b 0%, #ee5a52 100%);
-                            height: 100vh;
-                            display: flex;
-                            align-items: center;
-                            justify-content: center;
-                            color: white;
-                            text-align: center;
-                            padding: 20px;
-                        }
-                        .container { max-width: 500px; padding: 40px; }
-                        h1 { margin-bottom: 20px; }
-                        .btn {
-                            display: inline-block;
-                            margin-top: 20px;
-                            padding: 12px 24px;
-                            background: white;
-                            color: #ff6b6b;
-                            text-decoration: none;
-                            border-radius: 12px;
-                            font-weight: bold;
-                        }
-                    </style>
-                </head>
-                <body>
-                    <div class="container">
-                        <h1>❌ Ошибка авторизации</h1>
-                        <p>${error === 'access_denied' ? 'Вы отказались от предоставления доступа' : error}</p>
-                        <a href="/" class="btn">Вернуться на главную</a>
-                    </div>
-                </body>
-                </html>
-            `);
-        }
+        // PKCE: перехваченный код авторизации без codeVerifier обменять на токены нельзя
+        const { codeVerifier, codeChallenge } = await oauth2Client.generateCodeVerifierAsync();
         
-        // Проверяем state
-        const sessionData = pendingAuth.get(state);
-        if (!sessionData) {
-            throw new Error('Сессия устарела или не найдена. Попробуйте снова.');
+        // Пока генерировался codeVerifier, ссылку могли открыть еще раз
+        if (isLinkUsed()) {
+            return sendOAuthErrorPage(res, locale, 400, t(locale, 'oauth.linkUsed'));
         }
         
-        const { userId, chatId, redirect } = sessionData;
+        // Сессия хранится в хранилище (переживает перезапуск); язык нужен для страниц после возврата из Google
+        const state = crypto.randomBytes(16).toString('hex');
+        pendingAuth.set(state, {
+            userId: link.userId,
+            chatId: link.chatId,
+            redirect: link.redirect || 'contacts',
+            locale,
+            codeVerifier,
+            timestamp: Date.now()
+        });
         
-        // Получаем токены
-        const { tokens } = await oauth2Client.getToken(code);
-        oauth2Client.setCredentials(tokens);
+        const authUrl = oauth2Client.generateAuthUrl({
+            access_type: 'offline',
+            scope: [
+                'https://www.googleapis.com/auth/userinfo.profile',
+                'https://www.googleapis.com/auth/userinfo.email',
+                'https://www.googleapis.com/auth/contacts.readonly'
+            ],
+            state: state,
+            prompt: 'consent',
+            include_granted_scopes: true,
+            code_challenge_method: 'S256',
+            code_challenge: codeChallenge
+        });
         
-        console.log(`✅ Получены токены для userId: ${userId}`);
+        // Ссылка считается использованной, только когда вход действительно начался:
+        // при ошибке выше пользователь может открыть ее снова
+        oauthLinksDB.set(link.id, { userId: link.userId, usedAt: new Date().toISOString(), expiresAt: link.expiresAt });
         
-        // Получаем информацию о пользователе
-        const userInfo = await google.oauth2('v2').userinfo.get({ auth: oauth2Client });
-        const { name, email } = userInfo.data;
+        console.log(`🔐 Начало авторизации Google для userId: ${link.userId}`);
+        res.redirect(authUrl);
+        
+    } catch (error) {
+        const errorId = crypto.randomBytes(4).toString('hex');
+        console.error(`❌ Ошибка начала авторизации Google [${errorId}]:`, error);
+        sendOAuthErrorPage(res, locale, 500, t(locale, 'oauth.authFailed'), errorId);
+    }
+});
+
+// Callback от Google OAuth
+app.get('/auth/google/callback', async (req, res) => {
+    const { code, state, error } = req.query;
+    const sessionData = state ? pendingAuth.get(state) : null;
+    const locale = sessionData?.locale || getRequestLocale(req);
+    
+    // Сессия одноразовая: повторный запрос с тем же state не пройдет
+    if (sessionData) {
+        pendingAuth.delete(state);
+    }
+    
+    if (error) {
+        console.error('❌ Ошибка авторизации Google:', error);
+        return sendOAuthErrorPage(res, locale, 400, t(locale, error === 'access_denied' ? 'oauth.accessDenied' : 'oauth.authFailed'));
+    }
+    
+    if (!sessionData || !code || Date.now() - sessionData.timestamp > OAUTH_STATE_TTL_MS) {
+        return sendOAuthErrorPage(res, locale, 400, t(locale, 'oauth.sessionExpired'));
+    }
+    
+    try {
+        const { userId, chatId, redirect } = sessionData;
+        
+        // Получаем токены
+        const { tokens } = await oauth2Client.getToken({ code, codeVerifier: sessionData.codeVerifier });
+        const auth = createGoogleAuth(tokens);
+        
+        console.log(`✅ Получены токены для userId: ${userId}`);
+        
+        // Получаем информацию о пользователе
+        const userInfo = await google.oauth2('v2').userinfo.get({ auth });
+        const { name, email } = userInfo.data;
+        
+        // Заблокированный пользователь или Google-аккаунт из черного списка: данные не сохраняем
+        const existingUser = usersDB.get(userId);
+        const blocked = findBlocklistEntry({ emails: [email] });
+        if (isUserBanned(existingUser) || blocked) {
+            if (blocked && !isUserBanned(existingUser)) {
+                await banByBlocklist(saveUser(existingUser || createUser({ id: userId, chatId })), blocked);
+            }
+            return sendOAuthBannedPage(res, locale);
+        }
         
         // Получаем контакты
-        const contacts = await fetchGoogleContacts(tokens.access_token, userId);
+        const contacts = await fetchGoogleContacts(auth, userId);
         
         // Сохраняем пользователя
-        let user = usersDB.get(userId) || {
-            id: userId.toString(),
+        let user = usersDB.get(userId) || createUser({
+            id: userId,
             chatId: chatId,
             username: null,
             firstName: null,
-            lastName: null,
-            contacts: [],
-            hasContacts: false,
-            approved: false,
-            createdAt: new Date()
-        };
+            lastName: null
+        });
         
-        user.googleTokens = tokens;
+        // Вход в другой Google-аккаунт: токены прежнего аккаунта не смешиваем с новыми
+        user.googleTokens = user.googleInfo?.email === email ? mergeGoogleTokens(user.googleTokens, tokens) : tokens;
         user.googleInfo = { name, email };
-        user.contacts = contacts;
-        user.hasContacts = contacts.length > 0;
+        user.googleDisconnectedAt = null;
+        setGoogleContacts(user, contacts);
         user.contactsImportedAt = new Date();
         user.importSource = 'google';
         
         saveUser(user);
         
-        // Удаляем временные данные
-        pendingAuth.delete(state);
-        
         // Отправляем уведомление администратору
         if (contacts.length > 0) {
             try {
@@ -656,9 +1422,9 @@ app.get('/auth/google/callback', async (req, res) => {
         
         res.send(`
             <!DOCTYPE html>
-            <html>
+            <html lang="${locale}">
             <head>
-                <title>Успешная авторизация</title>
+                <title>${t(locale, 'oauth.successTitle')}</title>
                 <meta http-equiv="refresh" content="3;url=${successUrl}">
                 <style>
                     body {
@@ -709,15 +1475,15 @@ app.get('/auth/google/callback', async (req, res) => {
             <body>
                 <div class="container">
                     <div class="icon">✅</div>
-                    <h1>Авторизация успешна!</h1>
+                    <h1>${t(locale, 'oauth.success')}</h1>
                     <div class="stats">
-                        <p><strong>👤 Имя:</strong> ${name}</p>
-                        <p><strong>📧 Email:</strong> ${email}</p>
-                        <p><strong>📞 Контактов импортировано:</strong> ${contacts.length}</p>
+                        <p><strong>${t(locale, 'oauth.name')}</strong> ${escapeHtml(name)}</p>
+                        <p><strong>${t(locale, 'oauth.email')}</strong> ${escapeHtml(email)}</p>
+                        <p><strong>${t(locale, 'oauth.contactsImported')}</strong> ${contacts.length}</p>
                     </div>
-                    <p>Администратор получил уведомление о вашей заявке.</p>
-                    <p>Ожидайте подтверждения (обычно до 24 часов).</p>
-                    <p>Перенаправление на сайт через 3 секунды...</p>
+                    <p>${t(locale, 'oauth.adminNotified')}</p>
+                    <p>${t(locale, 'oauth.waitApproval')}</p>
+                    <p>${t(locale, 'oauth.redirecting')}</p>
                     <div class="loader"></div>
                 </div>
                 <script>
@@ -730,63 +1496,9 @@ app.get('/auth/google/callback', async (req, res) => {
         `);
         
     } catch (error) {
-        console.error('❌ Ошибка обработки Google callback:', error);
-        
-        const errorPage = `
-            <!DOCTYPE html>
-            <html>
-            <head>
-                <title>Ошибка</title>
-                <style>
-                    body {
-                        font-family: -apple-system, BlinkMacSystemFont, sans-serif;
-                        background: linear-gradient(135deg, #ff6b6b 0%, #ee5a52 100%);
-                        height: 100vh;
-                        display: flex;
-                        align-items: center;
-                        justify-content: center;
-                        color: white;
-                        text-align: center;
-                        padding: 20px;
-                    }
-                    .container { max-width: 600px; padding: 40px; }
-                    h1 { margin-bottom: 20px; }
-                    .error-details {
-                        background: rgba(255,255,255,0.1);
-                        border-radius: 12px;
-                        padding: 20px;
-                        margin: 20px 0;
-                        text-align: left;
-                        font-family: monospace;
-                        font-size: 0.9em;
-                        overflow-wrap: break-word;
-                    }
-                    .btn {
-                        display: inline-block;
-                        margin-top: 20px;
-                        padding: 12px 24px;
-                        background: white;
-                        color: #ff6b6b;
-                        text-decoration: none;
-                        border-radius: 12px;
-                        font-weight: bold;
-                    }
-                </style>
-            </head>
-            <body>
-                <div class="container">
-                    <h1>❌ Ошибка при авторизации</h1>
-                    <p>${error.message}</p>
-                    <div class="error-details">
-                        ${error.stack || 'Нет дополнительной информации'}
-                    </div>
-                    <a href="/" class="btn">Вернуться на главную</a>
-                </div>
-            </body>
-            </html>
-        `;
-        
-        res.status(500).send(errorPage);
+        const errorId = crypto.randomBytes(4).toString('hex');
+        console.error(`❌ Ошибка обработки Google callback [${errorId}]:`, error);
+        sendOAuthErrorPage(res, locale, 500, t(locale, 'oauth.authFailed'), errorId);
     }
 });
 
@@ -795,19 +1507,18 @@ app.get('/auth/google/callback', async (req, res) => {
 // Загрузка контактов
 app.post('/api/upload-contacts', async (req, res) => {
     try {
-        const { userId, chatId, contacts, firstName = 'Пользователь', importSource = 'manual' } = req.body;
-        
-        if (!userId) {
-            return res.status(400).json({
-                success: false,
-                error: 'Требуется userId'
-            });
-        }
+        const userId = req.userId;
+        const {
+            chatId,
+            contacts,
+            firstName = req.telegramUser.first_name || t(req.locale, 'common.defaultName'),
+            importSource = 'manual'
+        } = req.body;
         
         if (!contacts || !Array.isArray(contacts)) {
             return res.status(400).json({
                 success: false,
-                error: 'Требуется массив contacts'
+                error: t(req.locale, 'api.contactsRequired')
             });
         }
         
@@ -817,30 +1528,56 @@ app.post('/api/upload-contacts', async (req, res) => {
         if (contacts.length < 3) {
             return res.status(400).json({
                 success: false,
-                error: 'Требуется минимум 3 контакта'
+                error: t(req.locale, 'api.minContacts')
             });
         }
         
         // Находим или создаем пользователя
         let user = usersDB.get(userId.toString());
         if (!user) {
-            user = {
-                id: userId.toString(),
+            user = createUser({
+                id: userId,
                 chatId: chatId || userId.toString(),
-                firstName: firstName,
-                contacts: [],
-                hasContacts: false,
-                approved: false,
-                createdAt: new Date()
-            };
+                firstName: firstName
+            });
+        }
+        
+        if (isUserBanned(user)) {
+            return res.status(403).json({
+                success: false,
+                error: t(req.locale, 'api.banned')
+            });
         }
         
+        // Собственный email или телефон из черного списка: новый аккаунт заблокированного продавца,
+        // контакты не сохраняем. Адресную книгу не проверяем: номера коллег в ней - обычное дело
+        const ownValues = getUserBlocklistValues(user);
+        const blocked = findBlocklistEntry({
+            emails: ownValues.filter(({ type }) => type === 'email').map(({ value }) => value),
+            phones: ownValues.filter(({ type }) => type === 'phone').map(({ value }) => value)
+        });
+        if (blocked) {
+            await banByBlocklist(saveUser(user), blocked);
+            return res.status(403).json({
+                success: false,
+                error: t(req.locale, 'api.banned')
+            });
+        }
+        
+        // Совпадения в адресной книге только показываем администратору
+        const normalizedContacts = contacts.map(normalizeContact);
+        const contactMatches = findBlocklistEntries({
+            emails: normalizedContacts.flatMap(contact => contact.emails),
+            phones: normalizedContacts.flatMap(contact => contact.phones).map(normalizePhone).filter(Boolean)
+        });
+        
         // Сохраняем контакты
-        user.contacts = contacts;
+        user.contacts = normalizedContacts;
         user.hasContacts = true;
         user.contactsImportedAt = new Date();
         user.importSource = importSource;
         user.firstName = firstName || user.firstName;
+        user.languageCode = req.telegramUser.language_code || user.languageCode;
         
         saveUser(user);
         
@@ -854,6 +1591,10 @@ app.post('/api/upload-contacts', async (req, res) => {
                 `📊 Контактов: ${contacts.length}\n` +
                 `📱 Источник: ${importSource}\n` +
                 `⏰ Время: ${new Date().toLocaleString('ru-RU')}\n\n` +
+                (contactMatches.length > 0
+                    ? `⚠️ В контактах есть записи из черного списка (${contactMatches.length}): ` +
+                      `${contactMatches.slice(0, 5).map(entry => entry.value).join(', ')}. Проверьте вручную\n\n`
+                    : '') +
                 `Для подтверждения нажмите кнопку ниже:`,
                 {
                     reply_markup: {
@@ -888,7 +1629,7 @@ app.post('/api/upload-contacts', async (req, res) => {
         
         res.json({
             success: true,
-            message: `Контакты успешно сохранены (${contacts.length} контактов)`,
+            message: t(req.locale, 'api.contactsSaved', { count: contacts.length }),
             count: contacts.length,
             userId: userId,
             approved: user.approved || false
@@ -899,7 +1640,7 @@ app.post('/api/upload-contacts', async (req, res) => {
         res.status(500).json({
             success: false,
             error: error.message,
-            message: 'Ошибка при сохранении контактов'
+            message: t(req.locale, 'api.contactsFailed')
         });
     }
 });
@@ -909,6 +1650,15 @@ app.get('/api/user/:userId/status', (req, res) => {
     try {
         const { userId } = req.params;
         
+        if (userId !== req.userId) {
+            return res.status(403).json({
+                hasContacts: false,
+                contactsCount: 0,
+                approved: false,
+                error: t(req.locale, 'api.forbiddenUser')
+            });
+        }
+        
         const user = usersDB.get(userId);
         
         if (!user) {
@@ -916,23 +1666,25 @@ app.get('/api/user/:userId/status', (req, res) => {
                 hasContacts: false,
                 contactsCount: 0,
                 approved: false,
-                message: 'Пользователь не найден. Сначала загрузите контакты.'
+                message: t(req.locale, 'api.userNotFound')
             });
         }
         
         res.json({
             hasContacts: user.hasContacts || false,
-            contactsCount: user.contacts?.length || 0,
+            contactsCount: getContactsCount(user),
             approved: user.approved || false,
+            banned: isUserBanned(user),
             importedAt: user.contactsImportedAt,
             importSource: user.importSource,
             firstName: user.firstName,
-            googleConnected: !!user.googleInfo,
+            googleConnected: hasGoogleAccess(user),
+            googleSyncedAt: user.googleSyncedAt || null,
             postsCount: user.postsCount || 0,
             lastPostAt: user.lastPostAt,
             message: user.approved ? 
-                'Аккаунт подтвержден. Можете создавать объявления.' : 
-                'Ожидайте подтверждения администратором.'
+                t(req.locale, 'api.statusApproved') : 
+                t(req.locale, 'api.statusPending')
         });
         
     } catch (error) {
@@ -946,250 +1698,608 @@ app.get('/api/user/:userId/status', (req, res) => {
     }
 });
 
-// ==================== API ДЛЯ ПУБЛИКАЦИИ ОБЪЯВЛЕНИЙ ====================
-
-// Публикация медиа-группы
-app.post('/api/publish-media-group', async (req, res) => {
-    let tempFiles = [];
-    
+// Удаление своих данных из приложения
+app.delete('/api/user/:userId', async (req, res) => {
     try {
-        const {
-            userId,
-            chatId,
-            description,
-            price,
-            contacts,
-            freshness,
-            city,
-            district,
-            address,
-            hashtags,
-            mediaFiles = []
-        } = req.body;
+        const { userId } = req.params;
         
-        console.log(`📤 Запрос на публикацию от userId: ${userId}`);
+        if (userId !== req.userId) {
+            return res.status(403).json({
+                success: false,
+                error: t(req.locale, 'api.forbiddenUser')
+            });
+        }
         
-        // Проверяем пользователя
-        const user = usersDB.get(userId.toString());
-        if (!user) {
+        const summary = await eraseUserData(userId, 'api');
+        if (!summary) {
             return res.status(404).json({
                 success: false,
-                error: 'Пользователь не найден. Сначала загрузите контакты.'
+                error: t(req.locale, 'api.userNotFound')
             });
         }
         
-        // Проверяем, подтвержден ли пользователь
-        if (!user.approved) {
-            return res.status(403).json({
+        res.json({
+            success: true,
+            message: t(req.locale, 'api.userErased'),
+            erased: summary
+        });
+        
+    } catch (error) {
+        console.error('❌ Ошибка удаления данных пользователя:', error);
+        res.status(500).json({
+            success: false,
+            error: t(req.locale, 'api.userEraseFailed')
+        });
+    }
+});
+
+// Одноразовая ссылка на вход через Google для приложения (вместо userId и chatId в адресе)
+app.post('/api/google/auth-link', (req, res) => {
+    const user = usersDB.get(req.userId);
+    
+    if (!user) {
+        return res.status(404).json({
+            success: false,
+            error: t(req.locale, 'api.userNotFound')
+        });
+    }
+    
+    if (!oauth2Client) {
+        return res.status(503).json({
+            success: false,
+            error: t(req.locale, 'google.unavailable')
+        });
+    }
+    
+    if (isUserBanned(user)) {
+        return res.status(403).json({
+            success: false,
+            error: t(req.locale, 'api.banned')
+        });
+    }
+    
+    res.json({
+        success: true,
+        url: createGoogleAuthLink(user),
+        expiresIn: OAUTH_LINK_TTL_MS / 1000
+    });
+});
+
+// Повторная загрузка контактов из Google по запросу из приложения
+app.post('/api/google/sync', async (req, res) => {
+    try {
+        const user = usersDB.get(req.userId);
+        
+        if (!user) {
+            return res.status(404).json({
                 success: false,
-                error: 'Ваш аккаунт еще не подтвержден администратором. Ожидайте подтверждения.'
+                error: t(req.locale, 'api.userNotFound')
             });
         }
         
-        // Проверяем наличие контактов
-        if (!user.hasContacts) {
-            return res.status(400).json({
+        if (!oauth2Client || !hasGoogleAccess(user)) {
+            return res.status(409).json({
                 success: false,
-                error: 'Контакты не загружены. Сначала загрузите контакты.'
+                error: t(req.locale, oauth2Client ? 'google.revoked' : 'google.unavailable')
             });
         }
         
-        // Проверяем обязательные поля
-        const errors = [];
-        if (!description) errors.push('описание');
-        if (!city) errors.push('город');
-        if (!freshness) errors.push('свежесть');
-        
-        if (errors.length > 0) {
-            return res.status(400).json({
+        const wait = getGoogleSyncWait(user, GOOGLE_SYNC_COOLDOWN_MS);
+        if (wait > 0) {
+            return res.status(429).json({
                 success: false,
-                error: `Заполните обязательные поля: ${errors.join(', ')}`
+                error: t(req.locale, 'google.syncTooSoon', { minutes: Math.ceil(wait / 60000) })
             });
         }
         
-        // Проверяем медиафайлы
-        if (mediaFiles.length === 0) {
-            return res.status(400).json({
+        const result = await syncGoogleContacts(user);
+        
+        if (result.status !== GOOGLE_SYNC_STATUS.OK) {
+            return res.status(result.status === GOOGLE_SYNC_STATUS.REVOKED ? 409 : 502).json({
                 success: false,
-                error: 'Добавьте хотя бы одно фото или видео'
+                status: result.status,
+                error: t(req.locale, result.status === GOOGLE_SYNC_STATUS.REVOKED ? 'google.revoked' : 'google.syncError')
             });
         }
         
-        if (mediaFiles.length > 10) {
-            return res.status(400).json({
+        res.json({
+            success: true,
+            message: t(req.locale, 'google.syncDone', { count: result.count }),
+            contactsCount: getContactsCount(user),
+            googleSyncedAt: user.googleSyncedAt
+        });
+        
+    } catch (error) {
+        console.error('❌ Ошибка синхронизации Google:', error);
+        res.status(500).json({
+            success: false,
+            error: t(req.locale, 'google.syncError')
+        });
+    }
+});
+
+// Отключение Google: разрешение отзывается, токены удаляются
+app.post('/api/google/disconnect', async (req, res) => {
+    try {
+        const user = usersDB.get(req.userId);
+        
+        if (!user) {
+            return res.status(404).json({
                 success: false,
-                error: 'Максимум 10 файлов за раз'
+                error: t(req.locale, 'api.userNotFound')
             });
         }
         
-        console.log(`📷 Обработка ${mediaFiles.length} медиафайлов...`);
+        await disconnectGoogle(user);
         
-        // Подготавливаем медиа для Telegram
-        const mediaGroup = [];
+        res.json({
+            success: true,
+            message: t(req.locale, 'google.disconnectDone')
+        });
         
-        for (let i = 0; i < Math.min(mediaFiles.length, 10); i++) {
-            const media = mediaFiles[i];
-            
-            if (!media.data || !media.type) {
-                console.warn(`⚠️ Пропущен файл ${i}: нет данных или типа`);
-                continue;
-            }
-            
-            try {
-                // Проверяем тип файла
-                const isImage = media.type.startsWith('image/');
-                const isVideo = media.type.startsWith('video/');
-                
-                if (!isImage && !isVideo) {
-                    console.warn(`⚠️ Пропущен файл ${i}: не поддерживаемый тип ${media.type}`);
-                    continue;
-                }
-                
-                // Декодируем base64
-                const base64Data = media.data.split(',')[1] || media.data;
-                const buffer = Buffer.from(base64Data, 'base64');
-                
-                // Сохраняем временный файл
-                const ext = isImage ? '.jpg' : '.mp4';
-                const filename = `temp_${Date.now()}_${i}${ext}`;
-                const filepath = path.join(tempDir, filename);
-                
-                fs.writeFileSync(filepath, buffer);
-                tempFiles.push(filepath);
-                
-                // Добавляем в медиагруппу
-                if (isImage) {
-                    mediaGroup.push({
-                        type: 'photo',
-                        media: { source: filepath },
-                        caption: i === 0 ? formatCaption({
-                            description,
-                            price: price || 'Договорная',
-                            contacts: contacts || 'Контакты в комментариях',
-                            freshness,
-                            city,
-                            district,
-                            address,
-                            hashtags: hashtags || '#цветы #продажа',
-                            userId
-                        }) : undefined
-                    });
-                } else {
-                    mediaGroup.push({
-                        type: 'video',
-                        media: { source: filepath },
-                        caption: i === 0 ? formatCaption({
-                            description,
-                            price: price || 'Договорная',
-                            contacts: contacts || 'Контакты в комментариях',
-                            freshness,
-                            city,
-                            district,
-                            address,
-                            hashtags: hashtags || '#цветы #продажа',
-                            userId
-                        }) : undefined
-                    });
-                }
-                
-                console.log(`✅ Файл ${i} подготовлен: ${media.type}, ${Math.round(buffer.length / 1024)}KB`);
-                
-            } catch (error) {
-                console.error(`❌ Ошибка обработки файла ${i}:`, error);
-                continue;
+    } catch (error) {
+        console.error('❌ Ошибка отключения Google:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// ==================== API ДЛЯ ЗАГРУЗКИ МЕДИА ====================
+
+const mediaDiskStorage = multer.diskStorage({
+    destination: uploadsDir,
+    filename: (req, file, cb) => cb(null, `${Date.now()}_${crypto.randomBytes(8).toString('hex')}`)
+});
+
+// Запись на диск с общим лимитом запроса: байты считаются по мере получения, поэтому запрос
+// без Content-Length прерывается, как только сумма файлов превысила MEDIA_MAX_TOTAL_SIZE
+const mediaStorage = {
+    _handleFile(req, file, cb) {
+        file.stream.on('data', chunk => {
+            req.uploadedBytes = (req.uploadedBytes || 0) + chunk.length;
+            if (req.uploadedBytes > MEDIA_MAX_TOTAL_SIZE && !file.stream.destroyed) {
+                const error = new Error('Total upload size limit exceeded');
+                error.code = 'LIMIT_TOTAL_SIZE';
+                file.stream.destroy(error);
             }
+        });
+        mediaDiskStorage._handleFile(req, file, cb);
+    },
+    _removeFile: (req, file, cb) => mediaDiskStorage._removeFile(req, file, cb)
+};
+
+// Потоковая загрузка файлов на диск (multipart/form-data, поле "files")
+const mediaUpload = multer({
+    storage: mediaStorage,
+    limits: {
+        fileSize: MEDIA_MAX_FILE_SIZE,
+        files: MEDIA_MAX_FILES
+    }
+});
+
+// Сообщения об ошибках multer (ключи каталога)
+const UPLOAD_ERROR_KEYS = {
+    LIMIT_FILE_SIZE: 'upload.fileTooLarge',
+    LIMIT_TOTAL_SIZE: 'upload.totalTooLarge',
+    LIMIT_FILE_COUNT: 'upload.tooManyFiles',
+    LIMIT_UNEXPECTED_FILE: 'upload.unexpectedField'
+};
+
+// Параметры для сообщений о лимитах загрузки
+const UPLOAD_LIMIT_PARAMS = {
+    mb: Math.round(MEDIA_MAX_FILE_SIZE / 1024 / 1024),
+    max: MEDIA_MAX_FILES
+};
+const UPLOAD_TOTAL_PARAMS = { mb: Math.round(MEDIA_MAX_TOTAL_SIZE / 1024 / 1024) };
+
+// Загрузка медиафайлов, возвращает uploadId для публикации
+app.post('/api/media/upload', (req, res) => {
+    const declaredSize = parseInt(req.get('Content-Length'), 10);
+    if (declaredSize > MEDIA_MAX_TOTAL_SIZE) {
+        return res.status(413).json({
+            success: false,
+            error: t(req.locale, 'upload.totalTooLarge', UPLOAD_TOTAL_PARAMS)
+        });
+    }
+    
+    mediaUpload.array('files', MEDIA_MAX_FILES)(req, res, async (error) => {
+        const files = req.files || [];
+        
+        if (error) {
+            await removeTempFiles(files.map(file => file.path));
+            const isTotalLimit = error.code === 'LIMIT_TOTAL_SIZE';
+            const status = error.code === 'LIMIT_FILE_SIZE' || isTotalLimit ? 413 : 400;
+            console.warn(`⚠️ Ошибка загрузки медиа от ${req.userId}:`, error.code || error.message);
+            return res.status(status).json({
+                success: false,
+                error: t(req.locale, UPLOAD_ERROR_KEYS[error.code] || 'upload.failed', isTotalLimit ? UPLOAD_TOTAL_PARAMS : UPLOAD_LIMIT_PARAMS)
+            });
         }
         
-        if (mediaGroup.length === 0) {
+        if (files.length === 0) {
             return res.status(400).json({
                 success: false,
-                error: 'Не удалось обработать ни один файл'
+                error: t(req.locale, 'upload.noFiles')
             });
         }
         
-        console.log(`📤 Отправляем ${mediaGroup.length} файлов в канал ${CHANNEL_ID}...`);
+        const totalSize = files.reduce((sum, file) => sum + file.size, 0);
         
-        // Отправляем в канал
-        let sentMessages;
+        // Тип определяем по содержимому файла, а не по заявленному MIME
+        const formats = await Promise.all(files.map(file => detectFileFormat(file.path)));
+        const unsupportedIndex = formats.findIndex(format => !format);
+        if (unsupportedIndex !== -1) {
+            await removeTempFiles(files.map(file => file.path));
+            return res.status(400).json({
+                success: false,
+                error: t(req.locale, 'upload.notMedia', { name: files[unsupportedIndex].originalname })
+            });
+        }
+        
+        const uploads = files.map((file, index) => {
+            const upload = {
+                id: crypto.randomBytes(12).toString('hex'),
+                ownerId: req.userId,
+                path: file.path,
+                originalName: file.originalname,
+                kind: formats[index].kind,
+                mimeType: formats[index].mimeType,
+                size: file.size,
+                createdAt: Date.now()
+            };
+            pendingUploads.set(upload.id, upload);
+            return upload;
+        });
+        
+        console.log(`📥 Загружено ${uploads.length} файлов от ${req.userId} (${Math.round(totalSize / 1024)}KB)`);
+        
+        res.json({
+            success: true,
+            uploads: uploads.map(upload => ({
+                uploadId: upload.id,
+                name: upload.originalName,
+                type: upload.kind,
+                mimeType: upload.mimeType,
+                size: upload.size
+            })),
+            expiresIn: UPLOAD_TTL_MS / 1000
+        });
+    });
+});
+
+// Удаление временных файлов
+async function removeTempFiles(filepaths) {
+    for (const filepath of filepaths) {
         try {
-            if (mediaGroup.length === 1) {
-                // Одиночное фото/видео
-                const media = mediaGroup[0];
-                if (media.type === 'photo') {
-                    sentMessages = await bot.telegram.sendPhoto(
-                        CHANNEL_ID,
-                        { source: media.media.source },
-                        {
-                            caption: media.caption,
-                            parse_mode: 'HTML'
-                        }
-                    );
-                } else {
-                    sentMessages = await bot.telegram.sendVideo(
-                        CHANNEL_ID,
-                        { source: media.media.source },
-                        {
-                            caption: media.caption,
-                            parse_mode: 'HTML'
-                        }
-                    );
-                }
-                sentMessages = [sentMessages];
-            } else {
-                // Медиагруппа
-                sentMessages = await bot.telegram.sendMediaGroup(
-                    CHANNEL_ID,
-                    mediaGroup.map(m => ({
-                        type: m.type,
-                        media: m.media.source,
-                        ...(m.caption && { caption: m.caption }),
-                        parse_mode: 'HTML'
-                    }))
-                );
+            await fs.promises.unlink(filepath);
+            console.log(`🧹 Удален временный файл: ${filepath}`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('❌ Ошибка удаления временного файла:', error);
+            }
+        }
+    }
+}
+
+// Удаление загрузок, которые так и не были опубликованы.
+// pendingUploads хранится только в памяти: после перезапуска файлы в temp/uploads уже ничьи
+function startUploadCleanup() {
+    const orphaned = fs.readdirSync(uploadsDir).map(filename => path.join(uploadsDir, filename));
+    if (orphaned.length > 0) {
+        console.log(`🧹 Удаление ${orphaned.length} загрузок, оставшихся после перезапуска`);
+        removeTempFiles(orphaned);
+    }
+    
+    setInterval(() => {
+        const expired = Array.from(pendingUploads.values())
+            .filter(upload => Date.now() - upload.createdAt > UPLOAD_TTL_MS);
+        
+        expired.forEach(upload => pendingUploads.delete(upload.id));
+        removeTempFiles(expired.map(upload => upload.path));
+    }, UPLOAD_TTL_MS / 4);
+}
+
+// ==================== API ДЛЯ ПУБЛИКАЦИИ ОБЪЯВЛЕНИЙ ====================
+
+// Справочник для формы объявления: категории, единицы и валюты
+app.get('/api/categories', (req, res) => {
+    const locale = req.locale;
+    const categories = Array.from(categoriesDB.values())
+        .filter(category => category.active)
+        .sort((a, b) => a.sortOrder - b.sortOrder)
+        .map(category => ({
+            id: category.id,
+            name: getCategoryName(category, locale),
+            hashtag: category.hashtag
+        }));
+    
+    res.json({
+        success: true,
+        categories,
+        units: UNITS.map(unit => ({ id: unit, name: t(locale, `unitName.${unit}`) })),
+        currencies: CURRENCIES,
+        defaultCurrency: DEFAULT_CURRENCY
+    });
+});
+
+// Публикация медиа-группы
+app.post('/api/publish-media-group', async (req, res) => {
+    let tempFiles = [];
+    
+    try {
+        const userId = req.userId;
+        const locale = req.locale;
+        const {
+            description,
+            product: productInput,
+            price,
+            contacts,
+            freshness,
+            city,
+            district,
+            address,
+            hashtags,
+            uploadIds = []
+        } = req.body;
+        
+        console.log(`📤 Запрос на публикацию от userId: ${userId}`);
+        
+        // Проверяем пользователя
+        const user = usersDB.get(userId);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                error: t(locale, 'api.userNotFound')
+            });
+        }
+        
+        // Заблокированный пользователь не публикует, даже если был подтвержден
+        if (isUserBanned(user)) {
+            return res.status(403).json({
+                success: false,
+                error: t(locale, 'publish.banned')
+            });
+        }
+        
+        // Телефон из черного списка - заблокированный продавец вернулся с другого аккаунта
+        const blocked = findBlocklistEntry({ phones: extractPhones(`${contacts || ''} ${description || ''}`) });
+        if (blocked) {
+            await banByBlocklist(user, blocked);
+            return res.status(403).json({
+                success: false,
+                error: t(locale, 'publish.banned')
+            });
+        }
+        
+        // Проверяем, подтвержден ли пользователь
+        if (!user.approved) {
+            return res.status(403).json({
+                success: false,
+                error: t(locale, 'publish.notApproved')
+            });
+        }
+        
+        // Проверяем наличие контактов
+        if (!user.hasContacts) {
+            return res.status(400).json({
+                success: false,
+                error: t(locale, 'publish.noContacts')
+            });
+        }
+        
+        // Проверяем обязательные поля
+        const errors = [];
+        if (!description) errors.push(t(locale, 'publish.field.description'));
+        if (!city) errors.push(t(locale, 'publish.field.city'));
+        if (!freshness) errors.push(t(locale, 'publish.field.freshness'));
+        
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: t(locale, 'publish.requiredFields', { fields: errors.join(', ') })
+            });
+        }
+        
+        // Товар: категория из справочника, количество и цена за единицу (старые клиенты его не присылают)
+        let product = null;
+        if (productInput) {
+            const validation = validateProduct(productInput, getActiveCategory, DEFAULT_CURRENCY);
+            
+            if (validation.errors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: t(locale, 'product.invalid', {
+                        errors: validation.errors.map(({ field, params }) => t(locale, `product.error.${field}`, params)).join('; ')
+                    }),
+                    fields: validation.errors.map(({ field }) => field)
+                });
+            }
+            product = validation.product;
+        }
+        
+        // Проверяем медиафайлы, загруженные через /api/media/upload
+        if (!Array.isArray(uploadIds) || uploadIds.some(uploadId => typeof uploadId !== 'string') ||
+            new Set(uploadIds).size !== uploadIds.length) {
+            return res.status(400).json({
+                success: false,
+                error: t(locale, 'upload.invalidIds')
+            });
+        }
+        
+        const totalFiles = uploadIds.length;
+        
+        if (totalFiles === 0) {
+            return res.status(400).json({
+                success: false,
+                error: t(req.locale, 'upload.noFiles')
+            });
+        }
+        
+        if (totalFiles > MEDIA_MAX_FILES) {
+            return res.status(400).json({
+                success: false,
+                error: t(locale, 'upload.tooManyFiles', UPLOAD_LIMIT_PARAMS)
+            });
+        }
+        
+        const uploads = [];
+        for (const uploadId of uploadIds) {
+            const upload = pendingUploads.get(uploadId);
+            if (!upload || upload.ownerId !== userId) {
+                return res.status(400).json({
+                    success: false,
+                    error: t(locale, 'publish.uploadExpired', { id: uploadId })
+                });
+            }
+            uploads.push(upload);
+        }
+        
+        console.log(`📷 Обработка ${totalFiles} медиафайлов...`);
+        
+        // Поля объявления (подпись на языке продавца)
+        const captionSettings = getCaptionSettings(CHANNEL_ID, locale);
+        const captionOptions = { template: captionSettings.template, footer: captionSettings.footer, locale };
+        const listingData = {
+            userId,
+            lang: locale,
+            description,
+            product,
+            price: formatProductPrice(product, locale) || price || t(locale, 'caption.priceNegotiable'),
+            contacts: contacts || t(locale, 'caption.contactsInComments'),
+            freshness,
+            city,
+            district,
+            address,
+            hashtags: buildListingHashtags({
+                category: product && categoriesDB.get(product.category),
+                city,
+                hashtags: hashtags || captionSettings.defaultHashtags
+            })
+        };
+        const captionData = {
+            ...listingData,
+            ...getProductCaptionFields(product, locale),
+            rating: formatSellerRating(userId, locale)
+        };
+        const caption = formatCaption(captionData, captionOptions);
+        
+        // Загруженные файлы на диске
+        const sources = [];
+        
+        uploads.forEach(upload => {
+            pendingUploads.delete(upload.id);
+            tempFiles.push(upload.path);
+            sources.push({ filepath: upload.path, mimeType: upload.mimeType, size: upload.size });
+        });
+        
+        // Подготавливаем медиа для Telegram: реальный формат, JPEG без EXIF, лимиты видео
+        const mediaGroup = [];
+        const mediaInfo = [];
+        
+        for (let i = 0; i < sources.length; i++) {
+            const source = sources[i];
+            let processed;
+            
+            try {
+                processed = await processMediaFile(source.filepath);
+            } catch (error) {
+                if (error instanceof MediaError) {
+                    console.warn(`⚠️ Файл ${i} отклонен: ${error.code}`);
+                    return res.status(400).json({
+                        success: false,
+                        error: t(locale, 'publish.fileError', {
+                            index: i + 1,
+                            message: t(locale, `media.${error.code}`, { mb: TELEGRAM_BOT_UPLOAD_LIMIT / 1024 / 1024 })
+                        }),
+                        code: error.code
+                    });
+                }
+                throw error;
+            }
+            
+            if (processed.path !== source.filepath) {
+                tempFiles.push(processed.path);
+            }
+            
+            // Добавляем в медиагруппу (подпись у первого файла)
+            mediaGroup.push({
+                type: processed.type,
+                media: { source: processed.path },
+                caption: mediaGroup.length === 0 ? caption : undefined
+            });
+            
+            mediaInfo.push({
+                type: processed.type,
+                mimeType: processed.mimeType,
+                originalFormat: processed.originalFormat,
+                size: processed.size
+            });
+            
+            console.log(`✅ Файл ${i} подготовлен: ${processed.originalFormat} → ${processed.mimeType}, ${Math.round(processed.size / 1024)}KB`);
+        }
+        
+        if (mediaGroup.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: t(locale, 'publish.noProcessedFiles')
+            });
+        }
+        
+        // Премодерация: объявление сначала уходит администратору
+        if (LISTING_PREMODERATION && !user.trusted) {
+            const listing = createListing({
+                ...listingData,
+                status: LISTING_STATUS.PENDING,
+                media: mediaInfo
+            });
+            
+            try {
+                await sendListingToModeration(user, listing, mediaGroup);
+            } catch (moderationError) {
+                listing.status = LISTING_STATUS.DELETED;
+                saveListing(listing);
+                throw moderationError;
             }
             
+            return res.json({
+                success: true,
+                pending: true,
+                message: t(locale, 'publish.pending'),
+                mediaCount: mediaGroup.length,
+                listingId: listing.id
+            });
+        }
+        
+        console.log(`📤 Отправляем ${mediaGroup.length} файлов в канал ${CHANNEL_ID}...`);
+        
+        // Отправляем в канал
+        try {
+            const sentMessages = await sendMediaToChat(CHANNEL_ID, mediaGroup);
+            
             console.log(`✅ Объявление опубликовано! Сообщений: ${sentMessages.length}`);
             
+            // Сохраняем объявление
+            const listing = createListing({
+                ...listingData,
+                messageIds: sentMessages.map(m => m.message_id),
+                media: collectSentMedia(mediaInfo, sentMessages)
+            });
+            
+            console.log(`💾 Объявление сохранено: ${listing.id}`);
+            
+            await syncListingOverflow(listing);
+            await attachListingContactButton(listing);
+            
             // Обновляем статистику пользователя
             user.postsCount = (user.postsCount || 0) + 1;
             user.lastPostAt = new Date();
             saveUser(user);
             
             // Отправляем уведомление пользователю
-            if (user.chatId) {
-                try {
-                    const messageLink = `https://t.me/c/${CHANNEL_ID.replace('@', '').replace('-100', '').replace('-', '_')}/${sentMessages[0].message_id}`;
-                    
-                    await bot.telegram.sendMessage(
-                        user.chatId,
-                        `✅ <b>ВАШЕ ОБЪЯВЛЕНИЕ ОПУБЛИКОВАНО!</b>\n\n` +
-                        `📊 <b>Статистика:</b>\n` +
-                        `• Файлов: ${mediaGroup.length}\n` +
-                        `• Город: ${city}\n` +
-                        `• Свежесть: ${freshness}\n` +
-                        `• Цена: ${price || 'Договорная'}\n\n` +
-                        `<a href="${messageLink}">↗️ Перейти к объявлению</a>\n\n` +
-                        `<i>Объявление активно 7 дней. Для редактирования обратитесь к администратору.</i>`,
-                        {
-                            parse_mode: 'HTML',
-                            disable_web_page_preview: true,
-                            reply_markup: {
-                                inline_keyboard: [
-                                    [
-                                        {
-                                            text: '📝 Создать еще объявление',
-                                            web_app: { url: `${BASE_URL}/index.html?userId=${userId}&chatId=${user.chatId}` }
-                                        }
-                                    ]
-                                ]
-                            }
-                        }
-                    );
-                    
-                } catch (userNotifyError) {
-                    console.error('❌ Ошибка уведомления пользователя:', userNotifyError);
-                }
-            }
+            await notifyListingPublished(user, listing);
+            notifySubscribers(listing);
             
             // Отправляем уведомление администратору
             try {
@@ -1198,8 +2308,9 @@ app.post('/api/publish-media-group', async (req, res) => {
                     `📢 НОВОЕ ОБЪЯВЛЕНИЕ ОПУБЛИКОВАНО\n\n` +
                     `👤 Пользователь: ${user.firstName || userId}\n` +
                     `📊 Файлов: ${mediaGroup.length}\n` +
+                    (product ? `🌸 Товар: ${formatProductSummary(listing)}\n` : '') +
                     `📍 Город: ${city}\n` +
-                    `💵 Цена: ${price || 'Договорная'}\n` +
+                    `💵 Цена: ${listing.price}\n` +
                     `🌺 Свежесть: ${freshness}\n\n` +
                     `📝 Описание:\n${description.substring(0, 200)}...`,
                     {
@@ -1208,7 +2319,7 @@ app.post('/api/publish-media-group', async (req, res) => {
                                 [
                                     {
                                         text: '👁️ Посмотреть объявление',
-                                        url: `https://t.me/c/${CHANNEL_ID.replace('@', '').replace('-100', '').replace('-', '_')}/${sentMessages[0].message_id}`
+                                        url: getChannelPostLink(sentMessages[0].message_id)
                                     }
                                 ],
                                 [
@@ -1228,11 +2339,12 @@ app.post('/api/publish-media-group', async (req, res) => {
             
             res.json({
                 success: true,
-                message: `Объявление успешно опубликовано с ${mediaGroup.length} файлами`,
+                message: t(locale, 'publish.success', { count: mediaGroup.length }),
                 mediaCount: mediaGroup.length,
                 messageId: sentMessages[0]?.message_id,
+                listingId: listing.id,
                 channel: CHANNEL_ID,
-                link: `https://t.me/c/${CHANNEL_ID.replace('@', '').replace('-100', '').replace('-', '_')}/${sentMessages[0].message_id}`
+                link: getChannelPostLink(sentMessages[0].message_id)
             });
             
         } catch (telegramError) {
@@ -1242,21 +2354,18 @@ app.post('/api/publish-media-group', async (req, res) => {
             try {
                 const textMessage = await bot.telegram.sendMessage(
                     CHANNEL_ID,
-                    formatCaption({
-                        description,
-                        price: price || 'Договорная',
-                        contacts: contacts || 'Контакты в комментариях',
-                        freshness,
-                        city,
-                        district,
-                        address,
-                        hashtags: hashtags || '#цветы #продажа',
-                        userId,
-                        error: true
-                    }),
+                    formatCaption(captionData, { ...captionOptions, limit: TELEGRAM_MESSAGE_LIMIT }),
                     { parse_mode: 'HTML' }
                 );
                 
+                const listing = createListing({
+                    ...listingData,
+                    messageIds: [textMessage.message_id],
+                    media: []
+                });
+                await attachListingContactButton(listing);
+                notifySubscribers(listing);
+                
                 // Обновляем статистику пользователя
                 user.postsCount = (user.postsCount || 0) + 1;
                 user.lastPostAt = new Date();
@@ -1264,9 +2373,10 @@ app.post('/api/publish-media-group', async (req, res) => {
                 
                 res.json({
                     success: true,
-                    message: 'Текст объявления опубликован (без файлов)',
+                    message: t(locale, 'publish.textOnly'),
                     mediaCount: 0,
                     messageId: textMessage.message_id,
+                    listingId: listing.id,
                     error: telegramError.message
                 });
                 
@@ -1280,27 +2390,24 @@ app.post('/api/publish-media-group', async (req, res) => {
         res.status(500).json({
             success: false,
             error: error.message,
-            message: 'Ошибка при публикации объявления'
+            message: t(req.locale, 'publish.failed')
         });
     } finally {
         // Очищаем временные файлы через 30 секунд
-        setTimeout(() => {
-            tempFiles.forEach(filepath => {
-                try {
-                    if (fs.existsSync(filepath)) {
-                        fs.unlinkSync(filepath);
-                        console.log(`🧹 Удален временный файл: ${filepath}`);
-                    }
-                } catch (cleanupError) {
-                    console.error('❌ Ошибка удаления временного файла:', cleanupError);
-                }
-            });
-        }, 30000);
+        setTimeout(() => removeTempFiles(tempFiles), 30000);
     }
 });
 
 // ==================== ТЕЛЕГРАМ БОТ КОМАНДЫ ====================
 
+// Язык ответа для каждого обновления: ctx.locale и ctx.t(key, params)
+bot.use((ctx, next) => {
+    const user = ctx.from ? usersDB.get(ctx.from.id.toString()) : null;
+    ctx.locale = getUserLocale(user, ctx.from?.language_code);
+    ctx.t = (key, params) => t(ctx.locale, key, params);
+    return next();
+});
+
 // Команда /start
 bot.start(async (ctx) => {
     const userId = ctx.from.id.toString();
@@ -1314,17 +2421,14 @@ bot.start(async (ctx) => {
     // Сохраняем пользователя
     let user = usersDB.get(userId);
     if (!user) {
-        user = {
+        user = createUser({
             id: userId,
             chatId: chatId,
             username: username,
             firstName: firstName,
             lastName: lastName,
-            contacts: [],
-            hasContacts: false,
-            approved: false,
-            createdAt: new Date()
-        };
+            languageCode: ctx.from.language_code
+        });
         saveUser(user);
     } else {
         // Обновляем информацию
@@ -1332,32 +2436,31 @@ bot.start(async (ctx) => {
         user.firstName = firstName;
         user.lastName = lastName;
         user.chatId = chatId;
+        user.languageCode = ctx.from.language_code;
         saveUser(user);
     }
     
+    // Переход по кнопке «Написать продавцу» под постом в канале
+    if (ctx.startPayload?.startsWith(RELAY_START_PREFIX)) {
+        return openRelayConversation(ctx, ctx.startPayload.substring(RELAY_START_PREFIX.length));
+    }
+    
     // Создаем уникальную ссылку для пользователя
     const webAppUrl = `${BASE_URL}/index.html?userId=${userId}&chatId=${chatId}`;
-    const googleAuthUrl = `${BASE_URL}/auth/google?userId=${userId}&chatId=${chatId}`;
     
     await ctx.reply(
-        `🌸 <b>ДОБРО ПОЖАЛОВАТЬ В FLOWER MARKET!</b>\n\n` +
-        `Здесь вы можете разместить объявление о продаже цветов с фото и видео в одном посте.\n\n` +
-        `<b>📋 ТРЕБОВАНИЯ ДЛЯ ПУБЛИКАЦИИ:</b>\n` +
-        `1. 📞 Импорт ваших контактов (минимум 3 контакта)\n` +
-        `2. ✅ Подтверждение администратором\n` +
-        `3. 📝 Создание объявления\n\n` +
-        `<i>Контакты нужны для проверки надежности продавцов. Мы не передаем их третьим лицам.</i>\n\n` +
-        `<b>Ваш статус:</b>\n` +
-        `• Контакты: ${user.hasContacts ? '✅ Загружены' : '❌ Не загружены'}\n` +
-        `• Подтверждение: ${user.approved ? '✅ Подтвержден' : '⏳ Ожидает'}\n` +
-        `• Объявлений: ${user.postsCount || 0}`,
+        ctx.t('start.message', {
+            contacts: ctx.t(user.hasContacts ? 'start.contactsLoaded' : 'start.contactsMissing'),
+            approval: ctx.t(user.approved ? 'start.approved' : 'start.approvalPending'),
+            posts: user.postsCount || 0
+        }),
         {
             parse_mode: 'HTML',
             reply_markup: {
                 inline_keyboard: [
                     [
                         {
-                            text: '🌐 Перейти на сайт',
+                            text: ctx.t('button.openSite'),
                             web_app: { url: webAppUrl }
                         }
                     ]
@@ -1369,20 +2472,7 @@ bot.start(async (ctx) => {
 
 // Команда /help
 bot.help((ctx) => {
-    ctx.reply(
-        `🆘 <b>ПОМОЩЬ ПО ИСПОЛЬЗОВАНИЮ FLOWER MARKET</b>\n\n` +
-        `<b>ОСНОВНЫЕ КОМАНДЫ:</b>\n` +
-        `/start - Начать работу с ботом\n` +
-        `/status - Проверить статус аккаунта\n` +
-        `/help - Показать это сообщение\n\n` +
-        `<b>ПРОЦЕСС ПУБЛИКАЦИИ:</b>\n` +
-        `1. Нажмите "Перейти на сайт"\n` +
-        `2. Импортируйте контакты\n` +
-        `3. Дождитесь подтверждения\n` +
-        `4. Создайте объявление\n\n` +
-        `<b>ПОДДЕРЖКА:</b> Свяжитесь с администратором`,
-        { parse_mode: 'HTML' }
-    );
+    ctx.reply(ctx.t('help.message'), { parse_mode: 'HTML' });
 });
 
 // Команда /status
@@ -1391,48 +2481,55 @@ bot.command('status', async (ctx) => {
     const user = usersDB.get(userId);
     
     if (!user) {
-        return ctx.reply(
-            `❌ Вы еще не начинали работу с ботом. Используйте /start чтобы начать.`,
-            { parse_mode: 'HTML' }
-        );
+        return ctx.reply(ctx.t('status.notStarted'), { parse_mode: 'HTML' });
     }
     
-    let statusMessage = `📊 <b>СТАТУС ВАШЕГО АККАУНТА</b>\n\n`;
+    const locale = ctx.locale;
+    let statusMessage = `${ctx.t('status.title')}\n\n`;
     
-    statusMessage += `👤 <b>Пользователь:</b> ${user.firstName || ''} ${user.lastName || ''}\n`;
-    statusMessage += `🆔 <b>ID:</b> ${user.id}\n`;
+    statusMessage += `${ctx.t('status.user', { name: escapeHtml(`${user.firstName || ''} ${user.lastName || ''}`) })}\n`;
+    statusMessage += `${ctx.t('status.id', { id: user.id })}\n`;
     
-    if (user.googleInfo) {
-        statusMessage += `🔐 <b>Google:</b> ${user.googleInfo.email}\n`;
+    if (hasGoogleAccess(user)) {
+        statusMessage += `${ctx.t('status.google', { email: escapeHtml(user.googleInfo?.email || '') })}\n`;
+        statusMessage += `${ctx.t('google.syncedAt', { date: formatDate(locale, user.googleSyncedAt || user.contactsImportedAt, true) })}\n`;
+    } else if (user.googleInfo) {
+        statusMessage += `${ctx.t('status.googleDisconnected', { email: escapeHtml(user.googleInfo.email) })}\n`;
     }
     
-    statusMessage += `\n📞 <b>Контакты:</b> `;
+    statusMessage += `\n${ctx.t('status.contacts')}`;
     
     if (user.hasContacts) {
-        statusMessage += `✅ Загружены (${user.contacts?.length || 0} контактов)\n`;
-        statusMessage += `📅 <b>Импортированы:</b> ${user.contactsImportedAt?.toLocaleDateString('ru-RU') || 'неизвестно'}\n`;
+        statusMessage += `${ctx.t('status.contactsLoaded', { count: getContactsCount(user) })}\n`;
+        statusMessage += `${ctx.t('status.contactsImportedAt', { date: formatDate(locale, user.contactsImportedAt) })}\n`;
     } else {
-        statusMessage += `❌ Не загружены\n`;
+        statusMessage += `${ctx.t('status.contactsMissing')}\n`;
     }
     
-    statusMessage += `\n✅ <b>Подтверждение:</b> `;
+    statusMessage += `\n${ctx.t('status.approval')}`;
     
-    if (user.approved) {
-        statusMessage += `✅ Подтвержден администратором\n`;
-        statusMessage += `📅 <b>Подтвержден:</b> ${user.approvedAt?.toLocaleDateString('ru-RU') || 'неизвестно'}\n`;
-        statusMessage += `📊 <b>Опубликовано объявлений:</b> ${user.postsCount || 0}\n`;
+    if (isUserBanned(user)) {
+        statusMessage += `${ctx.t('status.banned')}\n`;
+        statusMessage += formatBanDetails(user, locale);
+    } else if (user.approved) {
+        statusMessage += `${ctx.t('status.approved')}\n`;
+        statusMessage += `${ctx.t('status.approvedAt', { date: formatDate(locale, user.approvedAt) })}\n`;
+        statusMessage += `${ctx.t('status.posts', { count: user.postsCount || 0 })}\n`;
         if (user.lastPostAt) {
-            statusMessage += `📅 <b>Последний пост:</b> ${user.lastPostAt.toLocaleDateString('ru-RU')}\n`;
+            statusMessage += `${ctx.t('status.lastPost', { date: formatDate(locale, user.lastPostAt) })}\n`;
         }
+    } else if (user.rejected) {
+        statusMessage += `${ctx.t('status.rejected')}\n`;
+        statusMessage += `${ctx.t('status.rejectionReason', { reason: escapeHtml(formatRejectionReason(user.rejectionReason, locale)) })}\n`;
     } else {
-        statusMessage += `⏳ Ожидает подтверждения\n`;
-        statusMessage += `<i>Администратор получил ваши контакты и скоро примет решение.</i>\n`;
+        statusMessage += `${ctx.t('status.pending')}\n`;
+        statusMessage += `${ctx.t('status.pendingHint')}\n`;
     }
     
     const webAppUrl = `${BASE_URL}/index.html?userId=${userId}&chatId=${user.chatId}`;
     
     if (!user.hasContacts) {
-        statusMessage += `\n🔗 <b>Следующий шаг:</b> Перейдите на сайт чтобы загрузить контакты.`;
+        statusMessage += `\n${ctx.t('status.nextStepContacts')}`;
         
         await ctx.reply(statusMessage, {
             parse_mode: 'HTML',
@@ -1440,19 +2537,26 @@ bot.command('status', async (ctx) => {
                 inline_keyboard: [
                     [
                         {
-                            text: '🌐 Загрузить контакты',
+                            text: ctx.t('button.uploadContacts'),
                             web_app: { url: webAppUrl }
                         }
                     ]
                 ]
             }
         });
+    } else if (isUserBanned(user)) {
+        await ctx.reply(statusMessage, { parse_mode: 'HTML' });
+    } else if (user.rejected) {
+        const availableAt = getReapplyAvailableAt(user, REAPPLY_COOLDOWN_MS);
+        statusMessage += `\n${availableAt ? ctx.t('status.reapplyAt', { date: formatDate(locale, availableAt, true) }) : ctx.t('status.reapplyNow')}`;
+        
+        await ctx.reply(statusMessage, { parse_mode: 'HTML' });
     } else if (!user.approved) {
-        statusMessage += `\n⏳ <b>Ожидайте подтверждения.</b> Обычно это занимает до 24 часов.`;
+        statusMessage += `\n${ctx.t('status.waitApproval')}`;
         
         await ctx.reply(statusMessage, { parse_mode: 'HTML' });
     } else {
-        statusMessage += `\n🎉 <b>Вы можете создавать объявления!</b>`;
+        statusMessage += `\n${ctx.t('status.canPublish')}`;
         
         await ctx.reply(statusMessage, {
             parse_mode: 'HTML',
@@ -1460,7 +2564,7 @@ bot.command('status', async (ctx) => {
                 inline_keyboard: [
                     [
                         {
-                            text: '📝 Создать объявление',
+                            text: ctx.t('button.createListing'),
                             web_app: { url: webAppUrl }
                         }
                     ]
@@ -1470,62 +2574,1719 @@ bot.command('status', async (ctx) => {
     }
 });
 
-// Обработка callback-запросов (кнопки администратора)
-bot.on('callback_query', async (ctx) => {
+// Команда /reapply - повторная заявка после отказа
+bot.command('reapply', async (ctx) => {
+    const userId = ctx.from.id.toString();
+    const user = usersDB.get(userId);
+    
+    if (!user || !user.rejected || user.approved) {
+        return ctx.reply(ctx.t('reapply.notRejected'), { parse_mode: 'HTML' });
+    }
+    
+    if (isUserBanned(user)) {
+        return ctx.reply(ctx.t('publish.banned'));
+    }
+    
+    const availableAt = getReapplyAvailableAt(user, REAPPLY_COOLDOWN_MS);
+    if (availableAt) {
+        return ctx.reply(ctx.t('reapply.cooldown', { date: formatDate(ctx.locale, availableAt, true) }), { parse_mode: 'HTML' });
+    }
+    
+    if (!user.hasContacts) {
+        return ctx.reply(ctx.t('status.nextStepContacts'), { parse_mode: 'HTML' });
+    }
+    
+    // Пользователь возвращается в очередь /pending, прежний отказ остается в журнале
+    user.rejected = false;
+    user.reappliedAt = new Date();
+    user.reapplyCount = (user.reapplyCount || 0) + 1;
+    saveUser(user);
+    logModeration(ctx, 'reapply', 'user', userId);
+    
     try {
-        const callbackData = ctx.callbackQuery.data;
-        
-        // Логируем callback
-        console.log(`🔄 Callback от ${ctx.from.username || ctx.from.id}: ${callbackData}`);
-        
-        if (callbackData.startsWith('approve_user:')) {
-            const userId = callbackData.split(':')[1];
-            const user = usersDB.get(userId);
-            
-            if (!user) {
-                return ctx.answerCbQuery('❌ Пользователь не найден');
+        await bot.telegram.sendMessage(
+            ADMIN_CHAT_ID,
+            `🔁 <b>ПОВТОРНАЯ ЗАЯВКА</b>\n\n` +
+            `👤 Пользователь: ${formatUserName(user)}\n` +
+            `🆔 ID: <code>${userId}</code>\n` +
+            `📊 Контактов: ${getContactsCount(user)}\n` +
+            `❌ Прошлый отказ: ${user.rejectedAt?.toLocaleString('ru-RU') || 'неизвестно'}\n` +
+            `📝 Причина: ${escapeHtml(formatRejectionReason(user.rejectionReason, DEFAULT_LOCALE))}\n` +
+            `🔢 Попытка: ${user.reapplyCount + 1}\n\n` +
+            `Для подтверждения нажмите кнопку ниже:`,
+            {
+                parse_mode: 'HTML',
+                reply_markup: { inline_keyboard: getApprovalKeyboard(userId) }
             }
-            
-            // Подтверждение пользователя
-            user.approved = true;
-            user.approvedAt = new Date();
-            user.approvedBy = ctx.from.username || ctx.from.first_name;
-            saveUser(user);
-            
-            // Уведомляем администратора
-            await ctx.editMessageText(
-                `✅ <b>ПОЛЬЗОВАТЕЛЬ ПОДТВЕРЖДЕН</b>\n\n` +
-                `👤 Пользователь: ${user.firstName || userId}\n` +
-                `🆔 ID: ${userId}\n` +
-                `📊 Контактов: ${user.contacts?.length || 0}\n` +
-                `✅ Подтвержден: ${new Date().toLocaleString('ru-RU')}\n` +
-                `👮 Подтвердил: @${ctx.from.username || ctx.from.first_name}`,
-                { parse_mode: 'HTML' }
-            );
-            
-            // Уведомляем пользователя
-            if (user.chatId) {
-                try {
-                    const webAppUrl = `${BASE_URL}/index.html?userId=${userId}&chatId=${user.chatId}`;
-                    
-                    await bot.telegram.sendMessage(
-                        user.chatId,
-                        `🎉 <b>ВАШ АККАУНТ ПОДТВЕРЖДЕН!</b>\n\n` +
-                        `Теперь вы можете создавать объявления о продаже цветов.\n\n` +
-                        `<b>📋 ЧТО ДАЛЬШЕ?</b>\n` +
-                        `1. Нажмите кнопку ниже\n` +
-                        `2. Создайте объявление с фото/видео\n` +
-                        `3. Опубликуйте в канале\n\n` +
-                        `<i>Ваше объявление будет размещено в канале @${CHANNEL_ID.replace('@', '')}</i>`,
-                        {
-                            parse_mode: 'HTML',
-                            reply_markup: {
-                                inline_keyboard: [
-                                    [
-                                        {
-                                            text: '📝 Создать объявление',
-                                            web_app: { url: webAppUrl }
-                                        }
+        );
+    } catch (error) {
+        console.error('❌ Ошибка отправки уведомления:', error);
+    }
+    
+    console.log(`🔁 Повторная заявка от ${userId}`);
+    await ctx.reply(ctx.t('reapply.sent'), { parse_mode: 'HTML' });
+});
+
+// Команда /my - объявления пользователя
+bot.command('my', async (ctx) => {
+    const userId = ctx.from.id.toString();
+    const listings = getUserListings(userId)
+        .filter(listing => MY_LISTINGS_STATUSES.includes(listing.status))
+        .slice(0, MY_LISTINGS_LIMIT);
+    
+    if (listings.length === 0) {
+        return ctx.reply(ctx.t('my.empty'), { parse_mode: 'HTML' });
+    }
+    
+    await ctx.reply(ctx.t('my.title', { count: listings.length }), { parse_mode: 'HTML' });
+    
+    for (const listing of listings) {
+        await ctx.reply(formatListingSummary(listing, ctx.locale), {
+            parse_mode: 'HTML',
+            disable_web_page_preview: true,
+            reply_markup: { inline_keyboard: getListingKeyboard(listing, ctx.locale) }
+        });
+    }
+});
+
+// Команда /language - выбор языка
+bot.command('language', async (ctx) => {
+    await ctx.reply(ctx.t('language.choose', { language: LOCALE_NAMES[ctx.locale] }), {
+        parse_mode: 'HTML',
+        reply_markup: {
+            inline_keyboard: [
+                ...SUPPORTED_LOCALES.map(locale => [
+                    { text: LOCALE_NAMES[locale], callback_data: `set_language:${locale}` }
+                ]),
+                [
+                    { text: ctx.t('button.languageAuto'), callback_data: 'set_language:auto' }
+                ]
+            ]
+        }
+    });
+});
+
+// ==================== ХРАНЕНИЕ И УДАЛЕНИЕ ДАННЫХ ====================
+
+// Истек ли срок хранения контактов пользователя
+function isContactsRetentionDue(user) {
+    if (CONTACTS_RETENTION_DAYS === null || !user.approved || !user.approvedAt) {
+        return false;
+    }
+    return Date.now() - user.approvedAt.getTime() >= CONTACTS_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+}
+
+// Политика хранения: контакты подтвержденных пользователей заменяются числом и отпечатками
+function applyContactsRetention() {
+    if (CONTACTS_RETENTION_DAYS === null) {
+        return 0;
+    }
+    
+    let dropped = 0;
+    
+    usersDB.forEach(user => {
+        if (user.contacts.length > 0 && isContactsRetentionDue(user)) {
+            saveUser(dropRawContacts(user, fieldCipher.hash));
+            dropped++;
+        }
+    });
+    
+    if (dropped > 0) {
+        console.log(`🗑 Контакты удалены по сроку хранения: ${dropped} польз.`);
+        // Прежние версии записей остаются в снимке и журнале до их перезаписи
+        storage.compact().catch(error => console.error('❌ Ошибка перезаписи снимка хранилища:', error));
+    }
+    return dropped;
+}
+
+function startRetentionScheduler() {
+    if (CONTACTS_RETENTION_DAYS === null) {
+        return;
+    }
+    
+    applyContactsRetention();
+    setInterval(applyContactsRetention, CONTACTS_RETENTION_CHECK_INTERVAL_MS);
+}
+
+// Удаление данных пользователя по его запросу (/delete_me или DELETE /api/user/:id).
+// Заблокированный пользователь остается в хранилище только с отметкой о блокировке,
+// а его записи в черном списке продолжают действовать до конца срока блокировки
+async function eraseUserData(userId, source) {
+    const user = usersDB.get(userId);
+    if (!user) {
+        return null;
+    }
+    
+    await revokeGoogleGrant(user);
+    
+    // Проданные и снятые по сроку посты тоже остаются в канале с контактами и описанием:
+    // после удаления записей их уже нельзя будет найти, поэтому удаляем их сейчас
+    const listings = Array.from(listingsDB.values()).filter(listing => listing.ownerId === userId);
+    for (const listing of listings) {
+        if (LISTING_STATUSES_IN_CHANNEL.includes(listing.status) && listing.messageIds.length > 0) {
+            await deleteListingMessages(listing);
+        }
+        listingsDB.delete(listing.id);
+    }
+    
+    const subscriptions = Array.from(subscriptionsDB.values()).filter(subscription => subscription.userId === userId);
+    subscriptions.forEach(subscription => subscriptionsDB.delete(subscription.id));
+    
+    const conversations = Array.from(conversationsDB.values())
+        .filter(conversation => conversation.buyerId === userId || conversation.sellerId === userId);
+    conversations.forEach(conversation => {
+        [conversation.buyerId, conversation.sellerId].forEach(participantId => {
+            if (activeRelays.get(participantId) === conversation.id) {
+                activeRelays.delete(participantId);
+            }
+        });
+        conversationsDB.delete(conversation.id);
+    });
+    
+    // Отзывы пользователя о других продавцах меняют их рейтинг в подписях
+    const reviews = Array.from(reviewsDB.values())
+        .filter(review => review.buyerId === userId || review.sellerId === userId);
+    reviews.forEach(review => reviewsDB.delete(review.id));
+    const sellerIds = new Set(reviews.map(review => review.sellerId).filter(sellerId => sellerId !== userId));
+    for (const sellerId of sellerIds) {
+        await refreshSellerListings(sellerId);
+    }
+    
+    const banned = isUserBanned(user);
+    blocklistDB.forEach((entry, id) => {
+        if (entry.userId !== userId) {
+            return;
+        }
+        if (banned) {
+            blocklistDB.set(id, { ...entry, userId: null, expiresAt: user.bannedUntil?.toISOString() || null });
+        } else {
+            blocklistDB.delete(id);
+        }
+    });
+    
+    pendingAuth.forEach((session, state) => {
+        if (String(session.userId) === userId) {
+            pendingAuth.delete(state);
+        }
+    });
+    oauthLinksDB.forEach((link, id) => {
+        if (link.userId === userId) {
+            oauthLinksDB.delete(id);
+        }
+    });
+    clearPendingInput(userId);
+    activeRelays.delete(userId);
+    
+    if (banned) {
+        usersDB.set(userId, createUser({
+            id: userId,
+            chatId: user.chatId,
+            createdAt: user.createdAt,
+            banned: true,
+            bannedAt: user.bannedAt,
+            bannedBy: user.bannedBy,
+            bannedUntil: user.bannedUntil,
+            banReason: user.banReason,
+            erasedAt: new Date()
+        }));
+    } else {
+        usersDB.delete(userId);
+    }
+    
+    const summary = {
+        listings: listings.length,
+        subscriptions: subscriptions.length,
+        conversations: conversations.length,
+        reviews: reviews.length
+    };
+    moderationLog.append({
+        action: 'erase',
+        targetType: 'user',
+        targetId: userId,
+        moderatorId: userId,
+        moderator: 'user',
+        comment: source === 'api' ? 'запрос из приложения' : 'команда /delete_me',
+        ...summary
+    });
+    console.log(`🗑 Данные пользователя ${userId} удалены (${source})`);
+    
+    // Удаленные данные не должны оставаться в снимке и журнале
+    await storage.compact();
+    
+    return summary;
+}
+
+// Команда /delete_me - удалить свои данные
+bot.command('delete_me', async (ctx) => {
+    if (!usersDB.get(ctx.from.id.toString())) {
+        return ctx.reply(ctx.t('deleteMe.notFound'));
+    }
+    
+    await ctx.reply(ctx.t('deleteMe.confirm'), {
+        parse_mode: 'HTML',
+        reply_markup: {
+            inline_keyboard: [
+                [{ text: ctx.t('button.deleteMyData'), callback_data: 'delete_me_confirm' }],
+                [{ text: ctx.t('button.cancel'), callback_data: 'delete_me_cancel' }]
+            ]
+        }
+    });
+});
+
+// ==================== СИНХРОНИЗАЦИЯ GOOGLE ====================
+
+// Контакты, загруженные из Google (при входе и при синхронизации)
+function setGoogleContacts(user, contacts) {
+    user.contacts = contacts;
+    user.hasContacts = contacts.length > 0;
+    user.contactsCount = null;
+    user.contactHashes = null;
+    user.contactsDroppedAt = null;
+    user.googleSyncedAt = new Date();
+    user.googleSyncAttemptedAt = user.googleSyncedAt;
+    user.googleSyncError = null;
+    
+    // Срок хранения уже истек: новые контакты сразу заменяются отпечатками
+    if (isContactsRetentionDue(user)) {
+        dropRawContacts(user, fieldCipher.hash);
+    }
+    return user;
+}
+
+// Отзыв разрешения в Google (ошибки не мешают удалить токены у нас)
+async function revokeGoogleGrant(user) {
+    const googleToken = user.googleTokens?.refresh_token || user.googleTokens?.access_token;
+    if (!oauth2Client || !googleToken) {
+        return;
+    }
+    
+    try {
+        await oauth2Client.revokeToken(googleToken);
+    } catch (error) {
+        console.warn(`⚠️ Не удалось отозвать доступ Google для ${user.id}:`, error.message);
+    }
+}
+
+// Повторная загрузка контактов по сохраненному refresh_token.
+// Если Google отвечает, что разрешение отозвано или истекло, токены удаляются
+async function syncGoogleContacts(user) {
+    if (!oauth2Client || !hasGoogleAccess(user)) {
+        return { status: GOOGLE_SYNC_STATUS.REVOKED };
+    }
+    
+    user.googleSyncAttemptedAt = new Date();
+    saveUser(user);
+    
+    let refreshedTokens = null;
+    const auth = createGoogleAuth(user.googleTokens, tokens => {
+        refreshedTokens = mergeGoogleTokens(refreshedTokens, tokens);
+    });
+    
+    try {
+        const contacts = await fetchGoogleContacts(auth, user.id);
+        
+        // За время загрузки пользователь мог отключить Google или удалить данные
+        if (usersDB.get(user.id) !== user || !hasGoogleAccess(user)) {
+            return { status: GOOGLE_SYNC_STATUS.REVOKED };
+        }
+        
+        user.googleTokens = mergeGoogleTokens(user.googleTokens, refreshedTokens);
+        setGoogleContacts(user, contacts);
+        saveUser(user);
+        
+        console.log(`🔄 Контакты Google обновлены для ${user.id}: ${contacts.length}`);
+        return { status: GOOGLE_SYNC_STATUS.OK, count: contacts.length };
+        
+    } catch (error) {
+        if (usersDB.get(user.id) !== user) {
+            return { status: GOOGLE_SYNC_STATUS.FAILED };
+        }
+        
+        if (isGoogleGrantRevoked(error)) {
+            console.warn(`⚠️ Доступ Google отозван или истек для ${user.id}, токены удалены`);
+            user.googleTokens = null;
+            user.googleSyncError = GOOGLE_SYNC_STATUS.REVOKED;
+            saveUser(user);
+            return { status: GOOGLE_SYNC_STATUS.REVOKED };
+        }
+        
+        user.googleSyncError = GOOGLE_SYNC_STATUS.FAILED;
+        saveUser(user);
+        return { status: GOOGLE_SYNC_STATUS.FAILED };
+    }
+}
+
+// Отключение Google по запросу пользователя: контакты остаются, токены удаляются
+async function disconnectGoogle(user) {
+    await revokeGoogleGrant(user);
+    
+    user.googleTokens = null;
+    user.googleSyncError = null;
+    user.googleDisconnectedAt = new Date();
+    saveUser(user);
+    
+    console.log(`🔌 Пользователь ${user.id} отключил Google`);
+    return user;
+}
+
+// Плановая синхронизация: по одному пользователю, чтобы не упираться в квоты Google
+async function syncDueGoogleAccounts() {
+    const dueUsers = Array.from(usersDB.values())
+        .filter(user => hasGoogleAccess(user) && !isUserBanned(user) && isGoogleSyncDue(user, GOOGLE_SYNC_INTERVAL_MS));
+    
+    for (const user of dueUsers) {
+        const result = await syncGoogleContacts(user);
+        if (result.status === GOOGLE_SYNC_STATUS.REVOKED && user.googleSyncError === GOOGLE_SYNC_STATUS.REVOKED) {
+            await notifyUserAccount(user, 'google.revokedDm');
+        }
+    }
+}
+
+function startGoogleSyncScheduler() {
+    if (!oauth2Client || !GOOGLE_SYNC_INTERVAL_MS) {
+        return;
+    }
+    
+    let running = false;
+    
+    const run = async () => {
+        if (running) return;
+        running = true;
+        try {
+            await syncDueGoogleAccounts();
+        } catch (error) {
+            console.error('❌ Ошибка плановой синхронизации Google:', error);
+        } finally {
+            running = false;
+        }
+    };
+    
+    run();
+    setInterval(run, GOOGLE_SYNC_CHECK_INTERVAL_MS);
+    
+    console.log(`🔄 Синхронизация Google запущена (каждые ${GOOGLE_SYNC_INTERVAL_HOURS} ч.)`);
+}
+
+// Состояние Google-аккаунта для /google
+function formatGoogleAccount(user, locale) {
+    let text = `${t(locale, 'google.title')}\n\n`;
+    
+    if (!oauth2Client) {
+        return text + t(locale, 'google.unavailable');
+    }
+    
+    if (user.googleInfo) {
+        text += `${t(locale, 'google.account', { email: escapeHtml(user.googleInfo.email) })}\n`;
+    }
+    
+    if (hasGoogleAccess(user)) {
+        text += `${t(locale, 'google.syncedAt', { date: formatDate(locale, user.googleSyncedAt || user.contactsImportedAt, true) })}\n`;
+        text += `${t(locale, 'status.contacts')}${t(locale, 'status.contactsLoaded', { count: getContactsCount(user) })}\n`;
+        if (user.googleSyncError === GOOGLE_SYNC_STATUS.FAILED) {
+            text += `\n${t(locale, 'google.syncFailed')}\n`;
+        }
+        if (GOOGLE_SYNC_INTERVAL_HOURS) {
+            text += `\n${t(locale, 'google.autoSync', { hours: GOOGLE_SYNC_INTERVAL_HOURS })}`;
+        }
+    } else if (user.googleSyncError === GOOGLE_SYNC_STATUS.REVOKED) {
+        text += `\n${t(locale, 'google.revoked')}`;
+    } else if (user.googleInfo) {
+        text += `\n${t(locale, 'google.disconnected')}`;
+    } else {
+        text += t(locale, 'google.notConnected');
+    }
+    
+    return text;
+}
+
+function getGoogleAccountKeyboard(user, locale) {
+    if (!oauth2Client) {
+        return [];
+    }
+    
+    if (hasGoogleAccess(user)) {
+        return [
+            [{ text: t(locale, 'button.syncGoogle'), callback_data: 'google_sync' }],
+            [{ text: t(locale, 'button.disconnectGoogle'), callback_data: 'google_disconnect' }]
+        ];
+    }
+    
+    return [
+        [{ text: t(locale, 'button.connectGoogle'), url: createGoogleAuthLink(user) }]
+    ];
+}
+
+// Команда /google - подключение, синхронизация и отключение Google
+bot.command('google', async (ctx) => {
+    const user = usersDB.get(ctx.from.id.toString());
+    
+    if (!user) {
+        return ctx.reply(ctx.t('status.notStarted'), { parse_mode: 'HTML' });
+    }
+    
+    await ctx.reply(formatGoogleAccount(user, ctx.locale), {
+        parse_mode: 'HTML',
+        reply_markup: { inline_keyboard: getGoogleAccountKeyboard(user, ctx.locale) }
+    });
+});
+
+// ==================== АДМИНИСТРАТОРЫ И ПРАВА ====================
+// Действия администратора доступны тем, кто есть в реестре, и только в админ-чате
+// или в личном чате с ботом. Уведомления по-прежнему приходят в ADMIN_CHAT_ID.
+
+// Чат администраторов из ADMIN_CHAT_ID
+function isAdminChat(ctx) {
+    return ctx.chat?.id.toString() === ADMIN_CHAT_ID;
+}
+
+// Запись реестра администраторов или null
+function getAdmin(userId) {
+    return userId ? adminsDB.get(userId.toString()) || null : null;
+}
+
+// Есть ли у нажавшего кнопку или отправившего команду нужное право
+function hasPermission(ctx, permission) {
+    if (ctx.chat && ctx.chat.type !== 'private' && !isAdminChat(ctx)) {
+        return false;
+    }
+    return hasRolePermission(getAdmin(ctx.from?.id), permission);
+}
+
+// Проверка права для команды; обычным пользователям бот не отвечает
+async function requirePermission(ctx, permission) {
+    if (hasPermission(ctx, permission)) {
+        return true;
+    }
+    
+    console.warn(`⚠️ Нет права ${permission}: ${ctx.from?.username || ctx.from?.id}`);
+    if (getAdmin(ctx.from?.id)) {
+        await ctx.reply('❌ Недостаточно прав');
+    }
+    return false;
+}
+
+// Права на кнопки по префиксу callback_data
+const CALLBACK_PERMISSIONS = {
+    approve_user: PERMISSIONS.USERS_MODERATE,
+    reject_user: PERMISSIONS.USERS_MODERATE,
+    reject_reason: PERMISSIONS.USERS_MODERATE,
+    reject_cancel: PERMISSIONS.USERS_MODERATE,
+    toggle_trust: PERMISSIONS.USERS_MODERATE,
+    pending_page: PERMISSIONS.USERS_VIEW,
+    user_info: PERMISSIONS.USERS_VIEW,
+    view_contacts: PERMISSIONS.CONTACTS_VIEW,
+    approve_listing: PERMISSIONS.LISTINGS_MODERATE,
+    approve_listing_trust: PERMISSIONS.USERS_MODERATE,
+    reject_listing: PERMISSIONS.LISTINGS_MODERATE,
+    request_changes: PERMISSIONS.LISTINGS_MODERATE,
+    template_activate: PERMISSIONS.SETTINGS_MANAGE,
+    template_discard: PERMISSIONS.SETTINGS_MANAGE,
+    review_remove: PERMISSIONS.REVIEWS_MODERATE,
+    relay_close: PERMISSIONS.RELAY_MODERATE
+};
+
+// Владелец из OWNER_IDS меняется только в настройках сервера
+function isEnvOwner(userId) {
+    return OWNER_IDS.includes(String(userId));
+}
+
+function countOwners() {
+    return Array.from(adminsDB.values()).filter(admin => admin.role === 'owner').length;
+}
+
+// "👑 Владелец · Имя (@username) · 📞"
+function formatAdmin(admin) {
+    const user = usersDB.get(admin.id);
+    return `${ROLE_NAMES[admin.role] || admin.role} · ` +
+        `${user ? formatUserName(user) : `<code>${admin.id}</code>`}` +
+        (admin.canViewContacts && admin.role !== 'owner' ? ' · 📞' : '') +
+        (isEnvOwner(admin.id) ? ' · OWNER_IDS' : '');
+}
+
+// ID администратора из аргумента команды: ID или @username известного боту пользователя
+function resolveAdminRef(ref) {
+    const user = findUserByRef(ref);
+    if (user) {
+        return user.id;
+    }
+    return /^\d+$/.test(String(ref || '')) ? String(ref) : null;
+}
+
+// Сообщение новому или измененному администратору (в личку, если он уже писал боту)
+async function notifyAdminChange(adminId, text) {
+    const user = usersDB.get(adminId);
+    if (!user?.chatId) {
+        return;
+    }
+    
+    try {
+        await bot.telegram.sendMessage(user.chatId, text, { parse_mode: 'HTML' });
+    } catch (error) {
+        console.warn(`⚠️ Не удалось уведомить администратора ${adminId}:`, error.message);
+    }
+}
+
+// Команда /admins - реестр администраторов
+bot.command('admins', async (ctx) => {
+    if (!await requirePermission(ctx, PERMISSIONS.ADMINS_MANAGE)) return;
+    
+    const admins = Array.from(adminsDB.values())
+        .sort((a, b) => Object.keys(ROLE_NAMES).indexOf(a.role) - Object.keys(ROLE_NAMES).indexOf(b.role));
+    
+    let text = `👮 <b>АДМИНИСТРАТОРЫ</b>: ${admins.length}\n\n`;
+    admins.forEach(admin => {
+        text += `• ${formatAdmin(admin)}\n   🆔 <code>${admin.id}</code>\n`;
+    });
+    
+    text += `\n<b>Роли:</b> owner - все действия, moderator - решения по пользователям, объявлениям, отзывам и перепискам, viewer - только просмотр\n` +
+        `📞 - может смотреть контакты продавцов\n\n` +
+        `<b>Команды:</b>\n` +
+        `/admin_add &lt;id|@username&gt; &lt;owner|moderator|viewer&gt;\n` +
+        `/admin_remove &lt;id|@username&gt;\n` +
+        `/admin_contacts &lt;id|@username&gt; &lt;on|off&gt;`;
+    
+    await ctx.reply(text, { parse_mode: 'HTML' });
+});
+
+// Команда /admin_add - добавить администратора или сменить роль
+bot.command('admin_add', async (ctx) => {
+    if (!await requirePermission(ctx, PERMISSIONS.ADMINS_MANAGE)) return;
+    
+    const [, ref, role] = ctx.message.text.trim().split(/\s+/);
+    const adminId = resolveAdminRef(ref);
+    
+    if (!adminId || !isValidRole(role)) {
+        return ctx.reply('❌ Формат: /admin_add <id|@username> <owner|moderator|viewer>');
+    }
+    if (isEnvOwner(adminId)) {
+        return ctx.reply('❌ Этот владелец задан в OWNER_IDS и меняется только в настройках сервера');
+    }
+    
+    const existing = getAdmin(adminId);
+    if (existing?.role === 'owner' && role !== 'owner' && countOwners() <= 1) {
+        return ctx.reply('❌ Нельзя понизить последнего владельца');
+    }
+    
+    const admin = {
+        ...existing,
+        id: adminId,
+        role,
+        canViewContacts: existing?.canViewContacts || false,
+        addedBy: existing?.addedBy || ctx.from.id.toString(),
+        addedAt: existing?.addedAt || new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+    };
+    adminsDB.set(adminId, admin);
+    
+    logModeration(ctx, existing ? 'admin_role' : 'admin_add', 'admin', adminId, { role });
+    console.log(`👮 Администратор ${adminId}: ${role}`);
+    
+    await ctx.reply(`✅ ${formatAdmin(admin)}`, { parse_mode: 'HTML' });
+    await notifyAdminChange(adminId, `👮 Вам выдана роль: <b>${ROLE_NAMES[role]}</b>\n\nКоманды работают в админ-чате и в личном чате с ботом.`);
+});
+
+// Команда /admin_remove - убрать из реестра
+bot.command('admin_remove', async (ctx) => {
+    if (!await requirePermission(ctx, PERMISSIONS.ADMINS_MANAGE)) return;
+    
+    const [, ref] = ctx.message.text.trim().split(/\s+/);
+    const adminId = resolveAdminRef(ref);
+    const admin = getAdmin(adminId);
+    
+    if (!admin) {
+        return ctx.reply('❌ Администратор не найден. Формат: /admin_remove <id|@username>');
+    }
+    if (isEnvOwner(adminId)) {
+        return ctx.reply('❌ Этот владелец задан в OWNER_IDS и меняется только в настройках сервера');
+    }
+    if (admin.role === 'owner' && countOwners() <= 1) {
+        return ctx.reply('❌ Нельзя удалить последнего владельца');
+    }
+    
+    adminsDB.delete(adminId);
+    logModeration(ctx, 'admin_remove', 'admin', adminId, { role: admin.role });
+    console.log(`👮 Администратор ${adminId} удален`);
+    
+    await ctx.reply(`🗑 Администратор <code>${adminId}</code> удален из реестра`, { parse_mode: 'HTML' });
+    await notifyAdminChange(adminId, '👮 Ваши права администратора отозваны');
+});
+
+// Команда /admin_contacts - отдельное право смотреть контакты продавцов
+bot.command('admin_contacts', async (ctx) => {
+    if (!await requirePermission(ctx, PERMISSIONS.ADMINS_MANAGE)) return;
+    
+    const [, ref, value] = ctx.message.text.trim().split(/\s+/);
+    const admin = getAdmin(resolveAdminRef(ref));
+    
+    if (!admin || !['on', 'off'].includes(value)) {
+        return ctx.reply('❌ Формат: /admin_contacts <id|@username> <on|off>. Список: /admins');
+    }
+    if (admin.role === 'owner') {
+        return ctx.reply('ℹ️ Владелец всегда может смотреть контакты');
+    }
+    
+    admin.canViewContacts = value === 'on';
+    admin.updatedAt = new Date().toISOString();
+    adminsDB.set(admin.id, admin);
+    
+    logModeration(ctx, admin.canViewContacts ? 'admin_contacts_on' : 'admin_contacts_off', 'admin', admin.id);
+    console.log(`👮 Администратор ${admin.id}: просмотр контактов ${value}`);
+    
+    await ctx.reply(
+        `${admin.canViewContacts ? '📞 Может смотреть контакты' : '🔒 Больше не видит контакты'}: ${formatAdmin(admin)}`,
+        { parse_mode: 'HTML' }
+    );
+});
+
+// ==================== ШАБЛОНЫ ПОДПИСЕЙ (АДМИН-ЧАТ) ====================
+
+// Пример объявления для предпросмотра шаблона
+const CAPTION_PREVIEW_SAMPLE = {
+    description: 'Свежие голландские розы, 60 см. Отдаем оптом и в розницу, возможна доставка по городу.',
+    flower: 'Розы',
+    quantity: '101 стебель',
+    price: '150 сом за стебель, всего 15 150 сом',
+    rating: '4,8 ★ (12 отзывов)',
+    contacts: '+996 555 123 456',
+    freshness: 'Сегодня',
+    city: 'Бишкек',
+    district: 'Центр',
+    address: 'ул. Киевская, 95',
+    hashtags: '#розы #Бишкек',
+    userId: '123456789'
+};
+
+// Разбор "/команда <канал> <язык> [текст]"; текст - остаток строки или следующие строки
+function parseTemplateCommand(ctx) {
+    const [firstLine, ...restLines] = ctx.message.text.split('\n');
+    const [, channel, lang, ...tail] = firstLine.trim().split(/\s+/);
+    
+    if (!channel || !lang || !/^(default|-?\d+|@\w+)$/.test(channel) || !/^([a-z]{2}|\*)$/.test(lang)) {
+        return null;
+    }
+    
+    const text = [tail.join(' '), ...restLines].join('\n').trim();
+    return { key: `${channel}:${lang}`, channel, lang, text };
+}
+
+// Черновик шаблона на основе действующих настроек
+function getTemplateDraft(key) {
+    const record = captionTemplatesDB.get(key);
+    const [channel, lang] = key.split(':');
+    const base = record?.draft || record?.active ||
+        getCaptionSettings(channel === 'default' ? null : channel, lang === '*' ? DEFAULT_LOCALE : lang);
+    
+    return {
+        template: base.template,
+        footer: base.footer,
+        defaultHashtags: base.defaultHashtags
+    };
+}
+
+function saveTemplateDraft(ctx, key, draft) {
+    const record = captionTemplatesDB.get(key) || { id: key, active: null };
+    record.draft = { ...draft, previewed: false };
+    record.updatedBy = ctx.from.username || ctx.from.first_name;
+    record.updatedAt = new Date().toISOString();
+    captionTemplatesDB.set(key, record);
+    return record;
+}
+
+// Предпросмотр на примере объявления; для черновика - кнопки применения
+async function sendCaptionPreview(ctx, key, settings, isDraft) {
+    const caption = formatCaption(CAPTION_PREVIEW_SAMPLE, {
+        template: settings.template,
+        footer: settings.footer,
+        locale: resolveLocale(key.split(':').pop())
+    });
+    
+    try {
+        await ctx.reply(caption, {
+            parse_mode: 'HTML',
+            disable_web_page_preview: true,
+            reply_markup: isDraft ? {
+                inline_keyboard: [
+                    [
+                        { text: '✅ Применить шаблон', callback_data: `template_activate:${key}` },
+                        { text: '🗑 Отменить черновик', callback_data: `template_discard:${key}` }
+                    ]
+                ]
+            } : undefined
+        });
+    } catch (error) {
+        return ctx.reply(`❌ Telegram не принял шаблон: ${error.description || error.message}`);
+    }
+    
+    if (isDraft) {
+        const record = captionTemplatesDB.get(key);
+        record.draft.previewed = true;
+        captionTemplatesDB.set(key, record);
+    }
+}
+
+// Команда /templates - список шаблонов
+bot.command('templates', async (ctx) => {
+    if (!await requirePermission(ctx, PERMISSIONS.SETTINGS_MANAGE)) return;
+    
+    const records = Array.from(captionTemplatesDB.values());
+    let text = `🧩 <b>ШАБЛОНЫ ПОДПИСЕЙ</b>\n\n`;
+    
+    if (records.length === 0) {
+        text += `Используется встроенный шаблон.\n\n`;
+    }
+    
+    records.forEach(record => {
+        text += `• <code>${escapeHtml(record.id)}</code>: ` +
+            `${record.active ? '✅ активен' : '— не активен'}` +
+            `${record.draft ? ', ✏️ есть черновик' : ''}\n`;
+    });
+    
+    text += `\n<b>Команды</b> (канал: <code>default</code> или ID, язык: <code>ru</code>, <code>ky</code>... или <code>*</code>):\n` +
+        `/template_set &lt;канал&gt; &lt;язык&gt; + текст шаблона со следующей строки\n` +
+        `/template_footer &lt;канал&gt; &lt;язык&gt; &lt;текст&gt;\n` +
+        `/template_hashtags &lt;канал&gt; &lt;язык&gt; &lt;хэштеги&gt;\n` +
+        `/template_preview &lt;канал&gt; &lt;язык&gt;\n` +
+        `/template_reset &lt;канал&gt; &lt;язык&gt;\n\n` +
+        `<b>Поля:</b> ${TEMPLATE_FIELDS.map(field => `{{${field}}}`).join(' ')}\n` +
+        `<b>Условия:</b> {{#поле}}...{{/поле}}, {{^поле}}...{{/поле}}\n` +
+        `<b>Без экранирования:</b> ${RAW_FIELDS.map(field => `{{{${field}}}}`).join(' ')}`;
+    
+    await ctx.reply(text, { parse_mode: 'HTML' });
+});
+
+// Команды изменения черновика шаблона
+const TEMPLATE_DRAFT_COMMANDS = {
+    template_set: 'template',
+    template_footer: 'footer',
+    template_hashtags: 'defaultHashtags'
+};
+
+Object.entries(TEMPLATE_DRAFT_COMMANDS).forEach(([command, field]) => {
+    bot.command(command, async (ctx) => {
+        if (!await requirePermission(ctx, PERMISSIONS.SETTINGS_MANAGE)) return;
+        
+        const parsed = parseTemplateCommand(ctx);
+        if (!parsed || !parsed.text) {
+            return ctx.reply(`❌ Формат: /${command} <канал> <язык> <текст>. Подробнее: /templates`);
+        }
+        
+        if (field === 'template') {
+            try {
+                validateTemplate(parsed.text);
+            } catch (error) {
+                return ctx.reply(`❌ Ошибка в шаблоне: ${error.message}`);
+            }
+        }
+        
+        const draft = { ...getTemplateDraft(parsed.key), [field]: parsed.text };
+        saveTemplateDraft(ctx, parsed.key, draft);
+        
+        console.log(`🧩 Черновик шаблона ${parsed.key} изменен (${field})`);
+        
+        await ctx.reply(`✏️ Черновик для <code>${escapeHtml(parsed.key)}</code> сохранен. Предпросмотр:`, { parse_mode: 'HTML' });
+        await sendCaptionPreview(ctx, parsed.key, draft, true);
+    });
+});
+
+// Команда /template_preview - действующий шаблон или черновик
+bot.command('template_preview', async (ctx) => {
+    if (!await requirePermission(ctx, PERMISSIONS.SETTINGS_MANAGE)) return;
+    
+    const parsed = parseTemplateCommand(ctx);
+    if (!parsed) {
+        return ctx.reply('❌ Формат: /template_preview <канал> <язык>');
+    }
+    
+    const record = captionTemplatesDB.get(parsed.key);
+    if (record?.draft) {
+        return sendCaptionPreview(ctx, parsed.key, record.draft, true);
+    }
+    
+    await sendCaptionPreview(ctx, parsed.key, getTemplateDraft(parsed.key), false);
+});
+
+// Команда /template_reset - возврат к шаблону по умолчанию
+bot.command('template_reset', async (ctx) => {
+    if (!await requirePermission(ctx, PERMISSIONS.SETTINGS_MANAGE)) return;
+    
+    const parsed = parseTemplateCommand(ctx);
+    if (!parsed) {
+        return ctx.reply('❌ Формат: /template_reset <канал> <язык>');
+    }
+    
+    captionTemplatesDB.delete(parsed.key);
+    console.log(`🧩 Шаблон ${parsed.key} удален`);
+    logModeration(ctx, 'template_reset', 'template', parsed.key);
+    await ctx.reply(`✅ Шаблон <code>${escapeHtml(parsed.key)}</code> удален`, { parse_mode: 'HTML' });
+});
+
+// ==================== СПРАВОЧНИК КАТЕГОРИЙ (АДМИН-ЧАТ) ====================
+
+const CATEGORY_ID_PATTERN = /^[a-z0-9_]{2,32}$/;
+
+// Команда /categories - справочник видов цветов
+bot.command('categories', async (ctx) => {
+    if (!await requirePermission(ctx, PERMISSIONS.SETTINGS_MANAGE)) return;
+    
+    const categories = Array.from(categoriesDB.values()).sort((a, b) => a.sortOrder - b.sortOrder);
+    let text = `🌸 <b>КАТЕГОРИИ ЦВЕТОВ</b>\n\n`;
+    
+    categories.forEach(category => {
+        text += `${category.active ? '✅' : '🚫'} <code>${escapeHtml(category.id)}</code> ` +
+            `${escapeHtml(SUPPORTED_LOCALES.map(locale => category.names[locale] || '—').join(' / '))} ` +
+            `${escapeHtml(category.hashtag)}\n`;
+    });
+    
+    text += `\n<b>Команды:</b>\n` +
+        `/category_add &lt;id&gt; &lt;#хэштег&gt; &lt;название ru&gt; | &lt;ky&gt; | &lt;uz&gt; | &lt;en&gt;\n` +
+        `/category_off &lt;id&gt; - скрыть из формы\n` +
+        `/category_on &lt;id&gt; - вернуть в форму`;
+    
+    await ctx.reply(text, { parse_mode: 'HTML' });
+});
+
+// Команда /category_add - новая категория или изменение существующей
+bot.command('category_add', async (ctx) => {
+    if (!await requirePermission(ctx, PERMISSIONS.SETTINGS_MANAGE)) return;
+    
+    const [, id, hashtag, ...rest] = ctx.message.text.trim().split(/\s+/);
+    const names = rest.join(' ').split('|').map(name => name.trim());
+    
+    if (!id || !CATEGORY_ID_PATTERN.test(id) || !toHashtag(hashtag) || !names[0]) {
+        return ctx.reply('❌ Формат: /category_add <id> <#хэштег> <название ru> | <ky> | <uz> | <en>\nid: латиница, цифры и _');
+    }
+    
+    const existing = categoriesDB.get(id);
+    const category = {
+        id,
+        hashtag: toHashtag(hashtag),
+        names: Object.fromEntries(
+            SUPPORTED_LOCALES.map((locale, index) => [locale, names[index] || existing?.names[locale] || ''])
+        ),
+        active: existing ? existing.active : true,
+        sortOrder: existing ? existing.sortOrder : categoriesDB.size,
+        updatedBy: ctx.from.username || ctx.from.first_name,
+        updatedAt: new Date().toISOString()
+    };
+    categoriesDB.set(id, category);
+    
+    logModeration(ctx, existing ? 'category_update' : 'category_add', 'category', id);
+    console.log(`🌸 Категория ${id} ${existing ? 'изменена' : 'добавлена'}`);
+    
+    await ctx.reply(
+        `✅ Категория <code>${escapeHtml(id)}</code> ${existing ? 'изменена' : 'добавлена'}: ` +
+        `${escapeHtml(category.names.ru)} ${escapeHtml(category.hashtag)}`,
+        { parse_mode: 'HTML' }
+    );
+});
+
+// Команды /category_off и /category_on - скрыть категорию из формы или вернуть
+['category_off', 'category_on'].forEach(command => {
+    bot.command(command, async (ctx) => {
+        if (!await requirePermission(ctx, PERMISSIONS.SETTINGS_MANAGE)) return;
+        
+        const [, id] = ctx.message.text.trim().split(/\s+/);
+        const category = id && categoriesDB.get(id);
+        
+        if (!category) {
+            return ctx.reply(`❌ Категория не найдена. Формат: /${command} <id>. Список: /categories`);
+        }
+        
+        category.active = command === 'category_on';
+        category.updatedBy = ctx.from.username || ctx.from.first_name;
+        category.updatedAt = new Date().toISOString();
+        categoriesDB.set(id, category);
+        
+        logModeration(ctx, command, 'category', id);
+        console.log(`🌸 Категория ${id} ${category.active ? 'включена' : 'скрыта'}`);
+        
+        // Опубликованные объявления сохраняют категорию, меняется только форма
+        await ctx.reply(
+            category.active ?
+                `✅ Категория <code>${escapeHtml(id)}</code> снова доступна в форме` :
+                `🚫 Категория <code>${escapeHtml(id)}</code> скрыта из формы. Опубликованные объявления не меняются.`,
+            { parse_mode: 'HTML' }
+        );
+    });
+});
+
+// ==================== УПРАВЛЕНИЕ ПОЛЬЗОВАТЕЛЯМИ (АДМИН-ЧАТ) ====================
+
+const PENDING_PAGE_SIZE = 5;
+const FIND_RESULTS_LIMIT = 10;
+const AUDIT_LIMIT = 10;
+const REMOVAL_COMMENT_MAX_LENGTH = 200;
+const USER_HISTORY_LIMIT = 5;
+
+// Названия действий журнала модерации
+const MODERATION_ACTION_NAMES = {
+    approve: '✅ подтверждение',
+    reject: '❌ отказ',
+    reapply: '🔁 повторная заявка',
+    revoke: '↩️ отзыв подтверждения',
+    ban: '🚫 блокировка',
+    unban: '🔓 разблокировка',
+    trust: '⭐ доверие',
+    untrust: '🛡 снятие доверия',
+    request_changes: '✏️ запрос правок',
+    remove: '🗑 снятие с публикации',
+    view_contacts: '👀 просмотр контактов',
+    admin_add: '👮 новый администратор',
+    admin_role: '👮 смена роли',
+    admin_remove: '👮 удаление администратора',
+    admin_contacts_on: '📞 доступ к контактам',
+    admin_contacts_off: '📞 запрет контактов',
+    category_add: '🌸 новая категория',
+    category_update: '🌸 изменение категории',
+    category_on: '🌸 категория включена',
+    category_off: '🌸 категория скрыта',
+    template_activate: '📝 шаблон включен',
+    template_discard: '📝 черновик шаблона удален',
+    template_reset: '📝 шаблон сброшен',
+    review_remove: '⭐ удаление отзыва',
+    relay_close: '💬 закрытие переписки',
+    block: '⛔ в черный список',
+    unblock: '✅ из черного списка',
+    erase: '🗑 удаление данных'
+};
+
+const MODERATION_TARGET_NAMES = {
+    user: '👤',
+    listing: '📦',
+    admin: '👮',
+    category: '🌸',
+    template: '📝',
+    review: '⭐',
+    conversation: '💬',
+    blocklist: '⛔'
+};
+
+// Строка журнала: когда, что, над чем и кто
+function formatModerationEntry(entry) {
+    let line = `• ${new Date(entry.at).toLocaleString('ru-RU')} · ` +
+        `${MODERATION_ACTION_NAMES[entry.action] || escapeHtml(entry.action)} · ` +
+        `${MODERATION_TARGET_NAMES[entry.targetType] || escapeHtml(entry.targetType)} <code>${escapeHtml(entry.targetId)}</code> · ` +
+        `${escapeHtml(entry.moderator || entry.moderatorId)}`;
+    
+    if (entry.reason) {
+        line += `\n   📝 ${escapeHtml(formatRejectionReason(entry.reason, DEFAULT_LOCALE))}`;
+    }
+    if (entry.until) {
+        line += `\n   ⏳ до ${new Date(entry.until).toLocaleString('ru-RU')}`;
+    }
+    if (entry.comment) {
+        line += `\n   💬 ${escapeHtml(entry.comment)}`;
+    }
+    return line;
+}
+
+// Последние записи журнала: об объекте, об объявлениях продавца и действия самого администратора
+function getModerationHistory(id, limit) {
+    return moderationLog.all()
+        .filter(entry => !id || entry.targetId === id || entry.ownerId === id || entry.moderatorId === id)
+        .slice(-limit)
+        .reverse();
+}
+
+// Пользователь по ID или @username
+function findUserByRef(ref) {
+    const value = String(ref || '').trim();
+    if (!value) {
+        return null;
+    }
+    
+    const username = value.replace(/^@/, '').toLowerCase();
+    return (!value.startsWith('@') && usersDB.get(value)) ||
+        Array.from(usersDB.values()).find(user => user.username?.toLowerCase() === username) ||
+        null;
+}
+
+// Краткий статус пользователя для списков
+function getUserStatusLabel(user) {
+    if (isUserBanned(user)) return '🚫 заблокирован';
+    if (user.approved) return '✅ подтвержден';
+    if (user.rejected) return '❌ отклонен';
+    if (user.hasContacts) return '⏳ ожидает решения';
+    return '📭 без контактов';
+}
+
+// "Имя Фамилия (@username)"
+function formatUserName(user) {
+    const name = `${user.firstName || ''} ${user.lastName || ''}`.trim() || user.id;
+    return escapeHtml(name) + (user.username ? ` (@${escapeHtml(user.username)})` : '');
+}
+
+// Карточка пользователя для админ-чата
+function formatUserInfo(user) {
+    let userInfo = `👤 <b>ИНФОРМАЦИЯ О ПОЛЬЗОВАТЕЛЕ</b>\n\n`;
+    userInfo += `🆔 <b>ID:</b> ${user.id}\n`;
+    userInfo += `💬 <b>Chat ID:</b> ${user.chatId}\n`;
+    
+    if (user.username) {
+        userInfo += `👤 <b>Username:</b> @${escapeHtml(user.username)}\n`;
+    }
+    
+    if (user.firstName || user.lastName) {
+        userInfo += `👥 <b>Имя:</b> ${escapeHtml(`${user.firstName || ''} ${user.lastName || ''}`)}\n`;
+    }
+    
+    if (user.googleInfo) {
+        userInfo += `🔐 <b>Google:</b> ${escapeHtml(user.googleInfo.email)}\n`;
+        userInfo += `📛 <b>Имя в Google:</b> ${escapeHtml(user.googleInfo.name)}\n`;
+        userInfo += hasGoogleAccess(user) ?
+            `🔄 <b>Синхронизация Google:</b> ${(user.googleSyncedAt || user.contactsImportedAt)?.toLocaleString('ru-RU') || 'не было'}\n` :
+            `🔌 <b>Google отключен</b>${user.googleSyncError === GOOGLE_SYNC_STATUS.REVOKED ? ' (доступ отозван)' : ''}\n`;
+    }
+    
+    userInfo += `\n📅 <b>Зарегистрирован:</b> ${user.createdAt?.toLocaleString('ru-RU') || 'неизвестно'}\n`;
+    
+    userInfo += `\n📊 <b>Статистика:</b>\n`;
+    userInfo += `• Статус: ${getUserStatusLabel(user)}\n`;
+    userInfo += `• Контактов: ${getContactsCount(user)}\n`;
+    userInfo += `• Опубликовано: ${user.postsCount || 0}\n`;
+    userInfo += `• Подтвержден: ${user.approved ? '✅ Да' : '❌ Нет'}\n`;
+    userInfo += `• Доверенный: ${user.trusted ? '⭐ Да' : '❌ Нет'}\n`;
+    userInfo += `• Рейтинг продавца: ${formatSellerRating(user.id, DEFAULT_LOCALE) || 'нет отзывов'}\n`;
+    
+    if (user.contactsDroppedAt) {
+        userInfo += `• Контакты удалены по сроку хранения: ${user.contactsDroppedAt.toLocaleString('ru-RU')}\n`;
+    }
+    
+    if (user.erasedAt) {
+        userInfo += `• Данные удалены по запросу: ${user.erasedAt.toLocaleString('ru-RU')}\n`;
+    }
+    
+    if (user.approved && user.approvedAt) {
+        userInfo += `• Дата подтверждения: ${user.approvedAt.toLocaleString('ru-RU')}\n`;
+    }
+    
+    if (user.rejected && user.rejectedAt) {
+        userInfo += `• Отклонен: ${user.rejectedAt.toLocaleString('ru-RU')} (${escapeHtml(user.rejectedBy || '')})\n`;
+        userInfo += `• Причина отказа: ${escapeHtml(formatRejectionReason(user.rejectionReason, DEFAULT_LOCALE))}\n`;
+    }
+    
+    if (user.reapplyCount) {
+        userInfo += `• Повторных заявок: ${user.reapplyCount}\n`;
+    }
+    
+    if (user.revokedAt && !user.approved) {
+        userInfo += `• Подтверждение отозвано: ${user.revokedAt.toLocaleString('ru-RU')} (${escapeHtml(user.revokedBy || '')})\n`;
+    }
+    
+    if (isUserBanned(user) && user.bannedAt) {
+        userInfo += `• Заблокирован: ${user.bannedAt.toLocaleString('ru-RU')} (${escapeHtml(user.bannedBy || '')})\n`;
+        userInfo += `• Срок: ${user.bannedUntil ? `до ${user.bannedUntil.toLocaleString('ru-RU')}` : 'бессрочно'}\n`;
+        if (user.banReason) {
+            userInfo += `• Причина блокировки: ${escapeHtml(user.banReason)}\n`;
+        }
+    }
+    
+    if (user.lastPostAt) {
+        userInfo += `• Последний пост: ${user.lastPostAt.toLocaleString('ru-RU')}\n`;
+    }
+    
+    const history = getModerationHistory(user.id, USER_HISTORY_LIMIT);
+    if (history.length > 0) {
+        userInfo += `\n📜 <b>История модерации:</b>\n`;
+        history.forEach(entry => {
+            userInfo += `${formatModerationEntry(entry)}\n`;
+        });
+    }
+    
+    return userInfo;
+}
+
+// Кнопки карточки пользователя
+function getUserInfoKeyboard(user) {
+    return [
+        [
+            {
+                text: '📞 Посмотреть контакты',
+                callback_data: `view_contacts:${user.id}`
+            }
+        ],
+        !user.approved ? [
+            {
+                text: '✅ Подтвердить',
+                callback_data: `approve_user:${user.id}`
+            },
+            {
+                text: '❌ Отклонить',
+                callback_data: `reject_user:${user.id}:card`
+            }
+        ] : [],
+        [
+            {
+                text: user.trusted ? '🛡 Снять доверие' : '⭐ Сделать доверенным',
+                callback_data: `toggle_trust:${user.id}`
+            }
+        ]
+    ];
+}
+
+// Кнопки решения по заявке в уведомлении админ-чата
+function getApprovalKeyboard(userId) {
+    return [
+        [
+            { text: '✅ Подтвердить пользователя', callback_data: `approve_user:${userId}` },
+            { text: '❌ Отклонить', callback_data: `reject_user:${userId}` }
+        ],
+        [
+            { text: '👀 Посмотреть контакты', callback_data: `view_contacts:${userId}` }
+        ]
+    ];
+}
+
+// Выбор причины отказа; origin - откуда нажали «Отклонить» (:pending:<стр.> или :card)
+function getRejectReasonKeyboard(userId, origin) {
+    return [
+        ...REJECTION_REASONS.map(reason => [
+            { text: formatRejectionReason(reason, DEFAULT_LOCALE), callback_data: `reject_reason:${userId}:${reason}${origin}` }
+        ]),
+        [
+            { text: '↩️ Назад', callback_data: `reject_cancel:${userId}${origin}` }
+        ]
+    ];
+}
+
+// Пользователи с контактами, по которым еще нет решения (сначала давние)
+function getPendingUsers() {
+    return Array.from(usersDB.values())
+        .filter(user => user.hasContacts && !user.approved && !user.rejected && !isUserBanned(user))
+        .sort((a, b) => new Date(a.contactsImportedAt || a.createdAt) - new Date(b.contactsImportedAt || b.createdAt));
+}
+
+// Страница очереди /pending: текст и кнопки решений по каждому пользователю
+function formatPendingPage(page) {
+    const users = getPendingUsers();
+    const pages = Math.max(1, Math.ceil(users.length / PENDING_PAGE_SIZE));
+    const current = Math.min(Math.max(page, 1), pages);
+    const pageUsers = users.slice((current - 1) * PENDING_PAGE_SIZE, current * PENDING_PAGE_SIZE);
+    
+    if (pageUsers.length === 0) {
+        return { text: '✅ Нет пользователей, ожидающих решения', keyboard: [] };
+    }
+    
+    let text = `⏳ <b>ОЖИДАЮТ РЕШЕНИЯ</b>: ${users.length} (стр. ${current}/${pages})\n\n`;
+    const keyboard = [];
+    
+    pageUsers.forEach((user, index) => {
+        const number = (current - 1) * PENDING_PAGE_SIZE + index + 1;
+        text += `<b>${number}.</b> ${formatUserName(user)}\n` +
+            `   🆔 <code>${user.id}</code> · 📊 ${getContactsCount(user)} конт. · ` +
+            `📅 ${user.contactsImportedAt?.toLocaleString('ru-RU') || 'неизвестно'}\n`;
+        
+        // Решение из списка возвращает на ту же страницу
+        keyboard.push([
+            { text: `✅ ${number}`, callback_data: `approve_user:${user.id}:pending:${current}` },
+            { text: `❌ ${number}`, callback_data: `reject_user:${user.id}:pending:${current}` },
+            { text: `👀 ${number}`, callback_data: `view_contacts:${user.id}` }
+        ]);
+    });
+    
+    const navigation = [];
+    if (current > 1) {
+        navigation.push({ text: '⬅️ Назад', callback_data: `pending_page:${current - 1}` });
+    }
+    if (current < pages) {
+        navigation.push({ text: 'Вперед ➡️', callback_data: `pending_page:${current + 1}` });
+    }
+    if (navigation.length > 0) {
+        keyboard.push(navigation);
+    }
+    
+    return { text, keyboard };
+}
+
+// Обновление сообщения /pending после решения или перехода по страницам
+async function editPendingPage(ctx, page) {
+    const { text, keyboard } = formatPendingPage(page || 1);
+    
+    try {
+        await ctx.editMessageText(text, {
+            parse_mode: 'HTML',
+            reply_markup: { inline_keyboard: keyboard }
+        });
+    } catch (error) {
+        if (!String(error.description || error.message).includes('message is not modified')) {
+            throw error;
+        }
+    }
+}
+
+// Уведомление пользователя о решении администратора; getParams(locale) - параметры текста
+async function notifyUserAccount(user, key, getParams) {
+    if (!user.chatId) {
+        return;
+    }
+    
+    try {
+        const locale = getUserLocale(user);
+        await bot.telegram.sendMessage(user.chatId, t(locale, key, getParams ? getParams(locale) : {}), { parse_mode: 'HTML' });
+    } catch (error) {
+        console.error('❌ Ошибка уведомления пользователя:', error);
+    }
+}
+
+// Команда /pending [страница] - очередь заявок на подтверждение
+bot.command('pending', async (ctx) => {
+    if (!await requirePermission(ctx, PERMISSIONS.USERS_VIEW)) return;
+    
+    const [, page] = ctx.message.text.trim().split(/\s+/);
+    const { text, keyboard } = formatPendingPage(parseInt(page, 10) || 1);
+    
+    await ctx.reply(text, {
+        parse_mode: 'HTML',
+        reply_markup: { inline_keyboard: keyboard }
+    });
+});
+
+// Команда /user <id|@username> - карточка пользователя
+bot.command('user', async (ctx) => {
+    if (!await requirePermission(ctx, PERMISSIONS.USERS_VIEW)) return;
+    
+    const [, ref] = ctx.message.text.trim().split(/\s+/);
+    const user = findUserByRef(ref);
+    
+    if (!user) {
+        return ctx.reply('❌ Пользователь не найден. Формат: /user <id|@username>');
+    }
+    
+    await ctx.reply(formatUserInfo(user), {
+        parse_mode: 'HTML',
+        reply_markup: { inline_keyboard: getUserInfoKeyboard(user) }
+    });
+});
+
+// Команды /ban, /unban и /revoke
+const USER_ACTIONS = {
+    ban: {
+        // /ban <id|@username> [срок: 12h, 7d, 2w] [причина]
+        apply(user, moderator, args) {
+            if (isUserBanned(user)) return 'ℹ️ Пользователь уже заблокирован';
+            const duration = parseBanDuration(args[0]);
+            const reason = truncateText((duration ? args.slice(1) : args).join(' '), BAN_REASON_MAX_LENGTH);
+            const blocked = banUser(user, {
+                moderator,
+                until: duration ? new Date(Date.now() + duration) : null,
+                reason
+            });
+            console.log(`🚫 В черный список добавлено записей: ${blocked}`);
+        },
+        reply: user => (user.bannedUntil ?
+            `🚫 Пользователь заблокирован до ${user.bannedUntil.toLocaleString('ru-RU')}` :
+            '🚫 Пользователь заблокирован бессрочно') +
+            (user.banReason ? `\n📝 Причина: ${escapeHtml(user.banReason)}` : ''),
+        details: user => ({ until: user.bannedUntil?.toISOString(), comment: user.banReason || undefined }),
+        notify: 'account.bannedDm',
+        params: (user, locale) => ({ details: formatBanDetails(user, locale) })
+    },
+    unban: {
+        apply(user) {
+            if (!user.banned) return 'ℹ️ Пользователь не заблокирован';
+            unbanUser(user);
+        },
+        reply: () => '✅ Пользователь разблокирован, его записи в черном списке удалены',
+        notify: 'account.unbannedDm'
+    },
+    revoke: {
+        apply(user, moderator) {
+            if (!user.approved) return 'ℹ️ Пользователь не подтвержден';
+            user.approved = false;
+            user.revokedAt = new Date();
+            user.revokedBy = moderator;
+            saveUser(user);
+        },
+        reply: () => '↩️ Подтверждение отозвано, пользователь снова в очереди /pending',
+        notify: 'account.revokedDm'
+    }
+};
+
+Object.entries(USER_ACTIONS).forEach(([command, action]) => {
+    bot.command(command, async (ctx) => {
+        if (!await requirePermission(ctx, PERMISSIONS.USERS_MODERATE)) return;
+        
+        const [, ref, ...args] = ctx.message.text.trim().split(/\s+/);
+        const user = findUserByRef(ref);
+        
+        if (!user) {
+            return ctx.reply(`❌ Пользователь не найден. Формат: /${command} <id|@username>`);
+        }
+        
+        const skipped = action.apply(user, ctx.from.username || ctx.from.first_name, args);
+        if (skipped) {
+            return ctx.reply(skipped);
+        }
+        
+        logModeration(ctx, command, 'user', user.id, action.details ? action.details(user) : {});
+        console.log(`👮 /${command}: пользователь ${user.id}`);
+        
+        await ctx.reply(`${action.reply(user)}\n\n👤 ${formatUserName(user)}\n🆔 <code>${user.id}</code>`, { parse_mode: 'HTML' });
+        await notifyUserAccount(user, action.notify, action.params && (locale => action.params(user, locale)));
+    });
+});
+
+// Команда /find <текст> - поиск по имени и username
+bot.command('find', async (ctx) => {
+    if (!await requirePermission(ctx, PERMISSIONS.USERS_VIEW)) return;
+    
+    const query = ctx.message.text.replace(/^\/find(@\w+)?/, '').trim().replace(/^@/, '').toLowerCase();
+    if (query.length < 2) {
+        return ctx.reply('❌ Формат: /find <имя или username>, не меньше 2 символов');
+    }
+    
+    const users = Array.from(usersDB.values()).filter(user =>
+        [user.firstName, user.lastName, user.username, `${user.firstName || ''} ${user.lastName || ''}`]
+            .some(value => value && value.toLowerCase().includes(query))
+    );
+    
+    if (users.length === 0) {
+        return ctx.reply('🔍 Никого не нашли');
+    }
+    
+    const shown = users.slice(0, FIND_RESULTS_LIMIT);
+    let text = `🔍 <b>НАЙДЕНО</b>: ${users.length}` +
+        (users.length > shown.length ? ` (показаны первые ${shown.length})` : '') + '\n\n';
+    
+    shown.forEach((user, index) => {
+        text += `<b>${index + 1}.</b> ${formatUserName(user)}\n` +
+            `   🆔 <code>${user.id}</code> · ${getUserStatusLabel(user)}\n`;
+    });
+    
+    await ctx.reply(text, {
+        parse_mode: 'HTML',
+        reply_markup: {
+            inline_keyboard: shown.map((user, index) => [
+                { text: `👤 ${index + 1}. ${user.firstName || user.username || user.id}`, callback_data: `user_info:${user.id}` }
+            ])
+        }
+    });
+});
+
+// Команда /audit [id|@username] - последние записи журнала модерации
+bot.command('audit', async (ctx) => {
+    if (!await requirePermission(ctx, PERMISSIONS.USERS_VIEW)) return;
+    
+    const [, ref] = ctx.message.text.trim().split(/\s+/);
+    const targetId = ref ? (findUserByRef(ref)?.id || ref.replace(/^@/, '')) : null;
+    const entries = getModerationHistory(targetId, AUDIT_LIMIT);
+    
+    if (entries.length === 0) {
+        return ctx.reply('📭 В журнале модерации нет записей');
+    }
+    
+    const text = `📜 <b>ЖУРНАЛ МОДЕРАЦИИ</b>${targetId ? `: <code>${escapeHtml(targetId)}</code>` : ''}\n` +
+        `<i>Записей: ${entries.length}, сначала новые</i>\n\n` +
+        entries.map(formatModerationEntry).join('\n');
+    
+    await ctx.reply(text, { parse_mode: 'HTML' });
+});
+
+// Команда /remove_listing <id> [комментарий] - снять объявление с публикации
+bot.command('remove_listing', async (ctx) => {
+    if (!await requirePermission(ctx, PERMISSIONS.LISTINGS_MODERATE)) return;
+    
+    const [, listingId, ...words] = ctx.message.text.trim().split(/\s+/);
+    const listing = listingId && listingsDB.get(listingId);
+    const comment = truncateText(words.join(' '), REMOVAL_COMMENT_MAX_LENGTH);
+    
+    if (!listing || listing.status !== LISTING_STATUS.ACTIVE) {
+        return ctx.reply('❌ Активное объявление не найдено. Формат: /remove_listing <id> [комментарий]');
+    }
+    
+    await deleteListingMessages(listing);
+    
+    listing.status = LISTING_STATUS.DELETED;
+    listing.deletedAt = new Date();
+    listing.removedBy = ctx.from.username || ctx.from.first_name;
+    saveListing(listing);
+    
+    logModeration(ctx, 'remove', 'listing', listing.id, { ownerId: listing.ownerId, comment: comment || undefined });
+    console.log(`🗑 Объявление ${listing.id} снято администратором`);
+    
+    await ctx.reply(
+        `🗑 Объявление <code>${escapeHtml(listing.id)}</code> снято с публикации\n` +
+        `👤 Продавец: <code>${escapeHtml(listing.ownerId)}</code>`,
+        { parse_mode: 'HTML' }
+    );
+    
+    await notifyListingOwner(listing, 'notify.removed', {
+        location: formatListingLocation(listing),
+        price: escapeHtml(listing.price),
+        comment: comment ? `💬 ${escapeHtml(comment)}\n\n` : ''
+    });
+});
+
+// ==================== БЛОКИРОВКИ И ЧЕРНЫЙ СПИСОК ====================
+
+const BAN_REASON_MAX_LENGTH = 200;
+const BLOCKLIST_SHOW_LIMIT = 30;
+
+// Строки срока и причины блокировки для /status и уведомления
+function formatBanDetails(user, locale) {
+    let details = t(locale, user.bannedUntil ? 'status.bannedUntil' : 'status.bannedForever', {
+        date: formatDate(locale, user.bannedUntil, true)
+    }) + '\n';
+    if (user.banReason) {
+        details += t(locale, 'status.banReason', { reason: escapeHtml(user.banReason) }) + '\n';
+    }
+    return details;
+}
+
+// Email и телефоны, по которым пользователя можно узнать с другого аккаунта
+function getUserBlocklistValues(user) {
+    const values = [];
+    const email = normalizeEmail(user.googleInfo?.email);
+    if (email) {
+        values.push({ type: 'email', value: email });
+    }
+    
+    const phones = new Set();
+    listingsDB.forEach(listing => {
+        if (listing.ownerId === user.id) {
+            extractPhones(listing.contacts).forEach(phone => phones.add(phone));
+        }
+    });
+    phones.forEach(phone => values.push({ type: 'phone', value: phone }));
+    
+    return values;
+}
+
+function addToBlocklist(type, value, { userId = null, reason = '', createdBy }) {
+    const id = getBlocklistId(type, value);
+    if (blocklistDB.has(id)) {
+        return false;
+    }
+    blocklistDB.set(id, { id, type, value, userId, reason, createdBy, createdAt: new Date().toISOString() });
+    return true;
+}
+
+// Записи черного списка, под которые попадают email и телефоны.
+// Записи, добавленные при блокировке, действуют, пока блокировка не истекла
+// (после удаления данных пользователя - до expiresAt)
+function findBlocklistEntries({ emails = [], phones = [] }) {
+    const ids = new Set([
+        ...emails.map(normalizeEmail).filter(Boolean).map(email => getBlocklistId('email', email)),
+        ...phones.map(phone => getBlocklistId('phone', phone))
+    ]);
+    
+    return Array.from(ids)
+        .map(id => blocklistDB.get(id))
+        .filter(entry => entry &&
+            (!entry.expiresAt || new Date(entry.expiresAt) > new Date()) &&
+            (!entry.userId || isUserBanned(usersDB.get(entry.userId))));
+}
+
+function findBlocklistEntry(values) {
+    return findBlocklistEntries(values)[0] || null;
+}
+
+// Блокировка пользователя и занесение его email и телефонов в черный список
+function banUser(user, { moderator, until = null, reason = '' }) {
+    user.banned = true;
+    user.bannedAt = new Date();
+    user.bannedBy = moderator;
+    user.bannedUntil = until;
+    user.banReason = reason;
+    saveUser(user);
+    
+    return getUserBlocklistValues(user)
+        .filter(({ type, value }) => addToBlocklist(type, value, { userId: user.id, reason, createdBy: moderator }))
+        .length;
+}
+
+function unbanUser(user) {
+    user.banned = false;
+    user.bannedAt = null;
+    user.bannedBy = null;
+    user.bannedUntil = null;
+    user.banReason = null;
+    saveUser(user);
+    
+    blocklistDB.forEach((entry, id) => {
+        if (entry.userId === user.id) {
+            blocklistDB.delete(id);
+        }
+    });
+}
+
+// Новый аккаунт совпал с черным списком: блокируем его и сообщаем в админ-чат
+async function banByBlocklist(user, entry) {
+    const reason = `Совпадение с черным списком: ${entry.value}`;
+    // Блокировка нового аккаунта заканчивается вместе с блокировкой исходного
+    const sourceUser = entry.userId ? usersDB.get(entry.userId) : null;
+    const until = sourceUser ? sourceUser.bannedUntil : (entry.expiresAt ? new Date(entry.expiresAt) : null);
+    banUser(user, { moderator: 'blocklist', until, reason });
+    moderationLog.append({
+        action: 'ban',
+        targetType: 'user',
+        targetId: user.id,
+        moderatorId: 'system',
+        moderator: 'blocklist',
+        until: until ? until.toISOString() : undefined,
+        comment: reason
+    });
+    console.warn(`🚫 Пользователь ${user.id} заблокирован по черному списку (${entry.id})`);
+    
+    try {
+        await bot.telegram.sendMessage(
+            ADMIN_CHAT_ID,
+            `🚫 <b>АВТОМАТИЧЕСКАЯ БЛОКИРОВКА</b>\n\n` +
+            `👤 Пользователь: ${formatUserName(user)}\n` +
+            `🆔 ID: <code>${user.id}</code>\n` +
+            `📛 Совпадение: <code>${escapeHtml(entry.value)}</code>\n` +
+            (entry.userId ? `🔗 Ранее заблокирован: <code>${escapeHtml(entry.userId)}</code>\n` : '') +
+            `⏳ Срок: ${until ? `до ${until.toLocaleString('ru-RU')}` : 'бессрочно'}\n` +
+            `\nСнять блокировку: /unban ${user.id}`,
+            {
+                parse_mode: 'HTML',
+                reply_markup: {
+                    inline_keyboard: [[{ text: '👤 Пользователь', callback_data: `user_info:${user.id}` }]]
+                }
+            }
+        );
+    } catch (error) {
+        console.error('❌ Ошибка отправки уведомления:', error);
+    }
+    
+    await notifyUserAccount(user, 'account.bannedDm', locale => ({ details: formatBanDetails(user, locale) }));
+}
+
+// "/block +7 (999) 000-11-22 перекуп" -> телефон с пробелами и остаток текста
+function splitBlocklistInput(text) {
+    const input = text.replace(/^\/\w+(@\w+)?/, '').trim();
+    const match = input.match(/^(\S+@\S+|\+?\d[\d\s\-().]*\d)(?:\s+(.*))?$/s);
+    return match ? { value: match[1], rest: match[2] || '' } : { value: input.split(/\s+/)[0], rest: '' };
+}
+
+// Команда /block <телефон|email> [причина] - добавить в черный список вручную
+bot.command('block', async (ctx) => {
+    if (!await requirePermission(ctx, PERMISSIONS.USERS_MODERATE)) return;
+    
+    const { value, rest } = splitBlocklistInput(ctx.message.text);
+    const parsed = parseBlocklistValue(value);
+    
+    if (!parsed) {
+        return ctx.reply('❌ Формат: /block <телефон|email> [причина]');
+    }
+    
+    const reason = truncateText(rest, BAN_REASON_MAX_LENGTH);
+    if (!addToBlocklist(parsed.type, parsed.value, { reason, createdBy: ctx.from.username || ctx.from.first_name })) {
+        return ctx.reply('ℹ️ Уже в черном списке');
+    }
+    
+    logModeration(ctx, 'block', 'blocklist', getBlocklistId(parsed.type, parsed.value), { comment: reason || undefined });
+    await ctx.reply(`⛔ Добавлено в черный список: <code>${escapeHtml(parsed.value)}</code>`, { parse_mode: 'HTML' });
+});
+
+// Команда /unblock <телефон|email> - убрать из черного списка
+bot.command('unblock', async (ctx) => {
+    if (!await requirePermission(ctx, PERMISSIONS.USERS_MODERATE)) return;
+    
+    const parsed = parseBlocklistValue(splitBlocklistInput(ctx.message.text).value);
+    const id = parsed && getBlocklistId(parsed.type, parsed.value);
+    
+    if (!id || !blocklistDB.has(id)) {
+        return ctx.reply('❌ Нет в черном списке. Формат: /unblock <телефон|email>');
+    }
+    
+    blocklistDB.delete(id);
+    logModeration(ctx, 'unblock', 'blocklist', id);
+    await ctx.reply(`✅ Убрано из черного списка: <code>${escapeHtml(parsed.value)}</code>`, { parse_mode: 'HTML' });
+});
+
+// Команда /blocklist - записи черного списка
+bot.command('blocklist', async (ctx) => {
+    if (!await requirePermission(ctx, PERMISSIONS.USERS_VIEW)) return;
+    
+    const entries = Array.from(blocklistDB.values())
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    
+    if (entries.length === 0) {
+        return ctx.reply('📭 Черный список пуст');
+    }
+    
+    let text = `⛔ <b>ЧЕРНЫЙ СПИСОК</b>: ${entries.length}` +
+        (entries.length > BLOCKLIST_SHOW_LIMIT ? ` (показаны последние ${BLOCKLIST_SHOW_LIMIT})` : '') + '\n\n';
+    
+    entries.slice(0, BLOCKLIST_SHOW_LIMIT).forEach(entry => {
+        text += `${entry.type === 'email' ? '📧' : '📱'} <code>${escapeHtml(entry.value)}</code>` +
+            (entry.userId ? ` · 👤 <code>${escapeHtml(entry.userId)}</code>` : '') +
+            (entry.reason ? ` · ${escapeHtml(entry.reason)}` : '') + '\n';
+    });
+    
+    text += '\n/block &lt;телефон|email&gt; [причина]\n/unblock &lt;телефон|email&gt;';
+    
+    await ctx.reply(text, { parse_mode: 'HTML' });
+});
+
+// Обработка callback-запросов (кнопки администратора)
+bot.on('callback_query', async (ctx) => {
+    try {
+        const callbackData = ctx.callbackQuery.data;
+        
+        // Логируем callback
+        console.log(`🔄 Callback от ${ctx.from.username || ctx.from.id}: ${callbackData}`);
+        
+        // Кнопки администратора проверяются по реестру, а не по чату
+        const permission = CALLBACK_PERMISSIONS[callbackData.split(':')[0]];
+        if (permission && !hasPermission(ctx, permission)) {
+            console.warn(`⚠️ Нет права ${permission}: ${ctx.from.username || ctx.from.id}`);
+            return ctx.answerCbQuery('❌ Недостаточно прав', { show_alert: true });
+        }
+        
+        if (callbackData.startsWith('approve_user:')) {
+            const [, userId, origin, page] = callbackData.split(':');
+            const user = usersDB.get(userId);
+            
+            if (!user) {
+                return ctx.answerCbQuery('❌ Пользователь не найден');
+            }
+            
+            // Подтверждение пользователя
+            user.approved = true;
+            user.approvedAt = new Date();
+            user.approvedBy = ctx.from.username || ctx.from.first_name;
+            user.rejected = false;
+            if (CONTACTS_RETENTION_DAYS === 0) {
+                dropRawContacts(user, fieldCipher.hash);
+            }
+            saveUser(user);
+            logModeration(ctx, 'approve', 'user', userId);
+            
+            // Уведомляем администратора
+            if (origin === 'pending') {
+                await editPendingPage(ctx, Number(page));
+            } else {
+                await ctx.editMessageText(
+                    `✅ <b>ПОЛЬЗОВАТЕЛЬ ПОДТВЕРЖДЕН</b>\n\n` +
+                    `👤 Пользователь: ${escapeHtml(user.firstName || userId)}\n` +
+                    `🆔 ID: ${userId}\n` +
+                    `📊 Контактов: ${getContactsCount(user)}\n` +
+                    `✅ Подтвержден: ${new Date().toLocaleString('ru-RU')}\n` +
+                    `👮 Подтвердил: @${escapeHtml(ctx.from.username || ctx.from.first_name)}`,
+                    { parse_mode: 'HTML' }
+                );
+            }
+            
+            // Уведомляем пользователя
+            if (user.chatId) {
+                try {
+                    const webAppUrl = `${BASE_URL}/index.html?userId=${userId}&chatId=${user.chatId}`;
+                    const locale = getUserLocale(user);
+                    
+                    await bot.telegram.sendMessage(
+                        user.chatId,
+                        t(locale, 'account.approvedDm', { channel: CHANNEL_ID.replace('@', '') }),
+                        {
+                            parse_mode: 'HTML',
+                            reply_markup: {
+                                inline_keyboard: [
+                                    [
+                                        {
+                                            text: t(locale, 'button.createListing'),
+                                            web_app: { url: webAppUrl }
+                                        }
                                     ]
                                 ]
                             }
@@ -1537,175 +4298,1799 @@ bot.on('callback_query', async (ctx) => {
                 }
             }
             
-            await ctx.answerCbQuery('✅ Пользователь подтвержден');
+            await ctx.answerCbQuery('✅ Пользователь подтвержден');
+            
+        } else if (callbackData.startsWith('reject_user:')) {
+            const [, userId, ...origin] = callbackData.split(':');
+            const user = usersDB.get(userId);
+            
+            if (!user) {
+                return ctx.answerCbQuery('❌ Пользователь не найден');
+            }
+            
+            // Сначала выбор причины: она уходит пользователю
+            await ctx.editMessageReplyMarkup({
+                inline_keyboard: getRejectReasonKeyboard(userId, origin.map(part => `:${part}`).join(''))
+            });
+            await ctx.answerCbQuery(`📝 Причина отказа: ${user.firstName || user.username || userId}`);
+            
+        } else if (callbackData.startsWith('reject_cancel:')) {
+            const [, userId, origin, page] = callbackData.split(':');
+            const user = usersDB.get(userId);
+            
+            if (!user) {
+                return ctx.answerCbQuery('❌ Пользователь не найден');
+            }
+            
+            if (origin === 'pending') {
+                await editPendingPage(ctx, Number(page));
+            } else {
+                await ctx.editMessageReplyMarkup({
+                    inline_keyboard: origin === 'card' ? getUserInfoKeyboard(user) : getApprovalKeyboard(userId)
+                });
+            }
+            await ctx.answerCbQuery();
+            
+        } else if (callbackData.startsWith('reject_reason:')) {
+            const [, userId, reason, origin, page] = callbackData.split(':');
+            const user = usersDB.get(userId);
+            
+            if (!user) {
+                return ctx.answerCbQuery('❌ Пользователь не найден');
+            }
+            
+            if (!isValidRejectionReason(reason)) {
+                return ctx.answerCbQuery('❌ Неизвестная причина');
+            }
+            
+            // Отклонение пользователя
+            user.rejected = true;
+            user.rejectedAt = new Date();
+            user.rejectedBy = ctx.from.username || ctx.from.first_name;
+            user.rejectionReason = reason;
+            saveUser(user);
+            logModeration(ctx, 'reject', 'user', userId, { reason });
+            
+            if (origin === 'pending') {
+                await editPendingPage(ctx, Number(page));
+            } else {
+                await ctx.editMessageText(
+                    `❌ <b>ПОЛЬЗОВАТЕЛЬ ОТКЛОНЕН</b>\n\n` +
+                    `👤 Пользователь: ${escapeHtml(user.firstName || userId)}\n` +
+                    `🆔 ID: ${userId}\n` +
+                    `📅 Отклонен: ${new Date().toLocaleString('ru-RU')}\n` +
+                    `📝 Причина: ${escapeHtml(formatRejectionReason(reason, DEFAULT_LOCALE))}\n` +
+                    `👮 Отклонил: @${escapeHtml(ctx.from.username || ctx.from.first_name)}`,
+                    { parse_mode: 'HTML' }
+                );
+            }
+            
+            // Уведомляем пользователя
+            if (user.chatId) {
+                try {
+                    const locale = getUserLocale(user);
+                    
+                    await bot.telegram.sendMessage(
+                        user.chatId,
+                        t(locale, 'account.rejectedDm', {
+                            reason: escapeHtml(formatRejectionReason(reason, locale)),
+                            hours: REAPPLY_COOLDOWN_HOURS
+                        }),
+                        { parse_mode: 'HTML' }
+                    );
+                } catch (userError) {
+                    console.error('❌ Ошибка уведомления пользователя:', userError);
+                }
+            }
+            
+            await ctx.answerCbQuery('❌ Пользователь отклонен');
+            
+        } else if (callbackData.startsWith('pending_page:')) {
+            await editPendingPage(ctx, Number(callbackData.split(':')[1]));
+            await ctx.answerCbQuery();
+            
+        } else if (callbackData.startsWith('view_contacts:')) {
+            const userId = callbackData.split(':')[1];
+            const user = usersDB.get(userId);
+            
+            if (!user) {
+                return ctx.answerCbQuery('❌ Пользователь не найден');
+            }
+            
+            if (!user.contacts || user.contacts.length === 0) {
+                return ctx.answerCbQuery(user.contactsDroppedAt ?
+                    `🗑 Контакты удалены по политике хранения (${user.contactsDroppedAt.toLocaleString('ru-RU')})` :
+                    '❌ У пользователя нет контактов');
+            }
+            
+            let contactsText = `📞 <b>КОНТАКТЫ ПОЛЬЗОВАТЕЛЯ ${escapeHtml(user.firstName || userId)}</b>\n\n`;
+            contactsText += `📊 Всего: ${user.contacts.length}\n`;
+            contactsText += `📱 Источник: ${escapeHtml(user.importSource || 'неизвестно')}\n`;
+            contactsText += `📅 Дата: ${user.contactsImportedAt?.toLocaleString('ru-RU') || 'неизвестно'}\n\n`;
+            
+            // Показываем первые 5 контактов
+            user.contacts.slice(0, 5).forEach((contact, index) => {
+                contactsText += `<b>${index + 1}.</b> ${escapeHtml(contact.name || 'Без имени')}\n`;
+                contact.phones.forEach(phone => {
+                    contactsText += `   📱 ${escapeHtml(phone)}\n`;
+                });
+                contact.emails.forEach(email => {
+                    contactsText += `   📧 ${escapeHtml(email)}\n`;
+                });
+                contactsText += '\n';
+            });
+            
+            if (user.contacts.length > 5) {
+                contactsText += `... и еще ${user.contacts.length - 5} контактов\n`;
+            }
+            
+            // Контакты видит только тот, у кого есть право, поэтому из админ-чата они уходят в личку
+            if (ctx.chat.type === 'private') {
+                await ctx.reply(contactsText, {
+                    parse_mode: 'HTML',
+                    reply_to_message_id: ctx.callbackQuery.message?.message_id
+                });
+            } else {
+                try {
+                    await bot.telegram.sendMessage(ctx.from.id, contactsText, { parse_mode: 'HTML' });
+                } catch (error) {
+                    return ctx.answerCbQuery('❌ Откройте личный чат с ботом (/start), чтобы получить контакты', { show_alert: true });
+                }
+            }
+            logModeration(ctx, 'view_contacts', 'user', userId);
+            
+            await ctx.answerCbQuery(ctx.chat.type === 'private' ? '📞 Контакты показаны' : '📞 Контакты отправлены вам в личку');
+            
+        } else if (callbackData.startsWith('user_info:')) {
+            const userId = callbackData.split(':')[1];
+            const user = usersDB.get(userId);
+            
+            if (!user) {
+                return ctx.answerCbQuery('❌ Пользователь не найден');
+            }
+            
+            await ctx.reply(formatUserInfo(user), {
+                parse_mode: 'HTML',
+                reply_to_message_id: ctx.callbackQuery.message?.message_id,
+                reply_markup: { inline_keyboard: getUserInfoKeyboard(user) }
+            });
+            
+            await ctx.answerCbQuery('👤 Информация о пользователе');
+            
+        } else if (callbackData.startsWith('extend_listing:')) {
+            const listingId = callbackData.split(':')[1];
+            const listing = listingsDB.get(listingId);
+            
+            if (!listing || listing.ownerId !== ctx.from.id.toString()) {
+                return ctx.answerCbQuery(ctx.t('listing.notFound'));
+            }
+            
+            if (listing.status !== LISTING_STATUS.ACTIVE) {
+                return ctx.answerCbQuery(ctx.t('listing.notActive'));
+            }
+            
+            // Продлеваем от текущей даты окончания
+            const base = Math.max(Date.now(), getListingExpiry(listing).getTime());
+            listing.expiresAt = new Date(base + LISTING_LIFETIME_MS);
+            listing.expiryWarnedAt = null;
+            saveListing(listing);
+            
+            await ctx.editMessageText(
+                ctx.t('listing.extended', { date: formatDate(ctx.locale, listing.expiresAt, true) }),
+                { parse_mode: 'HTML' }
+            );
+            
+            await ctx.answerCbQuery(ctx.t('listing.extendedShort'));
+            
+        } else if (callbackData.startsWith('approve_listing:') || callbackData.startsWith('approve_listing_trust:')) {
+            const [action, listingId] = callbackData.split(':');
+            const listing = listingsDB.get(listingId);
+            
+            if (!listing || listing.status !== LISTING_STATUS.PENDING || publishingListings.has(listing.id)) {
+                return ctx.answerCbQuery('❌ Объявление уже обработано');
+            }
+            
+            const moderator = ctx.from.username || ctx.from.first_name;
+            
+            // Статус меняется только после отправки в канал: при ошибке объявление остается на модерации
+            publishingListings.add(listing.id);
+            try {
+                await publishApprovedListing(listing);
+            } catch (error) {
+                console.error(`❌ Ошибка публикации объявления ${listing.id}:`, error);
+                return ctx.answerCbQuery('❌ Не удалось опубликовать объявление, попробуйте еще раз');
+            } finally {
+                publishingListings.delete(listing.id);
+            }
+            
+            if (action === 'approve_listing_trust') {
+                const owner = usersDB.get(listing.ownerId);
+                if (owner) {
+                    owner.trusted = true;
+                    owner.trustedAt = new Date();
+                    owner.trustedBy = moderator;
+                    saveUser(owner);
+                }
+            }
+            
+            listing.moderation = { ...listing.moderation, decision: 'approved', decidedBy: moderator, decidedAt: new Date() };
+            saveListing(listing);
+            logModeration(ctx, 'approve', 'listing', listing.id, { trusted: action === 'approve_listing_trust' });
+            
+            await ctx.editMessageText(
+                `✅ <b>ОБЪЯВЛЕНИЕ ОПУБЛИКОВАНО</b>\n\n` +
+                `🆔 Продавец: ${listing.ownerId}\n` +
+                `📍 Город: ${escapeHtml(listing.city)}\n` +
+                `👮 Одобрил: @${moderator}` +
+                (action === 'approve_listing_trust' ? `\n⭐ Продавец отмечен как доверенный` : ''),
+                {
+                    parse_mode: 'HTML',
+                    reply_markup: {
+                        inline_keyboard: [
+                            [
+                                {
+                                    text: '👁️ Посмотреть объявление',
+                                    url: getChannelPostLink(listing.messageIds[0], listing.channelId)
+                                }
+                            ]
+                        ]
+                    }
+                }
+            );
+            
+            await ctx.answerCbQuery('✅ Объявление опубликовано');
+            
+        } else if (callbackData.startsWith('reject_listing:') || callbackData.startsWith('request_changes:')) {
+            const [action, listingId] = callbackData.split(':');
+            const listing = listingsDB.get(listingId);
+            
+            if (!listing || listing.status !== LISTING_STATUS.PENDING || publishingListings.has(listing.id)) {
+                return ctx.answerCbQuery('❌ Объявление уже обработано');
+            }
+            
+            const moderator = ctx.from.username || ctx.from.first_name;
+            const isRejected = action === 'reject_listing';
+            
+            listing.status = isRejected ? LISTING_STATUS.REJECTED : LISTING_STATUS.CHANGES_REQUESTED;
+            listing.moderation = {
+                ...listing.moderation,
+                decision: isRejected ? 'rejected' : 'changes_requested',
+                decidedBy: moderator,
+                decidedAt: new Date()
+            };
+            saveListing(listing);
+            logModeration(ctx, isRejected ? 'reject' : 'request_changes', 'listing', listing.id);
+            
+            await ctx.editMessageText(
+                (isRejected ? `❌ <b>ОБЪЯВЛЕНИЕ ОТКЛОНЕНО</b>\n\n` : `✏️ <b>ЗАПРОШЕНЫ ПРАВКИ</b>\n\n`) +
+                `🆔 Продавец: ${listing.ownerId}\n` +
+                `📍 Город: ${escapeHtml(listing.city)}\n` +
+                `👮 Модератор: @${moderator}`,
+                { parse_mode: 'HTML' }
+            );
+            
+            await notifyListingOwner(listing, isRejected ? 'notify.rejected' : 'notify.changesRequested', {
+                city: escapeHtml(listing.city),
+                price: escapeHtml(listing.price)
+            });
+            
+            await ctx.answerCbQuery(isRejected ? '❌ Объявление отклонено' : '✏️ Правки запрошены');
+            
+        } else if (callbackData.startsWith('listing_resubmit:')) {
+            const listingId = callbackData.split(':')[1];
+            const listing = getOwnedListing(ctx, listingId);
+            
+            if (!listing || listing.status !== LISTING_STATUS.CHANGES_REQUESTED) {
+                return ctx.answerCbQuery(ctx.t('listing.unavailable'));
+            }
+            
+            const owner = usersDB.get(listing.ownerId);
+            await sendListingToModeration(owner, listing, buildListingMediaGroup(listing));
+            
+            await ctx.editMessageText(formatListingSummary(listing, ctx.locale), {
+                parse_mode: 'HTML',
+                disable_web_page_preview: true,
+                reply_markup: { inline_keyboard: getListingKeyboard(listing, ctx.locale) }
+            });
+            
+            await ctx.answerCbQuery(ctx.t('listing.resubmitted'));
+            
+        } else if (callbackData.startsWith('toggle_trust:')) {
+            const userId = callbackData.split(':')[1];
+            const user = usersDB.get(userId);
+            
+            if (!user) {
+                return ctx.answerCbQuery('❌ Пользователь не найден');
+            }
+            
+            user.trusted = !user.trusted;
+            user.trustedAt = user.trusted ? new Date() : null;
+            user.trustedBy = user.trusted ? (ctx.from.username || ctx.from.first_name) : null;
+            saveUser(user);
+            logModeration(ctx, user.trusted ? 'trust' : 'untrust', 'user', userId);
+            
+            await ctx.answerCbQuery(user.trusted ? '⭐ Продавец публикует без премодерации' : '🛡 Объявления продавца снова проходят модерацию');
+            
+        } else if (callbackData.startsWith('set_language:')) {
+            const locale = callbackData.split(':')[1];
+            
+            if (locale !== 'auto' && !isSupportedLocale(locale)) {
+                return ctx.answerCbQuery(ctx.t('callback.unknown'));
+            }
+            
+            const userId = ctx.from.id.toString();
+            const user = usersDB.get(userId) || createUser({
+                id: userId,
+                chatId: userId,
+                username: ctx.from.username,
+                firstName: ctx.from.first_name,
+                lastName: ctx.from.last_name
+            });
+            
+            user.locale = locale === 'auto' ? null : locale;
+            user.languageCode = ctx.from.language_code;
+            saveUser(user);
+            
+            ctx.locale = getUserLocale(user, ctx.from.language_code);
+            
+            await ctx.editMessageText(
+                locale === 'auto' ?
+                    ctx.t('language.auto') :
+                    ctx.t('language.changed', { language: LOCALE_NAMES[ctx.locale] })
+            );
+            await ctx.answerCbQuery();
+            
+        } else if (callbackData.startsWith('template_activate:') || callbackData.startsWith('template_discard:')) {
+            const isActivate = callbackData.startsWith('template_activate:');
+            const key = callbackData.slice(callbackData.indexOf(':') + 1);
+            const record = captionTemplatesDB.get(key);
+            
+            if (!record?.draft) {
+                return ctx.answerCbQuery('❌ Черновик не найден');
+            }
+            
+            if (isActivate && !record.draft.previewed) {
+                return ctx.answerCbQuery('❌ Сначала посмотрите предпросмотр');
+            }
+            
+            if (isActivate) {
+                const { template, footer, defaultHashtags } = record.draft;
+                record.active = { template, footer, defaultHashtags };
+            }
+            record.draft = null;
+            record.updatedBy = ctx.from.username || ctx.from.first_name;
+            record.updatedAt = new Date().toISOString();
+            
+            if (record.active) {
+                captionTemplatesDB.set(key, record);
+            } else {
+                captionTemplatesDB.delete(key);
+            }
+            
+            logModeration(ctx, isActivate ? 'template_activate' : 'template_discard', 'template', key);
+            
+            await ctx.editMessageReplyMarkup({ inline_keyboard: [] });
+            await ctx.answerCbQuery(isActivate ? '✅ Шаблон применен' : '🗑 Черновик удален');
+            
+        } else if (callbackData.startsWith('listing_edit_price:') || callbackData.startsWith('listing_edit_desc:')) {
+            const [action, listingId] = callbackData.split(':');
+            const listing = getOwnedListing(ctx, listingId);
+            
+            if (!listing || !EDITABLE_LISTING_STATUSES.includes(listing.status)) {
+                return ctx.answerCbQuery(ctx.t('listing.notEditable'));
+            }
+            
+            const field = action === 'listing_edit_price' ? 'price' : 'description';
+            clearPendingInput(ctx.from.id.toString());
+            pendingEdits.set(ctx.from.id.toString(), { listingId, field, timestamp: Date.now() });
+            
+            let prompt = ctx.t('edit.descriptionPrompt', { max: LISTING_DESCRIPTION_MAX_LENGTH });
+            if (field === 'price') {
+                prompt = listing.product ?
+                    ctx.t('edit.pricePromptProduct', { unit: ctx.t(`unitName.${listing.product.unit}`), max: LISTING_PRICE_MAX_LENGTH }) :
+                    ctx.t('edit.pricePrompt', { max: LISTING_PRICE_MAX_LENGTH });
+            }
+            
+            await ctx.reply(
+                prompt,
+                {
+                    reply_markup: {
+                        inline_keyboard: [
+                            [
+                                {
+                                    text: ctx.t('button.cancel'),
+                                    callback_data: 'listing_edit_cancel'
+                                }
+                            ]
+                        ]
+                    }
+                }
+            );
+            
+            await ctx.answerCbQuery();
+            
+        } else if (callbackData === 'listing_edit_cancel') {
+            pendingEdits.delete(ctx.from.id.toString());
+            await ctx.editMessageText(ctx.t('edit.cancelled'));
+            await ctx.answerCbQuery();
+            
+        } else if (callbackData.startsWith('listing_sold:')) {
+            const listingId = callbackData.split(':')[1];
+            const listing = getOwnedListing(ctx, listingId);
+            
+            if (!listing || listing.status !== LISTING_STATUS.ACTIVE) {
+                return ctx.answerCbQuery(ctx.t('listing.unavailable'));
+            }
+            
+            await editListingCaption(listing, formatSoldCaption(listing));
+            await removeListingContactMessage(listing);
             
-        } else if (callbackData.startsWith('reject_user:')) {
-            const userId = callbackData.split(':')[1];
-            const user = usersDB.get(userId);
+            listing.status = LISTING_STATUS.SOLD;
+            listing.soldAt = new Date();
+            saveListing(listing);
             
-            if (!user) {
-                return ctx.answerCbQuery('❌ Пользователь не найден');
+            await ctx.editMessageText(formatListingSummary(listing, ctx.locale), {
+                parse_mode: 'HTML',
+                disable_web_page_preview: true,
+                reply_markup: { inline_keyboard: getListingKeyboard(listing, ctx.locale) }
+            });
+            
+            console.log(`✅ Объявление ${listing.id} отмечено как проданное`);
+            await ctx.answerCbQuery(ctx.t('listing.markedSold'));
+            await requestReviewsForListing(listing);
+            
+        } else if (callbackData.startsWith('listing_delete:')) {
+            const listingId = callbackData.split(':')[1];
+            const listing = getOwnedListing(ctx, listingId);
+            
+            if (!listing || listing.status === LISTING_STATUS.DELETED) {
+                return ctx.answerCbQuery(ctx.t('listing.notFound'));
             }
             
-            // Отклонение пользователя
-            user.rejected = true;
-            user.rejectedAt = new Date();
-            user.rejectedBy = ctx.from.username || ctx.from.first_name;
-            saveUser(user);
+            await ctx.editMessageReplyMarkup({
+                inline_keyboard: [
+                    [
+                        {
+                            text: ctx.t('button.deleteConfirm'),
+                            callback_data: `listing_delete_confirm:${listing.id}`
+                        }
+                    ],
+                    [
+                        {
+                            text: ctx.t('button.back'),
+                            callback_data: `listing_back:${listing.id}`
+                        }
+                    ]
+                ]
+            });
             
-            await ctx.editMessageText(
-                `❌ <b>ПОЛЬЗОВАТЕЛЬ ОТКЛОНЕН</b>\n\n` +
-                `👤 Пользователь: ${user.firstName || userId}\n` +
-                `🆔 ID: ${userId}\n` +
-                `📅 Отклонен: ${new Date().toLocaleString('ru-RU')}\n` +
-                `👮 Отклонил: @${ctx.from.username || ctx.from.first_name}`,
-                { parse_mode: 'HTML' }
-            );
+            await ctx.answerCbQuery(ctx.t('listing.confirmDelete'));
             
-            // Уведомляем пользователя
-            if (user.chatId) {
-                try {
-                    await bot.telegram.sendMessage(
-                        user.chatId,
-                        `❌ <b>ВАША ЗАЯВКА ОТКЛОНЕНА</b>\n\n` +
-                        `К сожалению, администратор отклонил вашу заявку на публикацию объявлений.\n\n` +
-                        `<b>ВОЗМОЖНЫЕ ПРИЧИНЫ:</b>\n` +
-                        `• Недостаточно контактов\n` +
-                        `• Подозрительная активность\n` +
-                        `• Нарушение правил\n\n` +
-                        `Если вы считаете это ошибкой, свяжитесь с администратором.`,
-                        { parse_mode: 'HTML' }
-                    );
-                } catch (userError) {
-                    console.error('❌ Ошибка уведомления пользователя:', userError);
-                }
+        } else if (callbackData.startsWith('listing_back:')) {
+            const listingId = callbackData.split(':')[1];
+            const listing = getOwnedListing(ctx, listingId);
+            
+            if (!listing) {
+                return ctx.answerCbQuery(ctx.t('listing.notFound'));
             }
             
-            await ctx.answerCbQuery('❌ Пользователь отклонен');
+            await ctx.editMessageReplyMarkup({ inline_keyboard: getListingKeyboard(listing, ctx.locale) });
+            await ctx.answerCbQuery();
             
-        } else if (callbackData.startsWith('view_contacts:')) {
-            const userId = callbackData.split(':')[1];
-            const user = usersDB.get(userId);
+        } else if (callbackData === 'delete_me_confirm') {
+            const summary = await eraseUserData(ctx.from.id.toString(), 'bot');
+            
+            await ctx.editMessageText(ctx.t(summary ? 'deleteMe.done' : 'deleteMe.notFound'), { parse_mode: 'HTML' });
+            await ctx.answerCbQuery();
+            
+        } else if (callbackData === 'delete_me_cancel') {
+            await ctx.editMessageText(ctx.t('deleteMe.cancelled'));
+            await ctx.answerCbQuery();
+            
+        } else if (callbackData === 'google_sync') {
+            const user = usersDB.get(ctx.from.id.toString());
+            
+            if (!user || !hasGoogleAccess(user)) {
+                return ctx.answerCbQuery(ctx.t('google.revoked'), { show_alert: true });
+            }
+            
+            const wait = getGoogleSyncWait(user, GOOGLE_SYNC_COOLDOWN_MS);
+            if (wait > 0) {
+                return ctx.answerCbQuery(ctx.t('google.syncTooSoon', { minutes: Math.ceil(wait / 60000) }), { show_alert: true });
+            }
+            
+            // Загрузка контактов может идти дольше, чем Telegram ждет ответа на кнопку
+            await ctx.answerCbQuery(ctx.t('google.syncStarted'));
+            const result = await syncGoogleContacts(user);
+            
+            await ctx.editMessageText(formatGoogleAccount(user, ctx.locale), {
+                parse_mode: 'HTML',
+                reply_markup: { inline_keyboard: getGoogleAccountKeyboard(user, ctx.locale) }
+            });
+            await ctx.reply(result.status === GOOGLE_SYNC_STATUS.OK ?
+                ctx.t('google.syncDone', { count: result.count }) :
+                ctx.t(result.status === GOOGLE_SYNC_STATUS.REVOKED ? 'google.revoked' : 'google.syncError'));
+            
+        } else if (callbackData === 'google_disconnect') {
+            const user = usersDB.get(ctx.from.id.toString());
             
             if (!user) {
-                return ctx.answerCbQuery('❌ Пользователь не найден');
+                return ctx.answerCbQuery(ctx.t('status.notStarted'));
             }
             
-            if (!user.contacts || user.contacts.length === 0) {
-                return ctx.answerCbQuery('❌ У пользователя нет контактов');
+            await disconnectGoogle(user);
+            await ctx.editMessageText(formatGoogleAccount(user, ctx.locale), {
+                parse_mode: 'HTML',
+                reply_markup: { inline_keyboard: getGoogleAccountKeyboard(user, ctx.locale) }
+            });
+            await ctx.answerCbQuery(ctx.t('google.disconnectDone'));
+            
+        } else if (callbackData.startsWith('listing_delete_confirm:')) {
+            const listingId = callbackData.split(':')[1];
+            const listing = getOwnedListing(ctx, listingId);
+            
+            if (!listing || listing.status === LISTING_STATUS.DELETED) {
+                return ctx.answerCbQuery(ctx.t('listing.notFound'));
             }
             
-            let contactsText = `📞 <b>КОНТАКТЫ ПОЛЬЗОВАТЕЛЯ ${user.firstName || userId}</b>\n\n`;
-            contactsText += `📊 Всего: ${user.contacts.length}\n`;
-            contactsText += `📱 Источник: ${user.importSource || 'неизвестно'}\n`;
-            contactsText += `📅 Дата: ${user.contactsImportedAt?.toLocaleString('ru-RU') || 'неизвестно'}\n\n`;
+            await deleteListingMessages(listing);
             
-            // Показываем первые 5 контактов
-            user.contacts.slice(0, 5).forEach((contact, index) => {
-                contactsText += `<b>${index + 1}.</b> ${contact.name || 'Без имени'}\n`;
-                if (contact.phone) {
-                    contactsText += `   📱 ${contact.phone}\n`;
-                }
-                if (contact.phones && contact.phones.length > 0) {
-                    contact.phones.forEach(phone => {
-                        contactsText += `   📱 ${phone}\n`;
-                    });
-                }
-                if (contact.emails && contact.emails.length > 0) {
-                    contact.emails.forEach(email => {
-                        contactsText += `   📧 ${email}\n`;
-                    });
+            listing.status = LISTING_STATUS.DELETED;
+            listing.deletedAt = new Date();
+            saveListing(listing);
+            
+            await ctx.editMessageText(ctx.t('listing.deleted'), { parse_mode: 'HTML' });
+            
+            console.log(`🗑 Объявление ${listing.id} удалено владельцем`);
+            await ctx.answerCbQuery(ctx.t('listing.deletedShort'));
+            
+        } else if (callbackData.startsWith('sub_category:') || callbackData === 'sub_skip') {
+            const pending = pendingSubscriptions.get(ctx.from.id.toString());
+            
+            if (!pending || Date.now() - pending.timestamp >= PENDING_EDIT_TTL_MS) {
+                return ctx.answerCbQuery(ctx.t('subscribe.expired'));
+            }
+            
+            if (callbackData.startsWith('sub_category:')) {
+                const categoryId = callbackData.split(':')[1];
+                if (pending.step !== 'category' || (categoryId !== 'any' && !getActiveCategory(categoryId))) {
+                    return ctx.answerCbQuery(ctx.t('subscribe.expired'));
                 }
-                contactsText += '\n';
-            });
+                pending.data.category = categoryId === 'any' ? null : categoryId;
+            }
             
-            if (user.contacts.length > 5) {
-                contactsText += `... и еще ${user.contacts.length - 5} контактов\n`;
+            await ctx.editMessageReplyMarkup({ inline_keyboard: [] });
+            await ctx.answerCbQuery();
+            await advanceSubscription(ctx, pending);
+            
+        } else if (callbackData === 'sub_cancel') {
+            pendingSubscriptions.delete(ctx.from.id.toString());
+            await ctx.editMessageText(ctx.t('subscribe.cancelled'));
+            await ctx.answerCbQuery();
+            
+        } else if (callbackData.startsWith('sub_delete:')) {
+            const subscriptionId = callbackData.split(':')[1];
+            const subscription = subscriptionsDB.get(subscriptionId);
+            
+            if (subscription && subscription.userId === ctx.from.id.toString()) {
+                subscriptionsDB.delete(subscriptionId);
+                console.log(`🔕 Подписка ${subscriptionId} удалена пользователем ${ctx.from.id}`);
             }
             
-            await ctx.reply(contactsText, {
+            const { text, keyboard } = formatSubscriptionsMessage(getUserSubscriptions(ctx.from.id), ctx.locale);
+            await ctx.editMessageText(text, {
                 parse_mode: 'HTML',
-                reply_to_message_id: ctx.callbackQuery.message?.message_id
+                reply_markup: { inline_keyboard: keyboard }
             });
+            await ctx.answerCbQuery(ctx.t('subscriptions.deleted'));
             
-            await ctx.answerCbQuery('📞 Контакты показаны');
+        } else if (callbackData.startsWith('relay_reply:')) {
+            const userId = ctx.from.id.toString();
+            const conversation = conversationsDB.get(callbackData.split(':')[1]);
+            const role = conversation ? getRelayRole(conversation, userId) : null;
+            const error = getRelayError(conversation, role);
             
-        } else if (callbackData.startsWith('user_info:')) {
-            const userId = callbackData.split(':')[1];
-            const user = usersDB.get(userId);
+            if (error) {
+                return ctx.answerCbQuery(ctx.t(error), { show_alert: true });
+            }
             
-            if (!user) {
-                return ctx.answerCbQuery('❌ Пользователь не найден');
+            clearPendingInput(userId);
+            activeRelays.set(userId, conversation.id);
+            
+            await ctx.answerCbQuery();
+            await ctx.reply(ctx.t('relay.replyMode', {
+                alias: getRelayAlias(conversation, role === 'buyer' ? 'seller' : 'buyer', ctx.locale)
+            }));
+            
+        } else if (callbackData.startsWith('relay_block:') || callbackData.startsWith('relay_unblock:')) {
+            const userId = ctx.from.id.toString();
+            const [action, conversationId] = callbackData.split(':');
+            const conversation = conversationsDB.get(conversationId);
+            const role = conversation ? getRelayRole(conversation, userId) : null;
+            
+            if (!role || conversation.closedAt) {
+                return ctx.answerCbQuery(ctx.t('relay.closed'));
+            }
+            
+            if (action === 'relay_block') {
+                // Блокирует тот, кто нажал первым; второй не может снять чужую блокировку
+                conversation.blockedBy = conversation.blockedBy || role;
+                if (activeRelays.get(userId) === conversation.id) {
+                    activeRelays.delete(userId);
+                }
+                console.log(`🚫 Переписка ${conversation.id} заблокирована (${role})`);
+            } else if (conversation.blockedBy && conversation.blockedBy !== role) {
+                return ctx.answerCbQuery(ctx.t('relay.peerBlocked'), { show_alert: true });
+            } else if (conversation.blockedBy === role) {
+                conversation.blockedBy = null;
+                console.log(`🔓 Переписка ${conversation.id} разблокирована (${role})`);
+            }
+            conversationsDB.set(conversation.id, conversation);
+            
+            const blocked = action === 'relay_block';
+            await ctx.answerCbQuery();
+            await ctx.reply(ctx.t(blocked ? 'relay.blocked' : 'relay.unblocked'), {
+                reply_markup: blocked ? {
+                    inline_keyboard: [
+                        [{ text: ctx.t('button.relayUnblock'), callback_data: `relay_unblock:${conversation.id}` }]
+                    ]
+                } : undefined
+            });
+            
+        } else if (callbackData.startsWith('relay_report:')) {
+            const conversation = conversationsDB.get(callbackData.split(':')[1]);
+            const role = conversation ? getRelayRole(conversation, ctx.from.id.toString()) : null;
+            
+            if (!role) {
+                return ctx.answerCbQuery(ctx.t('relay.closed'));
+            }
+            if ((conversation.reports || []).some(report => report.by === role && !report.resolvedAt)) {
+                return ctx.answerCbQuery(ctx.t('relay.alreadyReported'), { show_alert: true });
+            }
+            
+            await reportRelayConversation(ctx, conversation, role);
+            await ctx.answerCbQuery(ctx.t('relay.reported'), { show_alert: true });
+            
+        } else if (callbackData.startsWith('review_start:')) {
+            const conversation = conversationsDB.get(callbackData.split(':')[1]);
+            
+            if (!canReviewConversation(conversation, ctx.from.id.toString())) {
+                return ctx.answerCbQuery(ctx.t('review.notAllowed'), { show_alert: true });
+            }
+            
+            const listing = listingsDB.get(conversation.listingId);
+            await ctx.answerCbQuery();
+            await ctx.reply(
+                ctx.t('review.choose', { listing: escapeHtml(listing ? getListingTitle(listing, ctx.locale) : conversation.listingId) }),
+                {
+                    parse_mode: 'HTML',
+                    reply_markup: { inline_keyboard: getRatingKeyboard(conversation, ctx.locale) }
+                }
+            );
+            
+        } else if (callbackData.startsWith('review_rate:')) {
+            const [, conversationId, value] = callbackData.split(':');
+            const conversation = conversationsDB.get(conversationId);
+            const rating = Number(value);
+            const userId = ctx.from.id.toString();
+            
+            if (!canReviewConversation(conversation, userId) || !isValidRating(rating)) {
+                return ctx.answerCbQuery(ctx.t('review.notAllowed'), { show_alert: true });
+            }
+            
+            clearPendingInput(userId);
+            pendingReviews.set(userId, { conversationId, rating, timestamp: Date.now() });
+            
+            await ctx.editMessageText(
+                ctx.t('review.askComment', { stars: formatStars(rating), max: REVIEW_COMMENT_MAX_LENGTH }),
+                {
+                    reply_markup: {
+                        inline_keyboard: [
+                            [{ text: ctx.t('button.skip'), callback_data: 'review_skip' }],
+                            [{ text: ctx.t('button.cancel'), callback_data: 'review_cancel' }]
+                        ]
+                    }
+                }
+            );
+            await ctx.answerCbQuery();
+            
+        } else if (callbackData === 'review_skip') {
+            const pending = pendingReviews.get(ctx.from.id.toString());
+            
+            if (!pending || Date.now() - pending.timestamp > PENDING_EDIT_TTL_MS) {
+                pendingReviews.delete(ctx.from.id.toString());
+                return ctx.answerCbQuery(ctx.t('review.expired'), { show_alert: true });
+            }
+            
+            await ctx.editMessageReplyMarkup(undefined);
+            await ctx.answerCbQuery();
+            await saveReview(ctx, pending, '');
+            
+        } else if (callbackData === 'review_cancel') {
+            pendingReviews.delete(ctx.from.id.toString());
+            await ctx.editMessageText(ctx.t('review.cancelled'));
+            await ctx.answerCbQuery();
+            
+        } else if (callbackData.startsWith('review_remove:')) {
+            const review = reviewsDB.get(callbackData.split(':')[1]);
+            if (!review) {
+                return ctx.answerCbQuery('❌ Отзыв не найден');
+            }
+            if (review.removedAt) {
+                return ctx.answerCbQuery('ℹ️ Отзыв уже удален');
             }
             
-            let userInfo = `👤 <b>ИНФОРМАЦИЯ О ПОЛЬЗОВАТЕЛЕ</b>\n\n`;
-            userInfo += `🆔 <b>ID:</b> ${user.id}\n`;
-            userInfo += `💬 <b>Chat ID:</b> ${user.chatId}\n`;
+            review.removedAt = new Date().toISOString();
+            review.removedBy = ctx.from.id.toString();
+            reviewsDB.set(review.id, review);
+            logModeration(ctx, 'review_remove', 'review', review.id, {
+                sellerId: review.sellerId,
+                buyerId: review.buyerId,
+                rating: review.rating
+            });
+            console.log(`🗑 Отзыв ${review.id} удален администратором ${ctx.from.id}`);
+            
+            await ctx.reply(
+                `🗑 <b>ОТЗЫВ УДАЛЕН</b>\n\n` +
+                `🆔 Отзыв: <code>${review.id}</code>\n` +
+                `📊 Рейтинг продавца: ${formatSellerRating(review.sellerId, DEFAULT_LOCALE) || 'нет отзывов'}\n` +
+                `👮 Удалил: @${escapeHtml(ctx.from.username || ctx.from.first_name)}`,
+                { parse_mode: 'HTML', reply_to_message_id: ctx.callbackQuery.message.message_id }
+            );
+            await ctx.answerCbQuery('🗑 Отзыв удален');
+            await refreshSellerListings(review.sellerId);
             
-            if (user.username) {
-                userInfo += `👤 <b>Username:</b> @${user.username}\n`;
+        } else if (callbackData.startsWith('relay_close:')) {
+            const conversation = conversationsDB.get(callbackData.split(':')[1]);
+            if (!conversation) {
+                return ctx.answerCbQuery('❌ Переписка не найдена');
+            }
+            if (conversation.closedAt) {
+                return ctx.answerCbQuery('ℹ️ Переписка уже закрыта');
             }
             
-            if (user.firstName || user.lastName) {
-                userInfo += `👥 <b>Имя:</b> ${user.firstName || ''} ${user.lastName || ''}\n`;
+            conversation.closedAt = new Date().toISOString();
+            conversation.closedBy = ctx.from.id.toString();
+            (conversation.reports || []).forEach(report => {
+                report.resolvedAt = report.resolvedAt || conversation.closedAt;
+            });
+            conversationsDB.set(conversation.id, conversation);
+            logModeration(ctx, 'relay_close', 'conversation', conversation.id, {
+                listingId: conversation.listingId,
+                buyerId: conversation.buyerId,
+                sellerId: conversation.sellerId
+            });
+            
+            for (const role of ['buyer', 'seller']) {
+                const userId = conversation[`${role}Id`];
+                if (activeRelays.get(userId) === conversation.id) {
+                    activeRelays.delete(userId);
+                }
+                try {
+                    await bot.telegram.sendMessage(
+                        conversation[`${role}ChatId`],
+                        t(getUserLocale(usersDB.get(userId)), 'relay.closedByAdmin')
+                    );
+                } catch (error) {
+                    console.warn(`⚠️ Не удалось уведомить ${userId} о закрытии переписки:`, error.message);
+                }
             }
             
-            if (user.googleInfo) {
-                userInfo += `🔐 <b>Google:</b> ${user.googleInfo.email}\n`;
-                userInfo += `📛 <b>Имя в Google:</b> ${user.googleInfo.name}\n`;
+            // Кнопку закрытия убираем, информацию о пользователе оставляем
+            await ctx.editMessageReplyMarkup({
+                inline_keyboard: ctx.callbackQuery.message.reply_markup.inline_keyboard.slice(0, 1)
+            });
+            await ctx.reply(
+                `🔒 <b>ПЕРЕПИСКА ЗАКРЫТА</b>\n\n` +
+                `💬 Переписка: <code>${conversation.id}</code>\n` +
+                `👮 Закрыл: @${escapeHtml(ctx.from.username || ctx.from.first_name)}`,
+                { parse_mode: 'HTML', reply_to_message_id: ctx.callbackQuery.message.message_id }
+            );
+            console.log(`🔒 Переписка ${conversation.id} закрыта администратором ${ctx.from.id}`);
+            await ctx.answerCbQuery('🔒 Переписка закрыта');
+            
+        } else {
+            console.log(`⚠️ Неизвестный callback: ${callbackData}`);
+            await ctx.answerCbQuery(ctx.t('callback.unknown'));
+        }
+        
+    } catch (error) {
+        console.error('❌ Ошибка обработки callback:', error);
+        ctx.answerCbQuery(ctx.t('callback.error'));
+    }
+});
+
+// ==================== INLINE-ПОИСК ====================
+// Inline-режим включается у @BotFather командой /setinline
+
+const INLINE_RESULTS_LIMIT = 20;
+const INLINE_CACHE_TTL_SECONDS = 60;
+const inlineCache = new NodeCache({ stdTTL: INLINE_CACHE_TTL_SECONDS, checkperiod: INLINE_CACHE_TTL_SECONDS * 2, useClones: false });
+
+// Слова перед ценой: "до 2000", "от 500"
+const INLINE_PRICE_WORDS = {
+    priceMax: ['до', 'to', 'under', 'max'],
+    priceMin: ['от', 'from', 'min']
+};
+
+// Категория по слову запроса: название на любом языке или хэштег ("розы", "тюльпан", "#пионы")
+function findCategoryByWord(word) {
+    const value = word.replace(/^#/, '');
+    
+    return Array.from(categoriesDB.values()).find(category => {
+        if (!category.active) {
+            return false;
+        }
+        const names = [...Object.values(category.names), category.hashtag.replace(/^#/, '')]
+            .filter(Boolean)
+            .map(name => name.toLowerCase());
+        return names.some(name => name === value || (value.length >= 4 && name.startsWith(value)));
+    }) || null;
+}
+
+// "розы Бишкек до 2000" -> параметры поиска: категория, цена, остальные слова ищутся в тексте
+function parseInlineQuery(text, page) {
+    const tokens = text.toLowerCase().split(/\s+/).filter(Boolean);
+    const query = { page, limit: INLINE_RESULTS_LIMIT };
+    const categories = [];
+    const words = [];
+    
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        const priceParam = Object.keys(INLINE_PRICE_WORDS).find(param => INLINE_PRICE_WORDS[param].includes(token));
+        const amount = priceParam && tokens[i + 1] ? parseUnitPrice(tokens[i + 1]) : null;
+        
+        if (amount) {
+            query[priceParam] = amount;
+            i++;
+            continue;
+        }
+        
+        const category = findCategoryByWord(token);
+        if (category) {
+            categories.push(category.id);
+        } else {
+            words.push(token);
+        }
+    }
+    
+    query.category = categories.join(',');
+    query.q = words.join(' ');
+    return query;
+}
+
+// Заголовок карточки объявления: вид цветов или начало описания
+function getListingTitle(listing, locale) {
+    const { flower } = getProductCaptionFields(listing.product, locale);
+    return flower || truncateText(listing.description, 60);
+}
+
+// Карточка объявления для inline-результатов и уведомлений: товар, цена, место и ссылка
+function formatListingCard(listing, locale) {
+    const { quantity } = getProductCaptionFields(listing.product, locale);
+    const link = getChannelPostLink(listing.messageIds[0], listing.channelId);
+    
+    return `🌸 <b>${escapeHtml(getListingTitle(listing, locale))}</b>${quantity ? `, ${escapeHtml(quantity)}` : ''}\n` +
+        `💰 ${escapeHtml(listing.price)}\n` +
+        `📍 ${formatListingLocation(listing)}\n\n` +
+        `<a href="${link}">${t(locale, 'inline.openPost')}</a>`;
+}
+
+// Кнопка перехода к посту в канале
+function getListingLinkKeyboard(listing, locale) {
+    return {
+        inline_keyboard: [[{ text: t(locale, 'inline.openPost'), url: getChannelPostLink(listing.messageIds[0], listing.channelId) }]]
+    };
+}
+
+// Результат inline-запроса: фото или видео из канала, без медиа - статья
+function formatInlineResult(listing, locale) {
+    const link = getChannelPostLink(listing.messageIds[0], listing.channelId);
+    const title = getListingTitle(listing, locale);
+    const location = [listing.city, listing.district].filter(Boolean).join(', ');
+    const caption = formatListingCard(listing, locale);
+    const replyMarkup = getListingLinkKeyboard(listing, locale);
+    
+    const photo = listing.media.find(media => media.type === 'photo' && media.fileId);
+    const video = listing.media.find(media => media.type === 'video' && media.fileId);
+    
+    if (photo) {
+        return {
+            type: 'photo',
+            id: listing.id,
+            photo_file_id: photo.fileId,
+            title,
+            description: `${listing.price} · ${location}`,
+            caption,
+            parse_mode: 'HTML',
+            reply_markup: replyMarkup
+        };
+    }
+    
+    if (video) {
+        return {
+            type: 'video',
+            id: listing.id,
+            video_file_id: video.fileId,
+            title,
+            description: `${listing.price} · ${location}`,
+            caption,
+            parse_mode: 'HTML',
+            reply_markup: replyMarkup
+        };
+    }
+    
+    return {
+        type: 'article',
+        id: listing.id,
+        title,
+        description: `${listing.price} · ${location}`,
+        input_message_content: { message_text: caption, parse_mode: 'HTML' },
+        reply_markup: replyMarkup,
+        url: link
+    };
+}
+
+// Результаты inline-запроса с кэшем по тексту запроса, языку и странице
+function getInlineResults(text, page, locale) {
+    const cacheKey = `${locale}:${page}:${text.trim().toLowerCase().replace(/\s+/g, ' ')}`;
+    const cached = inlineCache.get(cacheKey);
+    if (cached) {
+        return cached;
+    }
+    
+    const { search, invalid } = parseListingSearch(parseInlineQuery(text, page));
+    if (invalid.length > 0) {
+        return { results: [], nextOffset: '' };
+    }
+    
+    const found = searchListings(search);
+    const offset = (page - 1) * INLINE_RESULTS_LIMIT;
+    const response = {
+        results: found.slice(offset, offset + INLINE_RESULTS_LIMIT).map(listing => formatInlineResult(listing, locale)),
+        nextOffset: offset + INLINE_RESULTS_LIMIT < found.length ? String(page + 1) : ''
+    };
+    
+    inlineCache.set(cacheKey, response);
+    return response;
+}
+
+// Inline-запрос "@bot розы Бишкек до 2000" из любого чата
+bot.on('inline_query', async (ctx) => {
+    const text = ctx.inlineQuery.query || '';
+    const page = parseInt(ctx.inlineQuery.offset, 10) || 1;
+    
+    try {
+        const { results, nextOffset } = getInlineResults(text, page, ctx.locale);
+        
+        console.log(`🔎 Inline-запрос от ${ctx.from.id}: "${text.substring(0, 50)}" - ${results.length} результатов`);
+        
+        await ctx.answerInlineQuery(results, {
+            cache_time: INLINE_CACHE_TTL_SECONDS,
+            is_personal: true,
+            next_offset: nextOffset,
+            button: results.length === 0 && page === 1 ?
+                { text: ctx.t('inline.noResults'), start_parameter: 'inline' } :
+                undefined
+        });
+        
+    } catch (error) {
+        console.error('❌ Ошибка inline-запроса:', error);
+    }
+});
+
+// ==================== ПЕРЕПИСКА ПОКУПАТЕЛЯ С ПРОДАВЦОМ ====================
+// Сообщения копируются ботом (copyMessage), поэтому стороны не видят имен и аккаунтов друг друга
+
+const RELAY_START_PREFIX = 'contact_';
+
+// Имя бота для ссылок t.me/<бот>?start=...
+async function getBotUsername() {
+    if (!bot.botInfo) {
+        bot.botInfo = await bot.telegram.getMe();
+    }
+    return bot.botInfo.username;
+}
+
+// Кнопка «Написать продавцу» под постом в канале
+async function getListingContactKeyboard(listing) {
+    const username = await getBotUsername();
+    return {
+        inline_keyboard: [
+            [
+                {
+                    text: t(listing.lang, 'relay.contactButton'),
+                    url: `https://t.me/${username}?start=${RELAY_START_PREFIX}${listing.id}`
+                }
+            ]
+        ]
+    };
+}
+
+// Кнопки одиночного поста; у альбома кнопок нет, для него отдельное сообщение
+async function getListingPostMarkup(listing) {
+    if (listing.messageIds.length !== 1 || listing.status !== LISTING_STATUS.ACTIVE) {
+        return undefined;
+    }
+    return getListingContactKeyboard(listing);
+}
+
+// Кнопка связи с продавцом: у одиночного поста - под постом, у альбома - ответом на него
+async function attachListingContactButton(listing) {
+    try {
+        const keyboard = await getListingContactKeyboard(listing);
+        
+        if (listing.messageIds.length === 1) {
+            await bot.telegram.editMessageReplyMarkup(listing.channelId, listing.messageIds[0], undefined, keyboard);
+            return;
+        }
+        
+        const message = await bot.telegram.sendMessage(listing.channelId, t(listing.lang, 'relay.channelPrompt'), {
+            reply_to_message_id: listing.messageIds[0],
+            reply_markup: keyboard
+        });
+        listing.contactMessageId = message.message_id;
+        saveListing(listing);
+    } catch (error) {
+        console.error(`❌ Ошибка добавления кнопки связи ${listing.id}:`, error);
+    }
+}
+
+// Сообщение с кнопкой связи у альбома убирается вместе с объявлением
+async function removeListingContactMessage(listing) {
+    if (!listing.contactMessageId) {
+        return;
+    }
+    
+    try {
+        await bot.telegram.deleteMessage(listing.channelId, listing.contactMessageId);
+    } catch (error) {
+        console.warn(`⚠️ Не удалось удалить кнопку связи ${listing.id}:`, error.message);
+    }
+    listing.contactMessageId = null;
+    saveListing(listing);
+}
+
+// Роль пользователя в переписке: buyer, seller или null
+function getRelayRole(conversation, userId) {
+    if (conversation.buyerId === userId) return 'buyer';
+    if (conversation.sellerId === userId) return 'seller';
+    return null;
+}
+
+// Как собеседник подписан для второй стороны: "Покупатель #A1B2" или "Продавец"
+function getRelayAlias(conversation, role, locale) {
+    return role === 'buyer' ?
+        t(locale, 'relay.buyerAlias', { code: conversation.id.substring(0, 4).toUpperCase() }) :
+        t(locale, 'relay.sellerAlias');
+}
+
+// Кнопки под пересланным сообщением; покупателю после ответа продавца - еще и оценка
+function getRelayKeyboard(conversation, peerRole, locale) {
+    const keyboard = {
+        inline_keyboard: [
+            [
+                {
+                    text: t(locale, 'button.relayReply', { alias: getRelayAlias(conversation, peerRole, locale) }),
+                    callback_data: `relay_reply:${conversation.id}`
+                }
+            ],
+            [
+                { text: t(locale, 'button.relayBlock'), callback_data: `relay_block:${conversation.id}` },
+                { text: t(locale, 'button.relayReport'), callback_data: `relay_report:${conversation.id}` }
+            ]
+        ]
+    };
+    
+    if (peerRole === 'seller') {
+        keyboard.inline_keyboard.push([getReviewButton(conversation, locale)]);
+    }
+    return keyboard;
+}
+
+// Проверка, можно ли писать в переписку; возвращает ключ ошибки или null
+function getRelayError(conversation, role) {
+    if (!conversation || !role || conversation.closedAt) {
+        return 'relay.closed';
+    }
+    if (conversation.blockedBy === role) {
+        return 'relay.youBlocked';
+    }
+    if (conversation.blockedBy) {
+        return 'relay.peerBlocked';
+    }
+    return null;
+}
+
+// Покупатель открыл бота по кнопке «Написать продавцу»
+async function openRelayConversation(ctx, listingId) {
+    const buyerId = ctx.from.id.toString();
+    const listing = listingsDB.get(listingId);
+    
+    if (!listing || listing.status !== LISTING_STATUS.ACTIVE) {
+        return ctx.reply(ctx.t('relay.listingUnavailable'));
+    }
+    if (listing.ownerId === buyerId) {
+        return ctx.reply(ctx.t('relay.ownListing'));
+    }
+    
+    const seller = usersDB.get(listing.ownerId);
+    if (!seller?.chatId) {
+        return ctx.reply(ctx.t('relay.peerUnavailable'));
+    }
+    
+    let conversation = Array.from(conversationsDB.values())
+        .find(item => item.listingId === listing.id && item.buyerId === buyerId);
+    
+    if (!conversation) {
+        conversation = {
+            id: crypto.randomBytes(6).toString('hex'),
+            listingId: listing.id,
+            buyerId,
+            buyerChatId: ctx.chat.id.toString(),
+            sellerId: listing.ownerId,
+            sellerChatId: seller.chatId,
+            blockedBy: null,
+            closedAt: null,
+            reports: [],
+            messagesCount: 0,
+            createdAt: new Date().toISOString(),
+            lastMessageAt: null
+        };
+        conversationsDB.set(conversation.id, conversation);
+        console.log(`✉️ Переписка ${conversation.id} по объявлению ${listing.id} открыта`);
+    }
+    
+    const error = getRelayError(conversation, 'buyer');
+    if (error) {
+        return ctx.reply(ctx.t(error));
+    }
+    
+    clearPendingInput(buyerId);
+    activeRelays.set(buyerId, conversation.id);
+    
+    await ctx.reply(
+        ctx.t('relay.opened', {
+            listing: escapeHtml(getListingTitle(listing, ctx.locale)),
+            location: formatListingLocation(listing)
+        }),
+        {
+            parse_mode: 'HTML',
+            reply_markup: {
+                inline_keyboard: [
+                    [
+                        { text: ctx.t('button.relayBlock'), callback_data: `relay_block:${conversation.id}` },
+                        { text: ctx.t('button.relayReport'), callback_data: `relay_report:${conversation.id}` }
+                    ]
+                ]
             }
-            
-            userInfo += `\n📅 <b>Зарегистрирован:</b> ${user.createdAt?.toLocaleString('ru-RU') || 'неизвестно'}\n`;
-            
-            userInfo += `\n📊 <b>Статистика:</b>\n`;
-            userInfo += `• Контактов: ${user.contacts?.length || 0}\n`;
-            userInfo += `• Опубликовано: ${user.postsCount || 0}\n`;
-            userInfo += `• Подтвержден: ${user.approved ? '✅ Да' : '❌ Нет'}\n`;
-            
-            if (user.approved && user.approvedAt) {
-                userInfo += `• Дата подтверждения: ${user.approvedAt.toLocaleString('ru-RU')}\n`;
+        }
+    );
+}
+
+// Пересылка сообщения второй стороне без имени отправителя
+async function relayMessage(ctx, conversation) {
+    const userId = ctx.from.id.toString();
+    const role = conversation ? getRelayRole(conversation, userId) : null;
+    const error = getRelayError(conversation, role);
+    
+    if (error) {
+        if (error === 'relay.closed') {
+            activeRelays.delete(userId);
+        }
+        return ctx.reply(ctx.t(error));
+    }
+    
+    const peerRole = role === 'buyer' ? 'seller' : 'buyer';
+    const peerChatId = conversation[`${peerRole}ChatId`];
+    const peerLocale = getUserLocale(usersDB.get(conversation[`${peerRole}Id`]));
+    
+    try {
+        // Продавцу перед первым сообщением - о каком объявлении речь
+        if (role === 'buyer' && !conversation.sellerIntroducedAt) {
+            const listing = listingsDB.get(conversation.listingId);
+            await bot.telegram.sendMessage(
+                peerChatId,
+                t(peerLocale, 'relay.newConversation', {
+                    alias: getRelayAlias(conversation, 'buyer', peerLocale),
+                    listing: escapeHtml(listing ? getListingTitle(listing, peerLocale) : conversation.listingId),
+                    link: listing?.messageIds.length ? getChannelPostLink(listing.messageIds[0], listing.channelId) : BASE_URL
+                }),
+                { parse_mode: 'HTML', disable_web_page_preview: true }
+            );
+            conversation.sellerIntroducedAt = new Date().toISOString();
+        }
+        if (role === 'seller' && !conversation.sellerRepliedAt) {
+            conversation.sellerRepliedAt = new Date().toISOString();
+        }
+        
+        await bot.telegram.copyMessage(peerChatId, ctx.chat.id, ctx.message.message_id, {
+            reply_markup: getRelayKeyboard(conversation, role, peerLocale)
+        });
+    } catch (sendError) {
+        if (sendError.response?.error_code === 403) {
+            return ctx.reply(ctx.t('relay.peerUnavailable'));
+        }
+        throw sendError;
+    }
+    
+    conversation.messagesCount = (conversation.messagesCount || 0) + 1;
+    conversation.lastMessageAt = new Date().toISOString();
+    conversationsDB.set(conversation.id, conversation);
+    
+    if (conversation.messagesCount === 1) {
+        await ctx.reply(ctx.t('relay.delivered'));
+    }
+}
+
+// Жалоба на собеседника: администратор видит обе стороны и само сообщение
+async function reportRelayConversation(ctx, conversation, role) {
+    const peerRole = role === 'buyer' ? 'seller' : 'buyer';
+    const reporter = usersDB.get(conversation[`${role}Id`]);
+    const reported = usersDB.get(conversation[`${peerRole}Id`]);
+    const listing = listingsDB.get(conversation.listingId);
+    const roleNames = { buyer: 'покупатель', seller: 'продавец' };
+    const describe = (user, id) => `${escapeHtml(user?.firstName || id)}${user?.username ? ` (@${escapeHtml(user.username)})` : ''}, ID ${id}`;
+    
+    const report = await bot.telegram.sendMessage(
+        ADMIN_CHAT_ID,
+        `⚠️ <b>ЖАЛОБА В ПЕРЕПИСКЕ</b>\n\n` +
+        `💬 Переписка: <code>${conversation.id}</code>\n` +
+        `📦 Объявление: ${listing?.messageIds.length ?
+            `<a href="${getChannelPostLink(listing.messageIds[0], listing.channelId)}">${escapeHtml(getListingTitle(listing, DEFAULT_LOCALE))}</a>` :
+            `<code>${conversation.listingId}</code>`}\n` +
+        `🙋 Пожаловался ${roleNames[role]}: ${describe(reporter, conversation[`${role}Id`])}\n` +
+        `🎯 На кого: ${roleNames[peerRole]} ${describe(reported, conversation[`${peerRole}Id`])}\n` +
+        `📨 Сообщений: ${conversation.messagesCount || 0}\n` +
+        `⏰ Время: ${new Date().toLocaleString('ru-RU')}`,
+        {
+            parse_mode: 'HTML',
+            disable_web_page_preview: true,
+            reply_markup: {
+                inline_keyboard: [
+                    [
+                        { text: '👤 Инфо о пользователе', callback_data: `user_info:${conversation[`${peerRole}Id`]}` }
+                    ],
+                    [
+                        { text: '🔒 Закрыть переписку', callback_data: `relay_close:${conversation.id}` }
+                    ]
+                ]
             }
-            
-            if (user.lastPostAt) {
-                userInfo += `• Последний пост: ${user.lastPostAt.toLocaleString('ru-RU')}\n`;
+        }
+    );
+    
+    // Сообщение, под которым нажали «Пожаловаться»
+    try {
+        await bot.telegram.copyMessage(ADMIN_CHAT_ID, ctx.chat.id, ctx.callbackQuery.message.message_id, {
+            reply_to_message_id: report.message_id
+        });
+    } catch (error) {
+        console.warn(`⚠️ Не удалось приложить сообщение к жалобе ${conversation.id}:`, error.message);
+    }
+    
+    conversation.reports = conversation.reports || [];
+    conversation.reports.push({ by: role, at: new Date().toISOString(), adminMessageId: report.message_id });
+    conversationsDB.set(conversation.id, conversation);
+    
+    console.log(`⚠️ Жалоба в переписке ${conversation.id} от ${role}`);
+}
+
+// Сообщения в открытую переписку (до обработки обычного текста)
+bot.on('message', async (ctx, next) => {
+    const userId = ctx.from?.id.toString();
+    const conversationId = userId && activeRelays.get(userId);
+    const text = ctx.message.text || '';
+    
+    if (!conversationId || ctx.chat.type !== 'private' || text.startsWith('/') || ctx.message.via_bot) {
+        return next();
+    }
+    
+    // Незавершенный ввод (/subscribe, правка объявления, отзыв) важнее переписки
+    if (hasPendingInput(userId)) {
+        return next();
+    }
+    
+    try {
+        await relayMessage(ctx, conversationsDB.get(conversationId));
+    } catch (error) {
+        console.error(`❌ Ошибка пересылки в переписке ${conversationId}:`, error);
+        await ctx.reply(ctx.t('relay.peerUnavailable'));
+    }
+});
+
+// Команда /stop - выйти из переписки
+bot.command('stop', async (ctx) => {
+    const userId = ctx.from.id.toString();
+    
+    if (!activeRelays.has(userId)) {
+        return ctx.reply(ctx.t('relay.noActive'));
+    }
+    
+    const conversation = conversationsDB.get(activeRelays.get(userId));
+    activeRelays.delete(userId);
+    
+    await ctx.reply(ctx.t('relay.stopped'), {
+        reply_markup: canReviewConversation(conversation, userId) ?
+            { inline_keyboard: [[getReviewButton(conversation, ctx.locale)]] } :
+            undefined
+    });
+});
+
+// ==================== ОТЗЫВЫ О ПРОДАВЦАХ ====================
+// Оценить продавца может покупатель, которому продавец ответил в переписке через бота
+
+// Отзывы о продавце (вместе с удаленными)
+function getSellerReviews(sellerId) {
+    return Array.from(reviewsDB.values()).filter(review => review.sellerId === sellerId.toString());
+}
+
+// "4,8 ★ (12 отзывов)" для подписи и карточек; пустая строка без отзывов
+function formatSellerRating(sellerId, locale) {
+    return formatRating(summarizeReviews(getSellerReviews(sellerId)), locale);
+}
+
+// Один и тот же человек: у аккаунтов общий Google-аккаунт или телефон из объявлений
+function isSamePerson(user, otherUser) {
+    if (!user || !otherUser) {
+        return false;
+    }
+    const otherValues = new Set(getUserBlocklistValues(otherUser).map(({ type, value }) => `${type}:${value}`));
+    return getUserBlocklistValues(user).some(({ type, value }) => otherValues.has(`${type}:${value}`));
+}
+
+// Переписка, после которой покупатель может оценить продавца: покупатель написал через бота
+// по объявлению этого продавца, продавец ответил, и покупатель - не второй аккаунт продавца
+function canReviewConversation(conversation, userId) {
+    if (!conversation || conversation.buyerId !== userId || conversation.sellerId === userId) {
+        return false;
+    }
+    
+    const listing = listingsDB.get(conversation.listingId);
+    if (!listing || listing.ownerId !== conversation.sellerId) {
+        return false;
+    }
+    
+    return Boolean(conversation.sellerIntroducedAt && conversation.sellerRepliedAt) &&
+        !isSamePerson(usersDB.get(userId), usersDB.get(conversation.sellerId));
+}
+
+// Кнопка «Оценить продавца» для покупателя
+function getReviewButton(conversation, locale) {
+    return { text: t(locale, 'button.rateSeller'), callback_data: `review_start:${conversation.id}` };
+}
+
+// Кнопки оценки: ★1 ... ★5
+function getRatingKeyboard(conversation, locale) {
+    const ratings = [];
+    for (let rating = MIN_RATING; rating <= MAX_RATING; rating++) {
+        ratings.push({ text: `${rating} ★`, callback_data: `review_rate:${conversation.id}:${rating}` });
+    }
+    return [ratings, [{ text: t(locale, 'button.cancel'), callback_data: 'review_cancel' }]];
+}
+
+// Обновление рейтинга в подписях активных объявлений продавца
+async function refreshSellerListings(sellerId) {
+    const listings = Array.from(listingsDB.values())
+        .filter(listing => listing.ownerId === sellerId && listing.status === LISTING_STATUS.ACTIVE && listing.messageIds.length > 0);
+    
+    for (const listing of listings) {
+        try {
+            await editListingCaption(listing, renderListingCaption(listing), await getListingPostMarkup(listing));
+        } catch (error) {
+            if (!String(error.description || error.message).includes('message is not modified')) {
+                console.error(`❌ Ошибка обновления рейтинга в объявлении ${listing.id}:`, error);
             }
-            
-            await ctx.reply(userInfo, {
+        }
+    }
+}
+
+// Сохранение отзыва: повторная оценка того же продавца заменяет прежнюю
+async function saveReview(ctx, pending, comment) {
+    const userId = ctx.from.id.toString();
+    const conversation = conversationsDB.get(pending.conversationId);
+    pendingReviews.delete(userId);
+    
+    if (!canReviewConversation(conversation, userId)) {
+        return ctx.reply(ctx.t('review.notAllowed'));
+    }
+    
+    const now = new Date().toISOString();
+    const previous = getSellerReviews(conversation.sellerId)
+        .find(review => review.buyerId === userId && !review.removedAt);
+    const review = {
+        ...previous,
+        id: previous?.id || crypto.randomBytes(6).toString('hex'),
+        sellerId: conversation.sellerId,
+        buyerId: userId,
+        listingId: conversation.listingId,
+        conversationId: conversation.id,
+        rating: pending.rating,
+        comment,
+        createdAt: previous?.createdAt || now,
+        updatedAt: previous ? now : null,
+        removedAt: null
+    };
+    reviewsDB.set(review.id, review);
+    console.log(`⭐ Отзыв ${review.id}: продавец ${review.sellerId}, оценка ${review.rating}`);
+    
+    await ctx.reply(ctx.t('review.saved'));
+    await notifyReview(review, conversation);
+    await refreshSellerListings(review.sellerId);
+}
+
+// Уведомления о новом отзыве: продавцу - без имени покупателя, администратору - с кнопкой удаления
+async function notifyReview(review, conversation) {
+    const seller = usersDB.get(review.sellerId);
+    const listing = listingsDB.get(review.listingId);
+    
+    if (seller?.chatId) {
+        const locale = getUserLocale(seller);
+        try {
+            await bot.telegram.sendMessage(
+                seller.chatId,
+                t(locale, 'review.received', {
+                    stars: formatStars(review.rating),
+                    comment: review.comment ? `\n<i>${escapeHtml(review.comment)}</i>` : '',
+                    alias: getRelayAlias(conversation, 'buyer', locale),
+                    listing: escapeHtml(listing ? getListingTitle(listing, locale) : review.listingId),
+                    rating: formatSellerRating(review.sellerId, locale)
+                }),
+                { parse_mode: 'HTML' }
+            );
+        } catch (error) {
+            console.warn(`⚠️ Не удалось уведомить продавца ${review.sellerId} об отзыве:`, error.message);
+        }
+    }
+    
+    try {
+        await bot.telegram.sendMessage(
+            ADMIN_CHAT_ID,
+            `⭐ <b>${review.updatedAt ? 'ОТЗЫВ ИЗМЕНЕН' : 'НОВЫЙ ОТЗЫВ'}</b>\n\n` +
+            formatReviewForAdmin(review) +
+            `\n📊 Рейтинг продавца: ${formatSellerRating(review.sellerId, DEFAULT_LOCALE)}`,
+            {
                 parse_mode: 'HTML',
-                reply_to_message_id: ctx.callbackQuery.message?.message_id,
                 reply_markup: {
                     inline_keyboard: [
                         [
-                            {
-                                text: '📞 Посмотреть контакты',
-                                callback_data: `view_contacts:${userId}`
-                            }
+                            { text: '🗑 Удалить отзыв', callback_data: `review_remove:${review.id}` }
                         ],
-                        !user.approved ? [
-                            {
-                                text: '✅ Подтвердить',
-                                callback_data: `approve_user:${userId}`
-                            },
-                            {
-                                text: '❌ Отклонить',
-                                callback_data: `reject_user:${userId}`
-                            }
-                        ] : []
+                        [
+                            { text: '👤 Продавец', callback_data: `user_info:${review.sellerId}` },
+                            { text: '👤 Покупатель', callback_data: `user_info:${review.buyerId}` }
+                        ]
                     ]
                 }
-            });
-            
-            await ctx.answerCbQuery('👤 Информация о пользователе');
-            
+            }
+        );
+    } catch (error) {
+        console.error('❌ Ошибка уведомления администратора об отзыве:', error);
+    }
+}
+
+// Отзыв для админ-чата
+function formatReviewForAdmin(review) {
+    const seller = usersDB.get(review.sellerId);
+    const buyer = usersDB.get(review.buyerId);
+    
+    return `🆔 Отзыв: <code>${review.id}</code>\n` +
+        `${formatStars(review.rating)} (${review.rating})\n` +
+        (review.comment ? `💬 ${escapeHtml(review.comment)}\n` : '') +
+        `🏪 Продавец: ${escapeHtml(seller?.firstName || review.sellerId)} (ID ${review.sellerId})\n` +
+        `🙋 Покупатель: ${escapeHtml(buyer?.firstName || review.buyerId)} (ID ${review.buyerId})\n` +
+        `📅 ${new Date(review.updatedAt || review.createdAt).toLocaleString('ru-RU')}\n`;
+}
+
+// Предложение оценить продавца покупателям после продажи
+async function requestReviewsForListing(listing) {
+    const conversations = Array.from(conversationsDB.values())
+        .filter(conversation => conversation.listingId === listing.id && conversation.sellerRepliedAt && !conversation.closedAt);
+    
+    for (const conversation of conversations) {
+        const locale = getUserLocale(usersDB.get(conversation.buyerId));
+        try {
+            await bot.telegram.sendMessage(
+                conversation.buyerChatId,
+                t(locale, 'review.dealPrompt', { listing: escapeHtml(getListingTitle(listing, locale)) }),
+                {
+                    parse_mode: 'HTML',
+                    reply_markup: { inline_keyboard: [[getReviewButton(conversation, locale)]] }
+                }
+            );
+        } catch (error) {
+            console.warn(`⚠️ Не удалось предложить отзыв покупателю ${conversation.buyerId}:`, error.message);
+        }
+    }
+}
+
+// Команда /reviews <userId> - отзывы о продавце (админ-чат)
+bot.command('reviews', async (ctx) => {
+    if (!await requirePermission(ctx, PERMISSIONS.USERS_VIEW)) return;
+    
+    const [, sellerId] = ctx.message.text.trim().split(/\s+/);
+    if (!sellerId) {
+        return ctx.reply('❌ Формат: /reviews <ID продавца>');
+    }
+    
+    const reviews = getSellerReviews(sellerId)
+        .filter(review => !review.removedAt)
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+        .slice(0, 10);
+    
+    if (reviews.length === 0) {
+        return ctx.reply(`ℹ️ У продавца ${sellerId} нет отзывов`);
+    }
+    
+    await ctx.reply(
+        `⭐ <b>ОТЗЫВЫ О ПРОДАВЦЕ ${escapeHtml(sellerId)}</b>\n` +
+        `📊 Рейтинг: ${formatSellerRating(sellerId, DEFAULT_LOCALE)}\n\n` +
+        reviews.map(formatReviewForAdmin).join('\n'),
+        {
+            parse_mode: 'HTML',
+            reply_markup: {
+                inline_keyboard: reviews.map(review => [
+                    { text: `🗑 Удалить ${review.id}`, callback_data: `review_remove:${review.id}` }
+                ])
+            }
+        }
+    );
+});
+
+// Комментарий к оценке
+async function applyReviewInput(ctx, pending) {
+    const comment = ctx.message.text.trim();
+    
+    if (comment.length > REVIEW_COMMENT_MAX_LENGTH) {
+        return ctx.reply(ctx.t('review.tooLong', { max: REVIEW_COMMENT_MAX_LENGTH }));
+    }
+    
+    await saveReview(ctx, pending, comment);
+}
+
+// ==================== ПОДПИСКИ НА ОБЪЯВЛЕНИЯ ====================
+
+// Шаги /subscribe: вид цветов кнопками, остальное текстом (любой шаг можно пропустить)
+const SUBSCRIPTION_STEPS = ['category', 'city', 'priceMax', 'keywords'];
+
+// Подписки пользователя
+function getUserSubscriptions(userId) {
+    return Array.from(subscriptionsDB.values())
+        .filter(subscription => subscription.userId === userId.toString())
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+}
+
+// Фильтры подписки одной строкой: "🌸 Розы · 📍 Бишкек · 💰 до 200 сом · 🔑 красные"
+function formatSubscription(subscription, locale) {
+    const category = subscription.category && categoriesDB.get(subscription.category);
+    const parts = [
+        `🌸 ${escapeHtml(category ? getCategoryName(category, locale) : t(locale, 'subscription.anyCategory'))}`,
+        `📍 ${escapeHtml(subscription.city || t(locale, 'subscription.anyCity'))}`
+    ];
+    
+    if (subscription.priceMax) {
+        parts.push(`💰 ${t(locale, 'subscription.priceMax', { amount: formatAmount(subscription.priceMax, subscription.currency, locale) })}`);
+    }
+    if (subscription.keywords) {
+        parts.push(`🔑 ${escapeHtml(subscription.keywords)}`);
+    }
+    
+    return parts.join(' · ');
+}
+
+// Вопрос текущего шага /subscribe
+async function sendSubscriptionStep(ctx, pending) {
+    const cancelRow = [{ text: ctx.t('button.cancel'), callback_data: 'sub_cancel' }];
+    
+    if (pending.step === 'category') {
+        const categories = Array.from(categoriesDB.values())
+            .filter(category => category.active)
+            .sort((a, b) => a.sortOrder - b.sortOrder);
+        const rows = [];
+        
+        for (let i = 0; i < categories.length; i += 2) {
+            rows.push(categories.slice(i, i + 2).map(category => ({
+                text: getCategoryName(category, ctx.locale),
+                callback_data: `sub_category:${category.id}`
+            })));
+        }
+        
+        return ctx.reply(ctx.t('subscribe.chooseCategory'), {
+            parse_mode: 'HTML',
+            reply_markup: {
+                inline_keyboard: [
+                    ...rows,
+                    [{ text: ctx.t('button.anyCategory'), callback_data: 'sub_category:any' }],
+                    cancelRow
+                ]
+            }
+        });
+    }
+    
+    const prompts = {
+        city: ctx.t('subscribe.askCity'),
+        priceMax: ctx.t('subscribe.askPrice', { currency: DEFAULT_CURRENCY }),
+        keywords: ctx.t('subscribe.askKeywords')
+    };
+    
+    await ctx.reply(prompts[pending.step], {
+        parse_mode: 'HTML',
+        reply_markup: {
+            inline_keyboard: [
+                [{ text: ctx.t('button.skip'), callback_data: 'sub_skip' }],
+                cancelRow
+            ]
+        }
+    });
+}
+
+// Следующий шаг /subscribe или сохранение подписки после последнего
+async function advanceSubscription(ctx, pending) {
+    const userId = ctx.from.id.toString();
+    const nextStep = SUBSCRIPTION_STEPS[SUBSCRIPTION_STEPS.indexOf(pending.step) + 1];
+    
+    if (nextStep) {
+        pending.step = nextStep;
+        pending.timestamp = Date.now();
+        return sendSubscriptionStep(ctx, pending);
+    }
+    
+    pendingSubscriptions.delete(userId);
+    
+    if (getUserSubscriptions(userId).length >= SUBSCRIPTIONS_PER_USER_LIMIT) {
+        return ctx.reply(ctx.t('subscribe.limit', { max: SUBSCRIPTIONS_PER_USER_LIMIT }));
+    }
+    
+    const subscription = {
+        id: crypto.randomBytes(6).toString('hex'),
+        userId,
+        chatId: ctx.chat.id.toString(),
+        category: pending.data.category || null,
+        city: pending.data.city || '',
+        priceMax: pending.data.priceMax || null,
+        currency: DEFAULT_CURRENCY,
+        keywords: pending.data.keywords || '',
+        createdAt: new Date().toISOString()
+    };
+    subscriptionsDB.set(subscription.id, subscription);
+    
+    console.log(`🔔 Подписка ${subscription.id} создана пользователем ${userId}`);
+    
+    await ctx.reply(ctx.t('subscribe.saved', { summary: formatSubscription(subscription, ctx.locale) }), { parse_mode: 'HTML' });
+}
+
+// Текстовый ответ на шаг /subscribe
+async function applySubscriptionInput(ctx, pending) {
+    const value = ctx.message.text.trim();
+    
+    if (pending.step === 'category') {
+        const category = findCategoryByWord(value.toLowerCase());
+        if (!category) {
+            return sendSubscriptionStep(ctx, pending);
+        }
+        pending.data.category = category.id;
+    } else if (pending.step === 'city') {
+        if (value.length > SUBSCRIPTION_TEXT_MAX_LENGTH) {
+            return ctx.reply(ctx.t('subscribe.invalidText', { max: SUBSCRIPTION_TEXT_MAX_LENGTH }));
+        }
+        pending.data.city = value;
+    } else if (pending.step === 'priceMax') {
+        const priceMax = parseUnitPrice(value);
+        if (!priceMax) {
+            return ctx.reply(ctx.t('subscribe.invalidPrice'));
+        }
+        pending.data.priceMax = priceMax;
+    } else if (pending.step === 'keywords') {
+        if (value.length > SUBSCRIPTION_TEXT_MAX_LENGTH) {
+            return ctx.reply(ctx.t('subscribe.invalidText', { max: SUBSCRIPTION_TEXT_MAX_LENGTH }));
+        }
+        pending.data.keywords = value;
+    }
+    
+    await advanceSubscription(ctx, pending);
+}
+
+// Список подписок с кнопками удаления
+function formatSubscriptionsMessage(subscriptions, locale) {
+    if (subscriptions.length === 0) {
+        return { text: t(locale, 'subscriptions.empty'), keyboard: [] };
+    }
+    
+    const text = `${t(locale, 'subscriptions.title', { count: subscriptions.length })}\n\n` +
+        subscriptions.map((subscription, index) => `${index + 1}. ${formatSubscription(subscription, locale)}`).join('\n');
+    const keyboard = [];
+    
+    for (let i = 0; i < subscriptions.length; i += 5) {
+        keyboard.push(subscriptions.slice(i, i + 5).map((subscription, index) => ({
+            text: `🗑 ${i + index + 1}`,
+            callback_data: `sub_delete:${subscription.id}`
+        })));
+    }
+    
+    return { text, keyboard };
+}
+
+// Подходит ли объявление под фильтры подписки (те же правила, что у поиска)
+function matchesSubscription(listing, subscription, now) {
+    const { search } = parseListingSearch({
+        city: subscription.city,
+        category: subscription.category || '',
+        priceMax: subscription.priceMax ?? '',
+        currency: subscription.currency,
+        q: subscription.keywords
+    });
+    return matchesListingSearch(listing, search, now);
+}
+
+// Уведомление одного подписчика; объявление перечитывается, оно могло уже уйти из канала
+async function sendSubscriptionMatch(subscription, listingId) {
+    const listing = listingsDB.get(listingId);
+    if (!listing || listing.status !== LISTING_STATUS.ACTIVE) {
+        return;
+    }
+    
+    const locale = getUserLocale(usersDB.get(subscription.userId));
+    const text = t(locale, 'subscription.match', { card: formatListingCard(listing, locale) });
+    const photo = listing.media.find(media => media.type === 'photo' && media.fileId);
+    const extra = { parse_mode: 'HTML', reply_markup: getListingLinkKeyboard(listing, locale) };
+    
+    try {
+        if (photo) {
+            await bot.telegram.sendPhoto(subscription.chatId, photo.fileId, { ...extra, caption: text });
         } else {
-            console.log(`⚠️ Неизвестный callback: ${callbackData}`);
-            await ctx.answerCbQuery('❌ Неизвестная команда');
+            await bot.telegram.sendMessage(subscription.chatId, text, { ...extra, disable_web_page_preview: true });
         }
-        
     } catch (error) {
-        console.error('❌ Ошибка обработки callback:', error);
-        ctx.answerCbQuery('❌ Ошибка обработки запроса');
+        // Пользователь заблокировал бота - его подписки больше не нужны
+        if (error.response?.error_code === 403) {
+            getUserSubscriptions(subscription.userId).forEach(item => subscriptionsDB.delete(item.id));
+            console.log(`🔕 Подписки пользователя ${subscription.userId} удалены: бот заблокирован`);
+            return;
+        }
+        throw error;
+    }
+}
+
+// Рассылка подписчикам после публикации; каждому пользователю - одно уведомление
+function notifySubscribers(listing) {
+    const now = new Date();
+    const notified = new Set([listing.ownerId]);
+    
+    for (const subscription of subscriptionsDB.values()) {
+        if (notified.has(subscription.userId) || !matchesSubscription(listing, subscription, now)) {
+            continue;
+        }
+        notified.add(subscription.userId);
+        subscriptionQueue.push(() => sendSubscriptionMatch(subscription, listing.id));
+    }
+    
+    if (notified.size > 1) {
+        console.log(`🔔 Объявление ${listing.id}: уведомлений подписчикам в очереди ${notified.size - 1}`);
+    }
+}
+
+// Команда /subscribe - новая подписка
+bot.command('subscribe', async (ctx) => {
+    const userId = ctx.from.id.toString();
+    
+    if (getUserSubscriptions(userId).length >= SUBSCRIPTIONS_PER_USER_LIMIT) {
+        return ctx.reply(ctx.t('subscribe.limit', { max: SUBSCRIPTIONS_PER_USER_LIMIT }));
     }
+    
+    const pending = { step: SUBSCRIPTION_STEPS[0], data: {}, timestamp: Date.now() };
+    clearPendingInput(userId);
+    pendingSubscriptions.set(userId, pending);
+    
+    await sendSubscriptionStep(ctx, pending);
+});
+
+// Команда /subscriptions - список и удаление подписок
+bot.command('subscriptions', async (ctx) => {
+    const { text, keyboard } = formatSubscriptionsMessage(getUserSubscriptions(ctx.from.id), ctx.locale);
+    
+    await ctx.reply(text, {
+        parse_mode: 'HTML',
+        reply_markup: { inline_keyboard: keyboard }
+    });
 });
 
 // Обработка текстовых сообщений
@@ -1718,20 +6103,38 @@ bot.on('text', async (ctx) => {
         return;
     }
     
+    // Результат inline-поиска, отправленный в чат с ботом
+    if (ctx.message.via_bot) {
+        return;
+    }
+    
+    // Комментарий к оценке продавца
+    const pendingReview = pendingReviews.get(ctx.from.id.toString());
+    if (pendingReview && Date.now() - pendingReview.timestamp < PENDING_EDIT_TTL_MS) {
+        return applyReviewInput(ctx, pendingReview);
+    }
+    
+    // Ожидаемый ответ на шаг /subscribe
+    const pendingSubscription = pendingSubscriptions.get(ctx.from.id.toString());
+    if (pendingSubscription && Date.now() - pendingSubscription.timestamp < PENDING_EDIT_TTL_MS) {
+        return applySubscriptionInput(ctx, pendingSubscription);
+    }
+    
+    // Ожидаемый ввод при редактировании объявления
+    const pendingEdit = pendingEdits.get(ctx.from.id.toString());
+    if (pendingEdit && Date.now() - pendingEdit.timestamp < PENDING_EDIT_TTL_MS) {
+        return applyListingEdit(ctx, pendingEdit);
+    }
+    
     // Простой ответ на текстовые сообщения
     await ctx.reply(
-        `Привет! Я бот Flower Market 🌸\n\n` +
-        `Используйте команды:\n` +
-        `/start - Начать работу\n` +
-        `/status - Проверить статус\n` +
-        `/help - Помощь\n\n` +
-        `Или нажмите кнопку "Перейти на сайт" в меню /start`,
+        ctx.t('text.fallback'),
         {
             reply_markup: {
                 inline_keyboard: [
                     [
                         {
-                            text: '🚀 Начать',
+                            text: ctx.t('button.start'),
                             callback_data: 'start_over'
                         }
                     ]
@@ -1745,20 +6148,599 @@ bot.on('text', async (ctx) => {
 bot.action('start_over', async (ctx) => {
     await ctx.answerCbQuery();
     await ctx.reply(
-        'Выберите команду:\n/start - Начать работу\n/status - Проверить статус\n/help - Помощь',
+        ctx.t('text.startOver'),
         { reply_to_message_id: ctx.callbackQuery.message.message_id }
     );
 });
 
+// ==================== УПРАВЛЕНИЕ ОБЪЯВЛЕНИЯМИ ====================
+
+// Статусы, которые продавец видит в /my
+const MY_LISTINGS_STATUSES = [
+    LISTING_STATUS.PENDING,
+    LISTING_STATUS.CHANGES_REQUESTED,
+    LISTING_STATUS.ACTIVE,
+    LISTING_STATUS.SOLD
+];
+
+// Статусы, в которых продавец может менять текст объявления
+const EDITABLE_LISTING_STATUSES = [LISTING_STATUS.ACTIVE, LISTING_STATUS.CHANGES_REQUESTED];
+
+// Объявление, принадлежащее автору callback/сообщения
+function getOwnedListing(ctx, listingId) {
+    const listing = listingsDB.get(listingId);
+    if (!listing || listing.ownerId !== ctx.from.id.toString()) {
+        return null;
+    }
+    return listing;
+}
+
+// Краткое описание объявления для списка /my
+function formatListingSummary(listing, locale) {
+    const description = listing.description.length > 100 ?
+        `${listing.description.substring(0, 100)}...` :
+        listing.description;
+    
+    const { flower, quantity } = getProductCaptionFields(listing.product, locale);
+    
+    let text = `${t(locale, `listingStatus.${listing.status}`)}\n\n`;
+    text += `📝 ${escapeHtml(description)}\n`;
+    if (flower) {
+        text += `🌸 ${escapeHtml(flower)}${quantity ? `, ${escapeHtml(quantity)}` : ''}\n`;
+    }
+    text += `📍 ${escapeHtml(listing.city)}${listing.district ? `, ${escapeHtml(listing.district)}` : ''}\n`;
+    text += `💰 ${escapeHtml(listing.price)}\n`;
+    text += `${t(locale, 'listing.publishedAt', { date: formatDate(locale, listing.createdAt) })}\n`;
+    
+    if (listing.status === LISTING_STATUS.ACTIVE) {
+        text += `${t(locale, 'listing.activeUntil', { date: formatDate(locale, getListingExpiry(listing)) })}\n`;
+    }
+    
+    if (listing.status !== LISTING_STATUS.DELETED && listing.messageIds.length > 0) {
+        text += `\n<a href="${getChannelPostLink(listing.messageIds[0], listing.channelId)}">${t(locale, 'listing.link')}</a>`;
+    }
+    
+    return text;
+}
+
+// Кнопки управления объявлением
+function getListingKeyboard(listing, locale) {
+    const editRow = [
+        { text: t(locale, 'button.editPrice'), callback_data: `listing_edit_price:${listing.id}` },
+        { text: t(locale, 'button.editDescription'), callback_data: `listing_edit_desc:${listing.id}` }
+    ];
+    const deleteButton = { text: t(locale, 'button.delete'), callback_data: `listing_delete:${listing.id}` };
+    
+    if (listing.status === LISTING_STATUS.ACTIVE) {
+        return [
+            editRow,
+            [
+                { text: t(locale, 'button.sold'), callback_data: `listing_sold:${listing.id}` },
+                deleteButton
+            ]
+        ];
+    }
+    
+    if (listing.status === LISTING_STATUS.CHANGES_REQUESTED) {
+        return [
+            editRow,
+            [
+                { text: t(locale, 'button.resubmit'), callback_data: `listing_resubmit:${listing.id}` },
+                deleteButton
+            ]
+        ];
+    }
+    
+    if (listing.status === LISTING_STATUS.SOLD || listing.status === LISTING_STATUS.PENDING) {
+        return [
+            [deleteButton]
+        ];
+    }
+    
+    return [];
+}
+
+// Подпись проданного объявления
+function formatSoldCaption(listing) {
+    return renderListingCaption(listing, { banner: t(listing.lang, 'caption.soldBanner'), strike: true });
+}
+
+// Применение нового значения цены или описания
+async function applyListingEdit(ctx, pendingEdit) {
+    const userId = ctx.from.id.toString();
+    const value = ctx.message.text.trim();
+    const maxLength = pendingEdit.field === 'price' ? LISTING_PRICE_MAX_LENGTH : LISTING_DESCRIPTION_MAX_LENGTH;
+    
+    if (value.length === 0 || value.length > maxLength) {
+        return ctx.reply(ctx.t('edit.invalidLength', { max: maxLength }));
+    }
+    
+    const listing = getOwnedListing(ctx, pendingEdit.listingId);
+    pendingEdits.delete(userId);
+    
+    if (!listing || !EDITABLE_LISTING_STATUSES.includes(listing.status)) {
+        return ctx.reply(ctx.t('listing.notEditable'));
+    }
+    
+    const previous = { [pendingEdit.field]: listing[pendingEdit.field], product: listing.product };
+    
+    if (pendingEdit.field === 'price' && listing.product) {
+        // Число - новая цена за единицу товара, текст - цена в свободной форме
+        listing.product = { ...listing.product, unitPrice: parseUnitPrice(value) };
+        listing.price = formatProductPrice(listing.product, listing.lang) || value;
+    } else {
+        listing[pendingEdit.field] = value;
+    }
+    
+    // Неопубликованное объявление меняем только в базе
+    if (listing.status === LISTING_STATUS.ACTIVE) {
+        try {
+            await editListingCaption(listing, renderListingCaption(listing), await getListingPostMarkup(listing));
+        } catch (error) {
+            Object.assign(listing, previous);
+            console.error(`❌ Ошибка редактирования объявления ${listing.id}:`, error);
+            return ctx.reply(ctx.t('edit.failed'));
+        }
+    }
+    
+    saveListing(listing);
+    if (listing.status === LISTING_STATUS.ACTIVE) {
+        await syncListingOverflow(listing);
+    }
+    console.log(`✏️ Объявление ${listing.id} изменено (${pendingEdit.field})`);
+    
+    await ctx.reply(`${ctx.t('edit.saved')}\n\n${formatListingSummary(listing, ctx.locale)}`, {
+        parse_mode: 'HTML',
+        disable_web_page_preview: true,
+        reply_markup: { inline_keyboard: getListingKeyboard(listing, ctx.locale) }
+    });
+}
+
+// ==================== ПУБЛИКАЦИЯ И МОДЕРАЦИЯ ОБЪЯВЛЕНИЙ ====================
+
+// Отправка фото/видео в чат: одиночным сообщением или альбомом
+async function sendMediaToChat(chatId, mediaGroup) {
+    if (mediaGroup.length === 1) {
+        const media = mediaGroup[0];
+        const extra = { caption: media.caption, parse_mode: 'HTML' };
+        const message = media.type === 'photo' ?
+            await bot.telegram.sendPhoto(chatId, media.media, extra) :
+            await bot.telegram.sendVideo(chatId, media.media, extra);
+        return [message];
+    }
+    
+    return bot.telegram.sendMediaGroup(
+        chatId,
+        mediaGroup.map(m => ({
+            type: m.type,
+            media: m.media,
+            ...(m.caption && { caption: m.caption }),
+            parse_mode: 'HTML'
+        }))
+    );
+}
+
+// Добавляет file_id отправленных файлов к информации о медиа
+function collectSentMedia(mediaInfo, sentMessages) {
+    return mediaInfo.map((info, index) => {
+        const message = sentMessages[index] || {};
+        const fileId = message.photo ?
+            message.photo[message.photo.length - 1].file_id :
+            message.video?.file_id;
+        return { ...info, fileId };
+    });
+}
+
+// Медиагруппа из сохраненных file_id объявления
+function buildListingMediaGroup(listing) {
+    return listing.media
+        .filter(m => m.fileId)
+        .map((m, index) => ({
+            type: m.type,
+            media: m.fileId,
+            caption: index === 0 ? renderListingCaption(listing) : undefined
+        }));
+}
+
+// Сообщение владельцу объявления на его языке
+async function notifyListingOwner(listing, key, params = {}, extra = {}) {
+    const owner = usersDB.get(listing.ownerId);
+    if (!owner?.chatId) return;
+    
+    try {
+        const text = t(getUserLocale(owner), key, params);
+        await bot.telegram.sendMessage(owner.chatId, text, { parse_mode: 'HTML', ...extra });
+    } catch (error) {
+        console.error('❌ Ошибка уведомления пользователя:', error);
+    }
+}
+
+// Уведомление продавца о публикации
+async function notifyListingPublished(user, listing) {
+    if (!user.chatId) return;
+    
+    try {
+        const messageLink = getChannelPostLink(listing.messageIds[0], listing.channelId);
+        const locale = getUserLocale(user);
+        
+        await bot.telegram.sendMessage(
+            user.chatId,
+            t(locale, 'notify.published', {
+                files: listing.media.length,
+                city: escapeHtml(listing.city),
+                freshness: escapeHtml(listing.freshness),
+                price: escapeHtml(listing.price),
+                link: messageLink,
+                days: LISTING_LIFETIME_DAYS
+            }),
+            {
+                parse_mode: 'HTML',
+                disable_web_page_preview: true,
+                reply_markup: {
+                    inline_keyboard: [
+                        [
+                            {
+                                text: t(locale, 'button.createAnother'),
+                                web_app: { url: `${BASE_URL}/index.html?userId=${user.id}&chatId=${user.chatId}` }
+                            }
+                        ]
+                    ]
+                }
+            }
+        );
+        
+    } catch (userNotifyError) {
+        console.error('❌ Ошибка уведомления пользователя:', userNotifyError);
+    }
+}
+
+// Отправка объявления в админ-чат на проверку
+async function sendListingToModeration(user, listing, mediaGroup) {
+    const albumMessages = await sendMediaToChat(ADMIN_CHAT_ID, mediaGroup);
+    listing.media = collectSentMedia(listing.media, albumMessages);
+    
+    const controlMessage = await bot.telegram.sendMessage(
+        ADMIN_CHAT_ID,
+        `🛡 <b>ОБЪЯВЛЕНИЕ НА МОДЕРАЦИИ</b>\n\n` +
+        `👤 Продавец: ${escapeHtml(user.firstName || user.id)}${user.username ? ` (@${escapeHtml(user.username)})` : ''}\n` +
+        `🆔 ID: ${user.id}\n` +
+        `📊 Файлов: ${listing.media.length}\n` +
+        (listing.product ? `🌸 Товар: ${escapeHtml(formatProductSummary(listing))}\n` : '') +
+        `📍 Город: ${escapeHtml(listing.city)}\n` +
+        `💵 Цена: ${escapeHtml(listing.price)}\n` +
+        `⏰ Время: ${new Date().toLocaleString('ru-RU')}`,
+        {
+            parse_mode: 'HTML',
+            reply_to_message_id: albumMessages[0].message_id,
+            reply_markup: {
+                inline_keyboard: [
+                    [
+                        { text: '✅ Опубликовать', callback_data: `approve_listing:${listing.id}` },
+                        { text: '❌ Отклонить', callback_data: `reject_listing:${listing.id}` }
+                    ],
+                    [
+                        { text: '✏️ Запросить правки', callback_data: `request_changes:${listing.id}` }
+                    ],
+                    [
+                        { text: '⭐ Опубликовать и доверять продавцу', callback_data: `approve_listing_trust:${listing.id}` }
+                    ],
+                    [
+                        { text: '👤 Инфо о пользователе', callback_data: `user_info:${user.id}` }
+                    ]
+                ]
+            }
+        }
+    );
+    
+    listing.status = LISTING_STATUS.PENDING;
+    listing.moderation = {
+        albumMessageIds: albumMessages.map(m => m.message_id),
+        controlMessageId: controlMessage.message_id,
+        submittedAt: new Date()
+    };
+    saveListing(listing);
+    
+    console.log(`🛡 Объявление ${listing.id} отправлено на модерацию`);
+    
+    await notifyListingOwner(listing, 'notify.submitted');
+}
+
+// Публикация одобренного объявления в канал
+async function publishApprovedListing(listing) {
+    const sentMessages = await sendMediaToChat(CHANNEL_ID, buildListingMediaGroup(listing));
+    
+    listing.channelId = CHANNEL_ID;
+    listing.messageIds = sentMessages.map(m => m.message_id);
+    listing.status = LISTING_STATUS.ACTIVE;
+    listing.publishedAt = new Date();
+    listing.expiresAt = new Date(Date.now() + LISTING_LIFETIME_MS);
+    listing.expiryWarnedAt = null;
+    saveListing(listing);
+    
+    await syncListingOverflow(listing);
+    await attachListingContactButton(listing);
+    
+    const owner = usersDB.get(listing.ownerId);
+    if (owner) {
+        owner.postsCount = (owner.postsCount || 0) + 1;
+        owner.lastPostAt = new Date();
+        saveUser(owner);
+        await notifyListingPublished(owner, listing);
+    }
+    
+    notifySubscribers(listing);
+    console.log(`✅ Объявление ${listing.id} опубликовано после модерации`);
+}
+
+// ==================== СРОК ЖИЗНИ ОБЪЯВЛЕНИЙ ====================
+
+// Дата окончания объявления (для старых записей считаем от даты создания)
+function getListingExpiry(listing) {
+    if (listing.expiresAt) {
+        return new Date(listing.expiresAt);
+    }
+    return new Date(new Date(listing.createdAt).getTime() + LISTING_LIFETIME_MS);
+}
+
+// Изменение подписи объявления в канале
+// Без replyMarkup Telegram убирает кнопки поста (так снимаются проданные и истекшие)
+async function editListingCaption(listing, caption, replyMarkup) {
+    const messageId = listing.messageIds[0];
+    const extra = { parse_mode: 'HTML', reply_markup: replyMarkup };
+    
+    if (listing.media && listing.media.length > 0) {
+        await bot.telegram.editMessageCaption(listing.channelId, messageId, undefined, caption, extra);
+    } else {
+        await bot.telegram.editMessageText(listing.channelId, messageId, undefined, caption, extra);
+    }
+}
+
+// Удаление сообщений объявления из канала.
+// Telegram не удаляет сообщения старше 48 часов, а пост мог уже удалить администратор канала,
+// поэтому ошибки не прерывают удаление: каждое сообщение удаляется отдельно, а если
+// не удалось удалить сам пост, его подпись заменяется на fallbackCaption.
+// Возвращает true, если удалены все сообщения
+async function deleteListingMessages(listing, fallbackCaption = t(listing.lang, 'caption.deletedBanner')) {
+    const messageIds = [
+        ...listing.messageIds,
+        listing.overflowMessageId,
+        listing.contactMessageId
+    ].filter(Boolean);
+    const failedIds = [];
+    
+    for (const messageId of messageIds) {
+        try {
+            await bot.telegram.deleteMessage(listing.channelId, messageId);
+        } catch (error) {
+            failedIds.push(messageId);
+            console.warn(`⚠️ Не удалось удалить сообщение ${messageId} объявления ${listing.id}:`, error.message);
+        }
+    }
+    
+    if (failedIds.includes(listing.messageIds[0])) {
+        try {
+            await editListingCaption(listing, fallbackCaption);
+        } catch (error) {
+            console.warn(`⚠️ Не удалось заменить подпись объявления ${listing.id}:`, error.message);
+        }
+    }
+    
+    return failedIds.length === 0;
+}
+
+// Полное описание, не поместившееся в подпись, отдельным ответом на пост
+async function syncListingOverflow(listing) {
+    const { overflow } = buildCaption(
+        getListingCaptionData(listing),
+        getCaptionOptions(listing.channelId, listing.lang)
+    );
+    
+    try {
+        if (overflow && listing.overflowMessageId) {
+            await bot.telegram.editMessageText(listing.channelId, listing.overflowMessageId, undefined, overflow, { parse_mode: 'HTML' });
+        } else if (overflow) {
+            const message = await bot.telegram.sendMessage(listing.channelId, overflow, {
+                parse_mode: 'HTML',
+                reply_to_message_id: listing.messageIds[0]
+            });
+            listing.overflowMessageId = message.message_id;
+        } else if (listing.overflowMessageId) {
+            await bot.telegram.deleteMessage(listing.channelId, listing.overflowMessageId);
+            listing.overflowMessageId = null;
+        }
+    } catch (error) {
+        // Telegram отвечает ошибкой, если текст не изменился
+        if (!String(error.description || error.message).includes('message is not modified')) {
+            console.error(`❌ Ошибка обновления полного описания ${listing.id}:`, error);
+        }
+    }
+    
+    saveListing(listing);
+}
+
+// Снятие объявления по истечении срока
+async function expireListing(listing) {
+    if (LISTING_EXPIRY_MODE === 'delete') {
+        await deleteListingMessages(listing, formatExpiredCaption(listing));
+        listing.contactMessageId = null;
+    } else {
+        await editListingCaption(listing, formatExpiredCaption(listing));
+        await removeListingContactMessage(listing);
+    }
+    
+    listing.status = LISTING_STATUS.EXPIRED;
+    listing.expiredAt = new Date();
+    saveListing(listing);
+    
+    console.log(`⌛ Объявление ${listing.id} снято по сроку`);
+    
+    const owner = usersDB.get(listing.ownerId);
+    if (owner?.chatId) {
+        try {
+            await bot.telegram.sendMessage(
+                owner.chatId,
+                t(getUserLocale(owner), 'notify.expired', {
+                    location: formatListingLocation(listing),
+                    price: escapeHtml(listing.price)
+                }),
+                { parse_mode: 'HTML' }
+            );
+        } catch (notifyError) {
+            console.error('❌ Ошибка уведомления пользователя:', notifyError);
+        }
+    }
+}
+
+// Подпись снятого по сроку объявления
+function formatExpiredCaption(listing) {
+    return renderListingCaption(listing, {
+        banner: t(listing.lang, 'caption.expiredBanner')
+    });
+}
+
+// Город и район объявления для уведомлений
+function formatListingLocation(listing) {
+    return `${escapeHtml(listing.city)}${listing.district ? `, ${escapeHtml(listing.district)}` : ''}`;
+}
+
+// Предупреждение продавца за сутки до окончания срока
+async function warnListingExpiry(listing) {
+    const owner = usersDB.get(listing.ownerId);
+    
+    if (owner?.chatId) {
+        const locale = getUserLocale(owner);
+        
+        await bot.telegram.sendMessage(
+            owner.chatId,
+            t(locale, 'notify.expiring', {
+                location: formatListingLocation(listing),
+                price: escapeHtml(listing.price),
+                date: formatDate(locale, getListingExpiry(listing), true),
+                days: LISTING_LIFETIME_DAYS
+            }),
+            {
+                parse_mode: 'HTML',
+                reply_markup: {
+                    inline_keyboard: [
+                        [
+                            {
+                                text: t(locale, 'button.extend'),
+                                callback_data: `extend_listing:${listing.id}`
+                            }
+                        ]
+                    ]
+                }
+            }
+        );
+    }
+    
+    listing.expiryWarnedAt = new Date();
+    saveListing(listing);
+}
+
+// Проверка сроков всех активных объявлений
+async function checkListingExpiry() {
+    const now = Date.now();
+    const activeListings = Array.from(listingsDB.values())
+        .filter(listing => listing.status === LISTING_STATUS.ACTIVE);
+    
+    for (const listing of activeListings) {
+        const expiresAt = getListingExpiry(listing).getTime();
+        
+        try {
+            if (expiresAt <= now) {
+                await expireListing(listing);
+            } else if (expiresAt - now <= LISTING_EXPIRY_WARNING_MS && !listing.expiryWarnedAt) {
+                await warnListingExpiry(listing);
+            }
+        } catch (error) {
+            console.error(`❌ Ошибка обработки срока объявления ${listing.id}:`, error);
+        }
+    }
+}
+
+// Запуск планировщика (состояние хранится в объявлениях, поэтому переживает перезапуск)
+function startExpiryScheduler() {
+    let running = false;
+    
+    const run = async () => {
+        if (running) return;
+        running = true;
+        try {
+            await checkListingExpiry();
+        } finally {
+            running = false;
+        }
+    };
+    
+    run();
+    setInterval(run, LISTING_EXPIRY_CHECK_INTERVAL_MS);
+    
+    console.log(`⏱️ Планировщик сроков объявлений запущен (каждые ${LISTING_EXPIRY_CHECK_INTERVAL_MS / 60000} мин.)`);
+}
+
 // ==================== ЗАПУСК СЕРВЕРА ====================
 
+// Меню команд на каждом языке (без language_code - для остальных языков)
+async function setBotCommands() {
+    const commands = ['start', 'status', 'my', 'subscribe', 'subscriptions', 'google', 'language', 'help'];
+    
+    for (const locale of SUPPORTED_LOCALES) {
+        await bot.telegram.setMyCommands(
+            commands.map(command => ({ command, description: t(locale, `command.${command}`) })),
+            locale === DEFAULT_LOCALE ? {} : { language_code: locale }
+        );
+    }
+}
+
+// Остановка бота и сохранение данных
+async function shutdown(signal) {
+    console.log(`\n🛑 Остановка по ${signal}...`);
+    
+    try {
+        await bot.stop(signal);
+        console.log('✅ Бот остановлен');
+    } catch (error) {
+        console.log('ℹ️ Бот не был запущен в режиме polling');
+    }
+    
+    try {
+        await storage.close();
+        console.log('✅ Данные сохранены');
+    } catch (error) {
+        console.error('❌ Ошибка сохранения данных:', error);
+    }
+    
+    process.exit(0);
+}
+
 async function startServer() {
     try {
         console.log('🚀 ЗАПУСК FLOWER MARKET BACKEND...');
         console.log('========================================');
         
-        // Загружаем пользователей из файла
-        loadUsersFromFile();
+        // Переносим данные из старых JSON-файлов
+        await importLegacyData();
+        seedCategories();
+        seedOwners();
+        
+        // Перезаписываем снимок, чтобы записи, сохраненные до включения шифрования, тоже зашифровались
+        if (fieldCipher.enabled) {
+            await storage.compact();
+        }
+        console.log(`✅ Хранилище: ${usersDB.size} пользователей, ${listingsDB.size} объявлений (${DATA_DIR})`);
+        
+        // Запускаем планировщик сроков объявлений
+        startExpiryScheduler();
+        startUploadCleanup();
+        startRetentionScheduler();
+        startGoogleSyncScheduler();
+        
+        try {
+            await setBotCommands();
+        } catch (error) {
+            console.warn('⚠️ Не удалось обновить меню команд:', error.message);
+        }
         
         // Настройка для Railway (Webhook)
         if (process.env.RAILWAY_ENVIRONMENT || process.env.NODE_ENV === 'production') {
@@ -1804,6 +6786,9 @@ async function startServer() {
             console.log('   GET  /api/status');
             console.log('   GET  /api/user/:id/status');
             console.log('   POST /api/upload-contacts');
+            console.log('   POST /api/media/upload');
+            console.log('   GET  /api/categories');
+            console.log('   GET  /api/listings');
             console.log('   POST /api/publish-media-group');
             console.log('   GET  /auth/google');
             console.log('   GET  /auth/google/callback');
@@ -1812,31 +6797,8 @@ async function startServer() {
         });
         
         // Graceful shutdown
-        process.once('SIGINT', async () => {
-            console.log('\n🛑 Остановка по SIGINT...');
-            await bot.stop();
-            console.log('✅ Бот остановлен');
-            
-            // Сохраняем пользователей в файл
-            const usersArray = Array.from(usersDB.values());
-            fs.writeFileSync(path.join(__dirname, 'users.json'), JSON.stringify(usersArray, null, 2));
-            console.log('✅ Пользователи сохранены');
-            
-            process.exit(0);
-        });
-        
-        process.once('SIGTERM', async () => {
-            console.log('\n🛑 Остановка по SIGTERM...');
-            await bot.stop();
-            console.log('✅ Бот остановлен');
-            
-            // Сохраняем пользователей в файл
-            const usersArray = Array.from(usersDB.values());
-            fs.writeFileSync(path.join(__dirname, 'users.json'), JSON.stringify(usersArray, null, 2));
-            console.log('✅ Пользователи сохранены');
-            
-            process.exit(0);
-        });
+        process.once('SIGINT', () => shutdown('SIGINT'));
+        process.once('SIGTERM', () => shutdown('SIGTERM'));
         
     } catch (error) {
         console.error('❌ Ошибка запуска сервера:', error);
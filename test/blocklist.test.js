@@ -0,0 +1,43 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    normalizePhone,
+    normalizeEmail,
+    extractPhones,
+    parseBlocklistValue,
+    getBlocklistId
+} = require('../lib/blocklist');
+
+describe('blocklist', () => {
+    test('один номер в разных записях совпадает', () => {
+        const key = normalizePhone('+996 555 123 456');
+
+        assert.equal(key, '555123456');
+        assert.equal(normalizePhone('0555-123-456'), key);
+        assert.equal(normalizePhone('(0555) 12 34 56'), key);
+        assert.equal(normalizePhone('123'), null);
+        assert.equal(normalizePhone(null), null);
+    });
+
+    test('адреса Gmail без точек и +меток', () => {
+        assert.equal(normalizeEmail(' Seller.Name+flowers@GMail.com '), 'sellername@gmail.com');
+        assert.equal(normalizeEmail('seller.name@googlemail.com'), 'sellername@gmail.com');
+        assert.equal(normalizeEmail('first.last+tag@mail.ru'), 'first.last+tag@mail.ru');
+        assert.equal(normalizeEmail('not-an-email'), null);
+    });
+
+    test('телефоны из текста объявления без повторов', () => {
+        const phones = extractPhones('Звоните +996 555 123 456 или 0555-123-456, WhatsApp 0700 111 222. Цена 150 сом');
+
+        assert.deepEqual(phones, ['555123456', '700111222']);
+        assert.deepEqual(extractPhones(''), []);
+    });
+
+    test('ввод администратора: email или телефон', () => {
+        assert.deepEqual(parseBlocklistValue('Evil@gmail.com'), { type: 'email', value: 'evil@gmail.com' });
+        assert.deepEqual(parseBlocklistValue('+996 700 111 222'), { type: 'phone', value: '700111222' });
+        assert.equal(parseBlocklistValue('12'), null);
+        assert.equal(parseBlocklistValue('@'), null);
+        assert.equal(getBlocklistId('phone', '700111222'), 'phone:700111222');
+    });
+});
@@ -0,0 +1,48 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { renderTemplate, validateTemplate, getDefaultTemplate, RAW_FIELDS } = require('../lib/captionTemplate');
+const { escapeHtml } = require('../lib/caption');
+
+describe('captionTemplate', () => {
+    test('экранирует значения полей', () => {
+        const html = renderTemplate('{{description}} / {{contacts}}', {
+            description: '<b>Розы</b> & "тюльпаны"',
+            contacts: '<a href="https://evil">звоните</a>'
+        }, escapeHtml);
+
+        assert.equal(html, '&lt;b&gt;Розы&lt;/b&gt; &amp; &quot;тюльпаны&quot; / &lt;a href=&quot;https://evil&quot;&gt;звоните&lt;/a&gt;');
+    });
+
+    test('выводит без экранирования только поля администратора', () => {
+        assert.deepEqual(RAW_FIELDS, ['footer']);
+
+        const html = renderTemplate('{{{footer}}} | {{{description}}} | {{{contacts}}}', {
+            footer: '<i>Flower Market</i>',
+            description: '<b>жирный</b>',
+            contacts: '<a href="x">ссылка</a>'
+        }, escapeHtml);
+
+        assert.equal(html, '<i>Flower Market</i> | &lt;b&gt;жирный&lt;/b&gt; | &lt;a href=&quot;x&quot;&gt;ссылка&lt;/a&gt;');
+    });
+
+    test('условные блоки зависят от заполненности поля', () => {
+        const template = '{{#district}}район {{district}}{{/district}}{{^district}}без района{{/district}}';
+
+        assert.equal(renderTemplate(template, { district: 'Центр' }, escapeHtml), 'район Центр');
+        assert.equal(renderTemplate(template, { district: '  ' }, escapeHtml), 'без района');
+        assert.equal(renderTemplate(template, {}, escapeHtml), 'без района');
+    });
+
+    test('отклоняет неизвестные поля и незакрытые блоки', () => {
+        assert.throws(() => validateTemplate('{{password}}'), /Неизвестное поле/);
+        assert.throws(() => validateTemplate('{{#city}}{{city}}'), /Не закрыт блок/);
+        assert.throws(() => validateTemplate('{{city}}{{/city}}'), /Лишний закрывающий тег/);
+        assert.throws(() => validateTemplate('   '), /Шаблон пустой/);
+    });
+
+    test('встроенные шаблоны всех языков проходят проверку', () => {
+        for (const locale of ['ru', 'en', 'ky', 'uz']) {
+            assert.equal(validateTemplate(getDefaultTemplate(locale)), true);
+        }
+    });
+});
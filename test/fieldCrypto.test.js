@@ -0,0 +1,60 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFieldCipher, isEncrypted } = require('../lib/fieldCrypto');
+
+const contacts = [{ name: 'Вася', phones: ['+996555123456'], emails: [] }];
+
+describe('fieldCrypto', () => {
+    test('шифрует и расшифровывает поле', () => {
+        const cipher = createFieldCipher('secret');
+        const encrypted = cipher.encrypt(contacts);
+
+        assert.equal(isEncrypted(encrypted), true);
+        assert.doesNotMatch(JSON.stringify(encrypted), /Вася|555123456/);
+        assert.deepEqual(cipher.decrypt(encrypted), contacts);
+    });
+
+    test('одно значение каждый раз шифруется по-разному', () => {
+        const cipher = createFieldCipher('secret');
+
+        assert.notDeepEqual(cipher.encrypt('token'), cipher.encrypt('token'));
+    });
+
+    test('шифрует только указанные поля записи', () => {
+        const cipher = createFieldCipher('secret');
+        const record = { id: '555', contacts, googleTokens: { refresh_token: 'rt' } };
+        const stored = cipher.encryptFields(record, ['contacts', 'googleTokens', 'missing']);
+
+        assert.equal(stored.id, '555');
+        assert.equal(isEncrypted(stored.contacts), true);
+        assert.equal(isEncrypted(stored.googleTokens), true);
+        assert.equal('missing' in stored, false);
+        assert.deepEqual(cipher.decryptFields(stored, ['contacts', 'googleTokens']), record);
+    });
+
+    test('измененные данные или чужой ключ не расшифровываются', () => {
+        const encrypted = createFieldCipher('secret').encrypt(contacts);
+        const tampered = { ...encrypted, data: Buffer.from('x' + Buffer.from(encrypted.data, 'base64').toString('latin1'), 'latin1').toString('base64') };
+
+        assert.throws(() => createFieldCipher('secret').decrypt(tampered));
+        assert.throws(() => createFieldCipher('other-secret').decrypt(encrypted));
+        assert.throws(() => createFieldCipher(undefined).decrypt(encrypted), /DATA_ENCRYPTION_KEY/);
+    });
+
+    test('без ключа поля хранятся как есть, а открытые значения читаются и с ключом', () => {
+        const plain = createFieldCipher(undefined);
+
+        assert.equal(plain.enabled, false);
+        assert.deepEqual(plain.encrypt(contacts), contacts);
+        assert.deepEqual(createFieldCipher('secret').decrypt(contacts), contacts);
+    });
+
+    test('отпечаток зависит от ключа, а без ключа его нет', () => {
+        const { hash } = createFieldCipher('secret');
+
+        assert.equal(hash('phone:555123456'), hash('phone:555123456'));
+        assert.equal(hash('phone:555123456').length, 32);
+        assert.notEqual(hash('phone:555123456'), createFieldCipher('other-secret').hash('phone:555123456'));
+        assert.equal(createFieldCipher(undefined).hash, null);
+    });
+});
@@ -0,0 +1,44 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    hasGoogleAccess,
+    mergeGoogleTokens,
+    isGoogleGrantRevoked,
+    isGoogleSyncDue,
+    getGoogleSyncWait
+} = require('../lib/googleAccount');
+
+const HOUR_MS = 60 * 60 * 1000;
+const now = new Date('2026-10-19T12:00:00.000Z');
+
+describe('googleAccount', () => {
+    test('новые токены без refresh_token не затирают сохраненный', () => {
+        const merged = mergeGoogleTokens(
+            { access_token: 'old', refresh_token: 'refresh', expiry_date: 1 },
+            { access_token: 'new', refresh_token: null, expiry_date: 2, id_token: undefined }
+        );
+
+        assert.deepEqual(merged, { access_token: 'new', refresh_token: 'refresh', expiry_date: 2 });
+        assert.equal(hasGoogleAccess({ googleTokens: merged }), true);
+        assert.equal(hasGoogleAccess({ googleTokens: { access_token: 'only' } }), false);
+        assert.equal(hasGoogleAccess(null), false);
+    });
+
+    test('invalid_grant означает отозванный доступ', () => {
+        assert.equal(isGoogleGrantRevoked({ response: { data: { error: 'invalid_grant' } } }), true);
+        assert.equal(isGoogleGrantRevoked(new Error('invalid_grant')), true);
+        assert.equal(isGoogleGrantRevoked(new Error('socket hang up')), false);
+    });
+
+    test('синхронизация по расписанию считается от последней попытки', () => {
+        assert.equal(isGoogleSyncDue({}, HOUR_MS, now), true);
+        assert.equal(isGoogleSyncDue({ googleSyncedAt: new Date(now - 2 * HOUR_MS), googleSyncAttemptedAt: new Date(now - HOUR_MS / 2) }, HOUR_MS, now), false);
+        assert.equal(isGoogleSyncDue({ contactsImportedAt: new Date(now - 2 * HOUR_MS) }, HOUR_MS, now), true);
+    });
+
+    test('пауза перед ручной синхронизацией', () => {
+        assert.equal(getGoogleSyncWait({}, HOUR_MS, now), 0);
+        assert.equal(getGoogleSyncWait({ googleSyncAttemptedAt: new Date(now - HOUR_MS / 4) }, HOUR_MS, now), 3 * HOUR_MS / 4);
+        assert.equal(getGoogleSyncWait({ googleSyncAttemptedAt: new Date(now - 2 * HOUR_MS) }, HOUR_MS, now), 0);
+    });
+});
@@ -0,0 +1,44 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    formatRejectionReason,
+    getReapplyAvailableAt,
+    parseBanDuration,
+    isUserBanned
+} = require('../lib/moderationModel');
+
+const HOUR_MS = 60 * 60 * 1000;
+const now = new Date('2026-10-19T12:00:00.000Z');
+
+describe('moderationModel', () => {
+    test('срок блокировки из команды администратора', () => {
+        assert.equal(parseBanDuration('12h'), 12 * HOUR_MS);
+        assert.equal(parseBanDuration('7d'), 7 * 24 * HOUR_MS);
+        assert.equal(parseBanDuration('2W'), 14 * 24 * HOUR_MS);
+        assert.equal(parseBanDuration('3д'), 3 * 24 * HOUR_MS);
+        assert.equal(parseBanDuration('0d'), null);
+        assert.equal(parseBanDuration('7'), null);
+        assert.equal(parseBanDuration('навсегда'), null);
+    });
+
+    test('блокировка действует до bannedUntil', () => {
+        assert.equal(isUserBanned({ banned: true, bannedUntil: null }, now), true);
+        assert.equal(isUserBanned({ banned: true, bannedUntil: '2026-10-20T00:00:00.000Z' }, now), true);
+        assert.equal(isUserBanned({ banned: true, bannedUntil: '2026-10-19T11:59:59.000Z' }, now), false);
+        assert.equal(isUserBanned({ banned: false }, now), false);
+        assert.equal(isUserBanned(undefined, now), false);
+    });
+
+    test('повторная заявка после паузы', () => {
+        const user = { rejectedAt: new Date(now.getTime() - 2 * HOUR_MS) };
+
+        assert.deepEqual(getReapplyAvailableAt(user, 3 * HOUR_MS, now), new Date(now.getTime() + HOUR_MS));
+        assert.equal(getReapplyAvailableAt(user, HOUR_MS, now), null);
+        assert.equal(getReapplyAvailableAt({}, HOUR_MS, now), null);
+    });
+
+    test('неизвестная причина отказа показывается как "другая"', () => {
+        assert.equal(formatRejectionReason('few_contacts', 'ru'), 'Недостаточно контактов для проверки');
+        assert.equal(formatRejectionReason(undefined, 'en'), formatRejectionReason('other', 'en'));
+    });
+});
@@ -0,0 +1,53 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createOAuthLinkToken, verifyOAuthLinkToken } = require('../lib/oauthLink');
+
+const SECRET = 'link-secret';
+const TTL_MS = 15 * 60 * 1000;
+const now = Date.parse('2026-10-19T12:00:00.000Z');
+
+describe('oauthLink', () => {
+    test('токен возвращает данные ссылки', () => {
+        const token = createOAuthLinkToken({ userId: 555, chatId: 555, redirect: 'https://t.me/bot' }, SECRET, TTL_MS, now);
+        const { link, error } = verifyOAuthLinkToken(token, SECRET, now + 1000);
+
+        assert.equal(error, undefined);
+        assert.equal(link.userId, '555');
+        assert.equal(link.chatId, '555');
+        assert.equal(link.redirect, 'https://t.me/bot');
+        assert.equal(link.expiresAt, now + TTL_MS);
+        assert.match(link.id, /^[\w-]{16}$/);
+    });
+
+    test('в ссылке нет открытого userId', () => {
+        const token = createOAuthLinkToken({ userId: 987654321, chatId: 987654321 }, SECRET, TTL_MS, now);
+
+        assert.doesNotMatch(token, /987654321/);
+    });
+
+    test('у каждой ссылки свой идентификатор', () => {
+        const first = createOAuthLinkToken({ userId: 555, chatId: 555 }, SECRET, TTL_MS, now);
+        const second = createOAuthLinkToken({ userId: 555, chatId: 555 }, SECRET, TTL_MS, now);
+
+        assert.notEqual(verifyOAuthLinkToken(first, SECRET, now).link.id, verifyOAuthLinkToken(second, SECRET, now).link.id);
+    });
+
+    test('измененный или подписанный чужим ключом токен отклоняется', () => {
+        const token = createOAuthLinkToken({ userId: 555, chatId: 555 }, SECRET, TTL_MS, now);
+        const [data, signature] = token.split('.');
+        const payload = JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
+        const forged = Buffer.from(JSON.stringify({ ...payload, u: '1' })).toString('base64url');
+
+        assert.deepEqual(verifyOAuthLinkToken(`${forged}.${signature}`, SECRET, now), { error: 'invalid' });
+        assert.deepEqual(verifyOAuthLinkToken(token, 'other-secret', now), { error: 'invalid' });
+        assert.deepEqual(verifyOAuthLinkToken(`${token}.extra`, SECRET, now), { error: 'invalid' });
+        assert.deepEqual(verifyOAuthLinkToken(undefined, SECRET, now), { error: 'invalid' });
+        assert.deepEqual(verifyOAuthLinkToken('555', SECRET, now), { error: 'invalid' });
+    });
+
+    test('просроченная ссылка', () => {
+        const token = createOAuthLinkToken({ userId: 555, chatId: 555 }, SECRET, TTL_MS, now);
+
+        assert.deepEqual(verifyOAuthLinkToken(token, SECRET, now + TTL_MS), { error: 'expired' });
+    });
+});
@@ -0,0 +1,75 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    DEFAULT_CATEGORIES,
+    MAX_QUANTITY,
+    validateProduct,
+    parseUnitPrice,
+    formatProductPrice,
+    formatQuantity,
+    buildListingHashtags
+} = require('../lib/productModel');
+
+const getCategory = id => DEFAULT_CATEGORIES.find(category => category.id === id) || null;
+// Intl разделяет разряды неразрывным пробелом
+const plain = text => text.replace(/\s/g, ' ');
+
+describe('productModel', () => {
+    test('принимает товар из справочника и приводит числа', () => {
+        const { product, errors } = validateProduct({ category: 'roses', quantity: '101', unitPrice: '150,5', currency: 'usd' }, getCategory);
+
+        assert.deepEqual(errors, []);
+        assert.deepEqual(product, { category: 'roses', quantity: 101, unit: 'stem', unitPrice: 150.5, currency: 'USD' });
+    });
+
+    test('валюта по умолчанию берется из настроек', () => {
+        assert.equal(validateProduct({ category: 'tulips' }, getCategory, 'UZS').product.currency, 'UZS');
+    });
+
+    test('возвращает все ошибки полей сразу', () => {
+        const { product, errors } = validateProduct({
+            category: 'cactus',
+            unit: 'kg',
+            quantity: MAX_QUANTITY + 1,
+            unitPrice: '1.001',
+            currency: 'EUR'
+        }, getCategory);
+
+        assert.equal(product, null);
+        assert.deepEqual(errors.map(error => error.field), ['category', 'unit', 'quantity', 'unitPrice', 'currency']);
+    });
+
+    test('отклоняет дробное и нулевое количество и неположительную цену', () => {
+        assert.deepEqual(validateProduct({ category: 'roses', quantity: 2.5 }, getCategory).errors.map(error => error.field), ['quantity']);
+        assert.deepEqual(validateProduct({ category: 'roses', quantity: 0 }, getCategory).errors.map(error => error.field), ['quantity']);
+        assert.deepEqual(validateProduct({ category: 'roses', unitPrice: -5 }, getCategory).errors.map(error => error.field), ['unitPrice']);
+        assert.equal(validateProduct(null, getCategory).errors[0].field, 'category');
+    });
+
+    test('разбирает цену из сообщения продавца', () => {
+        assert.equal(parseUnitPrice('1 500'), 1500);
+        assert.equal(parseUnitPrice('2,5'), 2.5);
+        assert.equal(parseUnitPrice('0'), null);
+        assert.equal(parseUnitPrice('сто'), null);
+        assert.equal(parseUnitPrice('1e3'), null);
+    });
+
+    test('цена и количество на языке объявления', () => {
+        const product = { unitPrice: 150, quantity: 101, unit: 'stem', currency: 'KGS' };
+
+        assert.equal(plain(formatProductPrice(product, 'ru')), '150 сом за стебель, всего 15 150 сом');
+        assert.equal(plain(formatQuantity(product, 'ru')), '101 стебель');
+        assert.equal(formatProductPrice({ ...product, unitPrice: null }, 'ru'), '');
+        assert.equal(formatQuantity({ ...product, quantity: null }, 'ru'), '');
+    });
+
+    test('хэштеги без повторов и лишних символов', () => {
+        const hashtags = buildListingHashtags({
+            category: getCategory('roses'),
+            city: 'Бишкек',
+            hashtags: '#Розы #свежие Ош-базар'
+        });
+
+        assert.equal(hashtags, '#розы #Бишкек #свежие #Ошбазар');
+    });
+});
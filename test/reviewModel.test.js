@@ -0,0 +1,38 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { isValidRating, summarizeReviews, formatStars, formatRating } = require('../lib/reviewModel');
+
+describe('reviewModel', () => {
+    test('оценка - целое число от 1 до 5', () => {
+        assert.equal(isValidRating(1), true);
+        assert.equal(isValidRating(5), true);
+        assert.equal(isValidRating(0), false);
+        assert.equal(isValidRating(6), false);
+        assert.equal(isValidRating(4.5), false);
+        assert.equal(isValidRating('5'), false);
+    });
+
+    test('удаленные отзывы не входят в рейтинг', () => {
+        const summary = summarizeReviews([
+            { rating: 5 },
+            { rating: 4 },
+            { rating: 4 },
+            { rating: 1, removedAt: '2026-01-01T00:00:00.000Z' }
+        ]);
+
+        assert.deepEqual(summary, { average: 4.3, count: 3 });
+        assert.deepEqual(summarizeReviews([{ rating: 2, removedAt: '2026-01-01T00:00:00.000Z' }]), { average: null, count: 0 });
+    });
+
+    test('звезды округляются до целой оценки', () => {
+        assert.equal(formatStars(4.4), '★★★★☆');
+        assert.equal(formatStars(4.5), '★★★★★');
+        assert.equal(formatStars(1), '★☆☆☆☆');
+    });
+
+    test('рейтинг в подписи на языке объявления', () => {
+        assert.equal(formatRating({ average: 4.8, count: 12 }, 'ru'), '4,8 ★ (12 отзывов)');
+        assert.equal(formatRating({ average: 5, count: 1 }, 'en'), '5 ★ (1 review)');
+        assert.equal(formatRating({ average: null, count: 0 }, 'ru'), '');
+    });
+});
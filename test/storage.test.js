@@ -0,0 +1,107 @@
+const { describe, test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../lib/storage');
+const { createFieldCipher } = require('../lib/fieldCrypto');
+const { createUser, serializeUser, deserializeUser, SENSITIVE_FIELDS } = require('../lib/userModel');
+
+let dir;
+
+function userCodecs(secret) {
+    const cipher = createFieldCipher(secret);
+    return {
+        users: {
+            serialize: user => cipher.encryptFields(serializeUser(user), SENSITIVE_FIELDS),
+            deserialize: raw => deserializeUser(cipher.decryptFields(raw, SENSITIVE_FIELDS))
+        }
+    };
+}
+
+function readFiles() {
+    return ['snapshot.json', 'journal.log']
+        .map(file => path.join(dir, file))
+        .filter(file => fs.existsSync(file))
+        .map(file => fs.readFileSync(file, 'utf8'))
+        .join('\n');
+}
+
+describe('storage', () => {
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'flower-storage-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('журнал проигрывается после перезапуска', async () => {
+        const storage = createStorage({ dir });
+        storage.listings.set('a', { id: 'a', city: 'Бишкек' });
+        storage.listings.set('b', { id: 'b', city: 'Ош' });
+        storage.listings.delete('a');
+        storage.moderationLog.append({ action: 'approve', targetId: 'b' });
+        await storage.flush();
+
+        const reopened = createStorage({ dir });
+        assert.equal(reopened.listings.has('a'), false);
+        assert.deepEqual(reopened.listings.get('b'), { id: 'b', city: 'Ош' });
+        assert.equal(reopened.moderationLog.all()[0].action, 'approve');
+        await reopened.close();
+        await storage.close();
+    });
+
+    test('недописанная строка журнала пропускается, новые записи не теряются', async () => {
+        const storage = createStorage({ dir });
+        storage.listings.set('a', { id: 'a' });
+        await storage.flush();
+        fs.appendFileSync(path.join(dir, 'journal.log'), '{"c":"listings","op":"set","id":"b","v":{"id"');
+
+        const repaired = createStorage({ dir });
+        assert.deepEqual(Array.from(repaired.listings.keys()), ['a']);
+        assert.equal(fs.readFileSync(path.join(dir, 'journal.log'), 'utf8'), '');
+
+        repaired.listings.set('c', { id: 'c' });
+        await repaired.flush();
+
+        const reopened = createStorage({ dir });
+        assert.deepEqual(Array.from(reopened.listings.keys()).sort(), ['a', 'c']);
+        await reopened.close();
+        await repaired.close();
+        await storage.close();
+    });
+
+    test('чувствительные поля пользователя на диске зашифрованы', async () => {
+        const storage = createStorage({ dir, codecs: userCodecs('secret') });
+        storage.users.set('555', createUser({
+            id: '555',
+            contacts: [{ name: 'Вася', phones: ['+996555123456'], emails: [] }],
+            googleTokens: { refresh_token: 'REFRESH-TOKEN' }
+        }));
+        await storage.close();
+
+        assert.doesNotMatch(readFiles(), /Вася|555123456|REFRESH-TOKEN/);
+
+        const reopened = createStorage({ dir, codecs: userCodecs('secret') });
+        const user = reopened.users.get('555');
+        assert.equal(user.contacts[0].name, 'Вася');
+        assert.equal(user.googleTokens.refresh_token, 'REFRESH-TOKEN');
+        assert.ok(user.createdAt instanceof Date);
+        await reopened.close();
+    });
+
+    test('старый users.json удаляется после импорта', async () => {
+        const legacyPath = path.join(dir, 'users.json');
+        fs.writeFileSync(legacyPath, JSON.stringify([{ id: 555, contacts: [{ name: 'Вася', phones: [], emails: [] }] }]));
+        fs.writeFileSync(`${legacyPath}.imported`, '[]');
+
+        const storage = createStorage({ dir, codecs: userCodecs('secret') });
+        assert.equal(await storage.importLegacyFile(legacyPath, 'users'), 1);
+        assert.equal(fs.existsSync(legacyPath), false);
+        assert.equal(fs.existsSync(`${legacyPath}.imported`), false);
+        assert.equal(storage.users.get('555').contacts[0].name, 'Вася');
+        assert.doesNotMatch(readFiles(), /Вася/);
+        await storage.close();
+    });
+});